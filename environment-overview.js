@@ -5,8 +5,45 @@
  *
  * Attributes:
  *   cluster-id      — (preferred) the environment's cluster ID
- *   stack-name      — project/stack name (used with cluster-name as fallback)
+ *   stack-name      — project/stack name (used with cluster-name as fallback;
+ *                     on its own it opens the project dashboard)
  *   cluster-name    — environment name (used with stack-name as fallback)
+ *   api-base        — base URL for all API calls (default: /cc-ui/v1)
+ *   compare-cluster-id — optional second environment to diff against (Compare tab)
+ *   lang            — language for labels, dates and numbers (default: the nearest
+ *                     ancestor's lang, else English). Catalogs are added with
+ *                     EnvironmentOverview.registerMessages(lang, messages); see locales/.
+ *   theme           — 'auto' (default) follows prefers-color-scheme; 'light' or 'dark'
+ *                     force one palette.
+ *                     Colours are CSS custom properties on :host (see _styles()) and
+ *                     can be overridden by the host page.
+ *   budget          — monthly spend budget in the cost currency; a banner is raised
+ *                     when the month's forecast exceeds it (also settable as a property)
+ *   events-url      — SSE (http/https) or WebSocket (ws/wss) stream of cluster and
+ *                     deployment events; `{clusterId}` is substituted. Without it, or
+ *                     while the stream is down, the overview is polled every 15s.
+ *
+ * Properties:
+ *   transport       — { fetch, headers, credentials } used for every API call.
+ *                     `fetch` defaults to window.fetch, `headers` are merged into
+ *                     each request and `credentials` defaults to 'same-origin'.
+ *                     An optional `subscribe(url, onEvent, onError)` returning an
+ *                     unsubscribe function replaces the built-in SSE/WebSocket client.
+ *   snapshot        — a document from toSnapshot() (or a bare object shaped like the
+ *                     loaded state). Renders it read-only without calling any API.
+ *                     Dropping a snapshot .json file onto the component does the same.
+ *   budget          — same as the attribute. Both properties may be set before the
+ *                     element is defined; they take effect when it connects.
+ *
+ * Shadow parts (style with environment-overview::part(name)):
+ *   header, banner (plus banner-info|banner-warn|banner-danger|banner-subtle|
+ *   banner-snapshot), cards, card, section, tabs, tab, tab-active, tab-panel,
+ *   table, modal
+ *
+ * Methods:
+ *   toSnapshot()    — resolves to a versioned JSON snapshot of everything loaded
+ *                     (secret values are always stripped). Release history is
+ *                     the newest releases, unfiltered, up to 100.
  */
 
 class EnvironmentOverview extends HTMLElement {
@@ -18,6 +55,8 @@ class EnvironmentOverview extends HTMLElement {
     this.clusterId   = null;
     this.stackName   = null;
     this.clusterName = null;
+    this.apiBase     = '/cc-ui/v1';
+    this.transport   = this.transport || null;
 
     // API data
     this.overview        = null;   // /deployments/overview  → cluster + stats + inProgress
@@ -30,22 +69,92 @@ class EnvironmentOverview extends HTMLElement {
     this.schedule        = null;   // /availability-schedule (lazy)
     this.maintenanceWin  = null;   // /maintenance-window (lazy)
     this.costEnabled     = false;
+    this.cost            = null;   // { cloud, daily, services, currency, error } from the cost explorer
+    this.compare         = null;   // { clusterId, data, error } for the Compare tab
+    this.dashboard       = null;   // { stack, list } while the project dashboard is shown
+    this.dashTimer       = null;
+    this.snapshotMeta    = null;   // { takenAt, source, liveClusterId } in snapshot mode
 
     // UI state
     this.activeTab    = 'overview';
+    this.relQuery     = { status: '', releaseType: '', triggeredBy: '', from: '', to: '', sort: 'createdOn', dir: 'desc' };
+    this.relPaging    = { page: 0, size: 25, totalPages: null, totalElements: null, loading: false, error: null, token: 0 };
+    this.relExpanded  = {};      // release id → detail panel open
+    this.relDetails   = {};      // release id → full record from /deployments/{id}
+    this.relDetailErr = {};      // release id → true when the last detail fetch failed
+    this.analytics    = { days: 30, list: null, loading: false };
+    this.drift        = null;   // { data, error } — base environment loaded for the Drift tab
+    this.lineage      = null;   // { nodes, edges, error } — related environments for the Lineage tab
+    this.varFilter    = { q: '', kind: '', status: '' };
+    this.revealed     = {};   // secret name → { value, timer }, cleared after 30s
+    this.resContent   = null;    // `type/name` → resource with content (loaded on first diff)
+    this.resFilter    = { q: '', type: '', status: '', override: false, sort: 'type', dir: 'asc', grouped: false, collapsed: {} };
     this.isLoading    = true;
     this.error        = null;
     this.refreshTimer = null;
+    this.liveUnsub    = null;    // active event-stream subscription
+    this.liveRetry    = null;    // reconnect timer after a stream error
+    this.livePending  = null;    // coalesces bursts of events into one refresh
+    this.logTail      = null;    // { dep, lines, offset, query, follow, status, timer, el }
+    this.tzMode       = this._storedTzMode();
 
     this.render();
+    this._attachDropListeners();
+  }
+
+  get snapshot() { return this._snapshotDoc || null; }
+  set snapshot(doc) {
+    if (doc) this._applySnapshot(doc);
+    else if (this.snapshotMeta) this._exitSnapshot();
+  }
+
+  get budget() { return this._budgetValue != null ? this._budgetValue : null; }
+  set budget(v) {
+    const n = parseFloat(v);
+    this._budgetValue = isFinite(n) && n > 0 ? n : null;
+    if (this.env && this.shadowRoot.getElementById('banners-section')) {
+      this._renderBanners();
+      this._renderCostSection();
+    }
+  }
+
+  // A property set before the element was defined is an own property that
+  // hides the accessor; move it through the setter instead
+  _upgradeProperty(name) {
+    if (!Object.prototype.hasOwnProperty.call(this, name)) return;
+    const value = this[name];
+    delete this[name];
+    this[name] = value;
   }
 
   // ── Lifecycle ──────────────────────────────────────────────────────────────
 
+  static get observedAttributes() { return ['lang', 'budget']; }
+
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (oldVal === newVal) return;
+    if (name === 'lang')   this._relocalize();
+    if (name === 'budget') this.budget = newVal;
+  }
+
   connectedCallback() {
     this.clusterId   = this.getAttribute('cluster-id');
     this.stackName   = this.getAttribute('stack-name');
     this.clusterName = this.getAttribute('cluster-name');
+    if (this.hasAttribute('api-base')) this.apiBase = this.getAttribute('api-base').replace(/\/+$/, '');
+
+    try {
+      this._upgradeProperty('budget');
+      this._upgradeProperty('snapshot');
+    } catch (err) {
+      this.isLoading = false;
+      this.error     = err.message;
+      this._renderAll();
+      return;
+    }
+
+    // 0. Snapshot assigned before connect — nothing to fetch
+    if (this.snapshotMeta) return;
 
     // 1. Attribute provided — use it directly
     if (this.clusterId || (this.stackName && this.clusterName)) {
@@ -53,6 +162,12 @@ class EnvironmentOverview extends HTMLElement {
       return;
     }
 
+    // 1b. Project only — show every environment in the project
+    if (this.stackName && !this.clusterName) {
+      this._showDashboard(this.stackName);
+      return;
+    }
+
     // 2. Try to parse context from the current URL
     var ctx = this._tryUrlContext();
     if (ctx.clusterId) {
@@ -106,48 +221,86 @@ class EnvironmentOverview extends HTMLElement {
 
   disconnectedCallback() {
     if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this._stopLive();
+    this._closeLogTail();
+    this._stopDashboardRefresh();
+    this._clearRevealed();
   }
 
   // ── Data loading ───────────────────────────────────────────────────────────
 
   async _resolveClusterId() {
     if (this.clusterId) return this.clusterId;
-    const r = await fetch(
-      `/cc-ui/v1/clusters/stack/${encodeURIComponent(this.stackName)}/cluster/${encodeURIComponent(this.clusterName)}/info`
+    const r = await this._request(
+      `/clusters/stack/${encodeURIComponent(this.stackName)}/cluster/${encodeURIComponent(this.clusterName)}/info`
     );
-    if (!r.ok) throw new Error('Could not resolve cluster ID from name');
+    if (!r.ok) throw new Error(this._t('error.resolveCluster'));
     const d = await r.json();
     return d.id || d.clusterId;
   }
 
+  // Every API call goes through here so hosts can swap origin, auth and fetch.
+  // `path` is relative to api-base, e.g. '/clusters/{id}/resource-stats'.
+  _request(path, init) {
+    if (this.snapshotMeta) return Promise.reject(new Error(this._t('error.readOnly')));
+    const t       = this.transport || {};
+    const doFetch = t.fetch || ((url, opts) => window.fetch(url, opts));
+    const opts    = Object.assign({}, init || {});
+    opts.headers     = Object.assign({}, t.headers || {}, opts.headers || {});
+    opts.credentials = opts.credentials || t.credentials || 'same-origin';
+    return doFetch(this.apiBase + path, opts);
+  }
+
   async _api(path) {
     try {
-      const r = await fetch(path);
+      const r = await this._request(path);
       if (!r.ok) return null;
       return await r.json();
     } catch { return null; }
   }
 
+  // Mutating calls throw with the server's message so callers can roll back
+  async _apiSend(method, path, body) {
+    const r = await this._request(path, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+      body:    body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await r.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch { data = text; }
+    if (!r.ok) {
+      const msg = (data && (data.message || data.error)) || `${method} failed (${r.status})`;
+      throw new Error(msg);
+    }
+    return data;
+  }
+
   async _loadData() {
+    this._closeLogTail();
     try {
       this.clusterId = await this._resolveClusterId();
 
       // Phase 1 — critical (parallel)
-      const [overview, stats, vars] = await Promise.all([
-        this._api(`/cc-ui/v1/clusters/${this.clusterId}/deployments/overview`),
-        this._api(`/cc-ui/v1/clusters/${this.clusterId}/resource-stats`),
-        this._api(`/cc-ui/v1/clusters/${this.clusterId}/variable-counts`)
-      ]);
+      const core = await this._fetchCore(this.clusterId);
 
-      this.overview      = overview;
-      this.env           = overview && overview.cluster ? overview.cluster : null;
-      this.resourceStats = stats;
-      this.varCounts     = vars;
+      this.overview      = core.overview;
+      this.env           = core.env;
+      this.resourceStats = core.resourceStats;
+      this.varCounts     = core.varCounts;
       this.isLoading     = false;
 
+      const cmp = this.getAttribute('compare-cluster-id');
+      if (cmp && !this.compare && cmp !== this.clusterId) {
+        this.compare   = { clusterId: cmp, data: null, error: null };
+        this.activeTab = 'compare';
+      }
+
       this._renderAll();
       this._loadSecondary();
-      this._maybeStartRefresh();
+      this._startLive();
+      if (this.activeTab !== 'overview') this._loadTabData(this.activeTab);
 
     } catch (err) {
       this.isLoading = false;
@@ -156,66 +309,311 @@ class EnvironmentOverview extends HTMLElement {
     }
   }
 
+  // Data loaders shared by the main view and anything that needs a second cluster
+  async _fetchCore(clusterId) {
+    const [overview, stats, vars] = await Promise.all([
+      this._api(`/clusters/${clusterId}/deployments/overview`),
+      this._api(`/clusters/${clusterId}/resource-stats`),
+      this._api(`/clusters/${clusterId}/variable-counts`)
+    ]);
+    return {
+      overview,
+      env:           overview && overview.cluster ? overview.cluster : null,
+      resourceStats: stats,
+      varCounts:     vars
+    };
+  }
+
+  _fetchResources(clusterId, includeContent) {
+    return this._api(`/dropdown/cluster/${clusterId}/resources-info?includeContent=${!!includeContent}`);
+  }
+
+  // Results are dropped if the user has moved to another environment meanwhile
   async _loadSecondary() {
-    const costData = await this._api('/cc-ui/v1/cost-explorer/aws/enabled');
-    this.costEnabled = costData === true || (costData && costData.enabled === true);
-    const cs = this.shadowRoot.getElementById('cost-section');
-    if (cs) cs.style.display = this.costEnabled ? 'block' : 'none';
+    const clusterId = this.clusterId;
+    const cloud = this._costCloud();
+    this.cost = null;
+    this.costEnabled = false;
+    if (cloud) {
+      const costData = await this._api(`/cost-explorer/${cloud}/enabled`);
+      if (this.clusterId !== clusterId) return;
+      this.costEnabled = costData === true || (costData && costData.enabled === true);
+    }
+    this._renderCostSection();
+    if (!this.costEnabled) return;
+    if (!await this._loadCost(cloud)) return;
+    this._renderCostSection();
+    this._renderBanners();
+    if (this.activeTab === 'schedule') this._renderTabContent('schedule');
   }
 
   async _loadTabData(tab) {
+    if (this.snapshotMeta) return;
     if (tab === 'releases' && !this.deployments) {
-      this.deployments = await this._api(`/cc-ui/v1/clusters/${this.clusterId}/deployments?size=25&page=0`);
-      if (this.activeTab === 'releases') this._renderTabContent('releases');
+      await this._loadReleases(true);
     }
     if (tab === 'resources' && !this.resources) {
       const [res, ing] = await Promise.all([
-        this._api(`/cc-ui/v1/dropdown/cluster/${this.clusterId}/resources-info?includeContent=false`),
-        this._hasKubernetes() ? this._api(`/cc-ui/v1/clusters/${this.clusterId}/k8s-explorer/ingress-rules`) : Promise.resolve(null)
+        this._fetchResources(this.clusterId),
+        this._hasKubernetes() ? this._api(`/clusters/${this.clusterId}/k8s-explorer/ingress-rules`) : Promise.resolve(null)
       ]);
       this.resources = res;
       this.ingresses = ing;
       if (this.activeTab === 'resources') this._renderTabContent('resources');
     }
+    if (tab === 'analytics' && !this.analytics.list) {
+      await this._loadAnalytics();
+    }
+    if (tab === 'lineage' && !this.lineage) {
+      await this._loadLineage();
+    }
+    if (tab === 'drift' && !this.drift && this.env && this.env.baseClusterId) {
+      await this._loadDrift();
+    }
+    if (tab === 'compare' && this.compare && !this.compare.data) {
+      await this._loadCompare();
+    }
     if (tab === 'schedule' && !this.schedule) {
       const [sched, mw] = await Promise.all([
-        this._api(`/cc-ui/v1/clusters/${this.clusterId}/availability-schedule`),
-        this._api(`/cc-ui/v1/maintenance-window/${this.clusterId}`)
+        this._api(`/clusters/${this.clusterId}/availability-schedule`),
+        this._api(`/maintenance-window/${this.clusterId}`)
       ]);
       this.schedule       = sched;
-      this.maintenanceWin = mw;
+      // No window configured (404) or unavailable — treat as disabled so the
+      // timeline and maintenance card still render
+      this.maintenanceWin = mw || { enabled: false };
       if (this.activeTab === 'schedule') this._renderTabContent('schedule');
     }
   }
 
-  _maybeStartRefresh() {
+  // Fetches one page of release history; `reset` starts over from page 0.
+  // A reset supersedes whatever is in flight so the newest query always wins.
+  async _loadReleases(reset) {
+    const pg = this.relPaging;
+    const q  = this.relQuery;
+    // Snapshots filter what they contain; there is no server to ask for more
+    if (this.snapshotMeta) {
+      pg.totalPages = pg.page + 1;
+      if (this.activeTab === 'releases') this._renderTabContent('releases');
+      return;
+    }
+    if (pg.loading && !reset) return;
+    const token = pg.token = (pg.token || 0) + 1;
+    pg.loading = true;
+    pg.error   = null;
+    const page = reset ? 0 : pg.page + 1;
+
+    const params = new URLSearchParams({ size: pg.size, page, sort: `${q.sort},${q.dir}` });
+    if (q.status)      params.set('status', q.status);
+    if (q.releaseType) params.set('releaseType', q.releaseType);
+    if (q.triggeredBy) params.set('triggeredBy', q.triggeredBy);
+    const range = this._relDateRange();
+    if (range.from != null) params.set('fromDate', new Date(range.from).toISOString());
+    if (range.to   != null) params.set('toDate',   new Date(range.to).toISOString());
+
+    const data = await this._api(`/clusters/${this.clusterId}/deployments?${params}`);
+    if (token !== pg.token) return;   // a newer query took over
+    pg.loading = false;
+    if (!data) {
+      pg.error = { reset: reset || !Array.isArray(this.deployments) };
+      if (pg.error.reset) this.deployments = null;   // don't show rows for the previous query
+      if (this.activeTab === 'releases') this._renderTabContent('releases');
+      return;
+    }
+    const rows = Array.isArray(data) ? data : (data.content || data.deployments || data.items || []);
+
+    this.deployments = reset || !Array.isArray(this.deployments) ? rows : this.deployments.concat(rows);
+    pg.page          = page;
+    pg.totalPages    = data.totalPages != null ? data.totalPages : (rows.length < pg.size ? page + 1 : null);
+    pg.totalElements = data.totalElements != null ? data.totalElements : null;
+    if (this.activeTab === 'releases') this._renderTabContent('releases');
+  }
+
+  _hasMoreReleases() {
+    const pg = this.relPaging;
+    return pg.totalPages == null || pg.page + 1 < pg.totalPages;
+  }
+
+  // Server applies the same filters; repeating them here keeps the table
+  // consistent while a page is in flight or if the backend ignores a param.
+  _visibleReleases() {
+    const q    = this.relQuery;
+    const { from, to } = this._relDateRange();
+    const by   = q.triggeredBy.toLowerCase();
+
+    const list = this._releaseList().filter(d => {
+      const t = d.createdOn ? new Date(d.createdOn).getTime() : null;
+      if (q.status      && d.status      !== q.status)      return false;
+      if (q.releaseType && d.releaseType !== q.releaseType) return false;
+      if (by   && (d.triggeredBy || '').toLowerCase().indexOf(by) === -1) return false;
+      if (from != null && (t === null || t < from)) return false;
+      if (to   != null && (t === null || t > to))   return false;
+      return true;
+    });
+
+    const key = q.sort === 'timeTakenInSeconds'
+      ? d => d.timeTakenInSeconds || 0
+      : d => (d.createdOn ? new Date(d.createdOn).getTime() : 0);
+    const dir = q.dir === 'asc' ? 1 : -1;
+    return list.sort((a, b) => (key(a) - key(b)) * dir);
+  }
+
+  // The filter's dates are whole days in the display timezone → epoch ms bounds
+  _relDateRange() {
+    const q   = this.relQuery;
+    const tz  = this._displayTz();
+    const day = (s, n) => { const [y, m, d] = s.split('-').map(Number); return this._zonedToUtc(y, m - 1, d + n, 0, 0, 0, tz); };
+    return { from: q.from ? day(q.from, 0) : null, to: q.to ? day(q.to, 1) - 1 : null };
+  }
+
+  _setReleaseQuery(patch) {
+    Object.assign(this.relQuery, patch);
+    this._loadReleases(true);
+  }
+
+  // ── Live updates ───────────────────────────────────────────────────────────
+
+  _isTransitional() {
     const state      = this.env && this.env.clusterState;
     const inProgress = this.overview && this.overview.inProgressDeployments && this.overview.inProgressDeployments.length > 0;
     const activeStates = ['LAUNCHING','DESTROYING','SCALING_UP','SCALING_DOWN'];
-    if (inProgress || activeStates.indexOf(state) !== -1) {
+    return !!inProgress || activeStates.indexOf(state) !== -1;
+  }
+
+  _eventsUrl() {
+    const url = this.getAttribute('events-url');
+    return url ? url.replace('{clusterId}', encodeURIComponent(this.clusterId)) : null;
+  }
+
+  _startLive() {
+    this._stopLive();
+    const url = this._eventsUrl();
+    if (!url) return this._maybeStartRefresh();
+
+    try {
+      this.liveUnsub = this._subscribe(url, evt => this._onLiveEvent(evt), () => this._onLiveError());
+    } catch (e) {
+      return this._onLiveError();
+    }
+    // Stream is up — polling is only a fallback
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this._renderLiveIndicator();
+  }
+
+  _stopLive() {
+    if (this.liveUnsub)    { try { this.liveUnsub(); } catch (e) { /* ignore */ } }
+    if (this.liveRetry)    clearTimeout(this.liveRetry);
+    if (this.livePending) clearTimeout(this.livePending);
+    this.liveUnsub = null; this.liveRetry = null; this.livePending = null;
+  }
+
+  _subscribe(url, onEvent, onError) {
+    const t     = this.transport || {};
+    const parse = data => { try { return JSON.parse(data); } catch { return { type: 'unknown' }; } };
+    if (t.subscribe) return t.subscribe(url, onEvent, onError);
+
+    if (/^wss?:/i.test(url)) {
+      const ws = new WebSocket(url);
+      ws.onmessage = m => onEvent(parse(m.data));
+      ws.onerror   = () => ws.close();
+      ws.onclose   = () => onError();
+      return () => { ws.onclose = null; ws.close(); };
+    }
+
+    const es = new EventSource(url, { withCredentials: t.credentials === 'include' });
+    es.onmessage = m => onEvent(parse(m.data));
+    ['cluster', 'deployment'].forEach(type =>
+      es.addEventListener(type, m => onEvent(Object.assign({ type }, parse(m.data)))));
+    es.onerror = () => { es.close(); onError(); };
+    return () => es.close();
+  }
+
+  _onLiveEvent(evt) {
+    if (evt && evt.clusterId && evt.clusterId !== this.clusterId) return;
+    // Bursts of events (one per resource) collapse into a single refresh
+    if (this.livePending) return;
+    this.livePending = setTimeout(() => {
+      this.livePending = null;
+      this._refreshOverview();
+    }, 500);
+  }
+
+  _onLiveError() {
+    this._stopLive();
+    this._maybeStartRefresh();
+    this._renderLiveIndicator();
+    this.liveRetry = setTimeout(() => this._startLive(), 30000);
+  }
+
+  _maybeStartRefresh() {
+    if (this.liveUnsub) return;
+    if (this._isTransitional()) {
       if (this.refreshTimer) clearInterval(this.refreshTimer);
       this.refreshTimer = setInterval(() => this._refreshOverview(), 15000);
     }
   }
 
   async _refreshOverview() {
-    const fresh = await this._api(`/cc-ui/v1/clusters/${this.clusterId}/deployments/overview`);
+    const fresh = await this._api(`/clusters/${this.clusterId}/deployments/overview`);
     if (!fresh) return;
+    const prev = this.overview;
     this.overview = fresh;
     this.env      = fresh.cluster || this.env;
     this._renderHeader();
     this._renderBanners();
     this._renderCards();
 
-    const state      = this.env && this.env.clusterState;
-    const inProgress = fresh.inProgressDeployments && fresh.inProgressDeployments.length > 0;
-    const activeStates = ['LAUNCHING','DESTROYING','SCALING_UP','SCALING_DOWN'];
-    if (!inProgress && activeStates.indexOf(state) === -1) {
+    if (this._deploymentFinished(prev, fresh)) this._refreshAfterDeployment();
+
+    // Tailed deployment left the in-progress list — take its final status from
+    // the overview when it is the latest one, and fetch the last chunk now
+    const lt = this.logTail;
+    if (lt && !this._depStatusConf(lt.status).terminal &&
+        !(fresh.inProgressDeployments || []).some(d => String(d.id) === String(lt.dep.id))) {
+      const latest = fresh.latestDeployment;
+      if (latest && String(latest.id) === String(lt.dep.id) && latest.status) lt.status = latest.status;
+      this._pollLogTail();
+    }
+
+    if (this.refreshTimer && !this._isTransitional()) {
       clearInterval(this.refreshTimer);
       this.refreshTimer = null;
     }
   }
 
+  // A deployment finished if one that was running is gone or the latest one changed
+  _deploymentFinished(prev, fresh) {
+    if (!prev) return false;
+    const ids = o => ((o && o.inProgressDeployments) || []).map(d => d.id);
+    const now = ids(fresh);
+    if (ids(prev).some(id => now.indexOf(id) === -1)) return true;
+    const pl = prev.latestDeployment, fl = fresh.latestDeployment;
+    return !!fl && (!pl || pl.id !== fl.id || pl.status !== fl.status);
+  }
+
+  async _refreshAfterDeployment() {
+    const [stats, vars] = await Promise.all([
+      this._api(`/clusters/${this.clusterId}/resource-stats`),
+      this._api(`/clusters/${this.clusterId}/variable-counts`)
+    ]);
+    if (stats) this.resourceStats = stats;
+    if (vars)  this.varCounts     = vars;
+    this._renderCards();
+
+    this.deployments = null;
+    if (this.activeTab === 'releases') this._loadTabData('releases');
+  }
+
+  _renderLiveIndicator() {
+    const el = this.shadowRoot.getElementById('live-ind');
+    if (!el) return;
+    const live = !!this.liveUnsub;
+    el.className   = `live-ind ${live ? 'on' : ''}`;
+    el.textContent = live ? this._t('live.on') : '';
+    el.title       = live ? this._t('live.title') : '';
+  }
+
   // ── Root render ────────────────────────────────────────────────────────────
 
   render() {
@@ -226,21 +624,23 @@ class EnvironmentOverview extends HTMLElement {
         <div id="banners-section"></div>
         <div id="cards-section"></div>
         <div id="tabs-nav"></div>
-        <div id="tab-content"></div>
+        <div id="tab-content" part="tab-panel"></div>
         <div id="loading-overlay" class="loading-overlay">
           <div class="spinner"></div>
-          <span>Loading environment…</span>
+          <span>${this._t('loading.environment')}</span>
         </div>
+        <div id="modal-root"></div>
       </div>`;
   }
 
   _renderAll() {
     const lo = this.shadowRoot.getElementById('loading-overlay');
     if (lo) lo.style.display = 'none';
+    this.shadowRoot.querySelector('.wrapper').classList.toggle('read-only', !!this.snapshotMeta);
 
     if (this.error && !this.env) {
       this.shadowRoot.getElementById('header-section').innerHTML =
-        `<div class="boot-error">Failed to load environment: ${this.error}</div>`;
+        `<div class="boot-error">${this._t('error.loadEnvironment', { error: this._esc(this.error) })}</div>`;
       return;
     }
 
@@ -261,23 +661,23 @@ class EnvironmentOverview extends HTMLElement {
     const isLegacy = !(env.stack && env.stack.projectTypeId);
 
     const tags = [];
-    if (env.isEphemeral)    tags.push('<span class="tag tag-eph">Ephemeral</span>');
-    if (env.baseClusterId)  tags.push(`<span class="tag tag-base">Base: ${env.baseClusterName || 'env'}</span>`);
-    if (env.pauseReleases)  tags.push('<span class="tag tag-warn">Releases Paused</span>');
-    if (env.requireSignOff) tags.push('<span class="tag tag-info">Approval Required</span>');
-    if (!isLegacy)          tags.push('<span class="tag tag-new">Blueprint</span>');
+    if (env.isEphemeral)    tags.push(`<span class="tag tag-eph">${this._t('header.ephemeral')}</span>`);
+    if (env.baseClusterId)  tags.push(`<span class="tag tag-base">${this._t('header.base', { name: this._esc(env.baseClusterName || 'env') })}</span>`);
+    if (env.pauseReleases)  tags.push(`<span class="tag tag-warn">${this._t('header.releasesPaused')}</span>`);
+    if (env.requireSignOff) tags.push(`<span class="tag tag-info">${this._t('header.approvalRequired')}</span>`);
+    if (!isLegacy)          tags.push(`<span class="tag tag-new">${this._t('header.blueprint')}</span>`);
 
     const hasK8s = this._hasKubernetes();
 
     const el = this.shadowRoot.getElementById('header-section');
     el.innerHTML = `
-      <div class="header">
+      <div class="header" part="header">
         <div class="header-top">
           <div class="header-identity">
             <div class="breadcrumb">
               <span class="breadcrumb-proj">${env.stackName || '—'}</span>
               <span class="breadcrumb-sep">›</span>
-              <span class="breadcrumb-env">${env.name || 'Environment'}</span>
+              <span class="breadcrumb-env">${env.name || this._t('header.environment')}</span>
             </div>
             <div class="header-badges">
               <span class="state-pill"
@@ -287,24 +687,26 @@ class EnvironmentOverview extends HTMLElement {
                 ${sc.label}
               </span>
               <span class="cloud-badge">${this._cloudIcon(cloud)} ${cloud}</span>
-              ${env.namespace ? `<span class="cloud-badge ns-badge">NS: ${env.namespace}</span>` : ''}
+              ${env.namespace ? `<span class="cloud-badge ns-badge">${this._t('header.namespace', { ns: this._esc(env.namespace) })}</span>` : ''}
               ${hasK8s ? '<span class="cloud-badge k8s-badge">⎈ K8s</span>' : ''}
             </div>
           </div>
           <div class="header-ctas">${this._headerCTAs(state, env)}</div>
         </div>
         <div class="header-meta">
-          ${env.releaseStream ? `<span class="meta-item">Stream: <strong>${env.releaseStream}</strong></span>` : ''}
-          ${env.branch        ? `<span class="meta-item">Branch: <strong>${env.branch}</strong></span>` : ''}
-          ${env.tz            ? `<span class="meta-item">TZ: ${env.tz}</span>` : ''}
-          ${env.createdBy     ? `<span class="meta-item">Created by <strong>${env.createdBy}</strong></span>` : ''}
-          ${env.creationDate  ? `<span class="meta-item">${this._fmtDate(env.creationDate)}</span>` : ''}
+          ${env.releaseStream ? `<span class="meta-item">${this._t('header.stream', { stream: this._esc(env.releaseStream) })}</span>` : ''}
+          ${env.branch        ? `<span class="meta-item">${this._t('header.branch', { branch: this._esc(env.branch) })}</span>` : ''}
+          ${env.tz            ? `<span class="meta-item">${this._t('header.tz', { tz: this._esc(env.tz) })}</span>` : ''}
+          ${env.createdBy     ? `<span class="meta-item">${this._t('header.createdBy', { user: this._esc(env.createdBy) })}</span>` : ''}
+          ${env.creationDate  ? `<span class="meta-item" title="${this._fmtDateTime(env.creationDate)}">${this._fmtDate(env.creationDate)}</span>` : ''}
           ${tags.join('')}
         </div>
       </div>`;
 
     el.querySelectorAll('.cta-btn[data-action]').forEach(b =>
       b.addEventListener('click', e => this._handleCTA(b.dataset.action, e)));
+    const proj = el.querySelector('.breadcrumb-proj');
+    if (proj && env.stackName && !this.snapshotMeta) proj.addEventListener('click', () => this._showDashboard(env.stackName));
   }
 
   // ── Banners ────────────────────────────────────────────────────────────────
@@ -318,48 +720,95 @@ class EnvironmentOverview extends HTMLElement {
 
     let html = '';
 
+    if (this.snapshotMeta) {
+      const meta = this.snapshotMeta;
+      html += `
+        <div class="banner banner-snapshot" part="banner banner-snapshot">
+          <span class="banner-icon">📷</span>
+          <span>${meta.takenAt
+            ? this._t('banner.snapshot', { date: this._fmtDateTime(meta.takenAt), rel: this._fmtRel(meta.takenAt) })
+            : this._t('banner.snapshotUndated')}</span>
+          <div class="banner-actions">
+            <button class="banner-btn snapshot-exit">${this._t('banner.exitSnapshot')}</button>
+          </div>
+        </div>`;
+    }
+
     inProg.forEach(dep => {
       html += `
-        <div class="banner banner-info">
+        <div class="banner banner-info" part="banner banner-info">
           <span class="banner-icon">⚡</span>
-          <span><strong>${dep.releaseType}</strong> in progress
-            · started ${this._fmtElapsed(dep.createdOn)}
-            ${dep.triggeredBy ? '· by ' + dep.triggeredBy : ''}</span>
+          <span>${this._t(dep.triggeredBy ? 'banner.inProgressBy' : 'banner.inProgress', {
+            type: this._esc(dep.releaseType), elapsed: this._fmtElapsed(dep.createdOn), user: this._esc(dep.triggeredBy) })}</span>
           <div class="banner-actions">
-            <button class="banner-btn b-primary" data-href="/projects/${env.stackName}/environments/${env.name}/releases/${dep.id}">View Logs</button>
-            <button class="banner-btn b-danger cta-btn" data-action="abort" data-dep="${dep.id}">Abort</button>
+            <button class="banner-btn b-primary log-toggle" data-dep-id="${dep.id}">
+              ${this._t(this._logTailOpenFor(dep.id) ? 'banner.hideLiveLogs' : 'banner.liveLogs')}</button>
+            <button class="banner-btn b-primary" data-href="/projects/${env.stackName}/environments/${env.name}/releases/${dep.id}">${this._t('banner.viewLogs')}</button>
+            <button class="banner-btn b-danger cta-btn" data-action="abort" data-dep="${dep.id}">${this._t('banner.abort')}</button>
           </div>
-        </div>`;
+        </div>
+        ${this._logTailOpenFor(dep.id) ? '<div data-log-slot></div>' : ''}`;
     });
 
+    // Keep a finished tail on screen until the user closes it
+    const lt = this.logTail;
+    if (lt && !inProg.some(d => String(d.id) === String(lt.dep.id))) {
+      const dc = this._depStatusConf(lt.status);
+      html += `
+        <div class="banner banner-subtle" part="banner banner-subtle">
+          <span class="banner-icon" style="color:${dc.color}">${dc.icon}</span>
+          <span>${this._t('banner.finished', {
+            type: this._esc(lt.dep.releaseType || this._t('banner.release')),
+            status: lt.status ? this._depStatusLabel(lt.status) : this._t('status.finished') })}</span>
+          <div class="banner-actions">
+            <button class="banner-btn log-toggle" data-dep-id="${lt.dep.id}">${this._t('banner.closeLogs')}</button>
+          </div>
+        </div>
+        <div data-log-slot></div>`;
+    }
+
     if (latest && latest.status === 'PENDING_APPROVAL') {
       html += `
-        <div class="banner banner-warn">
+        <div class="banner banner-warn" part="banner banner-warn">
           <span class="banner-icon">⏳</span>
-          <span>Release <strong>${latest.releaseTraceId || latest.id || ''}</strong> awaiting approval</span>
+          <span>${this._t('banner.awaitingApproval', { id: this._esc(latest.releaseTraceId || latest.id || '') })}</span>
           <div class="banner-actions">
-            <button class="banner-btn b-success cta-btn" data-action="approve" data-dep="${latest.id}">Approve</button>
-            <button class="banner-btn b-danger  cta-btn" data-action="reject"  data-dep="${latest.id}">Reject</button>
+            <button class="banner-btn b-success cta-btn" data-action="approve" data-dep="${latest.id}">${this._t('banner.approve')}</button>
+            <button class="banner-btn b-danger  cta-btn" data-action="reject"  data-dep="${latest.id}">${this._t('banner.reject')}</button>
           </div>
         </div>`;
     }
 
     if (paused) {
       html += `
-        <div class="banner banner-warn">
+        <div class="banner banner-warn" part="banner banner-warn">
           <span class="banner-icon">⏸</span>
-          <span>Releases are currently <strong>paused</strong> for this environment</span>
+          <span>${this._t('banner.paused')}</span>
+          <div class="banner-actions">
+            <button class="banner-btn b-primary cta-btn" data-action="resume-releases">${this._t('banner.resumeReleases')}</button>
+          </div>
+        </div>`;
+    }
+
+    const budget = this._budgetStatus();
+    if (budget && budget.over) {
+      const money = v => this._fmtMoney(v, this.cost.currency);
+      html += `
+        <div class="banner banner-danger" part="banner banner-danger">
+          <span class="banner-icon">💸</span>
+          <span>${this._t(budget.mtd > budget.budget ? 'banner.overBudgetMtd' : 'banner.overBudget',
+            { forecast: money(budget.forecast), budget: money(budget.budget) })}</span>
           <div class="banner-actions">
-            <button class="banner-btn b-primary cta-btn" data-action="resume-releases">Resume Releases</button>
+            <button class="banner-btn b-primary cta-btn" data-action="open-cost">${this._t('banner.openCost')}</button>
           </div>
         </div>`;
     }
 
     if (queued.length > 0) {
       html += `
-        <div class="banner banner-subtle">
+        <div class="banner banner-subtle" part="banner banner-subtle">
           <span class="banner-icon">⏱</span>
-          <span><strong>${queued.length}</strong> release${queued.length > 1 ? 's' : ''} queued</span>
+          <span>${this._t('banner.queued', { count: queued.length })}</span>
         </div>`;
     }
 
@@ -369,6 +818,130 @@ class EnvironmentOverview extends HTMLElement {
       b.addEventListener('click', e => this._handleCTA(b.dataset.action, e)));
     el.querySelectorAll('.banner-btn[data-href]').forEach(b =>
       b.addEventListener('click', () => this._navigate(b.dataset.href)));
+    const exit = el.querySelector('.snapshot-exit');
+    if (exit) exit.addEventListener('click', () => this._exitSnapshot());
+    el.querySelectorAll('.log-toggle').forEach(b =>
+      b.addEventListener('click', () => this._toggleLogTail(b.dataset.depId)));
+
+    // The tail panel is a persistent node so scroll position and search focus
+    // survive the banner re-render on every overview refresh.
+    const slot = el.querySelector('[data-log-slot]');
+    if (slot && this.logTail) slot.replaceWith(this.logTail.el);
+  }
+
+  // ── Live log tail ──────────────────────────────────────────────────────────
+
+  _logTailOpenFor(depId) {
+    return !!this.logTail && String(this.logTail.dep.id) === String(depId);
+  }
+
+  _toggleLogTail(depId) {
+    const open = this._logTailOpenFor(depId);
+    this._closeLogTail();
+    if (!open) this._openLogTail(depId);
+    this._renderBanners();
+  }
+
+  _openLogTail(depId) {
+    const dep = ((this.overview && this.overview.inProgressDeployments) || [])
+      .find(d => String(d.id) === String(depId)) || { id: depId };
+
+    const el = document.createElement('div');
+    el.className = 'log-tail';
+    el.innerHTML = `
+      <div class="log-toolbar">
+        <input class="form-input log-search" type="search" placeholder="${this._t('log.search')}" />
+        <span class="log-count"></span>
+        <label class="log-follow"><input type="checkbox" checked /> ${this._t('log.autoScroll')}</label>
+        <span class="log-state">${this._t('log.connecting')}</span>
+      </div>
+      <pre class="log-body"></pre>`;
+
+    this.logTail = { dep, el, lines: [], offset: 0, query: '', follow: true, status: dep.status || 'IN_PROGRESS', timer: null, inFlight: false };
+
+    const body   = el.querySelector('.log-body');
+    const follow = el.querySelector('.log-follow input');
+    el.querySelector('.log-search').addEventListener('input', e => {
+      this.logTail.query = e.target.value;
+      this._renderLogBody();
+    });
+    follow.addEventListener('change', () => {
+      this.logTail.follow = follow.checked;
+      if (follow.checked) body.scrollTop = body.scrollHeight;
+    });
+    // Scrolling up pauses auto-scroll; returning to the bottom resumes it
+    body.addEventListener('scroll', () => {
+      const atBottom = body.scrollHeight - body.scrollTop - body.clientHeight < 8;
+      if (atBottom !== this.logTail.follow) {
+        this.logTail.follow = atBottom;
+        follow.checked = atBottom;
+      }
+    });
+
+    this._pollLogTail();
+  }
+
+  _closeLogTail() {
+    if (this.logTail && this.logTail.timer) clearTimeout(this.logTail.timer);
+    this.logTail = null;
+  }
+
+  // One chain per tail: a call while a fetch is in flight is dropped, since
+  // that fetch schedules the next poll itself.
+  async _pollLogTail() {
+    const lt = this.logTail;
+    if (!lt || lt.inFlight) return;
+    clearTimeout(lt.timer);
+    lt.inFlight = true;
+    const data = await this._api(`/clusters/${this.clusterId}/deployments/${lt.dep.id}/logs?offset=${lt.offset}`);
+    lt.inFlight = false;
+    if (this.logTail !== lt) return;   // closed or replaced while in flight
+
+    if (data) {
+      const chunk = Array.isArray(data) ? data
+        : Array.isArray(data.logs) ? data.logs
+        : typeof data.logs === 'string' ? data.logs.split('\n')
+        : typeof data === 'string' ? data.split('\n') : [];
+      lt.lines  = lt.lines.concat(chunk).slice(-5000);
+      lt.offset = data.nextOffset != null ? data.nextOffset : lt.offset + chunk.length;
+      if (data.status && !this._depStatusConf(lt.status).terminal) lt.status = data.status;
+    }
+
+    const done = this._depStatusConf(lt.status).terminal;
+    lt.el.querySelector('.log-state').textContent = done
+      ? this._t('log.ended', { status: this._depStatusLabel(lt.status) })
+      : this._t(data ? 'log.streaming' : 'log.waiting');
+    lt.el.querySelector('.log-state').classList.toggle('live', !done && !!data);
+    this._renderLogBody();
+
+    if (done) {
+      this._renderBanners();
+      return;
+    }
+    lt.timer = setTimeout(() => this._pollLogTail(), 3000);
+  }
+
+  _renderLogBody() {
+    const lt = this.logTail;
+    if (!lt) return;
+    const body  = lt.el.querySelector('.log-body');
+    const q     = lt.query.trim();
+    const re    = q ? new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi') : null;
+    const errRe = /\b(error|failed|fatal|exception|panic)\b/i;
+    let hits = 0;
+
+    body.innerHTML = lt.lines.map(line => {
+      let html = this._esc(line);
+      if (re) html = html.replace(re, m => { hits++; return `<mark>${m}</mark>`; });
+      return `<span class="log-line${errRe.test(line) ? ' err' : ''}">${html}</span>`;
+    }).join('\n') || `<span class="log-line muted">${this._t('log.noOutput')}</span>`;
+
+    lt.el.querySelector('.log-count').textContent = re ? this._t('log.matches', { count: hits }) : '';
+    if (re && hits) {
+      const first = body.querySelector('mark');
+      if (first && !lt.follow) first.scrollIntoView({ block: 'nearest' });
+    }
+    if (lt.follow) body.scrollTop = body.scrollHeight;
   }
 
   // ── Status Cards ───────────────────────────────────────────────────────────
@@ -388,21 +961,21 @@ class EnvironmentOverview extends HTMLElement {
     const depTotal = (ds.successReleases || 0) + (ds.failedReleases || 0) + (ds.noChangeReleases || 0);
     const succPct  = depTotal > 0 ? Math.round((ds.successReleases || 0) / depTotal * 100) : null;
 
-    let lastRelHtml = '<span class="card-na">No releases yet</span>';
+    let lastRelHtml = `<span class="card-na">${this._t('card.noReleases')}</span>`;
     if (latest) {
       const dc = this._depStatusConf(latest.status);
       lastRelHtml = `
         <div class="last-rel">
-          <span class="rel-status" style="color:${dc.color}">${dc.icon} ${latest.status}</span>
-          <div class="rel-meta">${latest.releaseType || ''} · ${this._fmtRel(latest.finishedOn || latest.createdOn)}</div>
-          ${latest.triggeredBy ? `<div class="rel-by">by ${latest.triggeredBy}</div>` : ''}
+          <span class="rel-status" style="color:${dc.color}">${dc.icon} ${this._depStatusLabel(latest.status)}</span>
+          <div class="rel-meta" title="${this._fmtDateTime(latest.finishedOn || latest.createdOn)}">${latest.releaseType || ''} · ${this._fmtRel(latest.finishedOn || latest.createdOn)}</div>
+          ${latest.triggeredBy ? `<div class="rel-by">${this._t('card.by', { user: this._esc(latest.triggeredBy) })}</div>` : ''}
         </div>`;
     }
 
     this.shadowRoot.getElementById('cards-section').innerHTML = `
-      <div class="cards-row">
-        <div class="scard">
-          <div class="scard-label">State</div>
+      <div class="cards-row" part="cards">
+        <div class="scard" part="card">
+          <div class="scard-label">${this._t('card.state')}</div>
           <div class="scard-val">
             <span class="state-pill sm"
               style="background:${sc.bg};color:${sc.color};border-color:${sc.border}">
@@ -410,32 +983,33 @@ class EnvironmentOverview extends HTMLElement {
               ${sc.label}
             </span>
           </div>
-          ${env.cloudAccountId ? `<div class="scard-sub">Acct: ${env.cloudAccountId}</div>` : ''}
+          ${env.cloudAccountId ? `<div class="scard-sub">${this._t('card.account', { id: this._esc(env.cloudAccountId) })}</div>` : ''}
         </div>
 
-        <div class="scard">
-          <div class="scard-label">Resources</div>
-          <div class="scard-num">${total}</div>
-          <div class="scard-sub">${enabled} active${total > enabled ? ` · ${total - enabled} disabled` : ''}</div>
+        <div class="scard" part="card">
+          <div class="scard-label">${this._t('card.resources')}</div>
+          <div class="scard-num">${this._fmtNum(total)}</div>
+          <div class="scard-sub">${this._t(total > enabled ? 'card.resourcesSplit' : 'card.resourcesActive',
+            { active: this._fmtNum(enabled), disabled: this._fmtNum(total - enabled) })}</div>
         </div>
 
-        <div class="scard">
-          <div class="scard-label">Last Release</div>
+        <div class="scard" part="card">
+          <div class="scard-label">${this._t('card.lastRelease')}</div>
           ${lastRelHtml}
         </div>
 
-        <div class="scard">
-          <div class="scard-label">Deploy Health</div>
+        <div class="scard" part="card">
+          <div class="scard-label">${this._t('card.deployHealth')}</div>
           ${succPct !== null
-            ? `<div class="scard-num" style="color:${succPct>=80?'#2e7d32':succPct>=50?'#e65100':'#c62828'}">${succPct}%</div>
-               <div class="scard-sub">${ds.successReleases||0} ok · ${ds.failedReleases||0} failed · ${ds.noChangeReleases||0} no-change</div>`
-            : '<span class="card-na">No data yet</span>'}
+            ? `<div class="scard-num" style="color:${succPct>=80?'var(--green)':succPct>=50?'var(--orange)':'var(--red)'}">${succPct}%</div>
+               <div class="scard-sub">${this._t('card.deploySplit', { ok: ds.successReleases || 0, failed: ds.failedReleases || 0, none: ds.noChangeReleases || 0 })}</div>`
+            : `<span class="card-na">${this._t('card.noData')}</span>`}
         </div>
 
-        <div class="scard">
-          <div class="scard-label">Variables &amp; Secrets</div>
-          <div class="scard-num">${varTotal}</div>
-          <div class="scard-sub">${vc.variableCount||vc.variables||0} vars · ${vc.secretCount||vc.secrets||0} secrets</div>
+        <div class="scard" part="card">
+          <div class="scard-label">${this._t('card.variables')}</div>
+          <div class="scard-num">${this._fmtNum(varTotal)}</div>
+          <div class="scard-sub">${this._t('card.varSplit', { vars: vc.variableCount || vc.variables || 0, secrets: vc.secretCount || vc.secrets || 0 })}</div>
         </div>
       </div>`;
   }
@@ -443,44 +1017,64 @@ class EnvironmentOverview extends HTMLElement {
   // ── Tabs Nav ───────────────────────────────────────────────────────────────
 
   _renderTabsNav() {
-    const tabs = [
-      { id: 'overview',  label: 'Overview'       },
-      { id: 'releases',  label: 'Releases'        },
-      { id: 'resources', label: 'Resources'       },
-      { id: 'config',    label: 'Configuration'   },
-      { id: 'schedule',  label: 'Schedule'        }
-    ];
+    const tabs = ['overview', 'releases', 'resources', 'config', 'schedule', 'analytics'];
+    if (this._hasLineage()) tabs.push('lineage');
+    if (this.env && this.env.baseClusterId) tabs.push('drift');
+    if (this.compare) tabs.push('compare');
 
     this.shadowRoot.getElementById('tabs-nav').innerHTML = `
-      <div class="tabs-bar">
+      <div class="tabs-bar" part="tabs">
         ${tabs.map(t => `
-          <button class="tab-btn ${this.activeTab === t.id ? 'active' : ''}" data-tab="${t.id}">
-            ${t.label}
+          <button class="tab-btn ${this.activeTab === t ? 'active' : ''}" part="tab${this.activeTab === t ? ' tab-active' : ''}" data-tab="${t}">
+            ${this._t(`tab.${t}`)}
           </button>`).join('')}
         <div class="tab-flex"></div>
-        <button class="refresh-btn" id="refresh-btn">↺ Refresh</button>
+        <span class="live-ind" id="live-ind"></span>
+        ${this._buildTzToggle()}
+        <button class="refresh-btn" id="export-btn">${this._t('toolbar.export')}</button>
+        <button class="refresh-btn" id="compare-btn">${this._t('toolbar.compare')}</button>
+        <button class="refresh-btn" id="refresh-btn">${this._t('toolbar.refresh')}</button>
       </div>`;
 
     this.shadowRoot.querySelectorAll('.tab-btn').forEach(b =>
       b.addEventListener('click', () => this._switchTab(b.dataset.tab)));
+    this.shadowRoot.querySelectorAll('.tz-mode').forEach(b =>
+      b.addEventListener('click', () => this._setTzMode(b.dataset.tzMode)));
 
     const rb = this.shadowRoot.getElementById('refresh-btn');
     if (rb) rb.addEventListener('click', () => this._hardRefresh());
+    const eb = this.shadowRoot.getElementById('export-btn');
+    if (eb) eb.addEventListener('click', () => this._openExport());
+    const cb = this.shadowRoot.getElementById('compare-btn');
+    if (cb) cb.addEventListener('click', () => this._openComparePicker());
+    this._renderLiveIndicator();
   }
 
   _switchTab(tab) {
     this.activeTab = tab;
-    this.shadowRoot.querySelectorAll('.tab-btn').forEach(b =>
-      b.classList.toggle('active', b.dataset.tab === tab));
+    this.shadowRoot.querySelectorAll('.tab-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.tab === tab);
+      b.setAttribute('part', b.dataset.tab === tab ? 'tab tab-active' : 'tab');
+    });
     this._renderTabContent(tab);
     this._loadTabData(tab);
   }
 
-  _hardRefresh() {
+  _resetData() {
     this.overview = null; this.env = null; this.resourceStats = null;
     this.varCounts = null; this.deployments = null; this.resources = null;
     this.ingresses = null; this.schedule = null; this.maintenanceWin = null;
+    this.relExpanded = {}; this.relDetails = {}; this.relDetailErr = {}; this.resContent = null;
+    Object.assign(this.analytics, { list: null, loading: false, token: (this.analytics.token || 0) + 1 });
+    Object.assign(this.relPaging, { loading: false, error: null, token: this.relPaging.token + 1 });
+    this.drift = null; this.lineage = null;
+    this._clearRevealed();
+    if (this.compare) this.compare.data = null;
     this.isLoading = true;
+  }
+
+  _hardRefresh() {
+    this._resetData();
     const lo = this.shadowRoot.getElementById('loading-overlay');
     if (lo) lo.style.display = 'flex';
     this._loadData();
@@ -496,6 +1090,10 @@ class EnvironmentOverview extends HTMLElement {
       case 'resources': container.innerHTML = this._buildResourcesTab(); break;
       case 'config':    container.innerHTML = this._buildConfigTab();    break;
       case 'schedule':  container.innerHTML = this._buildScheduleTab();  break;
+      case 'analytics': container.innerHTML = this._buildAnalyticsTab(); break;
+      case 'lineage':   container.innerHTML = this._buildLineageTab();   break;
+      case 'drift':     container.innerHTML = this._buildDriftTab();     break;
+      case 'compare':   container.innerHTML = this._buildCompareTab();   break;
     }
     this._attachTabListeners();
   }
@@ -519,7 +1117,7 @@ class EnvironmentOverview extends HTMLElement {
         ${this._buildInfraIdentity(env, isLegacy, hasK8s)}
         ${downstream.length > 0 ? this._buildDownstream(downstream, env.stackName) : ''}
         <div id="cost-section" style="display:${this.costEnabled ? 'block' : 'none'}">
-          ${this._buildCostTeaser(env)}
+          ${this.costEnabled ? this._buildCostSection() : ''}
         </div>
       </div>`;
   }
@@ -532,18 +1130,18 @@ class EnvironmentOverview extends HTMLElement {
 
     if (isLegacy) {
       const checks = [
-        { label: 'Environment configured',   ok: isConfigured,   hint: 'Set cloud provider and credentials in environment settings' },
-        { label: 'Cloud account linked',      ok: hasCloudAcct,   hint: `Link a ${env.cloud || 'cloud'} account to this environment` },
-        { label: 'Kubernetes credentials',    ok: !hasK8s || !!env.hasK8sCredentials, hint: 'Configure K8s access credentials', skip: !hasK8s },
-        { label: 'Variables populated',       ok: hasVars,        hint: 'Set required environment variables before launch' }
+        { label: this._t('ready.configured'),  ok: isConfigured,   hint: this._t('ready.configuredHint') },
+        { label: this._t('ready.account'),     ok: hasCloudAcct,   hint: this._t('ready.accountHint', { cloud: env.cloud || 'cloud' }) },
+        { label: this._t('ready.k8s'),         ok: !hasK8s || !!env.hasK8sCredentials, hint: this._t('ready.k8sHint'), skip: !hasK8s },
+        { label: this._t('ready.variables'),   ok: hasVars,        hint: this._t('ready.variablesHint') }
       ].filter(c => !c.skip);
 
       const allOk = checks.every(c => c.ok);
       return `
         <div class="readiness-card">
           <div class="readiness-header">
-            <h3>Launch Readiness</h3>
-            <p>This environment has not been launched yet. Complete the checklist before triggering a launch.</p>
+            <h3>${this._t('ready.title')}</h3>
+            <p>${this._t('ready.intro')}</p>
           </div>
           <div class="readiness-checks">
             ${checks.map(c => `
@@ -557,8 +1155,8 @@ class EnvironmentOverview extends HTMLElement {
           </div>
           <div class="readiness-footer">
             <button class="cta-btn primary ${allOk ? '' : 'dim'}" data-action="launch"
-              title="${allOk ? '' : 'Complete all checks first'}">Launch Environment</button>
-            <button class="cta-btn secondary" data-action="plan">Run Plan (Dry Run)</button>
+              title="${allOk ? '' : this._t('ready.checksFirst')}">${this._t('ready.launch')}</button>
+            <button class="cta-btn secondary" data-action="plan">${this._t('ready.plan')}</button>
           </div>
         </div>`;
     }
@@ -569,19 +1167,19 @@ class EnvironmentOverview extends HTMLElement {
     return `
       <div class="readiness-card">
         <div class="readiness-header">
-          <h3>Launch Readiness — Blueprint Environment</h3>
-          <p>Launch steps are determined dynamically by the resources defined in the blueprint.</p>
+          <h3>${this._t('ready.titleBlueprint')}</h3>
+          <p>${this._t('ready.introBlueprint')}</p>
         </div>
         <div class="bp-info">
-          <div class="bp-row"><span>Blueprint</span>     <strong>${stack.name || env.stackName || '—'}</strong></div>
-          <div class="bp-row"><span>Branch</span>        <strong>${env.branch || stack.branch || 'main'}</strong></div>
-          <div class="bp-row"><span>Project type</span>  <strong>${stack.projectTypeId || '—'}</strong></div>
-          <div class="bp-row"><span>Resources defined</span> <strong>${resCount}</strong></div>
-          <div class="bp-row"><span>Variables set</span>    <strong>${(this.varCounts && (this.varCounts.variableCount || 0)) || 0}</strong></div>
+          <div class="bp-row"><span>${this._t('ready.blueprint')}</span>     <strong>${stack.name || env.stackName || '—'}</strong></div>
+          <div class="bp-row"><span>${this._t('ready.branch')}</span>        <strong>${env.branch || stack.branch || 'main'}</strong></div>
+          <div class="bp-row"><span>${this._t('ready.projectType')}</span>  <strong>${stack.projectTypeId || '—'}</strong></div>
+          <div class="bp-row"><span>${this._t('ready.resources')}</span> <strong>${resCount}</strong></div>
+          <div class="bp-row"><span>${this._t('ready.variablesSet')}</span>    <strong>${(this.varCounts && (this.varCounts.variableCount || 0)) || 0}</strong></div>
         </div>
         <div class="readiness-footer">
-          <button class="cta-btn primary"    data-action="launch">Launch Environment</button>
-          <button class="cta-btn secondary"  data-action="plan">Run Plan (Dry Run)</button>
+          <button class="cta-btn primary"    data-action="launch">${this._t('ready.launch')}</button>
+          <button class="cta-btn secondary"  data-action="plan">${this._t('ready.plan')}</button>
         </div>
       </div>`;
   }
@@ -592,47 +1190,47 @@ class EnvironmentOverview extends HTMLElement {
     const rows  = [];
 
     if (env.cloud && env.cloud !== 'NO_CLOUD')
-      rows.push({ label: 'Cloud Provider', value: `${this._cloudIcon(env.cloud)} ${env.cloud}` });
+      rows.push({ label: this._t('infra.cloud'), value: `${this._cloudIcon(env.cloud)} ${env.cloud}` });
     if (env.cloudAccountId)
-      rows.push({ label: 'Cloud Account', value: env.cloudAccountId });
+      rows.push({ label: this._t('infra.account'), value: env.cloudAccountId });
 
     if (isLegacy) {
       Object.entries(cv).forEach(([k, v]) =>
         rows.push({ label: this._humanize(k), value: v }));
     } else {
-      if (stack.vcsUrl)       rows.push({ label: 'VCS', value: `<a href="${stack.vcsUrl}" target="_blank">${stack.vcsUrl}</a>` });
-      if (stack.branch)       rows.push({ label: 'Blueprint Branch', value: stack.branch });
-      if (stack.projectTypeId) rows.push({ label: 'Project Type', value: stack.projectTypeId });
-      if (stack.primaryCloud) rows.push({ label: 'Primary Cloud', value: stack.primaryCloud });
+      if (stack.vcsUrl)       rows.push({ label: this._t('infra.vcs'), value: `<a href="${stack.vcsUrl}" target="_blank">${stack.vcsUrl}</a>` });
+      if (stack.branch)       rows.push({ label: this._t('infra.blueprintBranch'), value: stack.branch });
+      if (stack.projectTypeId) rows.push({ label: this._t('infra.projectType'), value: stack.projectTypeId });
+      if (stack.primaryCloud) rows.push({ label: this._t('infra.primaryCloud'), value: stack.primaryCloud });
       if (stack.allowedClouds && stack.allowedClouds.length)
-        rows.push({ label: 'Allowed Clouds', value: stack.allowedClouds.join(', ') });
+        rows.push({ label: this._t('infra.allowedClouds'), value: stack.allowedClouds.join(', ') });
       Object.entries(cv).forEach(([k, v]) =>
         rows.push({ label: this._humanize(k), value: v }));
     }
 
     if (env.namespace)
-      rows.push({ label: 'Namespace', value: env.namespace });
+      rows.push({ label: this._t('infra.namespace'), value: env.namespace });
 
     if (hasK8s) {
-      rows.push({ label: 'K8s Credentials', value: env.hasK8sCredentials ? '✓ Configured' : '✗ Not configured' });
+      rows.push({ label: this._t('infra.k8sCredentials'), value: this._t(env.hasK8sCredentials ? 'infra.configured' : 'infra.notConfigured') });
       if (env.k8sRequestsToLimitsRatio != null)
-        rows.push({ label: 'K8s Req/Limit Ratio', value: env.k8sRequestsToLimitsRatio });
+        rows.push({ label: this._t('infra.k8sRatio'), value: env.k8sRequestsToLimitsRatio });
     }
 
     if (env.baseClusterName)
-      rows.push({ label: 'Base Environment', value: env.baseClusterName });
+      rows.push({ label: this._t('infra.baseEnv'), value: env.baseClusterName });
     if (env.cdPipelineParent)
-      rows.push({ label: 'CD Pipeline Parent', value: env.cdPipelineParent });
+      rows.push({ label: this._t('infra.cdParent'), value: env.cdPipelineParent });
     if (env.lastModifiedBy)
-      rows.push({ label: 'Last Modified By', value: env.lastModifiedBy });
+      rows.push({ label: this._t('infra.modifiedBy'), value: env.lastModifiedBy });
     if (env.lastModifiedDate)
-      rows.push({ label: 'Last Modified', value: this._fmtDate(env.lastModifiedDate) });
+      rows.push({ label: this._t('infra.modified'), value: this._fmtDate(env.lastModifiedDate) });
 
     if (rows.length === 0) return '';
 
     return `
-      <div class="sec-card">
-        <div class="sec-title">Infrastructure Identity</div>
+      <div class="sec-card" part="section">
+        <div class="sec-title">${this._t('section.infra')}</div>
         <div class="info-grid">
           ${rows.map(r => `
             <div class="info-row">
@@ -645,27 +1243,241 @@ class EnvironmentOverview extends HTMLElement {
 
   _buildDownstream(names, stackName) {
     return `
-      <div class="sec-card">
-        <div class="sec-title">Downstream Environments (${names.length})</div>
+      <div class="sec-card" part="section">
+        <div class="sec-title-row">
+          <span class="sec-title">${this._t('section.downstream', { count: names.length })}</span>
+          <button class="mini-btn" id="lineage-open">${this._t('downstream.lineage')}</button>
+        </div>
         <div class="downstream-list">
           ${names.map(n => `
             <div class="downstream-item">
               <span>${n}</span>
-              <button class="mini-btn nav-btn" data-href="/projects/${stackName}/environments/${n}">View</button>
+              <button class="mini-btn nav-btn" data-href="/projects/${stackName}/environments/${n}">${this._t('downstream.view')}</button>
             </div>`).join('')}
         </div>
-        <div class="sec-note">⚠ This environment cannot be destroyed while downstream environments are running.</div>
+        <div class="sec-note">${this._t('downstream.note')}</div>
+      </div>`;
+  }
+
+  // ── Cost ───────────────────────────────────────────────────────────────────
+
+  _costCloud() {
+    return { AWS: 'aws', GCP: 'gcp', AZURE: 'azure' }[(this.env || {}).cloud] || null;
+  }
+
+  // Daily cost since the start of last month (so month-to-date and last month
+  // come from the same series) and the top services over the last 30 days.
+  // Resolves false without touching this.cost when the environment changed.
+  async _loadCost(cloud) {
+    const clusterId = this.clusterId;
+    const DAY   = 86400000;
+    const ymd   = d => d.toISOString().slice(0, 10);
+    const today = new Date();
+    const from  = new Date(Math.min(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 1, 1), today.getTime() - 29 * DAY));
+    const from30 = new Date(today.getTime() - 29 * DAY);
+    const base  = `/cost-explorer/${cloud}/clusters/${clusterId}`;
+    const cost  = { cloud, daily: null, services: null, currency: 'USD', error: null };
+    try {
+      const [daily, services] = await Promise.all([
+        this._api(`${base}/daily-cost?from=${ymd(from)}&to=${ymd(today)}`),
+        this._api(`${base}/service-cost?from=${ymd(from30)}&to=${ymd(today)}`)
+      ]);
+      const rows = x => !x ? [] : Array.isArray(x) ? x : (x.content || x.items || x.costs || x.services || []);
+      cost.currency = (daily && daily.currency) || (services && services.currency) || 'USD';
+      cost.daily    = rows(daily).map(r => ({ date: String(r.date || r.day).slice(0, 10), cost: Number(r.cost != null ? r.cost : r.amount) || 0 }));
+      cost.services = rows(services).map(r => ({ name: r.service || r.serviceName || r.name || 'Other', cost: Number(r.cost != null ? r.cost : r.amount) || 0 }))
+        .sort((a, b) => b.cost - a.cost);
+      if (!daily && !services) cost.error = this._t('cost.notAvailable');
+    } catch (err) {
+      cost.error = err.message;
+    }
+    if (this.clusterId !== clusterId) return false;
+    this.cost = cost;
+    return true;
+  }
+
+  // Month-to-date, last month, same period last month and a linear forecast
+  _costSummary() {
+    const c = this.cost;
+    if (!c || !c.daily) return null;
+    const now   = new Date();
+    const y = now.getUTCFullYear(), m = now.getUTCMonth(), day = now.getUTCDate();
+    const ym    = (yy, mm) => new Date(Date.UTC(yy, mm, 1)).toISOString().slice(0, 7);
+    const thisM = ym(y, m), lastM = ym(y, m - 1);
+    const sum   = list => list.reduce((t, r) => t + r.cost, 0);
+    const inM   = (list, key) => list.filter(r => r.date.slice(0, 7) === key);
+    const daysInMonth = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+
+    const mtd       = sum(inM(c.daily, thisM));
+    const lastMonth = sum(inM(c.daily, lastM));
+    const lastToDay = sum(inM(c.daily, lastM).filter(r => parseInt(r.date.slice(8), 10) <= day));
+
+    // Last 30 calendar days, zero-filled so gaps show as empty bars
+    const byDate = {};
+    c.daily.forEach(r => { byDate[r.date] = (byDate[r.date] || 0) + r.cost; });
+    const last30 = [];
+    for (let i = 29; i >= 0; i--) {
+      const d = new Date(Date.UTC(y, m, day - i)).toISOString().slice(0, 10);
+      last30.push({ date: d, cost: byDate[d] || 0 });
+    }
+
+    return {
+      mtd, lastMonth, lastToDay,
+      change:   lastToDay ? (mtd - lastToDay) / lastToDay * 100 : null,
+      forecast: day ? mtd / day * daysInMonth : mtd,
+      last30,
+      services: c.services || []
+    };
+  }
+
+  _fmtMoney(v, currency) {
+    try {
+      return new Intl.NumberFormat(this._locale(), { style: 'currency', currency: currency || 'USD', maximumFractionDigits: v < 100 ? 2 : 0 }).format(v);
+    } catch (e) {
+      return `${Math.round(v)} ${currency || ''}`.trim();
+    }
+  }
+
+  _buildCostSection() {
+    const env   = this.env || {};
+    const c     = this.cost;
+    const cloud = { aws: 'AWS', gcp: 'GCP', azure: 'Azure' }[this._costCloud()] || env.cloud;
+    const open  = `<button class="cta-btn secondary" data-action="open-cost">${this._t('banner.openCost')}</button>`;
+
+    if (!c || c.error || !c.daily || !c.daily.length) {
+      return `
+        <div class="sec-card" part="section">
+          <div class="sec-title-row"><span class="sec-title">${this._t('section.cost', { cloud: this._esc(cloud) })}</span>${open}</div>
+          <p style="font-size:13px;color:var(--muted)">${!c ? this._t('loading.cost')
+            : this._esc(c.error || this._t('cost.none'))}</p>
+        </div>`;
+    }
+
+    const s      = this._costSummary();
+    const budget = this._budgetStatus();
+    const money  = v => this._fmtMoney(v, c.currency);
+    const top   = s.services.slice(0, 6);
+    const other = s.services.slice(6).reduce((t, x) => t + x.cost, 0);
+    if (other > 0) top.push({ name: this._t('cost.other'), cost: other });
+    const max   = Math.max(1, ...top.map(x => x.cost));
+    const svcTotal = s.services.reduce((t, x) => t + x.cost, 0) || 1;
+    const labels   = s.last30.map(d => new Date(`${d.date}T00:00:00Z`).toLocaleDateString(this._locale(), { timeZone: 'UTC', month: 'short', day: 'numeric' }));
+
+    return `
+      <div class="sec-card" part="section">
+        <div class="sec-title-row"><span class="sec-title">${this._t('section.cost', { cloud: this._esc(cloud) })}</span>${open}</div>
+        <div class="stats-row">
+          <div class="stat-box">
+            <div class="stat-n">${money(s.mtd)}</div>
+            <div class="stat-lbl">${this._t('cost.mtd')}</div>
+            ${s.change != null ? `<div class="scard-sub cost-change ${s.change > 0 ? 'up' : 'down'}">${s.change > 0 ? '▲' : '▼'} ${this._t('cost.change', { pct: Math.abs(Math.round(s.change)) })}</div>` : ''}
+          </div>
+          <div class="stat-box">
+            <div class="stat-n">${money(s.lastMonth)}</div>
+            <div class="stat-lbl">${this._t('cost.lastMonth')}</div>
+          </div>
+          <div class="stat-box">
+            <div class="stat-n"${budget && budget.over ? ' style="color:var(--danger)"' : ''}>${money(s.forecast)}</div>
+            <div class="stat-lbl">${this._t('cost.forecast')}</div>
+            ${budget ? `<div class="scard-sub">${this._t('cost.ofBudget', { pct: Math.round(budget.pct), budget: money(budget.budget) })}</div>` : ''}
+          </div>
+        </div>
+        <div class="cost-grid">
+          <div>
+            <div class="cost-sub">${this._t('cost.daily')}</div>
+            ${this._chartSvg(labels, [{ name: this._t('cost.series'), values: s.last30.map(d => d.cost), color: 'var(--blue)', type: 'bar' }], { fmt: money })}
+          </div>
+          <div>
+            <div class="cost-sub">${this._t('cost.services')}</div>
+            ${top.length ? top.map(x => `
+              <div class="svc-row" title="${this._esc(x.name)}: ${money(x.cost)}">
+                <span class="svc-name">${this._esc(x.name)}</span>
+                <span class="svc-bar"><i style="width:${(x.cost / max * 100).toFixed(1)}%"></i></span>
+                <span class="svc-val">${money(x.cost)} <em>${Math.round(x.cost / svcTotal * 100)}%</em></span>
+              </div>`).join('') : `<div class="empty-state">${this._t('empty.services')}</div>`}
+          </div>
+        </div>
       </div>`;
   }
 
-  _buildCostTeaser(env) {
+  _renderCostSection() {
+    const cs = this.shadowRoot.getElementById('cost-section');
+    if (!cs) return;
+    cs.style.display = this.costEnabled ? 'block' : 'none';
+    if (!this.costEnabled) return;
+    cs.innerHTML = this._buildCostSection();
+    cs.querySelectorAll('.cta-btn[data-action]').forEach(b =>
+      b.addEventListener('click', e => this._handleCTA(b.dataset.action, e)));
+  }
+
+  // ── Savings & budget ───────────────────────────────────────────────────────
+
+  // Hours the enabled schedules kept the environment up over the last 30 days,
+  // scaled to an average month. Savings assume spend scales with running hours,
+  // so the hourly rate is the last 30 days' spend over the scheduled hours.
+  _scheduleSavings() {
+    const env  = this.env || {};
+    const list = this._scheduleList().filter(s => s.enabled !== false);
+    if (!list.length) return null;
+
+    const HOUR = 3600000, SPAN = 30 * 24, MONTH = 730;
+    const to   = Date.now(), from = to - SPAN * HOUR;
+    const up   = this._unionWindows(list.reduce((acc, s) => acc.concat(this._cronWindows(
+      s.startCron || s.startExpression, s.stopCron || s.stopExpression, s.timezone || s.tz || env.tz, from, to)), []));
+    const upHours = up.reduce((t, w) => t + (w[1] - w[0]), 0) / HOUR;
+
+    const sum   = this._costSummary();
+    const spend = sum ? sum.last30.reduce((t, d) => t + d.cost, 0) : null;
+    const saved = (SPAN - upHours) / SPAN * MONTH;
+    return {
+      idle:     upHours < 1,
+      upHours:  upHours / SPAN * MONTH,
+      saved,
+      pct:      saved / MONTH * 100,
+      perWeek:  upHours / SPAN * 168,
+      savings:  spend != null && upHours >= 1 ? spend / upHours * (SPAN - upHours) / SPAN * MONTH : null,
+      currency: this.cost && this.cost.currency
+    };
+  }
+
+  // Forecast against the host-supplied monthly budget; null when either is unknown
+  _budgetStatus() {
+    const budget = this.budget;
+    const sum    = budget ? this._costSummary() : null;
+    if (!sum) return null;
+    return { budget, forecast: sum.forecast, mtd: sum.mtd, pct: sum.forecast / budget * 100, over: sum.forecast > budget };
+  }
+
+  _buildSavingsCard() {
+    if (!this.schedule) return '';
+    const s = this._scheduleSavings();
+    const body = !s ? `
+      <div class="empty-state">${this._t('empty.noSchedules')}</div>` : `
+      <div class="stats-row">
+        <div class="stat-box">
+          <div class="stat-n">${Math.round(s.upHours)} h</div>
+          <div class="stat-lbl">${this._t('savings.running')}</div>
+          <div class="scard-sub">${this._t('savings.perWeek', { hours: Math.round(s.perWeek) })}</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-n">${Math.round(s.saved)} h</div>
+          <div class="stat-lbl">${this._t('savings.stopped')}</div>
+          <div class="scard-sub">${this._t('savings.pct', { pct: Math.round(s.pct) })}</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-n" style="color:var(--green)">${s.savings != null ? this._fmtMoney(s.savings, s.currency) : '—'}</div>
+          <div class="stat-lbl">${this._t('savings.projected')}</div>
+          <div class="scard-sub">${s.savings != null ? this._t('savings.basis')
+            : this.costEnabled && !this.cost ? this._t('loading.cost')
+            : s.idle && this._costSummary() ? this._t('savings.noRunHours') : this._t('savings.noCost')}</div>
+        </div>
+      </div>`;
     return `
-      <div class="sec-card">
+      <div class="sec-card" part="section">
         <div class="sec-title-row">
-          <span class="sec-title">Cost Explorer</span>
-          <button class="cta-btn secondary" data-action="open-cost">Open Cost Explorer</button>
+          <span class="sec-title">${this._t('section.savings')}</span>
         </div>
-        <p style="font-size:13px;color:var(--muted)">View daily and service-wise cloud cost breakdown for this environment.</p>
+        ${body}
       </div>`;
   }
 
@@ -679,163 +1491,499 @@ class EnvironmentOverview extends HTMLElement {
     const np    = total > 0 ? Math.round((ds.noChangeReleases|| 0) / total * 100) : 0;
 
     const deps = this.deployments;
+    const q    = this.relQuery;
+    const pg   = this.relPaging;
+    const failed = pg.error ? `
+      <div class="boot-error rel-error" style="margin:.5rem 0">
+        ${this._t('error.releases')}
+        <button class="mini-btn" id="rel-retry">${this._t('error.retry')}</button>
+      </div>` : '';
     let tableHtml;
     if (!deps) {
-      tableHtml = '<div class="loading-inline">Loading release history…</div>';
+      tableHtml = failed || `<div class="loading-inline">${this._t('loading.releases')}</div>`;
     } else {
-      const list = Array.isArray(deps) ? deps
-        : (deps.content || deps.deployments || deps.items || []);
+      const list     = this._visibleReleases();
+      const filtered = q.status || q.releaseType || q.triggeredBy || q.from || q.to;
+      const sortMark = f => q.sort === f ? (q.dir === 'asc' ? ' ▲' : ' ▼') : '';
       if (!list.length) {
-        tableHtml = '<div class="empty-state">No releases yet. Trigger your first release.</div>';
+        tableHtml = filtered
+          ? `<div class="empty-state">${this._t('empty.releasesFiltered')}</div>`
+          : `<div class="empty-state">${this._t('empty.releases')}</div>`;
       } else {
         tableHtml = `
           <div class="table-wrap">
-            <table class="data-table">
+            <table class="data-table" part="table">
               <thead>
                 <tr>
-                  <th>Type</th><th>Status</th><th>Triggered By</th>
-                  <th>Started</th><th>Duration</th><th>Changes</th><th></th>
+                  <th>${this._t('col.type')}</th><th>${this._t('col.status')}</th><th>${this._t('col.triggeredBy')}</th>
+                  <th class="sortable" data-sort="createdOn">${this._t('col.started')}${sortMark('createdOn')}</th>
+                  <th class="sortable" data-sort="timeTakenInSeconds">${this._t('col.duration')}${sortMark('timeTakenInSeconds')}</th>
+                  <th>${this._t('col.changes')}</th><th></th>
                 </tr>
               </thead>
               <tbody>
-                ${list.slice(0, 25).map(d => {
+                ${list.map(d => {
                   const dc      = this._depStatusConf(d.status);
                   const dur     = d.timeTakenInSeconds ? this._fmtDur(d.timeTakenInSeconds) : '—';
                   const changes = (d.changesApplied && d.changesApplied.length) || 0;
                   const rt      = (d.releaseType || '').toLowerCase();
+                  const open    = !!this.relExpanded[d.id];
                   return `
-                    <tr>
-                      <td><span class="rt-badge ${rt}">${d.releaseType || '—'}</span></td>
-                      <td><span style="color:${dc.color};font-weight:600;font-size:12px">${dc.icon} ${d.status}</span></td>
+                    <tr class="rel-row ${open ? 'open' : ''}" data-rel-id="${d.id}">
+                      <td><span class="rel-caret">${open ? '▾' : '▸'}</span><span class="rt-badge ${rt}">${d.releaseType || '—'}</span></td>
+                      <td><span style="color:${dc.color};font-weight:600;font-size:12px">${dc.icon} ${this._depStatusLabel(d.status)}</span></td>
                       <td>${d.triggeredBy || '—'}</td>
-                      <td title="${d.createdOn||''}">${this._fmtRel(d.createdOn)}</td>
+                      <td title="${this._fmtDateTime(d.createdOn)}">${this._fmtRel(d.createdOn)}</td>
                       <td>${dur}</td>
                       <td>${changes > 0 ? `<span class="change-pill">${changes}</span>` : '—'}</td>
                       <td>
-                        <button class="mini-btn dep-logs-btn" data-dep-id="${d.id}">Logs</button>
+                        <button class="mini-btn dep-logs-btn" data-dep-id="${d.id}">${this._t('releases.logs')}</button>
                         ${d.status === 'PENDING_APPROVAL'
-                          ? `<button class="mini-btn approve-btn cta-btn" data-action="approve" data-dep="${d.id}" style="margin-left:4px">Approve</button>`
+                          ? `<button class="mini-btn approve-btn cta-btn" data-action="approve" data-dep="${d.id}" style="margin-left:4px">${this._t('banner.approve')}</button>`
                           : ''}
                       </td>
-                    </tr>`;
+                    </tr>
+                    ${open ? `<tr class="rel-detail-row"><td colspan="7">${this._buildReleaseDetail(d)}</td></tr>` : ''}`;
                 }).join('')}
               </tbody>
             </table>
           </div>`;
       }
+      tableHtml += `${failed}
+        <div class="table-foot">
+          <span>${pg.totalElements != null && !(this.snapshotMeta && filtered)
+            ? this._t('releases.showingOf', { count: list.length, total: pg.totalElements })
+            : this._t('releases.showing', { count: list.length })}</span>
+          ${this._hasMoreReleases() && !pg.error
+            ? `<button class="mini-btn" id="rel-more" ${pg.loading ? 'disabled' : ''}>${this._t(pg.loading ? 'loading.generic' : 'releases.more')}</button>`
+            : ''}
+        </div>`;
     }
 
+    const statuses = ['SUCCEEDED','FAILED','FAULT','TIMED_OUT','IN_PROGRESS','STARTED','QUEUED','PENDING_APPROVAL','APPROVED','ABORTED','STOPPED','REJECTED'];
+    const types = ['RELEASE','HOTFIX','PLAN','HOTFIX_PLAN','APPLY_PLAN','LAUNCH','DESTROY','SCALE_UP','SCALE_DOWN'];
+    const people = Array.from(new Set(this._releaseList().map(d => d.triggeredBy).filter(Boolean))).sort();
+    const opt = (v, cur, label) => `<option value="${v}" ${v === cur ? 'selected' : ''}>${label || v}</option>`;
+
+    const filtersHtml = `
+      <div class="filter-bar">
+        <select class="form-input rel-filter" data-key="status">
+          <option value="">${this._t('filter.allStatuses')}</option>${statuses.map(v => opt(v, q.status, this._depStatusLabel(v))).join('')}
+        </select>
+        <select class="form-input rel-filter" data-key="releaseType">
+          <option value="">${this._t('filter.allTypes')}</option>${types.map(v => opt(v, q.releaseType)).join('')}
+        </select>
+        <input class="form-input rel-filter" data-key="triggeredBy" list="rel-people"
+          placeholder="${this._t('filter.triggeredBy')}" value="${this._esc(q.triggeredBy)}" />
+        <datalist id="rel-people">${people.map(p => `<option value="${this._esc(p)}">`).join('')}</datalist>
+        <label class="filter-lbl">${this._t('filter.from')} <input type="date" class="form-input rel-filter" data-key="from" value="${q.from}" /></label>
+        <label class="filter-lbl">${this._t('filter.to')} <input type="date" class="form-input rel-filter" data-key="to" value="${q.to}" /></label>
+        ${q.status || q.releaseType || q.triggeredBy || q.from || q.to
+          ? `<button class="inline-link" id="rel-clear">${this._t('filter.clear')}</button>` : ''}
+      </div>`;
+
     return `
       <div class="tab-panel">
-        <div class="sec-card">
+        <div class="sec-card" part="section">
           <div class="sec-title-row">
-            <span class="sec-title">Release Statistics</span>
+            <span class="sec-title">${this._t('section.releaseStats')}</span>
           </div>
           <div class="stats-row">
-            <div class="stat-box"><div class="stat-n green">${ds.successReleases || 0}</div><div class="stat-lbl">Successful</div></div>
-            <div class="stat-box"><div class="stat-n red">${ds.failedReleases || 0}</div><div class="stat-lbl">Failed</div></div>
-            <div class="stat-box"><div class="stat-n grey">${ds.noChangeReleases || 0}</div><div class="stat-lbl">No Changes</div></div>
-            <div class="stat-box"><div class="stat-n">${total}</div><div class="stat-lbl">Total</div></div>
+            <div class="stat-box"><div class="stat-n green">${ds.successReleases || 0}</div><div class="stat-lbl">${this._t('stat.successful')}</div></div>
+            <div class="stat-box"><div class="stat-n red">${ds.failedReleases || 0}</div><div class="stat-lbl">${this._t('stat.failed')}</div></div>
+            <div class="stat-box"><div class="stat-n grey">${ds.noChangeReleases || 0}</div><div class="stat-lbl">${this._t('stat.noChanges')}</div></div>
+            <div class="stat-box"><div class="stat-n">${total}</div><div class="stat-lbl">${this._t('stat.total')}</div></div>
           </div>
           ${total > 0 ? `
             <div class="bar-track">
-              <div class="bar-seg green" style="width:${sp}%" title="${sp}% success"></div>
-              <div class="bar-seg red"   style="width:${fp}%" title="${fp}% failed"></div>
-              <div class="bar-seg grey"  style="width:${np}%" title="${np}% no change"></div>
+              <div class="bar-seg green" style="width:${sp}%" title="${this._t('stat.pctSuccess', { pct: sp })}"></div>
+              <div class="bar-seg red"   style="width:${fp}%" title="${this._t('stat.pctFailed', { pct: fp })}"></div>
+              <div class="bar-seg grey"  style="width:${np}%" title="${this._t('stat.pctNoChange', { pct: np })}"></div>
             </div>` : ''}
         </div>
 
-        <div class="sec-card">
+        <div class="sec-card" part="section">
           <div class="sec-title-row">
-            <span class="sec-title">Release History</span>
+            <span class="sec-title">${this._t('section.releaseHistory')}</span>
             <div class="sec-actions">
-              <button class="cta-btn primary"   data-action="trigger-release">Trigger Release</button>
-              <button class="cta-btn secondary" data-action="trigger-hotfix">Hotfix</button>
-              <button class="cta-btn secondary" data-action="run-plan">Run Plan</button>
+              <button class="cta-btn primary"   data-action="trigger-release">${this._t('cta.triggerRelease')}</button>
+              <button class="cta-btn secondary" data-action="trigger-hotfix">${this._t('cta.hotfix')}</button>
+              <button class="cta-btn secondary" data-action="run-plan">${this._t('cta.plan')}</button>
             </div>
           </div>
+          ${filtersHtml}
           ${tableHtml}
         </div>
       </div>`;
   }
 
-  // ── Resources Tab ──────────────────────────────────────────────────────────
-
-  _buildResourcesTab() {
-    const hasK8s = this._hasKubernetes();
-    const resList = this.resources;
-    const ingList = this.ingresses;
-
-    let resourcesHtml;
-    if (!resList) {
-      resourcesHtml = '<div class="loading-inline">Loading resources…</div>';
-    } else {
-      const items = Array.isArray(resList) ? resList
-        : (resList.content || resList.resources || resList.items || []);
-
-      if (!items.length) {
-        resourcesHtml = '<div class="empty-state">No resources configured in this environment.</div>';
-      } else {
-        // Group by type for tiles
-        const byType = {};
-        items.forEach(r => {
-          const t = r.resourceType || r.type || 'unknown';
-          byType[t] = (byType[t] || 0) + 1;
-        });
+  _buildReleaseDetail(row) {
+    const d       = Object.assign({}, row, this.relDetails[row.id] || {});
+    const changes = d.changesApplied || [];
+    const failed  = ['FAILED', 'FAULT', 'TIMED_OUT'].indexOf(d.status) !== -1;
+    const errText = d.errorMessage || d.errorSummary || d.failureReason || d.error;
+
+    const rows = [
+      { label: this._t('detail.traceId'),    value: d.releaseTraceId ? `<code class="var-code">${d.releaseTraceId}</code>` : '—' },
+      { label: this._t('detail.approvedBy'), value: d.approvedBy || d.approver || '—' },
+      { label: this._t('detail.started'),    value: d.createdOn  ? this._fmtDateTime(d.createdOn)  : '—' },
+      { label: this._t('detail.finished'),   value: d.finishedOn ? this._fmtDateTime(d.finishedOn) : '—' }
+    ];
 
-        resourcesHtml = `
-          <div class="type-tiles">
-            ${Object.entries(byType).map(([type, count]) => `
-              <div class="type-tile">
-                <div class="type-n">${count}</div>
-                <div class="type-lbl">${type}</div>
-              </div>`).join('')}
-          </div>
-          <div class="table-wrap">
-            <table class="data-table">
-              <thead>
-                <tr><th>Type</th><th>Name</th><th>Status</th><th>Override</th><th></th></tr>
-              </thead>
+    return `
+      <div class="rel-detail">
+        ${failed ? `
+          <div class="rel-error">
+            <strong>${this._t('detail.error')}</strong>
+            <pre>${this._esc(errText || this._t('detail.noError'))}</pre>
+          </div>` : ''}
+        <div class="info-grid">
+          ${rows.map(r => `
+            <div class="info-row">
+              <span class="info-lbl">${r.label}</span>
+              <span class="info-val">${r.value}</span>
+            </div>`).join('')}
+        </div>
+        <div class="rel-changes">
+          <div class="rel-changes-title">${this._t('detail.changes', { count: changes.length })}</div>
+          ${this.relDetailErr[row.id] && !changes.length ? `
+            <div class="card-na">
+              ${this._t('error.details')}
+              <button class="mini-btn rel-detail-retry" data-rel-id="${this._esc(row.id)}">${this._t('error.retry')}</button>
+            </div>`
+            : !this.relDetails[row.id] && !changes.length ? `<div class="loading-inline">${this._t('loading.details')}</div>`
+            : !changes.length ? `<div class="card-na">${this._t('detail.noChanges')}</div>` : `
+            <table class="data-table compact" part="table">
+              <thead><tr><th>${this._t('col.resourceType')}</th><th>${this._t('col.resourceName')}</th><th>${this._t('col.change')}</th></tr></thead>
               <tbody>
-                ${items.map(r => {
-                  const name    = r.resourceName || r.name || '—';
-                  const type    = r.resourceType  || r.type || '—';
-                  const enabled = r.disabled === false || r.enabled === true || (!r.disabled && r.enabled !== false);
-                  const hasOvr  = r.override || r.overrideExists || r.hasOverride;
+                ${changes.map(c => {
+                  const kind = (c.changeType || c.action || c.type || 'UPDATE').toUpperCase();
                   return `
                     <tr>
-                      <td><span class="type-badge">${type}</span></td>
-                      <td>${name}</td>
-                      <td><span class="dot-badge ${enabled ? 'active' : 'inactive'}">${enabled ? 'Active' : 'Disabled'}</span></td>
-                      <td>${hasOvr ? '<span class="ovr-badge">Override</span>' : '—'}</td>
-                      <td>
-                        <button class="mini-btn view-res-btn"
-                          data-rtype="${type}" data-rname="${name}">View</button>
-                      </td>
+                      <td><span class="type-badge">${c.resourceType || '—'}</span></td>
+                      <td>${c.resourceName || c.name || '—'}</td>
+                      <td><span class="chg-kind ${kind.toLowerCase()}">${kind}</span></td>
                     </tr>`;
                 }).join('')}
               </tbody>
-            </table>
-          </div>`;
-      }
-    }
-
-    // Ingress / endpoints — only if K8s present
+            </table>`}
+        </div>
+      </div>`;
+  }
+
+  async _toggleReleaseDetail(id) {
+    this.relExpanded[id] = !this.relExpanded[id];
+    this._renderTabContent('releases');
+    if (!this.relExpanded[id] || this.relDetails[id]) return;
+    this._loadReleaseDetail(id);
+  }
+
+  // Failures are remembered separately so a retry can fetch again; a snapshot
+  // row is already the full exported record.
+  async _loadReleaseDetail(id) {
+    const details = this.relDetails;
+    delete this.relDetailErr[id];
+    const full = this.snapshotMeta ? {} : await this._api(`/clusters/${this.clusterId}/deployments/${id}`);
+    if (details !== this.relDetails) return;   // environment changed meanwhile
+    if (full) details[id] = full;
+    else      this.relDetailErr[id] = true;
+    if (this.activeTab === 'releases' && this.relExpanded[id]) this._renderTabContent('releases');
+  }
+
+  // ── Analytics Tab ──────────────────────────────────────────────────────────
+
+  // Pages through release history back to the start of the selected window.
+  // Each load carries a token so only the newest one (window or cluster) lands.
+  async _loadAnalytics() {
+    const a = this.analytics;
+    if (this.snapshotMeta) {
+      a.list = this._releaseList();
+      if (this.activeTab === 'analytics') this._renderTabContent('analytics');
+      return;
+    }
+    if (a.loading === a.days) return;   // this window is already loading
+    const days  = a.loading = a.days;
+    const token = a.token = (a.token || 0) + 1;
+    const since = Date.now() - days * 86400000;
+    let list = [];
+    for (let page = 0; page < 10; page++) {
+      const params = new URLSearchParams({ size: 200, page, sort: 'createdOn,desc', fromDate: new Date(since).toISOString() });
+      const data = await this._api(`/clusters/${this.clusterId}/deployments?${params}`);
+      if (token !== a.token) return;   // superseded
+      const rows = !data ? [] : Array.isArray(data) ? data : (data.content || data.deployments || data.items || []);
+      list = list.concat(rows);
+      const oldest = rows.length ? new Date(rows[rows.length - 1].createdOn).getTime() : 0;
+      const last   = !data || rows.length < 200 || (data.totalPages != null && page + 1 >= data.totalPages);
+      if (last || oldest < since) break;
+    }
+    a.loading = false;
+    a.list    = list;
+    if (this.activeTab === 'analytics') this._renderTabContent('analytics');
+  }
+
+  _setAnalyticsWindow(days) {
+    this.analytics.days = days;
+    this.analytics.list = null;
+    this._renderTabContent('analytics');
+    this._loadAnalytics();
+  }
+
+  // DORA-style metrics bucketed per day (per week for windows over 30 days)
+  _computeAnalytics(all, days) {
+    const DAY     = 86400000;
+    const now     = Date.now();
+    const step    = days > 30 ? 7 * DAY : DAY;
+    // Buckets are calendar days (or weeks ending today) in the display zone;
+    // the window is `days` whole days and the oldest week is cut to fit it
+    const tz      = this._displayTz();
+    const today   = new Date(now + this._tzOffset(now, tz));
+    const midnight = i => this._zonedToUtc(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - days + 1 + i, 0, 0, 0, tz);
+    const every   = step / DAY;
+    const edges   = [];
+    for (let i = days; i > 0; i -= every) edges.unshift(midnight(i));
+    edges.unshift(midnight(0));
+    const start   = edges[0];
+    const failedS = ['FAILED', 'FAULT', 'TIMED_OUT'];
+    const dryRun  = ['PLAN', 'HOTFIX_PLAN'];
+    const t       = d => new Date(d.createdOn).getTime();
+
+    // Only real, finished deployments count — dry-run plans and pending ones do not
+    const deploys = all
+      .filter(d => d.createdOn && dryRun.indexOf(d.releaseType) === -1 &&
+        (d.status === 'SUCCEEDED' || failedS.indexOf(d.status) !== -1))
+      .sort((x, y) => t(x) - t(y));
+
+    // Recovery: failure → next successful deployment
+    const recoveries = [];
+    deploys.forEach((d, i) => {
+      if (failedS.indexOf(d.status) === -1) return;
+      if (i > 0 && failedS.indexOf(deploys[i - 1].status) !== -1) return;   // same incident
+      const fix = deploys.slice(i + 1).find(x => x.status === 'SUCCEEDED');
+      if (fix) recoveries.push({ at: t(d), secs: (new Date(fix.finishedOn || fix.createdOn).getTime() - t(d)) / 1000 });
+    });
+
+    const pct = (vals, p) => {
+      if (!vals.length) return null;
+      const sorted = vals.slice().sort((x, y) => x - y);
+      return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+    };
+    const mean = vals => vals.length ? vals.reduce((x, y) => x + y, 0) / vals.length : null;
+
+    const buckets = [];
+    for (let b = 0; b + 1 < edges.length; b++) {
+      const from = edges[b], to = edges[b + 1];
+      const inB  = deploys.filter(d => t(d) >= from && t(d) < to);
+      const fail = inB.filter(d => failedS.indexOf(d.status) !== -1).length;
+      const durs = inB.map(d => d.timeTakenInSeconds).filter(x => x > 0);
+      buckets.push({
+        from,
+        count: inB.length,
+        cfr:   inB.length ? fail / inB.length * 100 : null,
+        mttr:  mean(recoveries.filter(r => r.at >= from && r.at < to).map(r => r.secs)),
+        p50:   pct(durs, 50),
+        p95:   pct(durs, 95)
+      });
+    }
+
+    const inWin   = deploys.filter(d => t(d) >= start);
+    const failWin = inWin.filter(d => failedS.indexOf(d.status) !== -1).length;
+    const durs    = inWin.map(d => d.timeTakenInSeconds).filter(x => x > 0);
+    return {
+      step, buckets,
+      total: {
+        perDay: inWin.length / days,
+        cfr:    inWin.length ? failWin / inWin.length * 100 : null,
+        mttr:   mean(recoveries.filter(r => r.at >= start).map(r => r.secs)),
+        p50:    pct(durs, 50),
+        p95:    pct(durs, 95),
+        count:  inWin.length
+      }
+    };
+  }
+
+  _buildAnalyticsTab() {
+    const a = this.analytics;
+    if (this.snapshotMeta && !a.list) a.list = this._releaseList();
+
+    const picker = `
+      <div class="seg">
+        ${[7, 30, 90].map(d => `<button class="seg-btn an-window ${a.days === d ? 'active' : ''}" data-days="${d}">${this._t('analytics.days', { count: d })}</button>`).join('')}
+      </div>`;
+
+    if (!a.list) {
+      return `
+        <div class="tab-panel">
+          <div class="sec-card" part="section">
+            <div class="sec-title-row"><span class="sec-title">${this._t('section.analytics')}</span>${picker}</div>
+            <div class="loading-inline">${this._t('loading.releases')}</div>
+          </div>
+        </div>`;
+    }
+
+    const m      = this._computeAnalytics(a.list, a.days);
+    const T      = m.total;
+    const labels = m.buckets.map(b => new Date(b.from).toLocaleDateString(this._locale(), { timeZone: this._displayTz(), month: 'short', day: 'numeric' }));
+    const dur    = v => v == null ? '—' : this._fmtDur(Math.round(v));
+    const hrs    = v => v == null ? '—' : v < 3600 ? this._fmtUnits([[Math.round(v / 60), 'minute']])
+      : new Intl.NumberFormat(this._locale(), { style: 'unit', unit: 'hour', unitDisplay: 'narrow', maximumFractionDigits: 1 }).format(v / 3600);
+    const weekly = m.step > 86400000;
+
+    const kpis = [
+      { label: this._t('analytics.frequency'), value: T.perDay >= 1
+          ? this._t('analytics.perDay', { n: this._fmtNum(T.perDay, { maximumFractionDigits: 1, minimumFractionDigits: 1 }) })
+          : this._t('analytics.perWeek', { n: this._fmtNum(T.perDay * 7, { maximumFractionDigits: 1, minimumFractionDigits: 1 }) }),
+        sub: this._t('analytics.deployments', { count: T.count }) },
+      { label: this._t('analytics.cfr'),  value: T.cfr == null ? '—' : `${Math.round(T.cfr)}%`, sub: this._t('analytics.cfrSub') },
+      { label: this._t('analytics.mttr'), value: hrs(T.mttr), sub: this._t('analytics.mttrSub') },
+      { label: this._t('analytics.duration'), value: `${dur(T.p50)} / ${dur(T.p95)}`, sub: this._t('analytics.durationSub') }
+    ];
+
+    const charts = [
+      { title: this._t(weekly ? 'analytics.chartPerWeek' : 'analytics.chartPerDay'), series: [{ name: this._t('analytics.seriesDeployments'), values: m.buckets.map(b => b.count), color: 'var(--blue)', type: 'bar' }], fmt: v => String(Math.round(v)) },
+      { title: this._t('analytics.chartCfr'), series: [{ name: 'CFR', values: m.buckets.map(b => b.cfr), color: 'var(--status-failed)' }], fmt: v => `${Math.round(v)}%`, max: 100 },
+      { title: this._t('analytics.chartMttr'), series: [{ name: 'MTTR', values: m.buckets.map(b => b.mttr), color: 'var(--status-timed-out)' }], fmt: hrs },
+      { title: this._t('analytics.chartDuration'), series: [
+          { name: 'p50', values: m.buckets.map(b => b.p50), color: 'var(--status-succeeded)' },
+          { name: 'p95', values: m.buckets.map(b => b.p95), color: 'var(--purple)' }], fmt: dur }
+    ];
+
+    return `
+      <div class="tab-panel">
+        <div class="sec-card" part="section">
+          <div class="sec-title-row">
+            <span class="sec-title">${this._t('section.analytics')}</span>
+            ${picker}
+          </div>
+          <div class="stats-row">
+            ${kpis.map(k => `
+              <div class="stat-box">
+                <div class="stat-n">${k.value}</div>
+                <div class="stat-lbl">${k.label}</div>
+                <div class="scard-sub">${k.sub}</div>
+              </div>`).join('')}
+          </div>
+          ${!T.count ? `<div class="empty-state">${this._t('empty.analytics')}</div>` : ''}
+        </div>
+        ${T.count ? `
+          <div class="chart-grid">
+            ${charts.map(c => `
+              <div class="sec-card" part="section">
+                <div class="sec-title">${c.title}</div>
+                ${this._chartSvg(labels, c.series, { fmt: c.fmt, max: c.max })}
+              </div>`).join('')}
+          </div>` : ''}
+      </div>`;
+  }
+
+  // Minimal inline SVG chart: bars and/or lines over shared x labels. Null values are gaps.
+  _chartSvg(labels, series, opts) {
+    opts = opts || {};
+    const W = 560, H = 170, L = 44, R = 8, TOP = 10, B = 22;
+    const fmt  = opts.fmt || (v => String(v));
+    const vals = series.reduce((acc, s) => acc.concat(s.values.filter(v => v != null)), []);
+    const max  = opts.max || Math.max(1, ...vals) * 1.1;
+    const n    = labels.length;
+    const bw   = (W - L - R) / Math.max(1, n);
+    const x    = i => L + bw * i + bw / 2;
+    const y    = v => TOP + (H - TOP - B) * (1 - v / max);
+    const every = Math.ceil(n / 8);
+
+    const grid = [0, .5, 1].map(f => `
+      <line x1="${L}" x2="${W - R}" y1="${y(max * f)}" y2="${y(max * f)}" class="ch-grid" />
+      <text x="${L - 6}" y="${y(max * f) + 3}" class="ch-axis" text-anchor="end">${this._esc(fmt(max * f))}</text>`).join('');
+
+    const xlab = labels.map((l, i) => i % every ? '' :
+      `<text x="${x(i)}" y="${H - 6}" class="ch-axis" text-anchor="middle">${this._esc(l)}</text>`).join('');
+
+    const bars = series.filter(s => s.type === 'bar').map(s => s.values.map((v, i) => v == null || !v ? '' : `
+      <rect x="${x(i) - bw * .35}" y="${y(v)}" width="${bw * .7}" height="${H - B - y(v)}" style="fill:${s.color}" rx="1.5">
+        <title>${this._esc(labels[i])}: ${this._esc(fmt(v))}</title></rect>`).join('')).join('');
+
+    const lines = series.filter(s => s.type !== 'bar').map(s => {
+      let d = '', pen = false;
+      s.values.forEach((v, i) => {
+        if (v == null) { pen = false; return; }
+        d += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)} `;
+        pen = true;
+      });
+      const dots = s.values.map((v, i) => v == null ? '' : `
+        <circle cx="${x(i)}" cy="${y(v)}" r="2.5" style="fill:${s.color}">
+          <title>${this._esc(labels[i])} · ${this._esc(s.name)}: ${this._esc(fmt(v))}</title></circle>`).join('');
+      return `<path d="${d}" fill="none" style="stroke:${s.color}" stroke-width="1.8" />${dots}`;
+    }).join('');
+
+    const legend = series.length > 1 ? `
+      <div class="ch-legend">${series.map(s => `<span><i style="background:${s.color}"></i>${this._esc(s.name)}</span>`).join('')}</div>` : '';
+
+    return `
+      <svg class="chart" viewBox="0 0 ${W} ${H}" preserveAspectRatio="xMidYMid meet" role="img">
+        ${grid}${bars}${lines}${xlab}
+      </svg>${legend}`;
+  }
+
+  // ── Resources Tab ──────────────────────────────────────────────────────────
+
+  _buildResourcesTab() {
+    const hasK8s = this._hasKubernetes();
+    const resList = this.resources;
+    const ingList = this.ingresses;
+
+    let resourcesHtml;
+    if (!resList) {
+      resourcesHtml = `<div class="loading-inline">${this._t('loading.resources')}</div>`;
+    } else {
+      const items = this._resourceItems();
+
+      if (!items.length) {
+        resourcesHtml = `<div class="empty-state">${this._t('empty.resources')}</div>`;
+      } else {
+        const f      = this.resFilter;
+        const byType = {};
+        items.forEach(r => { byType[r.type] = (byType[r.type] || 0) + 1; });
+        const types  = Object.keys(byType).sort();
+
+        resourcesHtml = `
+          <div class="type-tiles">
+            ${types.map(type => `
+              <button class="type-tile ${f.type === type ? 'active' : ''}" data-type="${type}">
+                <div class="type-n">${byType[type]}</div>
+                <div class="type-lbl">${type}</div>
+              </button>`).join('')}
+          </div>
+          <div class="filter-bar">
+            <input class="form-input res-search" type="search" placeholder="${this._t('resources.search')}" value="${this._esc(f.q)}" />
+            <select class="form-input res-filter" data-key="type">
+              <option value="">${this._t('filter.allTypes')}</option>
+              ${types.map(t => `<option value="${t}" ${f.type === t ? 'selected' : ''}>${t}</option>`).join('')}
+            </select>
+            <select class="form-input res-filter" data-key="status">
+              <option value="">${this._t('filter.anyStatus')}</option>
+              <option value="active"   ${f.status === 'active'   ? 'selected' : ''}>${this._t('resources.active')}</option>
+              <option value="disabled" ${f.status === 'disabled' ? 'selected' : ''}>${this._t('resources.disabled')}</option>
+            </select>
+            <label class="filter-lbl"><input type="checkbox" class="res-filter" data-key="override" ${f.override ? 'checked' : ''} /> ${this._t('resources.overridesOnly')}</label>
+            <label class="filter-lbl"><input type="checkbox" class="res-filter" data-key="grouped"  ${f.grouped  ? 'checked' : ''} /> ${this._t('resources.groupByType')}</label>
+          </div>
+          <div id="res-results">${this._buildResourceResults(items)}</div>`;
+      }
+    }
+
+    // Ingress / endpoints — only if K8s present
     let ingressSection = '';
     if (hasK8s) {
       let ingressHtml;
       if (!ingList) {
-        ingressHtml = '<div class="loading-inline">Loading endpoints…</div>';
+        ingressHtml = `<div class="loading-inline">${this._t('loading.endpoints')}</div>`;
       } else {
         const rules = ingList.ingressRules || ingList.rules || (Array.isArray(ingList) ? ingList : []);
         if (!rules.length) {
-          ingressHtml = '<div class="empty-state">No ingress rules found.</div>';
+          ingressHtml = `<div class="empty-state">${this._t('empty.ingress')}</div>`;
         } else {
           ingressHtml = `
             <div class="table-wrap">
-              <table class="data-table">
+              <table class="data-table" part="table">
                 <thead>
-                  <tr><th>Host</th><th>Path</th><th>Service</th><th>Port</th><th></th></tr>
+                  <tr><th>${this._t('col.host')}</th><th>${this._t('col.path')}</th><th>${this._t('col.service')}</th><th>${this._t('col.port')}</th><th></th></tr>
                 </thead>
                 <tbody>
                   ${rules.map(r => {
@@ -849,7 +1997,7 @@ class EnvironmentOverview extends HTMLElement {
                         <td>${r.serviceName || r.service || '—'}</td>
                         <td>${r.port || r.servicePort || '—'}</td>
                         <td>
-                          ${url ? `<button class="mini-btn copy-url-btn" data-url="${url}">Copy URL</button>` : ''}
+                          ${url ? `<button class="mini-btn copy-url-btn" data-url="${url}">${this._t('resources.copyUrl')}</button>` : ''}
                         </td>
                       </tr>`;
                   }).join('')}
@@ -859,19 +2007,19 @@ class EnvironmentOverview extends HTMLElement {
         }
       }
       ingressSection = `
-        <div class="sec-card">
-          <div class="sec-title">Exposed Endpoints (Ingress)</div>
+        <div class="sec-card" part="section">
+          <div class="sec-title">${this._t('section.ingress')}</div>
           ${ingressHtml}
         </div>`;
     }
 
     return `
       <div class="tab-panel">
-        <div class="sec-card">
+        <div class="sec-card" part="section">
           <div class="sec-title-row">
-            <span class="sec-title">Resources</span>
+            <span class="sec-title">${this._t('section.resources')}</span>
             <div class="sec-actions">
-              <button class="cta-btn secondary" data-action="manage-resources">Manage Resources</button>
+              <button class="cta-btn secondary" data-action="manage-resources">${this._t('resources.manage')}</button>
             </div>
           </div>
           ${resourcesHtml}
@@ -879,11 +2027,279 @@ class EnvironmentOverview extends HTMLElement {
         ${ingressSection}
         ${!hasK8s ? `
           <div class="sec-card info-note">
-            <span>⎈ Kubernetes is not configured for this environment. Ingress endpoint data is unavailable.</span>
+            <span>${this._t('resources.noK8s')}</span>
           </div>` : ''}
       </div>`;
   }
 
+  _resourceItems() {
+    const resList = this.resources;
+    if (!resList) return [];
+    const items = Array.isArray(resList) ? resList
+      : (resList.content || resList.resources || resList.items || []);
+    return items.map(r => ({
+      name:     r.resourceName || r.name || '—',
+      type:     r.resourceType || r.type || 'unknown',
+      enabled:  r.disabled === false || r.enabled === true || (!r.disabled && r.enabled !== false),
+      override: !!(r.override || r.overrideExists || r.hasOverride),
+      raw:      r
+    }));
+  }
+
+  _buildResourceResults(items) {
+    const f = this.resFilter;
+    const q = f.q.trim().toLowerCase();
+
+    const list = items.filter(r =>
+      (!q || r.name.toLowerCase().indexOf(q) !== -1 || r.type.toLowerCase().indexOf(q) !== -1) &&
+      (!f.type || r.type === f.type) &&
+      (!f.status || (f.status === 'active') === r.enabled) &&
+      (!f.override || r.override));
+
+    const keyOf = {
+      type:     r => `${r.type}\u0000${r.name}`,
+      name:     r => r.name,
+      status:   r => (r.enabled ? '0' : '1') + r.name,
+      override: r => (r.override ? '0' : '1') + r.name
+    }[f.sort] || (r => r.name);
+    const dir = f.dir === 'desc' ? -1 : 1;
+    list.sort((a, b) => keyOf(a).localeCompare(keyOf(b)) * dir);
+
+    if (!list.length) return `<div class="empty-state">${this._t('empty.resourcesFiltered')}</div>`;
+
+    const mark = k => f.sort === k ? (f.dir === 'asc' ? ' ▲' : ' ▼') : '';
+    const row  = r => `
+      <tr>
+        <td><span class="type-badge">${r.type}</span></td>
+        <td>${r.name}</td>
+        <td><span class="dot-badge ${r.enabled ? 'active' : 'inactive'}">${this._t(r.enabled ? 'resources.active' : 'resources.disabled')}</span></td>
+        <td>${r.override ? `<span class="ovr-badge">${this._t('resources.override')}</span>` : '—'}</td>
+        <td>
+          ${r.override ? `<button class="mini-btn diff-res-btn" data-rtype="${r.type}" data-rname="${r.name}">${this._t('resources.diff')}</button>` : ''}
+          <button class="mini-btn view-res-btn"
+            data-rtype="${r.type}" data-rname="${r.name}">${this._t('downstream.view')}</button>
+        </td>
+      </tr>`;
+
+    let body;
+    if (f.grouped) {
+      const groups = {};
+      list.forEach(r => { (groups[r.type] = groups[r.type] || []).push(r); });
+      body = Object.keys(groups).sort().map(type => {
+        const closed = !!f.collapsed[type];
+        return `
+          <tr class="group-row" data-group="${type}">
+            <td colspan="5"><span class="rel-caret">${closed ? '▸' : '▾'}</span>${type}
+              <span class="group-n">${groups[type].length}</span></td>
+          </tr>
+          ${closed ? '' : groups[type].map(row).join('')}`;
+      }).join('');
+    } else {
+      body = list.map(row).join('');
+    }
+
+    return `
+      <div class="table-wrap">
+        <table class="data-table" part="table">
+          <thead>
+            <tr>
+              <th class="res-sort" data-sort="type">${this._t('col.type')}${mark('type')}</th>
+              <th class="res-sort" data-sort="name">${this._t('col.name')}${mark('name')}</th>
+              <th class="res-sort" data-sort="status">${this._t('col.status')}${mark('status')}</th>
+              <th class="res-sort" data-sort="override">${this._t('resources.override')}${mark('override')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+      <div class="table-foot"><span>${this._t('resources.showingOf', { count: list.length, total: items.length })}</span></div>`;
+  }
+
+  // Re-renders only the results so the search box keeps focus while typing
+  _updateResourceResults() {
+    const root = this.shadowRoot;
+    const el   = root.getElementById('res-results');
+    if (!el) return;
+    el.innerHTML = this._buildResourceResults(this._resourceItems());
+    root.querySelectorAll('.type-tile[data-type]').forEach(t =>
+      t.classList.toggle('active', t.dataset.type === this.resFilter.type));
+    const typeSel = root.querySelector('.res-filter[data-key="type"]');
+    if (typeSel) typeSel.value = this.resFilter.type;
+    this._attachResourceResultListeners();
+  }
+
+  _attachResourceResultListeners() {
+    const root = this.shadowRoot;
+    const f    = this.resFilter;
+
+    root.querySelectorAll('#res-results .res-sort').forEach(th =>
+      th.addEventListener('click', () => {
+        f.dir  = f.sort === th.dataset.sort && f.dir === 'asc' ? 'desc' : 'asc';
+        f.sort = th.dataset.sort;
+        this._updateResourceResults();
+      }));
+
+    root.querySelectorAll('#res-results .group-row').forEach(tr =>
+      tr.addEventListener('click', () => {
+        f.collapsed[tr.dataset.group] = !f.collapsed[tr.dataset.group];
+        this._updateResourceResults();
+      }));
+
+    root.querySelectorAll('#res-results .diff-res-btn').forEach(b =>
+      b.addEventListener('click', () => this._openOverrideDiff(b.dataset.rtype, b.dataset.rname)));
+
+    root.querySelectorAll('#res-results .view-res-btn').forEach(b =>
+      b.addEventListener('click', () => {
+        const env = this.env || {};
+        this._navigate(`/projects/${env.stackName}/environments/${env.name}/resources/${b.dataset.rtype}/${b.dataset.rname}`);
+      }));
+  }
+
+  // ── Override diff ──────────────────────────────────────────────────────────
+
+  async _loadResourceContent() {
+    if (this.resContent) return this.resContent;
+    const data  = await this._api(`/dropdown/cluster/${this.clusterId}/resources-info?includeContent=true`);
+    if (!data) return null;
+    const items = Array.isArray(data) ? data : (data.content || data.resources || data.items || []);
+    const map   = {};
+    items.forEach(r => { map[`${r.resourceType || r.type}/${r.resourceName || r.name}`] = r; });
+    this.resContent = map;
+    return map;
+  }
+
+  // One resource with content; falls back to the full listing when the
+  // single-resource endpoint isn't available
+  async _loadResourceItem(type, name) {
+    if (this.resContent) return this.resContent[`${type}/${name}`] || null;
+    const r = await this._api(`/dropdown/cluster/${this.clusterId}/resourceType/${encodeURIComponent(type)}/resourceName/${encodeURIComponent(name)}/resource-info`);
+    if (r && !Array.isArray(r)) return r;
+    const map = await this._loadResourceContent();
+    return map && map[`${type}/${name}`] || null;
+  }
+
+  async _openOverrideDiff(type, name) {
+    const title = this._t('diff.title', { type: this._esc(type), name: this._esc(name) });
+    const modal = this._openModal(title, `<div class="loading-inline">${this._t('loading.resourceContent')}</div>`);
+    modal.classList.add('wide');
+
+    const r = await this._loadResourceItem(type, name);
+    if (!modal.isConnected) return;   // closed, or another dialog took its place
+    if (!r) {
+      modal.querySelector('.modal-body').innerHTML =
+        `<div class="form-error">${this._t('diff.loadFailed')}</div>`;
+      return;
+    }
+    this._renderOverrideDiff(type, name, r, 'unified');
+  }
+
+  _renderOverrideDiff(type, name, r, mode) {
+    const title    = this._t('diff.title', { type: this._esc(type), name: this._esc(name) });
+    const parse    = v => { if (typeof v !== 'string') return v; try { return JSON.parse(v); } catch { return v; } };
+    const base     = parse(r.content) || {};
+    const override = parse(r.overrides || r.overrideContent || r.overriddenContent) || {};
+    const effective = r.effectiveContent ? parse(r.effectiveContent) : this._deepMerge(base, override);
+    const ops      = this._diffLines(this._stableJson(base).split('\n'), this._stableJson(effective).split('\n'));
+    const added    = ops.filter(o => o.op === '+').length;
+    const removed  = ops.filter(o => o.op === '-').length;
+    const view     = mode;
+
+    const modal = this._openModal(title, `
+      <div class="diff-toolbar">
+        <span class="diff-stat"><span class="diff-add">+${added}</span> <span class="diff-del">−${removed}</span></span>
+        <span class="diff-legend">${this._t('diff.legend')}</span>
+        <div class="seg">
+          <button class="seg-btn ${view === 'unified' ? 'active' : ''}" data-mode="unified">${this._t('diff.unified')}</button>
+          <button class="seg-btn ${view === 'split'   ? 'active' : ''}" data-mode="split">${this._t('diff.split')}</button>
+        </div>
+      </div>
+      ${!ops.length ? `<div class="form-error">${this._t('diff.tooLarge')}</div>`
+        : added + removed === 0 ? `<div class="empty-state">${this._t('empty.overrideSame')}</div>`
+        : view === 'split' ? this._buildSplitDiff(ops) : this._buildUnifiedDiff(ops)}`);
+    modal.classList.add('wide');
+    modal.querySelectorAll('.seg-btn[data-mode]').forEach(b =>
+      b.addEventListener('click', () => this._renderOverrideDiff(type, name, r, b.dataset.mode)));
+  }
+
+  _buildUnifiedDiff(ops) {
+    let a = 0, b = 0;
+    return `
+      <table class="diff-table" part="table">
+        ${ops.map(o => {
+          if (o.op === '=') { a++; b++; } else if (o.op === '-') a++; else b++;
+          const cls  = o.op === '+' ? 'ins' : o.op === '-' ? 'del' : '';
+          const sign = o.op === '=' ? ' ' : o.op === '-' ? '−' : '+';
+          return `
+            <tr class="${cls}">
+              <td class="ln">${o.op !== '+' ? a : ''}</td>
+              <td class="ln">${o.op !== '-' ? b : ''}</td>
+              <td class="code">${sign} ${this._esc(o.op === '+' ? o.b : o.a)}</td>
+            </tr>`;
+        }).join('')}
+      </table>`;
+  }
+
+  _buildSplitDiff(ops) {
+    // Pair each run of removals with the additions that follow it
+    const rows = [];
+    for (let i = 0; i < ops.length;) {
+      if (ops[i].op === '=') { rows.push([ops[i].a, ops[i].b, '']); i++; continue; }
+      const del = [], ins = [];
+      while (i < ops.length && ops[i].op === '-') del.push(ops[i++].a);
+      while (i < ops.length && ops[i].op === '+') ins.push(ops[i++].b);
+      for (let k = 0; k < Math.max(del.length, ins.length); k++)
+        rows.push([del[k], ins[k], 'chg']);
+    }
+    const cell = (v, cls) => v === undefined
+      ? '<td class="code empty"></td>'
+      : `<td class="code ${cls}">${this._esc(v)}</td>`;
+    return `
+      <table class="diff-table split" part="table">
+        <thead><tr><th>${this._t('diff.base')}</th><th>${this._t('diff.override')}</th></tr></thead>
+        ${rows.map(([l, r, k]) => `<tr>${cell(l, k ? 'del' : '')}${cell(r, k ? 'ins' : '')}</tr>`).join('')}
+      </table>`;
+  }
+
+  // Line diff via longest common subsequence; returns [] when inputs are too large
+  _diffLines(a, b) {
+    const n = a.length, m = b.length;
+    if (n * m > 4000000) return [];
+    const w  = m + 1;
+    const dp = new Uint32Array((n + 1) * w);
+    for (let i = n - 1; i >= 0; i--)
+      for (let j = m - 1; j >= 0; j--)
+        dp[i * w + j] = a[i] === b[j] ? dp[(i + 1) * w + j + 1] + 1
+          : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1]);
+
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (a[i] === b[j])                            { ops.push({ op: '=', a: a[i++], b: b[j++] }); }
+      else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) ops.push({ op: '-', a: a[i++] });
+      else                                          ops.push({ op: '+', b: b[j++] });
+    }
+    while (i < n) ops.push({ op: '-', a: a[i++] });
+    while (j < m) ops.push({ op: '+', b: b[j++] });
+    return ops;
+  }
+
+  // JSON with sorted keys so key order never shows up as a difference
+  _stableJson(v) {
+    const sort = x => Array.isArray(x) ? x.map(sort)
+      : x && typeof x === 'object'
+        ? Object.keys(x).sort().reduce((o, k) => { o[k] = sort(x[k]); return o; }, {})
+        : x;
+    return JSON.stringify(sort(v), null, 2);
+  }
+
+  _deepMerge(base, over) {
+    if (!over || typeof over !== 'object' || Array.isArray(over)) return over === undefined ? base : over;
+    const out = Object.assign({}, base && typeof base === 'object' && !Array.isArray(base) ? base : {});
+    Object.keys(over).forEach(k => { out[k] = this._deepMerge(out[k], over[k]); });
+    return out;
+  }
+
   // ── Config Tab ─────────────────────────────────────────────────────────────
 
   _buildConfigTab() {
@@ -893,45 +2309,46 @@ class EnvironmentOverview extends HTMLElement {
     const comEnv  = env.commonEnvironmentVariables ? Object.entries(env.commonEnvironmentVariables) : [];
     const varCnt  = vc.variableCount  || vc.variables || vars.length || 0;
     const secCnt  = vc.secretCount    || vc.secrets   || 0;
+    const f       = this.varFilter;
 
     return `
       <div class="tab-panel">
-        <div class="sec-card">
+        <div class="sec-card" part="section">
           <div class="sec-title-row">
-            <span class="sec-title">Variables &amp; Secrets (${varCnt + secCnt})</span>
+            <span class="sec-title">${this._t('section.variables', { count: varCnt + secCnt })}</span>
             <div class="sec-actions">
-              <button class="cta-btn secondary" data-action="add-variable">+ Add Variable</button>
+              <button class="cta-btn secondary" data-action="import-variables">${this._t('vars.import')}</button>
+              <button class="cta-btn secondary" data-action="export-variables" ${vars.length ? '' : 'disabled'}>${this._t('vars.export')}</button>
+              <button class="cta-btn secondary" data-action="add-variable">${this._t('vars.add')}</button>
             </div>
           </div>
           ${vars.length > 0 ? `
-            <div class="table-wrap">
-              <table class="data-table">
-                <thead>
-                  <tr><th>Name</th><th>Type</th><th>Status</th><th>Description</th></tr>
-                </thead>
-                <tbody>
-                  ${vars.map(([name, meta]) => `
-                    <tr>
-                      <td><code class="var-code">${name}</code></td>
-                      <td>${meta.secret ? '<span class="secret-badge">Secret</span>' : 'Variable'}</td>
-                      <td><span class="dot-badge ${meta.status === 'OVERRIDDEN' ? 'override' : 'default'}">${meta.status || 'DEFAULT'}</span></td>
-                      <td style="color:var(--muted)">${meta.description || '—'}</td>
-                    </tr>`).join('')}
-                </tbody>
-              </table>
-            </div>` : `
+            <div class="filter-bar">
+              <input class="form-input var-search" type="search" placeholder="${this._t('vars.search')}" value="${this._esc(f.q)}" />
+              <select class="form-input var-filter" data-key="kind">
+                <option value="">${this._t('vars.allKinds')}</option>
+                <option value="variable" ${f.kind === 'variable' ? 'selected' : ''}>${this._t('vars.variables')}</option>
+                <option value="secret"   ${f.kind === 'secret'   ? 'selected' : ''}>${this._t('vars.secrets')}</option>
+              </select>
+              <select class="form-input var-filter" data-key="status">
+                <option value="">${this._t('filter.anyStatus')}</option>
+                <option value="OVERRIDDEN" ${f.status === 'OVERRIDDEN' ? 'selected' : ''}>${this._t('vars.OVERRIDDEN')}</option>
+                <option value="DEFAULT"    ${f.status === 'DEFAULT'    ? 'selected' : ''}>${this._t('vars.DEFAULT')}</option>
+              </select>
+            </div>
+            <div id="var-results">${this._buildVarResults()}</div>` : `
             <div class="empty-state">
-              No variables configured.
-              <button class="inline-link cta-btn" data-action="add-variable">Add the first one</button>
+              ${this._t('empty.variables')}
+              <button class="inline-link cta-btn" data-action="add-variable">${this._t('empty.variablesAdd')}</button>
             </div>`}
         </div>
 
         ${comEnv.length > 0 ? `
-          <div class="sec-card">
-            <div class="sec-title">Common Environment Variables (${comEnv.length})</div>
+          <div class="sec-card" part="section">
+            <div class="sec-title">${this._t('section.commonVars', { count: comEnv.length })}</div>
             <div class="table-wrap">
-              <table class="data-table">
-                <thead><tr><th>Key</th><th>Value</th></tr></thead>
+              <table class="data-table" part="table">
+                <thead><tr><th>${this._t('col.key')}</th><th>${this._t('col.value')}</th></tr></thead>
                 <tbody>
                   ${comEnv.map(([k, v]) => `
                     <tr>
@@ -943,33 +2360,33 @@ class EnvironmentOverview extends HTMLElement {
             </div>
           </div>` : ''}
 
-        <div class="sec-card">
+        <div class="sec-card" part="section">
           <div class="sec-title-row">
-            <span class="sec-title">Governance</span>
+            <span class="sec-title">${this._t('section.governance')}</span>
           </div>
           <div class="info-grid">
             <div class="info-row">
-              <span class="info-lbl">Approval Required</span>
+              <span class="info-lbl">${this._t('gov.approval')}</span>
               <span class="info-val">
-                <span class="toggle-badge ${env.requireSignOff ? 'on' : 'off'}">${env.requireSignOff ? 'Yes' : 'No'}</span>
+                <span class="toggle-badge ${env.requireSignOff ? 'on' : 'off'}">${this._t(env.requireSignOff ? 'gov.yes' : 'gov.no')}</span>
               </span>
             </div>
             <div class="info-row">
-              <span class="info-lbl">Auto Sign-off</span>
+              <span class="info-lbl">${this._t('gov.autoSignOff')}</span>
               <span class="info-val">
-                <span class="toggle-badge ${env.enableAutoSignOff ? 'on' : 'off'}">${env.enableAutoSignOff ? 'Enabled' : 'Disabled'}</span>
+                <span class="toggle-badge ${env.enableAutoSignOff ? 'on' : 'off'}">${this._t(env.enableAutoSignOff ? 'gov.enabled' : 'gov.disabled')}</span>
                 ${env.autoSignOffSchedule ? `<span style="font-size:11px;color:var(--muted);margin-left:.5rem">${env.autoSignOffSchedule}</span>` : ''}
               </span>
             </div>
             <div class="info-row">
-              <span class="info-lbl">Releases Paused</span>
+              <span class="info-lbl">${this._t('header.releasesPaused')}</span>
               <span class="info-val">
-                <span class="toggle-badge ${env.pauseReleases ? 'warn' : 'off'}">${env.pauseReleases ? 'Paused' : 'Active'}</span>
-                ${env.pauseReleases ? `<button class="mini-btn cta-btn" data-action="resume-releases" style="margin-left:.5rem">Resume</button>` : ''}
+                <span class="toggle-badge ${env.pauseReleases ? 'warn' : 'off'}">${this._t(env.pauseReleases ? 'gov.paused' : 'gov.active')}</span>
+                ${env.pauseReleases ? `<button class="mini-btn cta-btn" data-action="resume-releases" style="margin-left:.5rem">${this._t('gov.resume')}</button>` : ''}
               </span>
             </div>
             <div class="info-row">
-              <span class="info-lbl">Release Stream</span>
+              <span class="info-lbl">${this._t('gov.stream')}</span>
               <span class="info-val">${env.releaseStream || '—'}</span>
             </div>
           </div>
@@ -977,6 +2394,397 @@ class EnvironmentOverview extends HTMLElement {
       </div>`;
   }
 
+  // ── Variables & secrets ────────────────────────────────────────────────────
+
+  _varItems() {
+    const vars = (this.env && this.env.variables) || {};
+    return Object.keys(vars).map(name => {
+      const meta = vars[name] || {};
+      return { name, secret: !!meta.secret, status: meta.status || 'DEFAULT', description: meta.description || '', value: meta.value, meta };
+    });
+  }
+
+  _varStatusLabel(status) {
+    const key = `vars.${status}`;
+    const msg = this._t(key);
+    return msg === key ? status : msg;
+  }
+
+  _buildVarResults() {
+    const f     = this.varFilter;
+    const q     = f.q.trim().toLowerCase();
+    const items = this._varItems().filter(v =>
+      (!q || v.name.toLowerCase().indexOf(q) !== -1 || v.description.toLowerCase().indexOf(q) !== -1) &&
+      (!f.kind   || (f.kind === 'secret') === v.secret) &&
+      (!f.status || v.status === f.status)
+    ).sort((a, b) => a.name.localeCompare(b.name));
+
+    if (!items.length) return `<div class="empty-state">${this._t('empty.variablesFiltered')}</div>`;
+
+    const valueCell = v => {
+      if (!v.secret) return v.value != null && v.value !== '' ? `<code class="var-code var-val" title="${this._esc(v.value)}">${this._esc(v.value)}</code>` : '—';
+      const shown = this.revealed[v.name];
+      return shown
+        ? `<code class="var-code var-val revealed">${this._esc(shown.value)}</code>
+           <button class="mini-btn var-act" data-var-act="copy" data-var="${this._esc(v.name)}">${this._t('action.copy')}</button>
+           <button class="mini-btn var-act" data-var-act="hide" data-var="${this._esc(v.name)}">${this._t('action.hide')}</button>`
+        : `<span class="masked">••••••••</span>
+           <button class="mini-btn var-act" data-var-act="reveal" data-var="${this._esc(v.name)}">${this._t('action.reveal')}</button>`;
+    };
+
+    return `
+      <div class="table-wrap">
+        <table class="data-table" part="table">
+          <thead>
+            <tr><th>${this._t('col.name')}</th><th>${this._t('col.type')}</th><th>${this._t('col.status')}</th><th>${this._t('col.value')}</th><th>${this._t('col.description')}</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${items.map(v => `
+              <tr>
+                <td><code class="var-code">${this._esc(v.name)}</code></td>
+                <td>${v.secret ? `<span class="secret-badge">${this._t('vars.secret')}</span>` : this._t('vars.variable')}</td>
+                <td><span class="dot-badge ${v.status === 'OVERRIDDEN' ? 'override' : 'default'}">${this._esc(this._varStatusLabel(v.status))}</span></td>
+                <td class="var-val-cell">${valueCell(v)}</td>
+                <td style="color:var(--muted)">${this._esc(v.description || '—')}</td>
+                <td class="var-acts">
+                  <button class="mini-btn var-act" data-var-act="edit" data-var="${this._esc(v.name)}">${this._t('action.edit')}</button>
+                  <button class="mini-btn var-act danger" data-var-act="delete" data-var="${this._esc(v.name)}">${this._t('action.delete')}</button>
+                </td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`;
+  }
+
+  _updateVarResults() {
+    const el = this.shadowRoot.getElementById('var-results');
+    if (!el) return;
+    el.innerHTML = this._buildVarResults();
+    this._attachVarResultListeners();
+  }
+
+  _attachVarResultListeners() {
+    this.shadowRoot.querySelectorAll('#var-results .var-act[data-var]').forEach(b =>
+      b.addEventListener('click', () => {
+        const name = b.dataset.var;
+        switch (b.dataset.varAct) {
+          case 'edit':   this._openVariableEditor(name);   break;
+          case 'delete': this._confirmDeleteVariable(name); break;
+          case 'reveal': this._confirmRevealSecret(name);   break;
+          case 'hide':   this._hideSecret(name);            break;
+          case 'copy':
+            if (navigator.clipboard && this.revealed[name]) {
+              navigator.clipboard.writeText(this.revealed[name].value).then(() => {
+                b.textContent = this._t('action.copied');
+                setTimeout(() => { b.textContent = this._t('action.copy'); }, 2000);
+              });
+            }
+            break;
+        }
+      }));
+  }
+
+  async _refreshVarCounts() {
+    const vc = await this._api(`/clusters/${this.clusterId}/variable-counts`);
+    if (vc) this.varCounts = vc;
+    this._renderCards();
+    if (this.activeTab === 'config') this._renderTabContent('config');
+  }
+
+  // Local copy of the variable after a successful save; secret values never stay in memory
+  _storeVariable(name, meta) {
+    const env = this.env;
+    if (!env) return;
+    env.variables = Object.assign({}, env.variables);
+    if (meta === null) delete env.variables[name];
+    else {
+      const m = Object.assign({}, meta);
+      if (m.secret) delete m.value;
+      env.variables[name] = m;
+    }
+  }
+
+  _openVariableEditor(name, error, draft) {
+    const existing = name ? ((this.env && this.env.variables) || {})[name] : null;
+    const v = draft || {
+      name:        name || '',
+      secret:      !!(existing && existing.secret),
+      value:       existing && !existing.secret && existing.value != null ? existing.value : '',
+      description: (existing && existing.description) || ''
+    };
+
+    const modal = this._openModal(this._t(!existing ? 'varForm.titleNew' : v.secret ? 'varForm.titleEditSecret' : 'varForm.titleEdit'), `
+      <label class="form-label" for="var-name">${this._t('col.name')}</label>
+      <input id="var-name" class="form-input mono" value="${this._esc(v.name)}" ${existing ? 'disabled' : ''} placeholder="${this._t('varForm.namePlaceholder')}">
+      <label class="form-check"><input type="checkbox" id="var-secret" ${v.secret ? 'checked' : ''} ${existing ? 'disabled' : ''}> ${this._t('varForm.secret')}</label>
+      <label class="form-label" for="var-value">${this._t('col.value')}</label>
+      <textarea id="var-value" class="form-input mono" rows="3" placeholder="${existing && v.secret ? this._t('varForm.keepValue') : ''}">${this._esc(v.secret ? '' : v.value)}</textarea>
+      <label class="form-label" for="var-desc">${this._t('col.description')}</label>
+      <input id="var-desc" class="form-input" value="${this._esc(v.description)}">
+      <div id="var-error" class="form-error" ${error ? '' : 'hidden'}>${this._esc(error || '')}</div>`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       <button class="cta-btn primary" id="var-save">${this._t(existing ? 'action.save' : 'action.create')}</button>`);
+
+    const $ = sel => modal.querySelector(sel);
+    const validate = () => {
+      const n = $('#var-name').value.trim();
+      let msg = '';
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(n)) msg = n ? this._t('varForm.invalidName') : '';
+      else if (!existing && this.env && this.env.variables && this.env.variables[n]) msg = this._t('varForm.exists', { name: n });
+      else if ($('#var-secret').checked && !$('#var-value').value) msg = existing ? '' : this._t('varForm.secretValue');
+      $('#var-error').textContent = msg || error || '';
+      $('#var-error').hidden = !(msg || error);
+      $('#var-save').disabled = !!msg || !n;
+    };
+    modal.querySelectorAll('input, textarea').forEach(el => el.addEventListener('input', () => { error = null; validate(); }));
+    validate();
+
+    $('#var-save').addEventListener('click', () => {
+      const data = {
+        name:        $('#var-name').value.trim(),
+        secret:      $('#var-secret').checked,
+        value:       $('#var-value').value,
+        description: $('#var-desc').value.trim()
+      };
+      // A blank value on an existing secret keeps the stored one
+      if (existing && data.secret && !data.value) delete data.value;
+      this._closeModal();
+      this._saveVariable(data, !!existing);
+    });
+    (existing ? $('#var-value') : $('#var-name')).focus();
+  }
+
+  async _saveVariable(data, isUpdate) {
+    const path = `/clusters/${this.clusterId}/variables`;
+    try {
+      const saved = isUpdate
+        ? await this._apiSend('PUT',  `${path}/${encodeURIComponent(data.name)}`, data)
+        : await this._apiSend('POST', path, data);
+      const prev = ((this.env && this.env.variables) || {})[data.name] || {};
+      this._storeVariable(data.name, Object.assign({}, prev,
+        { secret: data.secret, status: 'OVERRIDDEN', description: data.description, value: data.value },
+        saved && typeof saved === 'object' ? saved : {}));
+      delete this.revealed[data.name];
+      await this._refreshVarCounts();
+    } catch (err) {
+      this._openVariableEditor(isUpdate ? data.name : null, err.message, data);
+    }
+  }
+
+  _confirmDeleteVariable(name) {
+    const meta  = ((this.env && this.env.variables) || {})[name] || {};
+    const modal = this._openModal(this._t(meta.secret ? 'varForm.titleDeleteSecret' : 'varForm.titleDelete'), `
+      <div>${this._t('varForm.deleteConfirm', { name: `<code class="var-code">${this._esc(name)}</code>` })}</div>
+      <div id="var-error" class="form-error" hidden></div>`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       <button class="cta-btn danger" id="var-delete">${this._t('action.delete')}</button>`);
+
+    modal.querySelector('#var-delete').addEventListener('click', async e => {
+      e.target.disabled = true;
+      try {
+        const res = await this._apiSend('DELETE', `/clusters/${this.clusterId}/variables/${encodeURIComponent(name)}`);
+        this._closeModal();
+        // Deleting an override may fall back to the blueprint default instead of removing it
+        this._storeVariable(name, res && res.status ? Object.assign({}, meta, res) : null);
+        this._hideSecret(name);
+        await this._refreshVarCounts();
+      } catch (err) {
+        const box = modal.querySelector('#var-error');
+        box.textContent = err.message;
+        box.hidden = false;
+        e.target.disabled = false;
+      }
+    });
+  }
+
+  // Secret values are fetched one at a time, only after explicit confirmation,
+  // and are dropped again after 30 seconds.
+  _confirmRevealSecret(name) {
+    const modal = this._openModal(this._t('reveal.title'), `
+      <div>${this._t('reveal.confirm', { name: `<code class="var-code">${this._esc(name)}</code>` })}</div>
+      <div style="font-size:12px;color:var(--muted)">${this._t('reveal.note')}</div>
+      <div id="var-error" class="form-error" hidden></div>`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       <button class="cta-btn danger" id="var-reveal">${this._t('reveal.go')}</button>`);
+
+    modal.querySelector('#var-reveal').addEventListener('click', async e => {
+      e.target.disabled = true;
+      try {
+        const res   = await this._apiSend('POST', `/clusters/${this.clusterId}/variables/${encodeURIComponent(name)}/reveal`, {});
+        const value = res && typeof res === 'object' ? (res.value != null ? res.value : res.secretValue) : res;
+        this._closeModal();
+        this._hideSecret(name);
+        this.revealed[name] = { value: value == null ? '' : String(value), timer: setTimeout(() => this._hideSecret(name), 30000) };
+        this._updateVarResults();
+      } catch (err) {
+        const box = modal.querySelector('#var-error');
+        box.textContent = err.message;
+        box.hidden = false;
+        e.target.disabled = false;
+      }
+    });
+  }
+
+  _hideSecret(name) {
+    const r = this.revealed[name];
+    if (!r) return;
+    clearTimeout(r.timer);
+    delete this.revealed[name];
+    this._updateVarResults();
+  }
+
+  _clearRevealed() {
+    Object.keys(this.revealed).forEach(k => clearTimeout(this.revealed[k].timer));
+    this.revealed = {};
+  }
+
+  // ── Variable import / export ───────────────────────────────────────────────
+
+  _envQuote(v) {
+    const s = String(v == null ? '' : v);
+    return /^[\w@%+=:,./-]*$/.test(s) ? s : `"${s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  }
+
+  // Accepts KEY=VALUE lines (optionally prefixed with `export`) or a JSON
+  // object / array of { name, value }. Returns [{ name, value }] or throws.
+  _parseVarImport(text) {
+    const src = text.trim();
+    if (!src) return [];
+    if (src[0] === '{' || src[0] === '[') {
+      let data;
+      try { data = JSON.parse(src); } catch (e) { throw new Error(this._t('import.invalidJson', { error: e.message })); }
+      const list = Array.isArray(data)
+        ? data.map(x => ({ name: x && (x.name || x.key), value: x && x.value }))
+        : Object.keys(data).map(k => ({ name: k, value: data[k] }));
+      return list.map(x => ({ name: String(x.name || ''), value: x.value == null ? '' : typeof x.value === 'object' ? JSON.stringify(x.value) : String(x.value) }));
+    }
+    return src.split(/\r?\n/).reduce((out, line, i) => {
+      const l = line.trim();
+      if (!l || l[0] === '#') return out;
+      const m = l.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+      if (!m) throw new Error(this._t('import.badLine', { line: i + 1 }));
+      let v = m[2];
+      if (/^"(.*)"$/.test(v))      v = v.slice(1, -1).replace(/\\(["\\n])/g, (m, c) => c === 'n' ? '\n' : c);
+      else if (/^'(.*)'$/.test(v)) v = v.slice(1, -1);
+      else                         v = v.replace(/\s+#.*$/, '');
+      out.push({ name: m[1], value: v });
+      return out;
+    }, []);
+  }
+
+  _openVarExport() {
+    const items   = this._varItems();
+    const plain   = items.filter(v => !v.secret).sort((a, b) => a.name.localeCompare(b.name));
+    const secrets = items.length - plain.length;
+    const env     = this.env || {};
+    const modal   = this._openModal(this._t('varExport.title'), `
+      <p style="font-size:13px;color:var(--muted)">
+        ${this._t('varExport.count', { count: plain.length })}
+        ${secrets ? this._t('varExport.secrets', { count: secrets }) : ''}
+      </p>
+      <div class="export-opts">
+        <button class="export-opt" data-fmt="env"><strong>${this._t('varExport.env')}</strong><span>${this._t('varExport.envHint')}</span></button>
+        <button class="export-opt" data-fmt="json"><strong>JSON</strong><span>${this._t('varExport.jsonHint')}</span></button>
+      </div>`);
+
+    modal.querySelectorAll('.export-opt[data-fmt]').forEach(b =>
+      b.addEventListener('click', () => {
+        const base = `${env.name || this.clusterId}-variables`;
+        if (b.dataset.fmt === 'env') {
+          const body = plain.map(v => `${v.name}=${this._envQuote(v.value)}`).join('\n');
+          this._download(`${base}.env`, body + '\n', 'text/plain');
+        } else {
+          const obj = {};
+          plain.forEach(v => { obj[v.name] = v.value == null ? '' : v.value; });
+          this._download(`${base}.json`, JSON.stringify(obj, null, 2), 'application/json');
+        }
+        this._closeModal();
+      }));
+  }
+
+  _openVarImport() {
+    const modal = this._openModal(this._t('import.title'), `
+      <p style="font-size:13px;color:var(--muted)">${this._t('import.intro')}</p>
+      <input type="file" id="imp-file" accept=".env,.json,.txt,text/plain,application/json">
+      <textarea id="imp-text" class="form-input mono" rows="7" placeholder="LOG_LEVEL=debug&#10;REPLICA_COUNT=3"></textarea>
+      <div id="imp-preview"></div>
+      <div id="imp-error" class="form-error" hidden></div>`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       <button class="cta-btn primary" id="imp-go" disabled>${this._t('vars.import')}</button>`);
+    modal.classList.add('wide');
+
+    const $    = sel => modal.querySelector(sel);
+    let plan   = [];
+    const preview = () => {
+      const vars = (this.env && this.env.variables) || {};
+      $('#imp-error').hidden = true;
+      try {
+        plan = this._parseVarImport($('#imp-text').value).map(x => {
+          const cur = vars[x.name];
+          const action = !/^[A-Za-z_][A-Za-z0-9_]*$/.test(x.name) ? 'invalid'
+            : cur && cur.secret ? 'secret'
+            : !cur ? 'create'
+            : cur.value === x.value ? 'same' : 'update';
+          return Object.assign(x, { action });
+        });
+      } catch (e) {
+        plan = [];
+        $('#imp-error').textContent = e.message;
+        $('#imp-error').hidden = false;
+      }
+      const label = a => this._t(`import.${a}`);
+      $('#imp-preview').innerHTML = plan.length ? `
+        <div class="table-wrap compact">
+          <table class="data-table compact" part="table">
+            <thead><tr><th>${this._t('col.name')}</th><th>${this._t('col.value')}</th><th>${this._t('col.action')}</th></tr></thead>
+            <tbody>
+              ${plan.map(p => `
+                <tr class="imp-${p.action}">
+                  <td><code class="var-code">${this._esc(p.name)}</code></td>
+                  <td><code class="var-code var-val">${this._esc(p.value)}</code></td>
+                  <td>${label(p.action)}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>` : '';
+      const n = plan.filter(p => p.action === 'create' || p.action === 'update').length;
+      $('#imp-go').disabled = !n;
+      $('#imp-go').textContent = n ? this._t('import.go', { count: n }) : this._t('vars.import');
+    };
+
+    $('#imp-text').addEventListener('input', preview);
+    $('#imp-file').addEventListener('change', () => {
+      const file = $('#imp-file').files[0];
+      if (file) file.text().then(t => { $('#imp-text').value = t; preview(); });
+    });
+
+    $('#imp-go').addEventListener('click', async () => {
+      const todo   = plan.filter(p => p.action === 'create' || p.action === 'update');
+      const failed = [];
+      $('#imp-go').disabled = true;
+      for (let i = 0; i < todo.length; i++) {
+        const p = todo[i];
+        $('#imp-go').textContent = this._t('import.progress', { n: i + 1, total: todo.length });
+        const prev = ((this.env && this.env.variables) || {})[p.name] || {};
+        const data = { name: p.name, secret: false, value: p.value, description: prev.description || '' };
+        try {
+          const saved = p.action === 'update'
+            ? await this._apiSend('PUT',  `/clusters/${this.clusterId}/variables/${encodeURIComponent(p.name)}`, data)
+            : await this._apiSend('POST', `/clusters/${this.clusterId}/variables`, data);
+          this._storeVariable(p.name, Object.assign({}, prev, data, { status: 'OVERRIDDEN' }, saved && typeof saved === 'object' ? saved : {}));
+        } catch (err) {
+          failed.push(`${p.name}: ${err.message}`);
+        }
+      }
+      await this._refreshVarCounts();
+      if (!failed.length) { this._closeModal(); return; }
+      $('#imp-error').innerHTML = `${this._t('import.partial', { n: todo.length - failed.length, total: todo.length })}<br>${failed.map(f => this._esc(f)).join('<br>')}`;
+      $('#imp-error').hidden = false;
+      $('#imp-go').textContent = this._t('import.done');
+      preview();
+    });
+  }
+
   // ── Schedule Tab ───────────────────────────────────────────────────────────
 
   _buildScheduleTab() {
@@ -986,92 +2794,1429 @@ class EnvironmentOverview extends HTMLElement {
 
     let schedHtml;
     if (!sched) {
-      schedHtml = '<div class="loading-inline">Loading schedules…</div>';
+      schedHtml = `<div class="loading-inline">${this._t('loading.schedules')}</div>`;
     } else {
-      const list = Array.isArray(sched) ? sched : (sched.content || sched.schedules || []);
+      const list = this._scheduleList();
       if (!list.length) {
         schedHtml = `
           <div class="empty-state">
-            No availability schedules configured.
-            <button class="inline-link cta-btn" data-action="add-schedule">Set up a schedule</button>
-            to automatically start and stop this environment.
+            ${this._t('empty.schedules')}
+            <button class="inline-link cta-btn" data-action="add-schedule">${this._t('empty.schedulesAdd')}</button>
+            ${this._t('empty.schedulesSuffix')}
           </div>`;
       } else {
+        const rows = list.map(s => {
+          const tz = s.timezone || s.tz || env.tz;
+          return {
+            s, tz,
+            name:  s.name || s.scheduleName || '—',
+            start: this._cronInfo(s.startCron || s.startExpression, tz, 5),
+            stop:  this._cronInfo(s.stopCron  || s.stopExpression,  tz, 5)
+          };
+        });
+        const upcoming = [];
+        rows.filter(r => r.s.enabled !== false).forEach(r => {
+          if (r.start) r.start.next.forEach(ts => upcoming.push({ ts, kind: 'start', r }));
+          if (r.stop)  r.stop.next.forEach(ts  => upcoming.push({ ts, kind: 'stop',  r }));
+        });
+        upcoming.sort((a, b) => a.ts - b.ts);
+
         schedHtml = `
           <div class="table-wrap">
-            <table class="data-table">
+            <table class="data-table" part="table">
               <thead>
-                <tr><th>Name</th><th>Start (cron)</th><th>Stop (cron)</th><th>Timezone</th><th>Status</th></tr>
+                <tr><th>${this._t('col.name')}</th><th>${this._t('col.start')}</th><th>${this._t('col.stop')}</th><th>${this._t('col.timezone')}</th><th>${this._t('col.nextRun')}</th><th>${this._t('col.status')}</th><th></th></tr>
               </thead>
               <tbody>
-                ${list.map(s => `
+                ${rows.map(r => {
+                  const on   = r.s.enabled !== false;
+                  const next = on && [r.start && r.start.next[0] && { ts: r.start.next[0], kind: this._t('col.start') },
+                                      r.stop  && r.stop.next[0]  && { ts: r.stop.next[0],  kind: this._t('col.stop')  }]
+                    .filter(Boolean).sort((a, b) => a.ts - b.ts)[0];
+                  return `
                   <tr>
-                    <td>${s.name || s.scheduleName || '—'}</td>
-                    <td><code class="var-code">${s.startCron || s.startExpression || '—'}</code></td>
-                    <td><code class="var-code">${s.stopCron  || s.stopExpression  || '—'}</code></td>
-                    <td>${s.timezone || s.tz || '—'}</td>
-                    <td><span class="toggle-badge ${s.enabled !== false ? 'on' : 'off'}">${s.enabled !== false ? 'Active' : 'Disabled'}</span></td>
-                  </tr>`).join('')}
+                    <td>${this._esc(r.name)}</td>
+                    <td>${this._cronCell(r.start)}</td>
+                    <td>${this._cronCell(r.stop)}</td>
+                    <td>${this._esc(r.tz || '—')}${r.tz && !this._validTz(r.tz) ? ` <span class="cron-flag warn" title="${this._t('sched.unknownTz')}">?</span>` : ''}</td>
+                    <td class="run-next">${next ? `${next.kind} · ${this._fmtInTz(next.ts)}` : '—'}</td>
+                    <td><span class="toggle-badge ${on ? 'on' : 'off'}">${this._t(on ? 'gov.active' : 'gov.disabled')}</span></td>
+                    <td class="sched-acts">${r.s.id != null ? `
+                      <button class="mini-btn sched-act" data-sched-act="edit" data-sched="${this._esc(r.s.id)}">${this._t('action.edit')}</button>
+                      <button class="mini-btn sched-act" data-sched-act="toggle" data-sched="${this._esc(r.s.id)}">${this._t(on ? 'action.disable' : 'action.enable')}</button>
+                      <button class="mini-btn sched-act danger" data-sched-act="delete" data-sched="${this._esc(r.s.id)}">${this._t('action.delete')}</button>` : ''}
+                    </td>
+                  </tr>`;
+                }).join('')}
               </tbody>
             </table>
-          </div>`;
+          </div>
+          ${upcoming.length ? `
+            <div class="next-runs">
+              <div class="next-runs-title">${this._t('sched.upcoming')}</div>
+              ${upcoming.slice(0, 8).map(u => `
+                <div class="next-run">
+                  <span class="run-kind ${u.kind}">${u.kind === 'start' ? `▶ ${this._t('col.start')}` : `■ ${this._t('col.stop')}`}</span>
+                  <span class="run-when">${this._fmtInTz(u.ts)}</span>
+                  <span class="run-name">${this._esc(u.r.name)}</span>
+                </div>`).join('')}
+            </div>` : ''}`;
       }
     }
 
     const mwEnabled = mw && mw.enabled;
+    const mwTz      = mw && (mw.timezone || mw.tz) || env.tz;
+    const mwStart   = mwEnabled ? this._cronInfo(mw.startCron, mwTz, 1) : null;
+    const mwEnd     = mwEnabled ? this._cronInfo(mw.endCron,   mwTz, 1) : null;
+    const mwNextEnd = mwStart && mwStart.next[0] && mwEnd && !mwEnd.error
+      ? this._cronNext(mw.endCron, mwTz, 1, mwStart.next[0])[0] : null;
 
     return `
       <div class="tab-panel">
         ${env.isEphemeral ? `
-          <div class="banner banner-info" style="margin-bottom:0">
+          <div class="banner banner-info" part="banner banner-info" style="margin-bottom:0">
             <span class="banner-icon">⚡</span>
-            <span>This is an <strong>ephemeral environment</strong> — it will be automatically destroyed at the scheduled teardown time.</span>
+            <span>${this._t('banner.ephemeral')}</span>
           </div>` : ''}
 
-        <div class="sec-card">
-          <div class="sec-title-row">
-            <span class="sec-title">Availability Schedules</span>
-            <div class="sec-actions">
-              <button class="cta-btn secondary" data-action="add-schedule">+ Add Schedule</button>
-            </div>
-          </div>
-          ${schedHtml}
-        </div>
+        <div class="sec-card" part="section">
+          <div class="sec-title-row">
+            <span class="sec-title">${this._t('section.availability')}</span>
+          </div>
+          ${this._buildAvailabilityTimeline()}
+        </div>
+
+        ${this._buildSavingsCard()}
+
+        <div class="sec-card" part="section">
+          <div class="sec-title-row">
+            <span class="sec-title">${this._t('section.schedules')}</span>
+            <div class="sec-actions">
+              <button class="cta-btn secondary" data-action="add-schedule">${this._t('sched.add')}</button>
+            </div>
+          </div>
+          ${schedHtml}
+        </div>
+
+        <div class="sec-card" part="section">
+          <div class="sec-title-row">
+            <span class="sec-title">${this._t('section.maintenance')}</span>
+            <div class="sec-actions">
+              <button class="cta-btn secondary cta-btn" data-action="toggle-maintenance">
+                ${this._t(mwEnabled ? 'mw.disable' : 'mw.enable')}
+              </button>
+            </div>
+          </div>
+          ${!mw ? `<div class="loading-inline">${this._t('loading.generic')}</div>` : `
+            <div class="info-grid">
+              <div class="info-row">
+                <span class="info-lbl">${this._t('col.status')}</span>
+                <span class="info-val">
+                  <span class="toggle-badge ${mwEnabled ? 'on' : 'off'}">${this._t(mwEnabled ? 'gov.active' : 'mw.inactive')}</span>
+                </span>
+              </div>
+              ${mwEnabled ? `
+                <div class="info-row">
+                  <span class="info-lbl">${this._t('col.start')}</span>
+                  <span class="info-val">${mwStart ? this._cronCell(mwStart) : `<code class="var-code">${this._esc(mw.startTime || '—')}</code>`}</span>
+                </div>
+                <div class="info-row">
+                  <span class="info-lbl">${this._t('mw.end')}</span>
+                  <span class="info-val">${mwEnd ? this._cronCell(mwEnd) : `<code class="var-code">${this._esc(mw.endTime || '—')}</code>`}</span>
+                </div>
+                ${mwStart && mwStart.next[0] ? `
+                  <div class="info-row">
+                    <span class="info-lbl">${this._t('mw.next')}</span>
+                    <span class="info-val">${this._fmtInTz(mwStart.next[0])}${mwNextEnd ? ` → ${this._fmtInTz(mwNextEnd)}` : ''}</span>
+                  </div>` : ''}` : ''}
+            </div>`}
+        </div>
+      </div>`;
+  }
+
+  // ── Availability timeline ──────────────────────────────────────────────────
+
+  _scheduleList() {
+    const sched = this.schedule;
+    return !sched ? [] : Array.isArray(sched) ? sched : (sched.content || sched.schedules || []);
+  }
+
+  // [from, to) intervals between each start and the following stop.
+  // Looks back eight days so a window already open at `from` is included.
+  _cronWindows(startExpr, stopExpr, tz, from, to) {
+    const DAY    = 86400000;
+    const starts = this._cronNext(startExpr, tz, 500, from - 8 * DAY).filter(t => t < to);
+    if (!starts.length) return [];
+    const stops  = this._cronNext(stopExpr || '', tz, 500, starts[0]).filter(t => t < to);
+    const events = starts.map(t => ({ t, on: true })).concat(stops.map(t => ({ t, on: false })))
+      .sort((a, b) => a.t - b.t || a.on - b.on);
+
+    const out = [];
+    let open = null;
+    events.forEach(e => {
+      if (e.on && open == null) open = e.t;
+      else if (!e.on && open != null) { out.push([open, e.t]); open = null; }
+    });
+    if (open != null) out.push([open, to]);
+    return out.map(w => [Math.max(w[0], from), Math.min(w[1], to)]).filter(w => w[1] > w[0]);
+  }
+
+  _unionWindows(list) {
+    const sorted = list.slice().sort((a, b) => a[0] - b[0]);
+    const out = [];
+    sorted.forEach(w => {
+      const last = out[out.length - 1];
+      if (last && w[0] <= last[1]) last[1] = Math.max(last[1], w[1]);
+      else out.push([w[0], w[1]]);
+    });
+    return out;
+  }
+
+  // Parts of `list` not covered by `cover`
+  _subtractWindows(list, cover) {
+    const out = [];
+    list.forEach(w => {
+      let pieces = [[w[0], w[1]]];
+      cover.forEach(c => {
+        pieces = pieces.reduce((acc, p) => {
+          if (c[1] <= p[0] || c[0] >= p[1]) acc.push(p);
+          else {
+            if (c[0] > p[0]) acc.push([p[0], c[0]]);
+            if (c[1] < p[1]) acc.push([c[1], p[1]]);
+          }
+          return acc;
+        }, []);
+      });
+      pieces.forEach(p => out.push(p));
+    });
+    return out;
+  }
+
+  // Running windows, maintenance, sign-off times and conflicts for the next 7 days
+  _availabilityModel() {
+    const env  = this.env || {};
+    const mw   = this.maintenanceWin || {};
+    const tz   = this._displayTz();
+    const now  = Date.now();
+    const loc  = new Date(now + this._tzOffset(now, tz));
+    const days = [];
+    for (let i = 0; i <= 7; i++) {
+      days.push(this._zonedToUtc(loc.getUTCFullYear(), loc.getUTCMonth(), loc.getUTCDate() + i, 0, 0, 0, tz));
+    }
+    const from = days[0], to = days[7];
+
+    const schedules = this._scheduleList().filter(s => s.enabled !== false).map(s => {
+      const stz = s.timezone || s.tz || env.tz;
+      return {
+        name:    s.name || s.scheduleName || this._t('sched.unnamed'),
+        windows: this._cronWindows(s.startCron || s.startExpression, s.stopCron || s.stopExpression, stz, from, to)
+      };
+    });
+
+    const running = this._unionWindows(schedules.reduce((acc, s) => acc.concat(s.windows), []));
+    const scheduled = schedules.length > 0;
+    const mwTz = mw.timezone || mw.tz || env.tz;
+    const maintenance = mw.enabled && mw.startCron ? this._cronWindows(mw.startCron, mw.endCron, mwTz, from, to) : [];
+    const signOff = env.autoSignOffSchedule && env.enableAutoSignOff !== false
+      ? this._cronNext(env.autoSignOffSchedule, env.tz, 50, from).filter(t => t < to) : [];
+
+    const conflicts = [];
+    for (let i = 0; i < schedules.length; i++) {
+      for (let j = i + 1; j < schedules.length; j++) {
+        schedules[i].windows.forEach(a => schedules[j].windows.forEach(b => {
+          const s = Math.max(a[0], b[0]), e = Math.min(a[1], b[1]);
+          if (e > s) conflicts.push({ kind: 'overlap', from: s, to: e, text: this._t('conflict.overlap', { a: schedules[i].name, b: schedules[j].name }) });
+        }));
+      }
+    }
+    if (scheduled) {
+      this._subtractWindows(maintenance, running).forEach(w =>
+        conflicts.push({ kind: 'maintenance', from: w[0], to: w[1], text: this._t('conflict.maintenance') }));
+      signOff.filter(t => !running.some(w => t >= w[0] && t < w[1])).forEach(t =>
+        conflicts.push({ kind: 'signoff', from: t, to: t, text: this._t('conflict.signoff') }));
+    }
+    conflicts.sort((a, b) => a.from - b.from);
+
+    return { tz, days, schedules, scheduled, running, maintenance, signOff, conflicts };
+  }
+
+  _buildAvailabilityTimeline() {
+    if (!this.schedule || !this.maintenanceWin) return `<div class="loading-inline">${this._t('loading.schedules')}</div>`;
+    const m    = this._availabilityModel();
+    const pad  = n => String(n).padStart(2, '0');
+    const hm   = t => { const d = new Date(t + this._tzOffset(t, m.tz)); return `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`; };
+
+    // Position of [a, b) inside day `i`, as CSS percentages
+    const place = (i, a, b) => {
+      const s = m.days[i], e = m.days[i + 1];
+      if (b < s || a >= e || (b === a && (a < s || a >= e))) return null;
+      const l = (Math.max(a, s) - s) / (e - s) * 100;
+      const r = (Math.min(b, e) - s) / (e - s) * 100;
+      return `left:${l.toFixed(2)}%;width:${Math.max(r - l, 0).toFixed(2)}%`;
+    };
+    const bars = (i, list, cls, title) => list.map(w => {
+      const pos = place(i, w[0], w[1]);
+      return pos ? `<div class="tl-bar ${cls}" style="${pos}" title="${this._esc(title(w))}"></div>` : '';
+    }).join('');
+
+    const rows = m.days.slice(0, 7).map((start, i) => {
+      const label = new Date(start).toLocaleDateString(this._locale(), { timeZone: m.tz, weekday: 'short', month: 'short', day: 'numeric' });
+      const up    = m.scheduled ? m.running : [[m.days[0], m.days[7]]];
+      return `
+        <div class="tl-row">
+          <div class="tl-day">${label}</div>
+          <div class="tl-track">
+            ${bars(i, up, 'tl-up', w => m.scheduled ? this._t('tl.running', { from: hm(w[0]), to: hm(w[1]) }) : this._t('tl.alwaysOn'))}
+            ${bars(i, m.maintenance, 'tl-maint', w => this._t('tl.maintenanceAt', { from: hm(w[0]), to: hm(w[1]) }))}
+            ${bars(i, m.conflicts.filter(c => c.to > c.from).map(c => [c.from, c.to, c.text]), 'tl-conflict', w => `${w[2]} (${hm(w[0])}–${hm(w[1])})`)}
+            ${m.signOff.map(t => {
+              const pos = place(i, t, t);
+              return pos ? `<div class="tl-tick" style="${pos}" title="${this._t('tl.signOffAt', { time: hm(t) })}"></div>` : '';
+            }).join('')}
+          </div>
+        </div>`;
+    }).join('');
+
+    const fmt = t => new Date(t).toLocaleString(this._locale(), { timeZone: m.tz, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+    return `
+      <div class="timeline">
+        <div class="tl-row tl-axis">
+          <div class="tl-day"></div>
+          <div class="tl-track">${[0, 6, 12, 18].map(h => `<span style="left:${h / 24 * 100}%">${pad(h)}:00</span>`).join('')}</div>
+        </div>
+        ${rows}
+        <div class="tl-legend">
+          <span><i class="tl-up"></i>${this._t(m.scheduled ? 'tl.scheduled' : 'tl.alwaysOnLegend')}</span>
+          <span><i class="tl-maint"></i>${this._t('tl.maintenance')}</span>
+          ${m.signOff.length ? `<span><i class="tl-tick-i"></i>${this._t('tl.signOff')}</span>` : ''}
+          <span><i class="tl-conflict"></i>${this._t('tl.conflict')}</span>
+          <span class="tl-tz">${this._t('tl.timesIn', { tz: this._esc(m.tz) })}</span>
+        </div>
+        ${m.conflicts.length ? `
+          <div class="tl-conflicts">
+            ${m.conflicts.slice(0, 6).map(c => `
+              <div class="tl-conflict-row">⚠ ${this._esc(c.text)} · ${fmt(c.from)}${c.to > c.from ? `–${hm(c.to)}` : ''}</div>`).join('')}
+            ${m.conflicts.length > 6 ? `<div class="tl-more">${this._t('tl.more', { count: m.conflicts.length - 6 })}</div>` : ''}
+          </div>` : ''}
+      </div>`;
+  }
+
+  // ── Schedule editor ────────────────────────────────────────────────────────
+
+  _findSchedule(id) {
+    return this._scheduleList().find(s => String(s.id) === String(id));
+  }
+
+  // Replaces (or appends) one schedule in the loaded list and redraws the tab
+  _upsertSchedule(row) {
+    const list = this._scheduleList().slice();
+    const i    = list.findIndex(s => String(s.id) === String(row.id));
+    if (i === -1) list.push(row); else list[i] = row;
+    this.schedule = list;
+    if (this.activeTab === 'schedule') this._renderTabContent('schedule');
+  }
+
+  _timezones(current) {
+    const list = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone').slice()
+      : ['UTC', 'Europe/London', 'Europe/Berlin', 'Europe/Paris', 'America/New_York', 'America/Chicago',
+         'America/Los_Angeles', 'America/Sao_Paulo', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney'];
+    [current, 'UTC'].forEach(tz => { if (tz && list.indexOf(tz) === -1) list.unshift(tz); });
+    return list;
+  }
+
+  // "1,2,3,4,5" → "1-5"; every day → "*"
+  _dowField(days) {
+    const d = Array.from(new Set(days)).sort((a, b) => a - b);
+    if (d.length === 7) return '*';
+    const out = [];
+    for (let i = 0; i < d.length; i++) {
+      let j = i;
+      while (j + 1 < d.length && d[j + 1] === d[j] + 1) j++;
+      out.push(j - i >= 2 ? `${d[i]}-${d[j]}` : d.slice(i, j + 1).join(','));
+      i = j;
+    }
+    return out.join(',');
+  }
+
+  // Builder state { days, start, stop } → crons. A stop time at or before the
+  // start time means the window runs overnight, so it stops on the next day.
+  _builderToCrons(b) {
+    const [sh, sm] = b.start.split(':').map(Number);
+    const [th, tm] = b.stop.split(':').map(Number);
+    const overnight = th * 60 + tm <= sh * 60 + sm;
+    const stopDays  = overnight ? b.days.map(d => (d + 1) % 7) : b.days;
+    return {
+      startCron: `${sm} ${sh} * * ${this._dowField(b.days)}`,
+      stopCron:  `${tm} ${th} * * ${this._dowField(stopDays)}`
+    };
+  }
+
+  // Inverse of _builderToCrons; null when the crons need raw mode
+  _cronsToBuilder(startCron, stopCron) {
+    const simple = /^\d{1,2} \d{1,2} \* \* \S+$/;
+    if (!simple.test(startCron || '') || !simple.test(stopCron || '')) return null;
+    const a = this._parseCron(startCron), b = this._parseCron(stopCron);
+    if (a.error || b.error) return null;
+    const pad = n => String(n).padStart(2, '0');
+    const built = {
+      days:  a.dow.values,
+      start: `${pad(a.hour.values[0])}:${pad(a.minute.values[0])}`,
+      stop:  `${pad(b.hour.values[0])}:${pad(b.minute.values[0])}`
+    };
+    const again = this._builderToCrons(built);
+    return this._parseCron(again.stopCron).dow.values.join() === b.dow.values.join() ? built : null;
+  }
+
+  _openScheduleEditor(id) {
+    const env  = this.env || {};
+    const orig = id ? this._findSchedule(id) : null;
+    const s    = orig || { name: '', startCron: '0 9 * * 1-5', stopCron: '0 19 * * 1-5', timezone: env.tz, enabled: true };
+    const tz   = s.timezone || s.tz || env.tz || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const startCron = s.startCron || s.startExpression || '';
+    const stopCron  = s.stopCron  || s.stopExpression  || '';
+    const built     = this._cronsToBuilder(startCron, stopCron);
+    const state     = { mode: built ? 'builder' : 'raw', builder: built || { days: [1, 2, 3, 4, 5], start: '09:00', stop: '19:00' } };
+    const DAYS      = [1, 2, 3, 4, 5, 6, 0].map(n => [n,
+      new Date(Date.UTC(2024, 0, 7 + n)).toLocaleDateString(this._locale(), { timeZone: 'UTC', weekday: 'short' })]);
+
+    const modal = this._openModal(this._t(orig ? 'schedForm.titleEdit' : 'schedForm.titleNew'), `
+      <label class="form-label" for="sch-name">${this._t('schedForm.name')}</label>
+      <input id="sch-name" class="form-input" value="${this._esc(s.name || s.scheduleName || '')}" placeholder="${this._t('schedForm.namePlaceholder')}">
+      <div class="form-grid">
+        <div>
+          <label class="form-label" for="sch-tz">${this._t('schedForm.timezone')}</label>
+          <select id="sch-tz" class="form-input">
+            ${this._timezones(tz).map(z => `<option value="${this._esc(z)}" ${z === tz ? 'selected' : ''}>${this._esc(z)}</option>`).join('')}
+          </select>
+        </div>
+        <label class="form-check"><input type="checkbox" id="sch-enabled" ${s.enabled !== false ? 'checked' : ''}> ${this._t('schedForm.enabled')}</label>
+      </div>
+      <div class="sch-mode-row">
+        <span class="form-label">${this._t('schedForm.times')}</span>
+        <div class="seg">
+          <button class="seg-btn sch-mode ${state.mode === 'builder' ? 'active' : ''}" data-mode="builder">${this._t('schedForm.builder')}</button>
+          <button class="seg-btn sch-mode ${state.mode === 'raw' ? 'active' : ''}" data-mode="raw">${this._t('schedForm.raw')}</button>
+        </div>
+      </div>
+      <div id="sch-builder" ${state.mode === 'builder' ? '' : 'hidden'}>
+        <div class="day-picks">
+          ${DAYS.map(([n, l]) => `<label class="day-pick"><input type="checkbox" value="${n}" ${state.builder.days.indexOf(n) !== -1 ? 'checked' : ''}>${l}</label>`).join('')}
+          <button class="mini-btn sch-preset" data-days="1,2,3,4,5">${this._t('schedForm.weekdays')}</button>
+          <button class="mini-btn sch-preset" data-days="0,1,2,3,4,5,6">${this._t('schedForm.everyDay')}</button>
+        </div>
+        <div class="form-grid">
+          <div><label class="form-label" for="sch-start-t">${this._t('schedForm.startAt')}</label><input id="sch-start-t" type="time" class="form-input" value="${state.builder.start}"></div>
+          <div><label class="form-label" for="sch-stop-t">${this._t('schedForm.stopAt')}</label><input id="sch-stop-t" type="time" class="form-input" value="${state.builder.stop}"></div>
+        </div>
+      </div>
+      <div id="sch-raw" ${state.mode === 'raw' ? '' : 'hidden'}>
+        <div class="form-grid">
+          <div><label class="form-label" for="sch-start-c">${this._t('schedForm.startCron')}</label><input id="sch-start-c" class="form-input mono" value="${this._esc(startCron)}" placeholder="0 9 * * 1-5"></div>
+          <div><label class="form-label" for="sch-stop-c">${this._t('schedForm.stopCron')}</label><input id="sch-stop-c" class="form-input mono" value="${this._esc(stopCron)}" placeholder="0 19 * * 1-5"></div>
+        </div>
+      </div>
+      <div id="sch-check" class="sch-check"></div>
+      <div id="sch-preview"></div>
+      <div id="sch-error" class="form-error" hidden></div>`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       <button class="cta-btn primary" id="sch-save">${this._t(orig ? 'action.save' : 'action.create')}</button>`);
+    modal.classList.add('wide');
+
+    const $  = sel => modal.querySelector(sel);
+    const current = () => {
+      if (state.mode === 'raw') return { startCron: $('#sch-start-c').value.trim(), stopCron: $('#sch-stop-c').value.trim() };
+      state.builder = {
+        days:  Array.from(modal.querySelectorAll('.day-pick input:checked')).map(i => parseInt(i.value, 10)),
+        start: $('#sch-start-t').value || '00:00',
+        stop:  $('#sch-stop-t').value  || '00:00'
+      };
+      return state.builder.days.length ? this._builderToCrons(state.builder) : { startCron: '', stopCron: '' };
+    };
+
+    // Live validation and next-run preview
+    const update = () => {
+      const crons = current();
+      const zone  = $('#sch-tz').value;
+      const start = crons.startCron ? this._cronInfo(crons.startCron, zone, 4) : { error: this._t(state.mode === 'raw' ? 'schedForm.startRequired' : 'schedForm.pickDay') };
+      const stop  = crons.stopCron  ? this._cronInfo(crons.stopCron,  zone, 4) : { error: this._t('schedForm.stopRequired') };
+      const line  = (lbl, i) => `<div class="sch-line ${i.error || i.never ? 'bad' : ''}"><strong>${lbl}</strong>
+        ${i.error ? this._esc(i.error) : `${this._esc(i.text)}${i.never ? ` — ${this._t('schedForm.neverFires')}` : ''}`}
+        ${state.mode === 'builder' && i.expr ? `<code class="var-code">${this._esc(i.expr)}</code>` : ''}</div>`;
+      $('#sch-check').innerHTML = line(this._t('schedForm.start'), start) + line(this._t('schedForm.stop'), stop);
+
+      const runs = [].concat((start.next || []).map(ts => ({ ts, kind: 'start' })), (stop.next || []).map(ts => ({ ts, kind: 'stop' })))
+        .sort((a, b) => a.ts - b.ts).slice(0, 6);
+      $('#sch-preview').innerHTML = runs.length ? `
+        <div class="next-runs">
+          <div class="next-runs-title">${this._t('schedForm.nextRuns')}</div>
+          ${runs.map(u => `
+            <div class="next-run">
+              <span class="run-kind ${u.kind}">${u.kind === 'start' ? `▶ ${this._t('schedForm.start')}` : `■ ${this._t('schedForm.stop')}`}</span>
+              <span class="run-when">${this._fmtInTz(u.ts)}</span>
+            </div>`).join('')}
+        </div>` : '';
+
+      const ok = $('#sch-name').value.trim() && this._validTz(zone) &&
+        !start.error && !start.never && !stop.error && !stop.never;
+      $('#sch-save').disabled = !ok;
+      return ok ? crons : null;
+    };
+
+    modal.querySelectorAll('.sch-mode').forEach(b => b.addEventListener('click', () => {
+      if (b.dataset.mode === state.mode) return;
+      if (b.dataset.mode === 'raw') {
+        const crons = current();
+        $('#sch-start-c').value = crons.startCron;
+        $('#sch-stop-c').value  = crons.stopCron;
+      } else {
+        const back = this._cronsToBuilder($('#sch-start-c').value.trim(), $('#sch-stop-c').value.trim());
+        if (!back) {
+          const err = $('#sch-error');
+          err.textContent = this._t('schedForm.notBuildable');
+          err.hidden = false;
+          return;
+        }
+        modal.querySelectorAll('.day-pick input').forEach(i => { i.checked = back.days.indexOf(parseInt(i.value, 10)) !== -1; });
+        $('#sch-start-t').value = back.start;
+        $('#sch-stop-t').value  = back.stop;
+      }
+      state.mode = b.dataset.mode;
+      $('#sch-error').hidden = true;
+      modal.querySelectorAll('.sch-mode').forEach(x => x.classList.toggle('active', x === b));
+      $('#sch-builder').hidden = state.mode !== 'builder';
+      $('#sch-raw').hidden     = state.mode !== 'raw';
+      update();
+    }));
+    modal.querySelectorAll('.sch-preset').forEach(b => b.addEventListener('click', () => {
+      const days = b.dataset.days.split(',');
+      modal.querySelectorAll('.day-pick input').forEach(i => { i.checked = days.indexOf(i.value) !== -1; });
+      update();
+    }));
+    modal.querySelectorAll('input, select').forEach(el => {
+      el.addEventListener('input', update);
+      el.addEventListener('change', update);
+    });
+
+    $('#sch-save').addEventListener('click', async () => {
+      const crons = update();
+      if (!crons) return;
+      const payload = Object.assign({}, crons, {
+        name:     $('#sch-name').value.trim(),
+        timezone: $('#sch-tz').value,
+        enabled:  $('#sch-enabled').checked
+      });
+      const btn = $('#sch-save');
+      btn.disabled = true;
+      btn.textContent = this._t('schedForm.saving');
+      try {
+        const path  = `/clusters/${this.clusterId}/availability-schedule`;
+        const saved = orig
+          ? await this._apiSend('PUT',  `${path}/${orig.id}`, Object.assign({}, orig, payload))
+          : await this._apiSend('POST', path, payload);
+        this._closeModal();
+        this._upsertSchedule(Object.assign({}, orig || {}, payload, saved && typeof saved === 'object' ? saved : {}));
+      } catch (err) {
+        const box = $('#sch-error');
+        box.textContent = err.message;
+        box.hidden = false;
+        btn.textContent = this._t(orig ? 'action.save' : 'action.create');
+        btn.disabled = false;
+      }
+    });
+
+    update();
+    $('#sch-name').focus();
+  }
+
+  // Optimistic enable/disable; rolls back if the API refuses
+  async _toggleSchedule(id) {
+    const s = this._findSchedule(id);
+    if (!s) return;
+    const before  = this.schedule;
+    const enabled = s.enabled === false;
+    this._upsertSchedule(Object.assign({}, s, { enabled }));
+    try {
+      await this._apiSend('PUT', `/clusters/${this.clusterId}/availability-schedule/${s.id}`, Object.assign({}, s, { enabled }));
+    } catch (err) {
+      this.schedule = before;
+      if (this.activeTab === 'schedule') this._renderTabContent('schedule');
+      this._openModal(this._t('schedForm.toggleFailed'), `<div class="form-error">${this._esc(err.message)}</div>`,
+        `<button class="cta-btn secondary" data-close>${this._t('action.close')}</button>`);
+    }
+  }
+
+  _confirmDeleteSchedule(id) {
+    const s = this._findSchedule(id);
+    if (!s) return;
+    const modal = this._openModal(this._t('schedForm.titleDelete'), `
+      <div>${this._t('schedForm.deleteConfirm', { name: `<strong>${this._esc(s.name || s.scheduleName || this._t('schedForm.thisSchedule'))}</strong>` })}</div>
+      <div id="sch-error" class="form-error" hidden></div>`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       <button class="cta-btn danger" id="sch-delete">${this._t('action.delete')}</button>`);
+
+    modal.querySelector('#sch-delete').addEventListener('click', async e => {
+      e.target.disabled = true;
+      try {
+        await this._apiSend('DELETE', `/clusters/${this.clusterId}/availability-schedule/${s.id}`);
+        this._closeModal();
+        this.schedule = this._scheduleList().filter(x => String(x.id) !== String(s.id));
+        if (this.activeTab === 'schedule') this._renderTabContent('schedule');
+      } catch (err) {
+        const box = modal.querySelector('#sch-error');
+        box.textContent = err.message;
+        box.hidden = false;
+        e.target.disabled = false;
+      }
+    });
+  }
+
+  // Readable rendering of a cron with the raw expression underneath
+  _cronCell(info) {
+    if (!info) return '—';
+    const code = `<code class="var-code">${this._esc(info.expr)}</code>`;
+    if (info.error) return `${code} <span class="cron-flag bad" title="${this._esc(info.error)}">${this._t('cron.invalid')}</span><div class="cron-err">${this._esc(info.error)}</div>`;
+    return `<div class="cron-text">${this._esc(info.text)}${info.never
+      ? ` <span class="cron-flag warn" title="${this._t('cron.neverTitle')}">${this._t('cron.never')}</span>` : ''}</div>${code}`;
+  }
+
+  // ── Compare Tab ────────────────────────────────────────────────────────────
+
+  async _openComparePicker() {
+    const env   = this.env || {};
+    const modal = this._openModal(this._t('cmp.pickTitle'), `
+      <label class="form-label" for="cmp-select">${this._t('cmp.pickLabel', { project: this._esc(env.stackName || this._t('cmp.thisProject')) })}</label>
+      <select id="cmp-select" class="form-input"><option value="">${this._t('loading.environments')}</option></select>`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       ${this.compare ? `<button class="cta-btn danger" id="cmp-clear">${this._t('cmp.exit')}</button>` : ''}
+       <button class="cta-btn primary" id="cmp-go" disabled>${this._t('cmp.compare')}</button>`);
+
+    const sel = modal.querySelector('#cmp-select');
+    const go  = modal.querySelector('#cmp-go');
+    const clr = modal.querySelector('#cmp-clear');
+    sel.addEventListener('change', () => { go.disabled = !sel.value; });
+    go.addEventListener('click', () => { this._closeModal(); this._startCompare(sel.value); });
+    if (clr) clr.addEventListener('click', () => { this._closeModal(); this._stopCompare(); });
+
+    const data = await this._api(`/stacks/${encodeURIComponent(env.stackName || '')}/clusters-overview`);
+    const list = (!data ? [] : Array.isArray(data) ? data : (data.content || data.clusters || data.items || []))
+      .filter(c => (c.id || c.clusterId) !== this.clusterId)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    sel.innerHTML = !list.length
+      ? `<option value="">${this._t(data ? 'cmp.noOthers' : 'cmp.loadFailed')}</option>`
+      : `<option value="">${this._t('cmp.select')}</option>` + list.map(c => {
+          const id = c.id || c.clusterId;
+          return `<option value="${id}" ${this.compare && this.compare.clusterId === id ? 'selected' : ''}>${c.name || id}</option>`;
+        }).join('');
+    go.disabled = !sel.value;
+  }
+
+  _startCompare(clusterId) {
+    this.compare = { clusterId, data: null, error: null };
+    this._renderTabsNav();
+    this._switchTab('compare');
+  }
+
+  _stopCompare() {
+    this.compare = null;
+    if (this.activeTab === 'compare') this.activeTab = 'overview';
+    this._renderTabsNav();
+    this._renderTabContent(this.activeTab);
+  }
+
+  async _loadCompare() {
+    const cmp = this.compare;
+    cmp.error = null;
+    try {
+      const [other, otherRes] = await Promise.all([
+        this._fetchCore(cmp.clusterId),
+        this._fetchResources(cmp.clusterId),
+        this.resources ? null : this._loadTabData('resources')
+      ]);
+      if (!other.env) throw new Error(this._t('cmp.envFailed'));
+      // Either side missing would show every resource as a difference
+      if (!otherRes || !this.resources) throw new Error(this._t('cmp.resourcesFailed'));
+      other.resources = otherRes;
+      cmp.data = other;
+    } catch (err) {
+      cmp.error = err.message;
+    }
+    if (this.compare === cmp && this.activeTab === 'compare') this._renderTabContent('compare');
+  }
+
+  _buildCompareTab() {
+    const cmp = this.compare;
+    if (!cmp) return '';
+    if (cmp.error) return `
+      <div class="tab-panel">
+        <div class="boot-error" style="margin:0">
+          ${this._esc(cmp.error)}
+          <button class="mini-btn" id="cmp-retry">${this._t('error.retry')}</button>
+          <button class="mini-btn" id="cmp-exit">${this._t('cmp.exit')}</button>
+        </div>
+      </div>`;
+    if (!cmp.data || !this.resources) return `<div class="tab-panel"><div class="loading-inline">${this._t('loading.comparison')}</div></div>`;
+
+    const a     = this.env || {};
+    const b     = cmp.data.env || {};
+    const nameA = this._esc(a.name || this._t('cmp.this'));
+    const nameB = this._esc(b.name || this._t('cmp.other'));
+
+    const resMap = list => {
+      const items = !list ? [] : Array.isArray(list) ? list : (list.content || list.resources || list.items || []);
+      const m = {};
+      items.forEach(r => {
+        m[`${r.resourceType || r.type}/${r.resourceName || r.name}`] = {
+          enabled:  r.disabled === false || r.enabled === true || (!r.disabled && r.enabled !== false),
+          override: !!(r.override || r.overrideExists || r.hasOverride)
+        };
+      });
+      return m;
+    };
+    const varMap = vars => {
+      const m = {};
+      Object.entries(vars || {}).forEach(([k, v]) => {
+        m[k] = { type: this._t(v && v.secret ? 'vars.secret' : 'vars.variable'), status: this._varStatusLabel((v && v.status) || 'DEFAULT') };
+      });
+      return m;
+    };
+    const gov = e => ({
+      [this._t('gov.approval')]:     this._t(e.requireSignOff ? 'gov.yes' : 'gov.no'),
+      [this._t('gov.autoSignOff')]:  this._t(e.enableAutoSignOff ? 'gov.enabled' : 'gov.disabled'),
+      [this._t('gov.autoSchedule')]: e.autoSignOffSchedule || '—',
+      [this._t('header.releasesPaused')]: this._t(e.pauseReleases ? 'gov.paused' : 'gov.active'),
+      [this._t('gov.stream')]:       e.releaseStream || '—'
+    });
+    // Only fields that can match across environments are compared; release
+    // ids never do, so the id and finish time are shown alongside instead
+    const latest = ov => {
+      const d = ov && ov.latestDeployment;
+      return d ? {
+        [this._t('col.type')]:   d.releaseType || '—',
+        [this._t('col.status')]: d.status ? this._depStatusLabel(d.status) : '—'
+      } : {};
+    };
+    const latestCtx = (name, ov) => {
+      const d = ov && ov.latestDeployment;
+      return d ? this._t('cmp.latestContext', {
+        name, id: this._esc(d.releaseTraceId || d.id || '—'), when: this._esc(this._fmtDateTime(d.finishedOn || d.createdOn))
+      }) : '';
+    };
+
+    const resDiff = this._diffMaps(resMap(this.resources), resMap(cmp.data.resources));
+    const resDesc = v => !v ? '—'
+      : `${this._t(v.enabled ? 'resources.active' : 'resources.disabled')}${v.override ? ` · ${this._t('resources.override')}` : ''}`;
+
+    const sections = [
+      { title: this._t('cmp.versions'),      diff: this._diffMaps(a.componentVersions, b.componentVersions) },
+      { title: this._t('section.resources'), diff: resDiff, fmt: resDesc },
+      { title: this._t('cmp.variables'),     diff: this._diffMaps(varMap(a.variables), varMap(b.variables)),
+        fmt: v => !v ? '—' : `${v.type} · ${v.status}` },
+      { title: this._t('section.governance'), diff: this._diffMaps(gov(a), gov(b)) },
+      { title: this._t('cmp.latest'),        diff: this._diffMaps(latest(this.overview), latest(cmp.data.overview)),
+        note: [latestCtx(nameA, this.overview), latestCtx(nameB, cmp.data.overview)].filter(Boolean).join(' · ') }
+    ];
+
+    const kindLabel = {
+      removed: this._t('cmp.onlyIn', { name: nameA }),
+      added:   this._t('cmp.onlyIn', { name: nameB }),
+      changed: this._t('cmp.differs')
+    };
+    const same = sections.every(sec => !sec.diff.length);
+
+    return `
+      <div class="tab-panel">
+        <div class="sec-card" part="section">
+          <div class="sec-title-row">
+            <span class="sec-title">${this._t('cmp.comparing', { a: `<strong>${nameA}</strong>`, b: `<strong>${nameB}</strong>` })}</span>
+            <div class="sec-actions">
+              <button class="cta-btn secondary" id="cmp-change">${this._t('cmp.change')}</button>
+              <button class="cta-btn secondary" id="cmp-exit">${this._t('cmp.exit')}</button>
+            </div>
+          </div>
+          <p style="font-size:13px;color:var(--muted)">${this._t('cmp.note')}</p>
+        </div>
+        ${same ? `<div class="sec-card" part="section"><div class="empty-state">${this._t('empty.noDifferences')}</div></div>` : ''}
+        ${sections.filter(sec => sec.diff.length).map(sec => `
+          <div class="sec-card" part="section">
+            <div class="sec-title">${sec.title} (${sec.diff.length})</div>
+            ${sec.note ? `<p style="font-size:12px;color:var(--muted);margin-bottom:.5rem">${sec.note}</p>` : ''}
+            <div class="table-wrap">
+              <table class="data-table" part="table">
+                <thead><tr><th>${this._t('col.name')}</th><th>${this._t('cmp.difference')}</th><th>${nameA}</th><th>${nameB}</th></tr></thead>
+                <tbody>
+                  ${sec.diff.map(d => `
+                    <tr>
+                      <td><code class="var-code">${this._esc(d.key)}</code></td>
+                      <td><span class="diff-kind ${d.kind}">${kindLabel[d.kind]}</span></td>
+                      <td>${this._esc(sec.fmt ? sec.fmt(d.from) : (d.from == null ? '—' : d.from))}</td>
+                      <td>${this._esc(sec.fmt ? sec.fmt(d.to)   : (d.to   == null ? '—' : d.to))}</td>
+                    </tr>`).join('')}
+                </tbody>
+              </table>
+            </div>
+          </div>`).join('')}
+      </div>`;
+  }
+
+  // Key-by-key diff of two flat maps: `added` only in `to`, `removed` only in `from`
+  _diffMaps(from, to) {
+    from = from || {}; to = to || {};
+    const keys = Array.from(new Set(Object.keys(from).concat(Object.keys(to)))).sort();
+    const out  = [];
+    keys.forEach(key => {
+      const inA = Object.prototype.hasOwnProperty.call(from, key);
+      const inB = Object.prototype.hasOwnProperty.call(to, key);
+      if (inA && !inB) out.push({ key, kind: 'removed', from: from[key], to: undefined });
+      else if (!inA && inB) out.push({ key, kind: 'added', from: undefined, to: to[key] });
+      else if (JSON.stringify(from[key]) !== JSON.stringify(to[key]))
+        out.push({ key, kind: 'changed', from: from[key], to: to[key] });
+    });
+    return out;
+  }
+
+  // ── Lineage Tab ────────────────────────────────────────────────────────────
+
+  _hasLineage() {
+    const env = this.env || {};
+    const ds  = (this.overview && this.overview.downStreamClusterNames) || [];
+    return !!(env.baseClusterName || env.baseClusterId || env.cdPipelineParent || ds.length);
+  }
+
+  // Walks base / CD-parent / downstream links breadth-first from this
+  // environment. Names are resolved to ids through the project's
+  // clusters-overview; each related cluster's overview is fetched once.
+  async _loadLineage() {
+    const MAX  = 30;
+    const env  = this.env || {};
+    const lin  = this.lineage = { nodes: null, edges: null, error: null };
+    try {
+      const data  = await this._api(`/stacks/${encodeURIComponent(env.stackName || '')}/clusters-overview`);
+      const list  = !data ? [] : Array.isArray(data) ? data : (data.content || data.clusters || data.items || []);
+      const entry = {};
+      list.forEach(c => { entry[c.name || c.clusterName] = c; });
+
+      const nodes = {};
+      const edges = {};
+      const link  = (from, to, kind) => {
+        const k = `${from}\u0000${to}`;
+        (edges[k] = edges[k] || { from, to, kinds: [] }).kinds.indexOf(kind) === -1 && edges[k].kinds.push(kind);
+      };
+      const add   = (name, level) => {
+        if (!name || nodes[name] || Object.keys(nodes).length >= MAX) return null;
+        const e = entry[name];
+        return (nodes[name] = { name, level, id: e ? e.id : null, entry: e || null, overview: null });
+      };
+
+      const self = add(env.name, 0);
+      self.id = this.clusterId;
+      self.overview = this.overview;
+      self.current = true;
+
+      let frontier = [self];
+      while (frontier.length) {
+        await Promise.all(frontier.filter(n => !n.overview && n.id).map(async n => {
+          n.overview = await this._api(`/clusters/${n.id}/deployments/overview`);
+        }));
+        const next = [];
+        frontier.forEach(n => {
+          const e  = (n.overview && n.overview.cluster) || {};
+          const up = [[e.baseClusterName, 'base'], [e.cdPipelineParent, 'pipeline']];
+          up.forEach(([p, kind]) => {
+            if (!p) return;
+            link(p, n.name, kind);
+            const added = add(p, n.level - 1);
+            if (added) next.push(added);
+          });
+          const down = ((n.overview && n.overview.downStreamClusterNames) || []).map(c => [c, 'pipeline'])
+            .concat(list.filter(c => (c.baseClusterName || (c.cluster && c.cluster.baseClusterName)) === n.name)
+              .map(c => [c.name || c.clusterName, 'base']));
+          down.forEach(([c, kind]) => {
+            link(n.name, c, kind);
+            const added = add(c, n.level + 1);
+            if (added) next.push(added);
+          });
+        });
+        frontier = next;
+      }
+
+      lin.nodes = Object.keys(nodes).map(k => nodes[k]);
+      lin.edges = Object.keys(edges).map(k => edges[k]).filter(e => nodes[e.from] && nodes[e.to]);
+      lin.truncated = Object.keys(nodes).length >= MAX;
+    } catch (err) {
+      lin.error = err.message;
+    }
+    if (this.lineage === lin && this.activeTab === 'lineage') this._renderTabContent('lineage');
+  }
+
+  _buildLineageTab() {
+    const lin = this.lineage;
+    if (this.snapshotMeta) {
+      return `<div class="tab-panel"><div class="sec-card" part="section"><div class="empty-state">
+        ${this._t('empty.lineageSnapshot')}
+      </div></div></div>`;
+    }
+    if (lin && lin.error) return `<div class="tab-panel"><div class="boot-error" style="margin:0">${this._esc(lin.error)}</div></div>`;
+    if (!lin || !lin.nodes) return `<div class="tab-panel"><div class="loading-inline">${this._t('loading.lineage')}</div></div>`;
+
+    return `
+      <div class="tab-panel">
+        <div class="sec-card" part="section">
+          <div class="sec-title-row">
+            <span class="sec-title">${this._t('section.lineage', { count: lin.nodes.length })}</span>
+          </div>
+          <div class="lineage-wrap">${this._lineageSvg(lin)}</div>
+          <div class="ch-legend">
+            <span><i style="background:var(--muted)"></i>${this._t('lineage.promotes')}</span>
+            <span><i class="dashed"></i>${this._t('lineage.basedOn')}</span>
+            <span>${this._t('lineage.hint')}</span>
+          </div>
+          ${lin.truncated ? `<div class="sec-note">${this._t('lineage.truncated', { count: lin.nodes.length })}</div>` : ''}
+        </div>
+      </div>`;
+  }
+
+  // Layered left-to-right layout: upstream columns left of this environment,
+  // downstream columns to the right.
+  _lineageSvg(lin) {
+    const W = 190, H = 62, GX = 70, GY = 18, PAD = 12;
+    const levels = Array.from(new Set(lin.nodes.map(n => n.level))).sort((a, b) => a - b);
+    const pos    = {};
+    let rows = 0;
+    levels.forEach((lv, col) => {
+      const inCol = lin.nodes.filter(n => n.level === lv).sort((a, b) => a.name.localeCompare(b.name));
+      inCol.forEach((n, row) => { pos[n.name] = { x: PAD + col * (W + GX), y: PAD + row * (H + GY) }; });
+      rows = Math.max(rows, inCol.length);
+    });
+    const width  = PAD * 2 + levels.length * W + (levels.length - 1) * GX;
+    const height = PAD * 2 + rows * H + (rows - 1) * GY;
+    const trunc  = (s, n) => s.length > n ? `${s.slice(0, n - 1)}…` : s;
+
+    const edges = lin.edges.map(e => {
+      const a = pos[e.from], b = pos[e.to];
+      const x1 = a.x + W, y1 = a.y + H / 2, x2 = b.x, y2 = b.y + H / 2;
+      const dx = Math.max(40, Math.abs(x2 - x1) / 2);
+      const dashed = e.kinds.indexOf('pipeline') === -1;
+      return `<path class="ln-edge ${dashed ? 'dashed' : ''}" d="M${x1},${y1} C${x1 + dx},${y1} ${x2 - dx},${y2} ${x2},${y2}" marker-end="url(#ln-arrow)">
+        <title>${this._esc(e.from)} → ${this._esc(e.to)} (${e.kinds.map(k => this._t(k === 'base' ? 'lineage.base' : 'lineage.pipeline')).join(', ')})</title></path>`;
+    }).join('');
+
+    const nodes = lin.nodes.map(n => {
+      const p   = pos[n.name];
+      const e   = (n.overview && n.overview.cluster) || {};
+      const st  = e.clusterState || (n.entry && n.entry.clusterState) || 'UNKNOWN';
+      const sc  = this._stateConf(st);
+      const rel = n.overview && n.overview.latestDeployment
+        ? { status: n.overview.latestDeployment.status, type: n.overview.latestDeployment.releaseType,
+            when: n.overview.latestDeployment.finishedOn || n.overview.latestDeployment.createdOn }
+        : n.entry ? this._dashTileRelease(n.entry) : {};
+      const dc  = this._depStatusConf(rel.status);
+      const missing = !n.id;
+      return `
+        <g class="ln-node ${n.current ? 'current' : ''} ${missing ? 'missing' : ''}" ${!missing && !n.current ? `data-cluster-id="${this._esc(n.id)}"` : ''}
+           transform="translate(${p.x},${p.y})">
+          <title>${this._esc(n.name)} — ${missing ? this._t('lineage.notFoundTitle') : sc.label}</title>
+          <rect width="${W}" height="${H}" rx="7" />
+          <text x="12" y="20" class="ln-name">${this._esc(trunc(n.name, 22))}</text>
+          ${missing ? `<text x="12" y="40" class="ln-sub">${this._t('lineage.notFound')}</text>` : `
+            <circle cx="16" cy="36" r="4" style="fill:${sc.dot}" />
+            <text x="26" y="40" class="ln-sub" style="fill:${sc.color}">${sc.label}</text>
+            <text x="12" y="55" class="ln-rel">${rel.status
+              ? `<tspan style="fill:${dc.color}">${dc.icon} ${this._esc(this._depStatusLabel(rel.status))}</tspan> · ${this._esc(rel.type || '')} ${rel.when ? '· ' + this._fmtRel(rel.when) : ''}`
+              : this._t('card.noReleases')}</text>`}
+        </g>`;
+    }).join('');
+
+    return `
+      <svg class="lineage" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <defs>
+          <marker id="ln-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M0,0 L10,5 L0,10 z" style="fill:var(--edge)" />
+          </marker>
+        </defs>
+        ${edges}${nodes}
+      </svg>`;
+  }
+
+  // ── Drift Tab ──────────────────────────────────────────────────────────────
+
+  async _loadDrift() {
+    const env   = this.env || {};
+    const drift = this.drift = { data: null, error: null };
+    try {
+      const [core, baseRes, mine] = await Promise.all([
+        this._fetchCore(env.baseClusterId),
+        this._fetchResources(env.baseClusterId, true),
+        this._loadResourceContent()
+      ]);
+      if (!core.env) throw new Error(this._t('drift.baseFailed', { name: env.baseClusterName || env.baseClusterId }));
+      if (!baseRes || !mine) throw new Error(this._t('drift.contentFailed'));
+      drift.data = Object.assign(core, { resources: baseRes });
+    } catch (err) {
+      drift.error = err.message;
+    }
+    if (this.drift === drift && this.activeTab === 'drift') this._renderTabContent('drift');
+  }
+
+  // Base → this environment, one entry per differing key. `added` exists only
+  // here, `removed` only in the base.
+  _driftSections() {
+    const base   = this.drift.data;
+    const a      = base.env || {};
+    const b      = this.env || {};
+    const parse  = v => { if (typeof v !== 'string') return v; try { return JSON.parse(v); } catch { return v; } };
+    const resMap = list => {
+      const items = !list ? [] : Array.isArray(list) ? list : (list.content || list.resources || list.items || []);
+      const m = {};
+      items.forEach(r => { m[`${r.resourceType || r.type}/${r.resourceName || r.name}`] = r; });
+      return m;
+    };
+    const varMap = vars => {
+      const m = {};
+      Object.entries(vars || {}).forEach(([k, v]) => {
+        m[k] = v && v.secret ? { secret: true } : { value: v && v.value != null ? String(v.value) : null };
+      });
+      return m;
+    };
+    const enabled = r => r.disabled === false || r.enabled === true || (!r.disabled && r.enabled !== false);
+    const enabledMap = map => {
+      const m = {};
+      Object.keys(map).forEach(k => { m[k] = this._t(enabled(map[k]) ? 'resources.active' : 'resources.disabled'); });
+      return m;
+    };
+    const overrideMap = map => {
+      const m = {};
+      Object.keys(map).forEach(k => {
+        const r = map[k];
+        const o = parse(r.overrides || r.overrideContent || r.overriddenContent);
+        if (o && typeof o === 'object' && Object.keys(o).length) m[k] = this._stableJson(o);
+        else if (r.override || r.overrideExists || r.hasOverride) m[k] = '(override)';
+      });
+      return m;
+    };
+
+    const baseRes = resMap(base.resources);
+    const mineRes = this.resContent || {};
+    return [
+      { id: 'vars', title: this._t('cmp.variables'), diff: this._diffMaps(varMap(a.variables), varMap(b.variables)),
+        fmt: v => !v ? '—' : v.secret ? this._t('drift.secret') : v.value == null ? this._t('vars.variable') : v.value },
+      { id: 'common', title: this._t('drift.common'),
+        diff: this._diffMaps(a.commonEnvironmentVariables, b.commonEnvironmentVariables) },
+      { id: 'enabled', title: this._t('drift.enablement'), diff: this._diffMaps(enabledMap(baseRes), enabledMap(mineRes)) },
+      { id: 'overrides', title: this._t('drift.overrides'), diff: this._diffMaps(overrideMap(baseRes), overrideMap(mineRes)),
+        fmt: v => !v ? this._t('drift.noOverride') : v === '(override)' ? this._t('resources.override')
+          : this._t('drift.overrideLines', { count: v.split('\n').length }) }
+    ];
+  }
+
+  _buildDriftTab() {
+    const env      = this.env || {};
+    const baseName = env.baseClusterName || this._t('drift.base');
+    if (this.snapshotMeta) {
+      return `<div class="tab-panel"><div class="sec-card" part="section"><div class="empty-state">
+        ${this._t('empty.driftSnapshot', { base: this._esc(baseName) })}
+      </div></div></div>`;
+    }
+    const drift = this.drift;
+    if (drift && drift.error) return `<div class="tab-panel"><div class="boot-error" style="margin:0">${this._esc(drift.error)}</div></div>`;
+    if (!drift || !drift.data) return `<div class="tab-panel"><div class="loading-inline">${this._t('loading.base')}</div></div>`;
+
+    const sections = this._driftSections();
+    const all      = sections.reduce((acc, s) => acc.concat(s.diff), []);
+    const count    = k => all.filter(d => d.kind === k).length;
+    const label    = { added: this._t('drift.added'), removed: this._t('drift.removed'), changed: this._t('drift.changed') };
+    const name     = env.name || this._t('drift.thisEnv');
+
+    return `
+      <div class="tab-panel">
+        <div class="sec-card" part="section">
+          <div class="sec-title-row">
+            <span class="sec-title">${this._t('drift.title', { base: `<strong>${this._esc(baseName)}</strong>` })}</span>
+            <div class="sec-actions">
+              <button class="cta-btn secondary" id="drift-open-base">${this._t('drift.openBase')}</button>
+              <button class="cta-btn secondary" id="drift-reload">↻ ${this._t('drift.recheck')}</button>
+            </div>
+          </div>
+          <p style="font-size:13px;color:var(--muted)">
+            ${all.length
+              ? this._t('drift.summary', { count: all.length, added: count('added'), removed: count('removed'), changed: count('changed'), name: this._esc(name) })
+              : this._t('drift.matches', { name: this._esc(name) })}
+            ${this._t('drift.secretNote')}
+          </p>
+        </div>
+        ${sections.filter(sec => sec.diff.length).map(sec => `
+          <div class="sec-card" part="section">
+            <div class="sec-title">${sec.title} (${sec.diff.length})</div>
+            <div class="table-wrap">
+              <table class="data-table" part="table">
+                <thead><tr><th>${this._t('col.name')}</th><th>${this._t('drift.drift')}</th><th>${this._t('drift.baseCol', { name: this._esc(baseName) })}</th><th>${this._esc(name)}</th><th></th></tr></thead>
+                <tbody>
+                  ${sec.diff.map(d => `
+                    <tr>
+                      <td><code class="var-code">${this._esc(d.key)}</code></td>
+                      <td><span class="diff-kind ${d.kind}">${label[d.kind]}</span></td>
+                      <td>${this._esc(sec.fmt ? sec.fmt(d.from) : (d.from == null ? '—' : d.from))}</td>
+                      <td>${this._esc(sec.fmt ? sec.fmt(d.to)   : (d.to   == null ? '—' : d.to))}</td>
+                      <td>${sec.id === 'overrides' && d.from !== '(override)' && d.to !== '(override)'
+                        ? `<button class="mini-btn drift-diff-btn" data-key="${this._esc(d.key)}">${this._t('resources.diff')}</button>` : ''}</td>
+                    </tr>`).join('')}
+                </tbody>
+              </table>
+            </div>
+          </div>`).join('')}
+      </div>`;
+  }
+
+  // Base override → this environment's override for one resource
+  _openDriftOverrideDiff(key, mode) {
+    const sec  = this._driftSections().find(s => s.id === 'overrides');
+    const d    = sec && sec.diff.find(x => x.key === key);
+    if (!d) return;
+    const ops     = this._diffLines((d.from || '').split('\n').filter(Boolean), (d.to || '').split('\n').filter(Boolean));
+    const added   = ops.filter(o => o.op === '+').length;
+    const removed = ops.filter(o => o.op === '-').length;
+    const view    = mode || 'unified';
+    const modal   = this._openModal(this._t('drift.diffTitle', { key: this._esc(key) }), `
+      <div class="diff-toolbar">
+        <span class="diff-stat"><span class="diff-add">+${added}</span> <span class="diff-del">−${removed}</span></span>
+        <span class="diff-legend">${this._t('drift.diffLegend', { base: this._esc((this.env || {}).baseClusterName || this._t('drift.base')) })}</span>
+        <div class="seg">
+          <button class="seg-btn ${view === 'unified' ? 'active' : ''}" data-mode="unified">${this._t('diff.unified')}</button>
+          <button class="seg-btn ${view === 'split'   ? 'active' : ''}" data-mode="split">${this._t('diff.split')}</button>
+        </div>
+      </div>
+      ${!ops.length && (d.from || d.to) ? `<div class="form-error">${this._t('diff.tooLarge')}</div>`
+        : view === 'split' ? this._buildSplitDiff(ops) : this._buildUnifiedDiff(ops)}`);
+    modal.classList.add('wide');
+    modal.querySelectorAll('.seg-btn[data-mode]').forEach(b =>
+      b.addEventListener('click', () => this._openDriftOverrideDiff(key, b.dataset.mode)));
+  }
+
+  // ── Export ─────────────────────────────────────────────────────────────────
+
+  _openExport() {
+    const modal = this._openModal(this._t('export.title'), `
+      <p style="font-size:13px;color:var(--muted)">${this._t('export.intro')}</p>
+      <div class="export-opts">
+        <button class="export-opt" data-fmt="json"><strong>${this._t('export.json')}</strong><span>${this._t('export.jsonHint')}</span></button>
+        <button class="export-opt" data-fmt="md"><strong>${this._t('export.md')}</strong><span>${this._t('export.mdHint')}</span></button>
+        <button class="export-opt" data-fmt="print"><strong>${this._t('export.print')}</strong><span>${this._t('export.printHint')}</span></button>
+      </div>
+      <div class="export-status"></div>`);
+
+    modal.querySelectorAll('.export-opt[data-fmt]').forEach(b =>
+      b.addEventListener('click', async () => {
+        const status = modal.querySelector('.export-status');
+        status.textContent = this._t('export.collecting');
+        try {
+          const snap = await this.toSnapshot();
+          const base = this._exportFileName(snap);
+          if (b.dataset.fmt === 'json')  this._download(`${base}.json`, JSON.stringify(snap, null, 2), 'application/json');
+          if (b.dataset.fmt === 'md')    this._download(`${base}.md`, this._snapshotMarkdown(snap), 'text/markdown');
+          if (b.dataset.fmt === 'print') this._printReport(this._snapshotReportHtml(snap));
+          this._closeModal();
+        } catch (err) {
+          status.innerHTML = `<div class="form-error">${this._esc(err.message)}</div>`;
+        }
+      }));
+  }
+
+  async _ensureAllLoaded() {
+    await Promise.all(['resources', 'schedule'].map(t => this._loadTabData(t)));
+  }
+
+  // Exports carry the newest releases whatever the Releases tab is filtered
+  // or sorted by: reuse the loaded list when it is the unfiltered newest-first
+  // view, otherwise fetch a bounded first page.
+  async _snapshotReleases() {
+    const q  = this.relQuery;
+    const pg = this.relPaging;
+    const unfiltered = !(q.status || q.releaseType || q.triggeredBy || q.from || q.to)
+      && q.sort === 'createdOn' && q.dir === 'desc';
+    // Pages already loaded will do when they hold the newest 100 (or all there are)
+    const loaded = unfiltered && Array.isArray(this.deployments) &&
+      (this.deployments.length >= 100 || !this._hasMoreReleases());
+    if (this.snapshotMeta || loaded) {
+      return { list: (this.deployments || []).slice(0, 100), total: pg.totalElements };
+    }
+    const params = new URLSearchParams({ size: 100, page: 0, sort: 'createdOn,desc' });
+    const data   = await this._api(`/clusters/${this.clusterId}/deployments?${params}`);
+    if (!data) throw new Error(this._t('export.releasesFailed'));
+    const rows = Array.isArray(data) ? data : (data.content || data.deployments || data.items || []);
+    return { list: rows, total: data.totalElements != null ? data.totalElements : null };
+  }
+
+  async toSnapshot() {
+    if (!this.env) throw new Error(this._t('export.notLoaded'));
+    const [releases] = await Promise.all([this._snapshotReleases(), this._ensureAllLoaded()]);
+    const env = this.env;
+    return this._scrubSecrets({
+      format:  'environment-overview-snapshot',
+      version: 1,
+      takenAt: (this.snapshotMeta && this.snapshotMeta.takenAt) || new Date().toISOString(),
+      source:  { clusterId: this.clusterId, stackName: env.stackName || null, clusterName: env.name || null },
+      data: {
+        overview:       this.overview,
+        env:            this.env,
+        resourceStats:  this.resourceStats,
+        varCounts:      this.varCounts,
+        deployments:    releases.list,
+        deploymentsTotal: releases.total,
+        resources:      this.resources,
+        ingresses:      this.ingresses,
+        schedule:       this.schedule,
+        maintenanceWin: this.maintenanceWin
+      }
+    });
+  }
+
+  // Deep copy with secret values removed. Anything flagged `secret: true` keeps
+  // its metadata only, and value-bearing keys with secret-like names are dropped.
+  _scrubSecrets(obj) {
+    const valueKeys  = ['value', 'defaultValue', 'secretValue', 'currentValue'];
+    const secretKeys = /^(secretValue|password|passwd|privateKey|secretKey|accessKey|token|apiKey|clientSecret)$/i;
+    const walk = v => {
+      if (Array.isArray(v)) return v.map(walk);
+      if (!v || typeof v !== 'object') return v;
+      const out = {};
+      Object.keys(v).forEach(k => {
+        if (secretKeys.test(k) && typeof v[k] !== 'object') return;
+        if (v.secret === true && valueKeys.indexOf(k) !== -1) return;
+        out[k] = walk(v[k]);
+      });
+      return out;
+    };
+    return walk(obj);
+  }
+
+  _exportFileName(snap) {
+    const s  = snap.source;
+    const ts = snap.takenAt.replace(/[:T]/g, '-').slice(0, 16);
+    return `${s.stackName || 'project'}-${s.clusterName || s.clusterId}-${ts}`.replace(/[^\w.-]+/g, '_');
+  }
+
+  _download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a   = document.createElement('a');
+    a.href = url; a.download = filename;
+    this.shadowRoot.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  _printReport(html) {
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position:fixed;width:0;height:0;border:0;right:0;bottom:0';
+    document.body.appendChild(frame);
+    const doc = frame.contentWindow.document;
+    doc.open(); doc.write(html); doc.close();
+    setTimeout(() => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(() => frame.remove(), 1000);
+    }, 100);
+  }
+
+  // Plain rows shared by the Markdown and printable exports
+  _snapshotSections(snap) {
+    const d      = snap.data;
+    const env    = d.env || {};
+    const ov     = d.overview || {};
+    const ds     = ov.deploymentsStats || {};
+    const stats  = d.resourceStats || {};
+    const vc     = d.varCounts || {};
+    const latest = ov.latestDeployment;
+    const list   = x => !x ? [] : Array.isArray(x) ? x : (x.content || x.deployments || x.resources || x.schedules || x.items || []);
+    const depTotal = (ds.successReleases || 0) + (ds.failedReleases || 0) + (ds.noChangeReleases || 0);
+    const mw     = d.maintenanceWin;
+    const t      = (key, vars) => this._t(key, vars);
+
+    return {
+      title: `${env.stackName || '—'} › ${env.name || snap.source.clusterId}`,
+      summary: [
+        [t('card.state'),         this._stateConf(env.clusterState || 'UNKNOWN').label],
+        [t('report.cloud'),       env.cloud || '—'],
+        [t('infra.account'),      env.cloudAccountId || '—'],
+        [t('gov.stream'),         env.releaseStream || '—'],
+        [t('ready.branch'),       env.branch || '—'],
+        [t('col.timezone'),       env.tz || '—'],
+        [t('section.resources'),  t('report.resources', { total: stats.totalCount || stats.total || 0, active: stats.enabledCount || stats.activeCount || 0 })],
+        [t('report.variables'),   `${vc.variableCount || vc.variables || 0} / ${vc.secretCount || vc.secrets || 0}`],
+        [t('card.lastRelease'),   latest ? `${latest.releaseType || ''} ${this._depStatusLabel(latest.status)} (${this._fmtDateTime(latest.finishedOn || latest.createdOn)})` : '—'],
+        [t('card.deployHealth'),  depTotal ? `${Math.round((ds.successReleases || 0) / depTotal * 100)}% — ${t('card.deploySplit', { ok: ds.successReleases || 0, failed: ds.failedReleases || 0, none: ds.noChangeReleases || 0 })}` : '—'],
+        [t('gov.approval'),       t(env.requireSignOff ? 'gov.yes' : 'gov.no')],
+        [t('header.releasesPaused'), t(env.pauseReleases ? 'gov.yes' : 'gov.no')],
+        [t('section.maintenance'), mw && mw.enabled ? `${mw.startCron || mw.startTime || '?'} → ${mw.endCron || mw.endTime || '?'}` : t('mw.inactive')]
+      ],
+      releases: {
+        head: [t('col.type'), t('col.status'), t('col.triggeredBy'), t('col.started'), t('col.duration'), t('col.changes')],
+        rows: list(d.deployments).map(r => [r.releaseType || '—', r.status ? this._depStatusLabel(r.status) : '—', r.triggeredBy || '—',
+          this._fmtDateTime(r.createdOn) || '—', r.timeTakenInSeconds ? this._fmtDur(r.timeTakenInSeconds) : '—',
+          String((r.changesApplied && r.changesApplied.length) || 0)])
+      },
+      resources: {
+        head: [t('col.type'), t('col.name'), t('col.status'), t('resources.override')],
+        rows: list(d.resources).map(r => {
+          const enabled = r.disabled === false || r.enabled === true || (!r.disabled && r.enabled !== false);
+          return [r.resourceType || r.type || '—', r.resourceName || r.name || '—', t(enabled ? 'resources.active' : 'resources.disabled'),
+            (r.override || r.overrideExists || r.hasOverride) ? t('gov.yes') : '—'];
+        })
+      },
+      variables: {
+        head: [t('col.name'), t('col.type'), t('col.status')],
+        rows: Object.entries(env.variables || {}).map(([k, v]) => [k, t(v && v.secret ? 'vars.secret' : 'vars.variable'),
+          this._varStatusLabel((v && v.status) || 'DEFAULT')])
+      },
+      schedules: {
+        head: [t('col.name'), t('col.start'), t('col.stop'), t('col.timezone'), t('col.status')],
+        rows: list(d.schedule).map(x => [x.name || x.scheduleName || '—', x.startCron || x.startExpression || '—',
+          x.stopCron || x.stopExpression || '—', x.timezone || x.tz || '—', t(x.enabled !== false ? 'resources.active' : 'resources.disabled')])
+      }
+    };
+  }
+
+  _snapshotMarkdown(snap) {
+    const sec  = this._snapshotSections(snap);
+    const cell = v => String(v).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const table = t => !t.rows.length ? `_${this._t('report.none')}_\n` :
+      `| ${t.head.join(' | ')} |\n| ${t.head.map(() => '---').join(' | ')} |\n` +
+      t.rows.map(r => `| ${r.map(cell).join(' | ')} |`).join('\n') + '\n';
+
+    return [
+      `# ${sec.title}`,
+      `_${this._t('report.taken', { time: this._fmtDateTime(snap.takenAt), version: snap.version })}_`,
+      `## ${this._t('report.summary')}`,
+      sec.summary.map(([k, v]) => `- **${k}:** ${v}`).join('\n'),
+      `## ${this._t('report.releases')} (${sec.releases.rows.length})`, table(sec.releases),
+      `## ${this._t('section.resources')} (${sec.resources.rows.length})`, table(sec.resources),
+      `## ${this._t('report.variables')} (${sec.variables.rows.length})`, table(sec.variables),
+      `## ${this._t('section.schedules')} (${sec.schedules.rows.length})`, table(sec.schedules)
+    ].join('\n\n') + '\n';
+  }
+
+  _snapshotReportHtml(snap) {
+    const sec   = this._snapshotSections(snap);
+    const e     = v => this._esc(v);
+    const table = t => !t.rows.length ? `<p class="none">${e(this._t('report.none'))}</p>` : `
+      <table>
+        <thead><tr>${t.head.map(h => `<th>${e(h)}</th>`).join('')}</tr></thead>
+        <tbody>${t.rows.map(r => `<tr>${r.map(c => `<td>${e(c)}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`;
+
+    return `<!DOCTYPE html>
+      <html lang="${e(this._lang())}"><head><meta charset="UTF-8"><title>${e(sec.title)}</title>
+      <style>
+        @page { margin: 16mm; }
+        body  { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; font-size: 11px; color: #111; }
+        h1    { font-size: 18px; margin: 0 0 2px; }
+        h2    { font-size: 13px; margin: 18px 0 6px; border-bottom: 1px solid #ccc; padding-bottom: 3px; }
+        .meta { color: #666; margin-bottom: 10px; }
+        dl    { display: grid; grid-template-columns: 160px 1fr; gap: 3px 12px; margin: 0; }
+        dt    { color: #666; }
+        dd    { margin: 0; font-weight: 600; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e5e5e5; }
+        th    { font-size: 10px; text-transform: uppercase; color: #555; background: #f5f5f5; }
+        tr    { page-break-inside: avoid; }
+        .none { color: #888; font-style: italic; }
+      </style></head>
+      <body>
+        <h1>${e(sec.title)}</h1>
+        <div class="meta">${e(this._t('report.meta', { time: this._fmtDateTime(snap.takenAt), version: snap.version }))}</div>
+        <h2>${e(this._t('report.summary'))}</h2>
+        <dl>${sec.summary.map(([k, v]) => `<dt>${e(k)}</dt><dd>${e(v)}</dd>`).join('')}</dl>
+        <h2>${e(this._t('report.releases'))} (${sec.releases.rows.length})</h2>${table(sec.releases)}
+        <h2>${e(this._t('section.resources'))} (${sec.resources.rows.length})</h2>${table(sec.resources)}
+        <h2>${e(this._t('report.variables'))} (${sec.variables.rows.length})</h2>${table(sec.variables)}
+        <h2>${e(this._t('section.schedules'))} (${sec.schedules.rows.length})</h2>${table(sec.schedules)}
+      </body></html>`;
+  }
+
+  // ── Snapshot viewer ────────────────────────────────────────────────────────
+
+  _applySnapshot(doc) {
+    const data = doc && doc.data ? doc.data : doc;
+    const env  = data && (data.env || (data.overview && data.overview.cluster));
+    if (!env) throw new Error(this._t('snapshot.invalid'));
+
+    const liveClusterId = this.snapshotMeta ? this.snapshotMeta.liveClusterId : this.clusterId;
+    this._stopDashboardRefresh();
+    this._stopLive();
+    this._closeLogTail();
+    this._closeModal();
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.dashboard    = null;
+    this.compare      = null;
+
+    this._resetData();
+    this._snapshotDoc = doc;
+    this.snapshotMeta = { takenAt: doc.takenAt || null, source: doc.source || {}, liveClusterId };
+    this.clusterId    = (doc.source && doc.source.clusterId) || env.id || env.clusterId || null;
+
+    // Missing sections render as empty rather than "Loading…"
+    this.overview       = data.overview || { cluster: env };
+    this.env            = env;
+    this.resourceStats  = data.resourceStats  || null;
+    this.varCounts      = data.varCounts      || null;
+    this.deployments    = data.deployments    || [];
+    this.resources      = data.resources      || [];
+    this.ingresses      = data.ingresses      || [];
+    this.schedule       = data.schedule       || [];
+    this.maintenanceWin = data.maintenanceWin || { enabled: false };
+    this.relPaging      = Object.assign(this.relPaging, {
+      page: 0, totalPages: 1, totalElements: data.deploymentsTotal != null ? data.deploymentsTotal : null, loading: false, error: null
+    });
+    this.isLoading      = false;
+    this.error          = null;
+    this.activeTab      = 'overview';
+    this._renderAll();
+  }
+
+  _exitSnapshot() {
+    const liveId = this.snapshotMeta && this.snapshotMeta.liveClusterId;
+    this.snapshotMeta = null;
+    this._snapshotDoc = null;
+    this.shadowRoot.querySelector('.wrapper').classList.remove('read-only');
+    if (liveId) return this._openCluster(liveId);
+    this._resetData();
+    this.clusterId = null;
+    this._showPicker();
+  }
 
-        <div class="sec-card">
-          <div class="sec-title-row">
-            <span class="sec-title">Maintenance Window</span>
-            <div class="sec-actions">
-              <button class="cta-btn secondary cta-btn" data-action="toggle-maintenance">
-                ${mwEnabled ? 'Disable' : 'Enable'} Maintenance
-              </button>
-            </div>
-          </div>
-          ${!mw ? '<div class="loading-inline">Loading…</div>' : `
-            <div class="info-grid">
-              <div class="info-row">
-                <span class="info-lbl">Status</span>
-                <span class="info-val">
-                  <span class="toggle-badge ${mwEnabled ? 'on' : 'off'}">${mwEnabled ? 'Active' : 'Inactive'}</span>
-                </span>
-              </div>
-              ${mwEnabled ? `
-                <div class="info-row">
-                  <span class="info-lbl">Start</span>
-                  <span class="info-val"><code class="var-code">${mw.startCron || mw.startTime || '—'}</code></span>
-                </div>
-                <div class="info-row">
-                  <span class="info-lbl">End</span>
-                  <span class="info-val"><code class="var-code">${mw.endCron || mw.endTime || '—'}</code></span>
-                </div>` : ''}
-            </div>`}
-        </div>
-      </div>`;
+  _attachDropListeners() {
+    const hasFile = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).indexOf('Files') !== -1;
+    const wrapper = () => this.shadowRoot.querySelector('.wrapper');
+
+    this.addEventListener('dragover', e => {
+      if (!hasFile(e)) return;
+      e.preventDefault();
+      wrapper().classList.add('drop-active');
+    });
+    this.addEventListener('dragleave', e => {
+      if (e.target === this) wrapper().classList.remove('drop-active');
+    });
+    this.addEventListener('drop', async e => {
+      if (!hasFile(e)) return;
+      e.preventDefault();
+      wrapper().classList.remove('drop-active');
+      const file = e.dataTransfer.files[0];
+      if (!file) return;
+      try {
+        this.snapshot = JSON.parse(await file.text());
+      } catch (err) {
+        this._openModal(this._t('snapshot.openFailed'),
+          `<div class="form-error">${this._esc(file.name)}: ${this._esc(err.message)}</div>`,
+          `<button class="cta-btn secondary" data-close>${this._t('action.close')}</button>`);
+      }
+    });
   }
 
   // ── CTA Handling ───────────────────────────────────────────────────────────
 
   _handleCTA(action, event) {
+    if (this.snapshotMeta) return;
     const env   = this.env || {};
     const depId = event && event.target
       ? (event.target.closest('[data-dep]') || {}).dataset && event.target.closest('[data-dep]').dataset.dep
@@ -1088,29 +4233,150 @@ class EnvironmentOverview extends HTMLElement {
       'scale-up':         `${base}/scale-up`,
       'scale-down':       `${base}/scale-down`,
       'resume-releases':  `${base}/settings?action=resume-releases`,
-      'add-variable':     `${base}/settings?tab=variables`,
-      'add-schedule':     `${base}/settings?tab=schedule`,
       'toggle-maintenance': `${base}/settings?tab=maintenance`,
       'manage-resources': `${base}/resources`,
       'open-cost':        `/projects/${env.stackName}/cost`,
       'destroy':          `${base}/destroy`
     };
 
-    if (action === 'approve' && depId) return this._navigate(`${base}/releases/${depId}?action=approve`);
-    if (action === 'reject'  && depId) return this._navigate(`${base}/releases/${depId}?action=reject`);
-    if (action === 'abort'   && depId) return this._navigate(`${base}/releases/${depId}?action=abort`);
+    if ((action === 'approve' || action === 'reject' || action === 'abort') && depId)
+      return this._openReleaseAction(action, depId);
+    if (action === 'add-schedule') return this._openScheduleEditor();
+    if (action === 'add-variable')     return this._openVariableEditor();
+    if (action === 'import-variables') return this._openVarImport();
+    if (action === 'export-variables') return this._openVarExport();
 
     const route = routes[action];
     if (route) this._navigate(route);
   }
 
   _navigate(route) {
+    if (this.snapshotMeta) return;   // a snapshot has no live pages to open
     this.dispatchEvent(new CustomEvent('facets-navigate', {
       bubbles: true, composed: true,
       detail: { route }
     }));
   }
 
+  // ── Modal ──────────────────────────────────────────────────────────────────
+
+  _openModal(title, bodyHtml, footerHtml) {
+    const root = this.shadowRoot.getElementById('modal-root');
+    root.innerHTML = `
+      <div class="modal-backdrop">
+        <div class="modal" part="modal" role="dialog" aria-modal="true">
+          <div class="modal-head">
+            <span class="modal-title">${title}</span>
+            <button class="modal-x" data-close>✕</button>
+          </div>
+          <div class="modal-body">${bodyHtml}</div>
+          ${footerHtml ? `<div class="modal-foot">${footerHtml}</div>` : ''}
+        </div>
+      </div>`;
+    root.querySelectorAll('[data-close]').forEach(b =>
+      b.addEventListener('click', () => this._closeModal()));
+    root.querySelector('.modal-backdrop').addEventListener('click', e => {
+      if (e.target.classList.contains('modal-backdrop')) this._closeModal();
+    });
+    return root.querySelector('.modal');
+  }
+
+  _closeModal() {
+    const root = this.shadowRoot.getElementById('modal-root');
+    if (root) root.innerHTML = '';
+  }
+
+  // ── Release actions (approve / reject / abort) ─────────────────────────────
+
+  _findRelease(depId) {
+    const ov   = this.overview || {};
+    const list = [].concat(ov.latestDeployment ? [ov.latestDeployment] : [],
+      ov.inProgressDeployments || [], this._releaseList());
+    return list.find(d => d && String(d.id) === String(depId)) || { id: depId };
+  }
+
+  _releaseList() {
+    const deps = this.deployments;
+    if (!deps) return [];
+    return Array.isArray(deps) ? deps : (deps.content || deps.deployments || deps.items || []);
+  }
+
+  _openReleaseAction(action, depId, error, comment) {
+    const d    = this._findRelease(depId);
+    const conf = {
+      approve: { title: this._t('relAction.approveTitle'), btn: this._t('banner.approve'), cls: 'primary' },
+      reject:  { title: this._t('relAction.rejectTitle'),  btn: this._t('banner.reject'),  cls: 'danger'  },
+      abort:   { title: this._t('relAction.abortTitle'),   btn: this._t('banner.abort'),   cls: 'danger'  }
+    }[action];
+    const dc      = this._depStatusConf(d.status);
+    const changes = (d.changesApplied && d.changesApplied.length) || 0;
+
+    const modal = this._openModal(conf.title, `
+      <div class="info-grid">
+        <div class="info-row"><span class="info-lbl">${this._t('cmp.release')}</span><span class="info-val">${d.releaseTraceId || d.id}</span></div>
+        <div class="info-row"><span class="info-lbl">${this._t('col.type')}</span><span class="info-val">${d.releaseType || '—'}</span></div>
+        <div class="info-row"><span class="info-lbl">${this._t('col.status')}</span>
+          <span class="info-val" style="color:${dc.color}">${dc.icon} ${d.status ? this._depStatusLabel(d.status) : '—'}</span></div>
+        <div class="info-row"><span class="info-lbl">${this._t('col.triggeredBy')}</span><span class="info-val">${d.triggeredBy || '—'}</span></div>
+        <div class="info-row"><span class="info-lbl">${this._t('col.started')}</span><span class="info-val" title="${this._fmtDateTime(d.createdOn)}">${d.createdOn ? this._fmtRel(d.createdOn) : '—'}</span></div>
+        <div class="info-row"><span class="info-lbl">${this._t('col.changes')}</span><span class="info-val">${this._fmtNum(changes)}</span></div>
+      </div>
+      <label class="form-label" for="action-comment">${this._t('relAction.comment')}</label>
+      <textarea id="action-comment" class="form-input" rows="3"
+        placeholder="${this._t('relAction.commentPlaceholder')}">${this._esc(comment || '')}</textarea>
+      ${error ? `<div class="form-error">${this._esc(error)}</div>` : ''}`,
+      `<button class="cta-btn secondary" data-close>${this._t('action.cancel')}</button>
+       <button class="cta-btn ${conf.cls}" id="action-confirm">${conf.btn}</button>`);
+
+    modal.querySelector('#action-confirm').addEventListener('click', () => {
+      const text = modal.querySelector('#action-comment').value.trim();
+      this._closeModal();
+      this._submitReleaseAction(action, depId, text);
+    });
+  }
+
+  async _submitReleaseAction(action, depId, comment) {
+    const same = d => d && String(d.id) === String(depId);
+    const ov   = this.overview || {};
+    const rel  = this._releaseList().find(same) ||
+      [ov.latestDeployment].concat(ov.inProgressDeployments || []).find(same);
+    const prevStatus = rel && rel.status;
+
+    this._applyReleaseStatus(depId, { approve: 'APPROVED', reject: 'REJECTED', abort: 'ABORTED' }[action]);
+
+    try {
+      await this._apiSend('POST', `/clusters/${this.clusterId}/deployments/${depId}/${action}`,
+        comment ? { comment } : {});
+      this._refreshOverview();
+    } catch (err) {
+      // Undo only this release's status, then reload — anything else may have
+      // moved on (live events, polling) while the request was out
+      if (prevStatus) this._applyReleaseStatus(depId, prevStatus);
+      this._refreshOverview();
+      if (Array.isArray(this.deployments)) this._loadReleases(true);
+      this._openReleaseAction(action, depId, err.message, comment);
+    }
+  }
+
+  // Optimistic update of the banner, cards and Releases row for one release
+  _applyReleaseStatus(depId, status) {
+    const same = d => d && String(d.id) === String(depId);
+    const ov   = this.overview;
+    if (ov) {
+      if (same(ov.latestDeployment)) ov.latestDeployment = Object.assign({}, ov.latestDeployment, { status });
+      if (status === 'ABORTED' && ov.inProgressDeployments)
+        ov.inProgressDeployments = ov.inProgressDeployments.filter(d => !same(d));
+    }
+    this._releaseList().forEach(d => { if (same(d)) d.status = status; });
+    this._rerenderReleaseViews();
+  }
+
+  _rerenderReleaseViews() {
+    this._renderBanners();
+    this._renderCards();
+    if (this.activeTab === 'releases') this._renderTabContent('releases');
+  }
+
   // ── Post-render event wiring ───────────────────────────────────────────────
 
   _attachTabListeners() {
@@ -1124,12 +4390,99 @@ class EnvironmentOverview extends HTMLElement {
         if (navigator.clipboard) {
           navigator.clipboard.writeText(b.dataset.url).then(() => {
             const orig = b.textContent;
-            b.textContent = 'Copied!';
+            b.textContent = this._t('action.copied');
             setTimeout(() => { b.textContent = orig; }, 2000);
           });
         }
       }));
 
+    root.querySelectorAll('.rel-filter').forEach(f =>
+      f.addEventListener('change', () => this._setReleaseQuery({ [f.dataset.key]: f.value.trim() })));
+
+    const relClear = root.getElementById('rel-clear');
+    if (relClear) relClear.addEventListener('click', () =>
+      this._setReleaseQuery({ status: '', releaseType: '', triggeredBy: '', from: '', to: '' }));
+
+    root.querySelectorAll('th.sortable[data-sort]').forEach(th =>
+      th.addEventListener('click', () => {
+        const q   = this.relQuery;
+        const dir = q.sort === th.dataset.sort && q.dir === 'desc' ? 'asc' : 'desc';
+        this._setReleaseQuery({ sort: th.dataset.sort, dir });
+      }));
+
+    root.querySelectorAll('.rel-row[data-rel-id]').forEach(tr =>
+      tr.addEventListener('click', e => {
+        if (e.target.closest('button')) return;
+        this._toggleReleaseDetail(tr.dataset.relId);
+      }));
+    root.querySelectorAll('.rel-detail-retry').forEach(btn =>
+      btn.addEventListener('click', () => {
+        delete this.relDetailErr[btn.dataset.relId];
+        this._renderTabContent('releases');
+        this._loadReleaseDetail(btn.dataset.relId);
+      }));
+
+    const varSearch = root.querySelector('.var-search');
+    if (varSearch) varSearch.addEventListener('input', () => {
+      this.varFilter.q = varSearch.value;
+      this._updateVarResults();
+    });
+    root.querySelectorAll('.var-filter').forEach(el =>
+      el.addEventListener('change', () => {
+        this.varFilter[el.dataset.key] = el.value;
+        this._updateVarResults();
+      }));
+    this._attachVarResultListeners();
+
+    root.querySelectorAll('.sched-act[data-sched]').forEach(b =>
+      b.addEventListener('click', () => {
+        const id = b.dataset.sched;
+        if (b.dataset.schedAct === 'edit')   this._openScheduleEditor(id);
+        if (b.dataset.schedAct === 'toggle') this._toggleSchedule(id);
+        if (b.dataset.schedAct === 'delete') this._confirmDeleteSchedule(id);
+      }));
+
+    root.querySelectorAll('.an-window[data-days]').forEach(b =>
+      b.addEventListener('click', () => this._setAnalyticsWindow(parseInt(b.dataset.days, 10))));
+
+    root.querySelectorAll('.ln-node[data-cluster-id]').forEach(g =>
+      g.addEventListener('click', () => this._openCluster(g.getAttribute('data-cluster-id'))));
+    const lineageOpen = root.getElementById('lineage-open');
+    if (lineageOpen) lineageOpen.addEventListener('click', () => this._switchTab('lineage'));
+
+    root.querySelectorAll('.drift-diff-btn[data-key]').forEach(b =>
+      b.addEventListener('click', () => this._openDriftOverrideDiff(b.dataset.key)));
+    const driftReload = root.getElementById('drift-reload');
+    if (driftReload) driftReload.addEventListener('click', () => {
+      this.drift = null;
+      this.resContent = null;
+      this._renderTabContent('drift');
+      this._loadTabData('drift');
+    });
+    const driftBase = root.getElementById('drift-open-base');
+    if (driftBase) driftBase.addEventListener('click', () => this._openCluster(this.env.baseClusterId));
+
+    const cmpChange = root.getElementById('cmp-change');
+    if (cmpChange) cmpChange.addEventListener('click', () => this._openComparePicker());
+    const cmpExit = root.getElementById('cmp-exit');
+    if (cmpExit) cmpExit.addEventListener('click', () => this._stopCompare());
+    const cmpRetry = root.getElementById('cmp-retry');
+    if (cmpRetry) cmpRetry.addEventListener('click', () => {
+      this.compare.error = null;
+      this._renderTabContent('compare');
+      this._loadCompare();
+    });
+
+    const relMore = root.getElementById('rel-more');
+    if (relMore) relMore.addEventListener('click', () => this._loadReleases(false));
+    const relRetry = root.getElementById('rel-retry');
+    if (relRetry) relRetry.addEventListener('click', () => {
+      const reset = this.relPaging.error.reset;
+      this.relPaging.error = null;
+      this._renderTabContent('releases');
+      this._loadReleases(reset);
+    });
+
     root.querySelectorAll('.dep-logs-btn').forEach(b =>
       b.addEventListener('click', () => {
         const env = this.env || {};
@@ -1139,11 +4492,25 @@ class EnvironmentOverview extends HTMLElement {
     root.querySelectorAll('.nav-btn[data-href]').forEach(b =>
       b.addEventListener('click', () => this._navigate(b.dataset.href)));
 
-    root.querySelectorAll('.view-res-btn').forEach(b =>
-      b.addEventListener('click', () => {
-        const env = this.env || {};
-        this._navigate(`/projects/${env.stackName}/environments/${env.name}/resources/${b.dataset.rtype}/${b.dataset.rname}`);
+    const resSearch = root.querySelector('.res-search');
+    if (resSearch) resSearch.addEventListener('input', () => {
+      this.resFilter.q = resSearch.value;
+      this._updateResourceResults();
+    });
+
+    root.querySelectorAll('.res-filter').forEach(el =>
+      el.addEventListener('change', () => {
+        this.resFilter[el.dataset.key] = el.type === 'checkbox' ? el.checked : el.value;
+        this._updateResourceResults();
+      }));
+
+    root.querySelectorAll('.type-tile[data-type]').forEach(t =>
+      t.addEventListener('click', () => {
+        this.resFilter.type = this.resFilter.type === t.dataset.type ? '' : t.dataset.type;
+        this._updateResourceResults();
       }));
+
+    this._attachResourceResultListeners();
   }
 
   _showBootError(msg) {
@@ -1169,28 +4536,28 @@ class EnvironmentOverview extends HTMLElement {
         <div class="picker-card">
           <div class="picker-title">
             <span class="picker-icon">🌐</span>
-            Environment Overview
+            ${this._t('picker.title')}
           </div>
-          <p class="picker-sub">Select a project and environment to view its overview.</p>
+          <p class="picker-sub">${this._t('picker.intro')}</p>
 
           <div class="picker-field">
-            <label class="picker-label">Project</label>
+            <label class="picker-label">${this._t('picker.project')}</label>
             <select id="proj-select" class="picker-select">
-              <option value="">Loading projects…</option>
+              <option value="">${this._t('loading.projects')}</option>
             </select>
           </div>
 
           <div class="picker-field" id="env-field" style="display:none">
-            <label class="picker-label">Environment</label>
+            <label class="picker-label">${this._t('header.environment')}</label>
             <select id="env-select" class="picker-select">
-              <option value="">Select environment…</option>
+              <option value="">${this._t('picker.selectEnv')}</option>
             </select>
           </div>
 
           <div id="picker-error" class="picker-error" style="display:none"></div>
 
           <button class="cta-btn primary picker-go" id="picker-go" disabled>
-            View Environment
+            ${this._t('picker.go')}
           </button>
         </div>
       </div>`;
@@ -1200,23 +4567,23 @@ class EnvironmentOverview extends HTMLElement {
   }
 
   async _loadPickerProjects() {
-    var data = await this._api('/cc-ui/v1/stacks/');
+    var data = await this._api('/stacks/');
     var sel  = this.shadowRoot.getElementById('proj-select');
     if (!sel) return;
 
     if (!data) {
-      sel.innerHTML = '<option value="">Failed to load projects</option>';
+      sel.innerHTML = '<option value="">' + this._t('picker.projectsFailed') + '</option>';
       return;
     }
 
     var list = Array.isArray(data) ? data : (data.content || data.stacks || data.items || []);
     if (!list.length) {
-      sel.innerHTML = '<option value="">No projects found</option>';
+      sel.innerHTML = '<option value="">' + this._t('picker.noProjects') + '</option>';
       return;
     }
 
     list.sort(function(a, b) { return (a.name || '').localeCompare(b.name || ''); });
-    sel.innerHTML = '<option value="">— Select project —</option>' +
+    sel.innerHTML = '<option value="">' + this._t('picker.selectProject') + '</option>' +
       list.map(function(s) {
         return '<option value="' + (s.name || s.stackName) + '">' + (s.name || s.stackName) + '</option>';
       }).join('');
@@ -1228,22 +4595,22 @@ class EnvironmentOverview extends HTMLElement {
     if (!envField || !sel) return;
 
     envField.style.display = 'block';
-    sel.innerHTML = '<option value="">Loading environments…</option>';
+    sel.innerHTML = '<option value="">' + this._t('loading.environments') + '</option>';
 
-    var data = await this._api('/cc-ui/v1/stacks/' + encodeURIComponent(stackName) + '/clusters-overview');
+    var data = await this._api('/stacks/' + encodeURIComponent(stackName) + '/clusters-overview');
     if (!data) {
-      sel.innerHTML = '<option value="">Failed to load environments</option>';
+      sel.innerHTML = '<option value="">' + this._t('cmp.loadFailed') + '</option>';
       return;
     }
 
     var list = Array.isArray(data) ? data : (data.content || data.clusters || data.items || []);
     if (!list.length) {
-      sel.innerHTML = '<option value="">No environments found</option>';
+      sel.innerHTML = '<option value="">' + this._t('picker.noEnvs') + '</option>';
       return;
     }
 
     list.sort(function(a, b) { return (a.name || '').localeCompare(b.name || ''); });
-    sel.innerHTML = '<option value="">— Select environment —</option>' +
+    sel.innerHTML = '<option value="">' + this._t('cmp.select') + '</option>' +
       list.map(function(c) {
         var state = c.clusterState || c.state || '';
         var id    = c.id || c.clusterId || '';
@@ -1265,7 +4632,7 @@ class EnvironmentOverview extends HTMLElement {
         var stack = projSel.value;
         var envField = root.getElementById('env-field');
         if (envField) envField.style.display = 'none';
-        if (envSel)  envSel.innerHTML = '<option value="">Select environment…</option>';
+        if (envSel)  envSel.innerHTML = '<option value="">' + self._t('picker.selectEnv') + '</option>';
         if (goBtn)   goBtn.disabled = true;
         if (stack) self._loadPickerEnvironments(stack);
       });
@@ -1281,20 +4648,519 @@ class EnvironmentOverview extends HTMLElement {
       goBtn.addEventListener('click', function() {
         var cid = envSel && envSel.value;
         if (!cid) return;
-        self.clusterId = cid;
-        // Reset data state
-        self.overview = null; self.env = null; self.resourceStats = null;
-        self.varCounts = null; self.deployments = null; self.resources = null;
-        self.ingresses = null; self.schedule = null; self.maintenanceWin = null;
-        self.isLoading = true;
-        // Re-render loading state
-        root.getElementById('tab-content').innerHTML = '';
-        root.getElementById('loading-overlay').style.display = 'flex';
-        self._loadData();
+        self._openCluster(cid);
       });
     }
   }
 
+  // Switch the component to another environment (picker, dashboard, lineage)
+  _openCluster(clusterId) {
+    this._stopDashboardRefresh();
+    this._stopLive();
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.dashboard = null;
+    this.clusterId = clusterId;
+    this.activeTab = 'overview';
+    this.error     = null;
+    this._resetData();
+    this._closeModal();
+    const root = this.shadowRoot;
+    root.getElementById('tab-content').innerHTML = '';
+    root.getElementById('loading-overlay').style.display = 'flex';
+    this._loadData();
+  }
+
+  // ── Project dashboard (stack-name only) ───────────────────────────────────
+
+  _showDashboard(stackName) {
+    this._stopLive();
+    this._closeLogTail();
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.dashboard = { stack: stackName, list: null, error: false };
+
+    const root = this.shadowRoot;
+    const lo   = root.getElementById('loading-overlay');
+    if (lo) lo.style.display = 'none';
+    root.getElementById('banners-section').innerHTML = '';
+    root.getElementById('cards-section').innerHTML   = '';
+    root.getElementById('tabs-nav').innerHTML        = '';
+    this._renderDashboard();
+    this._loadDashboard();
+  }
+
+  async _loadDashboard() {
+    const dash = this.dashboard;
+    if (!dash) return;
+    const data = await this._api(`/stacks/${encodeURIComponent(dash.stack)}/clusters-overview`);
+    if (this.dashboard !== dash) return;
+    if (data) {
+      dash.list  = (Array.isArray(data) ? data : (data.content || data.clusters || data.items || []))
+        .slice().sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      dash.error = false;
+    } else if (!dash.list) {
+      dash.error = true;
+    }
+
+    // Keep polling only while some environment is mid-transition
+    this._stopDashboardRefresh();
+    const activeStates = ['LAUNCHING','DESTROYING','SCALING_UP','SCALING_DOWN'];
+    const busy = (dash.list || []).some(c =>
+      activeStates.indexOf(c.clusterState || c.state) !== -1 || this._dashTileRelease(c).status === 'IN_PROGRESS');
+    if (busy) this.dashTimer = setTimeout(() => this._loadDashboard(), 15000);
+    this._renderDashboard();
+  }
+
+  _stopDashboardRefresh() {
+    if (this.dashTimer) clearTimeout(this.dashTimer);
+    this.dashTimer = null;
+  }
+
+  // clusters-overview entries vary in shape; pick the latest release from what is there
+  _dashTileRelease(c) {
+    const d = c.latestDeployment || c.lastDeployment || c.latestRelease || null;
+    return {
+      status: (d && d.status) || c.lastReleaseStatus || c.latestReleaseStatus || null,
+      type:   (d && d.releaseType) || c.lastReleaseType || null,
+      when:   (d && (d.finishedOn || d.createdOn)) || c.lastReleaseTime || null
+    };
+  }
+
+  _renderDashboard() {
+    const dash = this.dashboard;
+    const root = this.shadowRoot;
+    if (!dash) return;
+
+    root.getElementById('header-section').innerHTML = `
+      <div class="header" part="header">
+        <div class="header-top">
+          <div class="header-identity">
+            <div class="breadcrumb">
+              <span class="breadcrumb-env">${dash.stack}</span>
+            </div>
+            <div class="header-meta" style="margin-top:0">
+              ${dash.list ? `<span class="meta-item">${this._t('dash.count', { count: dash.list.length })}</span>` : ''}
+              ${this.dashTimer ? `<span class="meta-item live-ind on">● ${this._t('dash.autoRefresh')}</span>` : ''}
+            </div>
+          </div>
+          <div class="header-ctas">
+            <button class="refresh-btn" id="dash-refresh">${this._t('toolbar.refresh')}</button>
+          </div>
+        </div>
+      </div>`;
+    root.getElementById('dash-refresh').addEventListener('click', () => this._loadDashboard());
+
+    let body;
+    if (dash.error) {
+      body = `<div class="boot-error" style="margin:0">${this._t('dash.loadFailed')}</div>`;
+    } else if (!dash.list) {
+      body = `<div class="loading-inline">${this._t('loading.environments')}</div>`;
+    } else if (!dash.list.length) {
+      body = `<div class="empty-state">${this._t('empty.environments')}</div>`;
+    } else {
+      body = `
+        <div class="dash-grid">
+          ${dash.list.map(c => {
+            const id     = c.id || c.clusterId;
+            const sc     = this._stateConf(c.clusterState || c.state || 'UNKNOWN');
+            const rel    = this._dashTileRelease(c);
+            const dc     = rel.status ? this._depStatusConf(rel.status) : null;
+            const cloud  = c.cloud || 'NO_CLOUD';
+            const paused = c.pauseReleases || c.isScheduledReleasesPaused || c.releasesPaused;
+            const pending = rel.status === 'PENDING_APPROVAL' || c.pendingApproval || c.hasPendingApproval;
+            return `
+              <button class="dash-tile" part="card" data-cluster-id="${id}">
+                <div class="dash-tile-top">
+                  <span class="dash-name">${c.name || id}</span>
+                  <span class="state-pill sm"
+                    style="background:${sc.bg};color:${sc.color};border-color:${sc.border}">
+                    <span class="state-dot" style="background:${sc.dot}${sc.pulse?';animation:pulse 1.4s infinite':''}"></span>
+                    ${sc.label}
+                  </span>
+                </div>
+                <div class="dash-meta">
+                  <span class="cloud-badge">${this._cloudIcon(cloud)} ${cloud}</span>
+                  ${c.isEphemeral ? `<span class="tag tag-eph">${this._t('header.ephemeral')}</span>` : ''}
+                </div>
+                <div class="dash-rel">
+                  ${dc
+                    ? `<span style="color:${dc.color};font-weight:600">${dc.icon} ${this._esc(this._depStatusLabel(rel.status))}</span>
+                       ${rel.type ? `<span class="dash-sub">${rel.type}</span>` : ''}
+                       ${rel.when ? `<span class="dash-sub" title="${this._fmtDateTime(rel.when)}">· ${this._fmtRel(rel.when)}</span>` : ''}`
+                    : `<span class="card-na">${this._t('card.noReleases')}</span>`}
+                </div>
+                ${pending || paused ? `
+                  <div class="dash-flags">
+                    ${pending ? `<span class="tag tag-warn">⏳ ${this._t('status.PENDING_APPROVAL')}</span>` : ''}
+                    ${paused  ? `<span class="tag tag-warn">⏸ ${this._t('header.releasesPaused')}</span>` : ''}
+                  </div>` : ''}
+              </button>`;
+          }).join('')}
+        </div>`;
+    }
+
+    root.getElementById('tab-content').innerHTML = `<div class="tab-panel">${body}</div>`;
+    root.querySelectorAll('.dash-tile[data-cluster-id]').forEach(t =>
+      t.addEventListener('click', () => this._openCluster(t.dataset.clusterId)));
+  }
+
+  // ── Cron ───────────────────────────────────────────────────────────────────
+  // Understands 5-field Unix crons, 6-field crons with a leading seconds field
+  // and 7-field Quartz crons (trailing year, day-of-week 1 = Sunday), plus the
+  // usual @daily-style macros. L, W and # are reported as unsupported.
+
+  _parseCron(expr) {
+    const MACROS = {
+      '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *', '@monthly': '0 0 1 * *',
+      '@weekly': '0 0 * * 0', '@daily': '0 0 * * *', '@midnight': '0 0 * * *', '@hourly': '0 * * * *'
+    };
+    const src = String(expr || '').trim();
+    if (!src) return { error: this._t('cronErr.empty') };
+    const raw = MACROS[src.toLowerCase()] || src;
+    if (raw.charAt(0) === '@') return { error: this._t('cronErr.macro', { macro: src }) };
+
+    let parts = raw.split(/\s+/);
+    if (parts.length < 5 || parts.length > 7) return { error: this._t('cronErr.fields', { count: parts.length }) };
+    const quartz = parts.length === 7;
+    if (parts.length === 5) parts = ['0'].concat(parts);
+
+    const MONTHS = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC'];
+    const DAYS   = ['SUN','MON','TUE','WED','THU','FRI','SAT'];
+    const specs  = [
+      { name: 'second',       min: 0,    max: 59 },
+      { name: 'minute',       min: 0,    max: 59 },
+      { name: 'hour',         min: 0,    max: 23 },
+      { name: 'day-of-month', min: 1,    max: 31, days: true },
+      { name: 'month',        min: 1,    max: 12, names: MONTHS, base: 1 },
+      { name: 'day-of-week',  min: quartz ? 1 : 0, max: 7, names: DAYS, base: quartz ? 1 : 0, days: true },
+      { name: 'year',         min: 1970, max: 2199 }
+    ];
+
+    const fields = [];
+    for (let i = 0; i < parts.length; i++) {
+      const f = this._parseCronField(parts[i], specs[i]);
+      if (f.error) return { error: f.error };
+      fields.push(f);
+    }
+
+    // Normalise day-of-week to 0 = Sunday … 6 = Saturday
+    const dow = fields[5];
+    dow.values = Array.from(new Set(dow.values.map(v => quartz ? v - 1 : v % 7))).sort((a, b) => a - b);
+
+    return {
+      second: fields[0], minute: fields[1], hour: fields[2],
+      dom: fields[3], month: fields[4], dow, year: fields[6] || null
+    };
+  }
+
+  _parseCronField(text, spec) {
+    const bad = msg => ({ error: this._t(msg ? 'cronErr.invalidWhy' : 'cronErr.invalid',
+      { field: this._t(`cronField.${spec.name}`), text, why: msg }) });
+    if (/[LW#]/i.test(text.replace(/[A-Z]{3}/gi, ''))) return bad(this._t('cronErr.lw'));
+    const num = tok => {
+      if (/^\d+$/.test(tok)) return parseInt(tok, 10);
+      const i = spec.names ? spec.names.indexOf(tok.toUpperCase()) : -1;
+      return i === -1 ? NaN : i + spec.base;
+    };
+
+    const set = new Set();
+    for (const item of text.split(',')) {
+      const m = item.match(/^([^/]+)(?:\/(\d+))?$/);
+      if (!m) return bad();
+      const step = m[2] ? parseInt(m[2], 10) : 1;
+      if (step < 1) return bad(this._t('cronErr.step'));
+      let lo, hi;
+      if (m[1] === '*' || m[1] === '?') {
+        if (m[1] === '?' && !spec.days) return bad(this._t('cronErr.question'));
+        lo = spec.min; hi = spec.max;
+      } else if (m[1].indexOf('-') !== -1) {
+        const r = m[1].split('-');
+        if (r.length !== 2) return bad();
+        lo = num(r[0]); hi = num(r[1]);
+      } else {
+        lo = num(m[1]);
+        hi = m[2] ? spec.max : lo;
+      }
+      if (isNaN(lo) || isNaN(hi)) return bad();
+      if (lo < spec.min || hi > spec.max) return bad(this._t('cronErr.allowed', { min: spec.min, max: spec.max }));
+      if (lo > hi) return bad(this._t('cronErr.range'));
+      for (let v = lo; v <= hi; v += step) set.add(v);
+    }
+    return { any: text === '*' || text === '?', values: Array.from(set).sort((a, b) => a - b) };
+  }
+
+  _describeCron(expr) {
+    const c = typeof expr === 'string' ? this._parseCron(expr) : expr;
+    if (!c || c.error) return null;
+
+    const loc  = this._locale();
+    const day  = i => new Date(Date.UTC(2024, 0, 7 + i)).toLocaleDateString(loc, { timeZone: 'UTC', weekday: 'long' });
+    const mon  = m => new Date(Date.UTC(2024, m - 1, 1)).toLocaleDateString(loc, { timeZone: 'UTC', month: 'long' });
+    const pad  = n => String(n).padStart(2, '0');
+    const join = list => typeof Intl.ListFormat === 'function'
+      ? new Intl.ListFormat(loc, { type: 'conjunction' }).format(list)
+      : list.join(', ');
+    // Collapses runs of three or more consecutive values into "a–b"
+    const runs = (vals, fmt, fmtRange) => {
+      const out = [];
+      for (let i = 0; i < vals.length; i++) {
+        let j = i;
+        while (j + 1 < vals.length && vals[j + 1] === vals[j] + 1) j++;
+        if (j - i >= 2) { out.push(`${(fmtRange || fmt)(vals[i])}–${(fmtRange || fmt)(vals[j])}`); i = j; }
+        else out.push(fmt(vals[i]));
+      }
+      return join(out);
+    };
+    // Step of a "*/n" sequence, or 0
+    const stepOf = (vals, size) => {
+      if (vals.length < 2 || vals[0] !== 0) return 0;
+      const s = vals[1];
+      return vals.every((v, i) => v === i * s) && vals[vals.length - 1] + s >= size ? s : 0;
+    };
+
+    const secs = c.second.values, mins = c.minute.values, hours = c.hour.values;
+    const withSec = !(secs.length === 1 && secs[0] === 0);
+    const hhmm = (h, m, s) => `${pad(h)}:${pad(m)}${withSec ? `:${pad(s)}` : ''}`;
+
+    // Time of day: either fixed times ("at 09:00") or a repetition ("every 15 minutes")
+    let time, fixed = false;
+    if (secs.length === 1 && mins.length * hours.length <= 4) {
+      const times = [];
+      hours.forEach(h => mins.forEach(m => times.push(hhmm(h, m, secs[0]))));
+      time  = this._t('cron.at', { times: join(times) });
+      fixed = true;
+    } else {
+      const secStep = stepOf(secs, 60), minStep = stepOf(mins, 60), hourStep = stepOf(hours, 24);
+      if (secs.length === 60)                 time = this._t('cron.everySecond');
+      else if (secStep && mins.length === 60) time = this._t('cron.everySeconds', { count: secStep });
+      else if (mins.length === 60)            time = this._t('cron.everyMinute');
+      else if (minStep)                       time = this._t('cron.everyMinutes', { count: minStep });
+      else if (mins.length === 1 && hourStep) time = this._t('cron.everyHoursAt', { count: hourStep, minute: pad(mins[0]) });
+      else if (mins.length === 1)             time = this._t('cron.everyHourAt', { minute: pad(mins[0]) });
+      else                                    time = this._t('cron.atMinutes', { minutes: runs(mins, pad) });
+
+      if (hours.length < 24 && !(mins.length === 1 && hourStep)) {
+        if (hourStep) time = this._t('cron.andEveryHours', { time, count: hourStep });
+        else if (hours.length === hours[hours.length - 1] - hours[0] + 1)
+          time = this._t('cron.between', { time, from: `${pad(hours[0])}:00`, to: `${pad(hours[hours.length - 1])}:59` });
+        else          time = this._t('cron.duringHours', { time, hours: runs(hours, pad) });
+      }
+    }
+
+    // Days
+    const doms   = c.dom.values, dows = c.dow.values;
+    // Unless one field is * or ?, a day matching either field fires
+    const everyDay = c.dom.any ? c.dow.any || dows.length === 7
+      : c.dow.any ? doms.length === 31 : doms.length === 31 || dows.length === 7;
+    const ord    = n => this._t('cron.ordinal', { count: n, ordinal: true });
+    const onDays = () => this._t('cron.daysOfMonth', { days: runs(doms, ord) });
+    const onDows = () => dows.join() === '1,2,3,4,5' ? this._t('cron.weekdays')
+      : dows.join() === '0,6' ? this._t('cron.weekends')
+      : runs(dows, i => this._t('cron.everyWeekday', { day: day(i) }), day);
+
+    let days;
+    if (everyDay)          days = fixed ? this._t('cron.everyDay') : '';
+    else if (c.dom.any)    days = fixed ? onDows() : this._t('cron.on', { days: onDows() });
+    else if (c.dow.any)    days = this._t('cron.on', { days: onDays() });
+    else                   days = this._t('cron.onEither', { doms: onDays(), dows: onDows() });
+
+    let when = fixed ? this._t('cron.fixed', { days, time })
+      : days ? this._t('cron.repeating', { days, time }) : time;
+    if (c.month.values.length < 12) when = this._t('cron.in', { when, list: runs(c.month.values, mon) });
+    if (c.year && !c.year.any)      when = this._t('cron.in', { when, list: runs(c.year.values, String) });
+    return when.charAt(0).toUpperCase() + when.slice(1);
+  }
+
+  // Offset of `tz` from UTC, in ms, at instant `ts`
+  _tzOffset(ts, tz) {
+    this._tzFormatters = this._tzFormatters || {};
+    const f = this._tzFormatters[tz] || (this._tzFormatters[tz] = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+    const p = {};
+    f.formatToParts(new Date(ts)).forEach(x => { p[x.type] = parseInt(x.value, 10); });
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour % 24, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+  }
+
+  _validTz(tz) {
+    if (!tz) return false;
+    try { this._tzOffset(Date.now(), tz); return true; } catch (e) { return false; }
+  }
+
+  // Wall-clock time in `tz` → epoch ms (second pass settles DST transitions)
+  _zonedToUtc(y, mo, d, h, mi, s, tz) {
+    const wall = Date.UTC(y, mo, d, h, mi, s);
+    const off  = this._tzOffset(wall, tz);
+    const off2 = this._tzOffset(wall - off, tz);
+    return wall - off2;
+  }
+
+  // Next `count` fire times (epoch ms) after `from`, evaluated in `tz`.
+  // Walks forward one calendar day at a time and gives up after eight years,
+  // so expressions like "0 0 30 2 *" come back empty instead of looping.
+  _cronNext(expr, tz, count, from) {
+    const c = typeof expr === 'string' ? this._parseCron(expr) : expr;
+    if (!c || c.error) return [];
+    const zone  = this._validTz(tz) ? tz : 'UTC';
+    const start = from != null ? from : Date.now();
+    const today = new Date(start + this._tzOffset(start, zone));
+    const out   = [];
+
+    for (let i = 0; i < 366 * 8; i++) {
+      const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + i));
+      const y = day.getUTCFullYear(), mo = day.getUTCMonth(), d = day.getUTCDate();
+      if (c.year && c.year.values.indexOf(y) === -1) continue;
+      if (c.month.values.indexOf(mo + 1) === -1) continue;
+      const domHit = c.dom.values.indexOf(d) !== -1;
+      const dowHit = c.dow.values.indexOf(day.getUTCDay()) !== -1;
+      // When both day fields are restricted (neither is * or ?), cron fires if either matches
+      if (!(c.dom.any ? dowHit : c.dow.any ? domHit : domHit || dowHit)) continue;
+
+      // One zone lookup per hour; hours already past are skipped whole
+      for (const h of c.hour.values) {
+        const hourStart = this._zonedToUtc(y, mo, d, h, 0, 0, zone);
+        if (hourStart + 3600000 <= start) continue;
+        for (const mi of c.minute.values) {
+          for (const s of c.second.values) {
+            const ts = hourStart + (mi * 60 + s) * 1000;
+            if (ts <= start) continue;
+            out.push(ts);
+            if (out.length >= count) return out;
+          }
+        }
+      }
+    }
+    return out;
+  }
+
+  // Description, next runs and problems for one expression
+  _cronInfo(expr, tz, count) {
+    if (!expr) return null;
+    const c = this._parseCron(expr);
+    if (c.error) return { expr, error: c.error, next: [] };
+    const next = this._cronNext(c, tz, count || 5);
+    return { expr, text: this._describeCron(c), next, never: !next.length };
+  }
+
+  // Short weekday/date/time with zone name, in `tz` or the display timezone
+  _fmtInTz(ts, tz) {
+    tz = tz || this._displayTz();
+    return new Date(ts).toLocaleString(this._locale(), {
+      timeZone: this._validTz(tz) ? tz : undefined, weekday: 'short', month: 'short', day: 'numeric',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZoneName: 'short'
+    });
+  }
+
+  // ── Display timezone ───────────────────────────────────────────────────────
+
+  // 'viewer' | 'env' | 'utc', remembered per browser for every instance
+  _storedTzMode() {
+    try {
+      const mode = window.localStorage.getItem('environment-overview:tz-mode');
+      return ['viewer', 'env', 'utc'].indexOf(mode) !== -1 ? mode : 'viewer';
+    } catch (e) {
+      return 'viewer';   // storage blocked (sandboxed iframe, privacy mode)
+    }
+  }
+
+  _setTzMode(mode) {
+    try { window.localStorage.setItem('environment-overview:tz-mode', mode); } catch (e) { /* not persisted */ }
+    document.querySelectorAll('environment-overview').forEach(el => {
+      if (el.tzMode === mode && el !== this) return;
+      el.tzMode = mode;
+      // Date filters are days in the display zone, so the server's window moved
+      if (el.env && (el.relQuery.from || el.relQuery.to)) el._loadReleases(true);
+      el._relocalize();
+    });
+  }
+
+  // Zone every date is shown in; the environment's zone falls back to the viewer's
+  _displayTz() {
+    if (this.tzMode === 'utc') return 'UTC';
+    if (this.tzMode === 'env' && this.env && this._validTz(this.env.tz)) return this.env.tz;
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  _buildTzToggle() {
+    const env = this.env || {};
+    const zones = {
+      viewer: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+      env:    this._validTz(env.tz) ? env.tz : null,
+      utc:    'UTC'
+    };
+    return `
+      <div class="seg tz-seg" role="group">
+        ${['viewer', 'env', 'utc'].map(m => `
+          <button class="seg-btn tz-mode ${this.tzMode === m ? 'active' : ''}" data-tz-mode="${m}"
+            ${zones[m] ? `title="${this._esc(this._t('tz.title', { zone: zones[m] }))}"` : 'disabled'}>${this._t(`tz.${m}`)}</button>`).join('')}
+      </div>`;
+  }
+
+  // ── Localization ───────────────────────────────────────────────────────────
+
+  // Registers (or extends) a message catalog. Keys missing from a catalog fall
+  // back to English, so a partial translation is fine.
+  static registerMessages(lang, catalog) {
+    const key = String(lang).toLowerCase();
+    EnvironmentOverview.messages[key] = Object.assign({}, EnvironmentOverview.messages[key], catalog);
+    document.querySelectorAll('environment-overview').forEach(el => {
+      if (el._lang().toLowerCase().split('-')[0] === key.split('-')[0]) el._relocalize();
+    });
+  }
+
+  // `lang` on the element, else the nearest ancestor's, else English
+  _lang() {
+    const own = this.getAttribute('lang');
+    if (own) return own;
+    const up = this.parentElement && this.parentElement.closest('[lang]');
+    return (up && up.getAttribute('lang')) || 'en';
+  }
+
+  _locale() {
+    const lang = this._lang();
+    if (this._localeCache && this._localeCache[0] === lang) return this._localeCache[1];
+    let loc = 'en-US';
+    try { loc = Intl.DateTimeFormat.supportedLocalesOf([lang])[0] || 'en-US'; } catch (e) { /* invalid tag */ }
+    this._localeCache = [lang, loc];
+    return loc;
+  }
+
+  // Message lookup with `{name}` placeholders. A message may be an object of
+  // plural forms ({ one, other, … }) chosen by `vars.count`, or ordinal forms
+  // ({ one, two, few, other }) when `vars.ordinal` is set.
+  // Values are inserted as-is; callers escape anything user-supplied.
+  _t(key, vars) {
+    const all  = EnvironmentOverview.messages;
+    const lang = this._lang().toLowerCase();
+    let msg = [lang, lang.split('-')[0], 'en'].map(l => all[l] && all[l][key]).find(m => m != null);
+    if (msg == null) return key;
+    if (typeof msg === 'object') {
+      const rules = new Intl.PluralRules(this._locale(), { type: vars && vars.ordinal ? 'ordinal' : 'cardinal' });
+      msg = msg[rules.select((vars && vars.count) || 0)] || msg.other;
+    }
+    return String(msg).replace(/\{(\w+)\}/g, (m, k) => vars && vars[k] != null ? vars[k] : m);
+  }
+
+  _fmtNum(n, opts) {
+    return new Intl.NumberFormat(this._locale(), opts).format(n);
+  }
+
+  // e.g. [[2, 'hour'], [5, 'minute']] → "2h 5m" in the current locale
+  _fmtUnits(parts) {
+    return parts.map(([v, unit]) =>
+      new Intl.NumberFormat(this._locale(), { style: 'unit', unit, unitDisplay: 'narrow' }).format(v)).join(' ');
+  }
+
+  _relocalize() {
+    if (!this.isConnected) return;
+    if (this.dashboard) { this._renderDashboard(); return; }
+    const lo = this.shadowRoot.querySelector('#loading-overlay span');
+    if (lo) lo.textContent = this._t('loading.environment');
+    if (this.env || this.error) this._renderAll();
+  }
+
   // ── Helpers ────────────────────────────────────────────────────────────────
 
   _hasKubernetes() {
@@ -1307,51 +5173,68 @@ class EnvironmentOverview extends HTMLElement {
       k.toLowerCase().includes('kubernetes') || k.toLowerCase().includes('k8s'));
   }
 
+  // Colours come from the --state-<palette>-* custom properties in _styles()
   _stateConf(state) {
     const map = {
-      RUNNING:          { label:'Running',          bg:'#e8f5e9', color:'#1b5e20', border:'#a5d6a7', dot:'#2e7d32', pulse:false },
-      LAUNCHING:        { label:'Launching',         bg:'#fff8e1', color:'#e65100', border:'#ffe082', dot:'#ff9800', pulse:true  },
-      SCALING_UP:       { label:'Scaling Up',        bg:'#e3f2fd', color:'#0d47a1', border:'#90caf9', dot:'#1565c0', pulse:true  },
-      SCALING_DOWN:     { label:'Scaling Down',      bg:'#e3f2fd', color:'#0d47a1', border:'#90caf9', dot:'#1565c0', pulse:true  },
-      DESTROYING:       { label:'Destroying',        bg:'#fff3e0', color:'#bf360c', border:'#ffcc80', dot:'#e64a19', pulse:true  },
-      STOPPED:          { label:'Stopped',           bg:'#f5f5f5', color:'#424242', border:'#e0e0e0', dot:'#9e9e9e', pulse:false },
-      SCALE_DOWN:       { label:'Scaled Down',       bg:'#e8eaf6', color:'#283593', border:'#9fa8da', dot:'#3f51b5', pulse:false },
-      LAUNCH_FAILED:    { label:'Launch Failed',     bg:'#ffebee', color:'#b71c1c', border:'#ef9a9a', dot:'#c62828', pulse:false },
-      DESTROY_FAILED:   { label:'Destroy Failed',    bg:'#ffebee', color:'#b71c1c', border:'#ef9a9a', dot:'#c62828', pulse:false },
-      SCALE_DOWN_FAILED:{ label:'Scale-Down Failed', bg:'#ffebee', color:'#b71c1c', border:'#ef9a9a', dot:'#c62828', pulse:false },
-      SCALE_UP_FAILED:  { label:'Scale-Up Failed',   bg:'#ffebee', color:'#b71c1c', border:'#ef9a9a', dot:'#c62828', pulse:false },
-      UNKNOWN:          { label:'Unknown',           bg:'#f5f5f5', color:'#616161', border:'#e0e0e0', dot:'#9e9e9e', pulse:false }
+      RUNNING:          { palette:'running',     pulse:false },
+      LAUNCHING:        { palette:'launching',   pulse:true  },
+      SCALING_UP:       { palette:'scaling',     pulse:true  },
+      SCALING_DOWN:     { palette:'scaling',     pulse:true  },
+      DESTROYING:       { palette:'destroying',  pulse:true  },
+      STOPPED:          { palette:'stopped',     pulse:false },
+      SCALE_DOWN:       { palette:'scaled-down', pulse:false },
+      LAUNCH_FAILED:    { palette:'failed',      pulse:false },
+      DESTROY_FAILED:   { palette:'failed',      pulse:false },
+      SCALE_DOWN_FAILED:{ palette:'failed',      pulse:false },
+      SCALE_UP_FAILED:  { palette:'failed',      pulse:false },
+      UNKNOWN:          { palette:'unknown',     pulse:false }
+    };
+    const key = map[state] ? state : 'UNKNOWN';
+    const p   = map[key].palette;
+    return {
+      label:  this._t(`state.${key}`),
+      bg:     `var(--state-${p}-bg)`,
+      color:  `var(--state-${p}-fg)`,
+      border: `var(--state-${p}-border)`,
+      dot:    `var(--state-${p}-dot)`,
+      pulse:  map[key].pulse
     };
-    return map[state] || map.UNKNOWN;
   }
 
   _depStatusConf(status) {
     const map = {
-      SUCCEEDED:        { icon:'✓', color:'#2e7d32' },
-      FAILED:           { icon:'✗', color:'#c62828' },
-      FAULT:            { icon:'✗', color:'#c62828' },
-      TIMED_OUT:        { icon:'⏱', color:'#e65100' },
-      IN_PROGRESS:      { icon:'⚡', color:'#1565c0' },
-      STARTED:          { icon:'⚡', color:'#1565c0' },
-      QUEUED:           { icon:'⏳', color:'#546e7a' },
-      PENDING_APPROVAL: { icon:'⏳', color:'#f57f17' },
-      APPROVED:         { icon:'✓', color:'#1b5e20' },
-      ABORTED:          { icon:'⬛', color:'#616161' },
-      STOPPED:          { icon:'⬛', color:'#616161' },
-      REJECTED:         { icon:'✗', color:'#c62828' }
+      SUCCEEDED:        { icon:'✓', color:'var(--status-succeeded)',   terminal:true  },
+      FAILED:           { icon:'✗', color:'var(--status-failed)',      terminal:true  },
+      FAULT:            { icon:'✗', color:'var(--status-failed)',      terminal:true  },
+      TIMED_OUT:        { icon:'⏱', color:'var(--status-timed-out)',   terminal:true  },
+      IN_PROGRESS:      { icon:'⚡', color:'var(--status-in-progress)', terminal:false },
+      STARTED:          { icon:'⚡', color:'var(--status-in-progress)', terminal:false },
+      QUEUED:           { icon:'⏳', color:'var(--status-queued)',      terminal:false },
+      PENDING_APPROVAL: { icon:'⏳', color:'var(--status-pending)',     terminal:false },
+      APPROVED:         { icon:'✓', color:'var(--status-approved)',    terminal:false },
+      ABORTED:          { icon:'⬛', color:'var(--status-aborted)',     terminal:true  },
+      STOPPED:          { icon:'⬛', color:'var(--status-aborted)',     terminal:true  },
+      REJECTED:         { icon:'✗', color:'var(--status-failed)',      terminal:true  }
     };
-    return map[status] || { icon:'?', color:'#9e9e9e' };
+    return map[status] || { icon:'?', color:'var(--status-unknown)', terminal:false };
+  }
+
+  // Statuses outside the catalog are shown as the API sends them
+  _depStatusLabel(status) {
+    const key = `status.${status}`;
+    const msg = this._t(key);
+    return msg === key ? String(status || '').replace(/_/g, ' ') : msg;
   }
 
   _headerCTAs(state, env) {
     const maps = {
-      STOPPED:          [{ l:'Launch',          a:'launch',          p:true  }, { l:'Run Plan', a:'plan', p:false }],
-      RUNNING:          [{ l:'Trigger Release', a:'trigger-release', p:true  }, { l:'Hotfix', a:'trigger-hotfix', p:false }, { l:'Scale Down', a:'scale-down', p:false }, { l:'Destroy', a:'destroy', p:false, d:true }],
-      SCALE_DOWN:       [{ l:'Scale Up',        a:'scale-up',        p:true  }, { l:'Trigger Release', a:'trigger-release', p:false }, { l:'Destroy', a:'destroy', p:false, d:true }],
-      LAUNCH_FAILED:    [{ l:'Retry Launch',    a:'launch',          p:true  }, { l:'Run Plan', a:'plan', p:false }],
-      DESTROY_FAILED:   [{ l:'Retry Destroy',   a:'destroy',         p:true, d:true }],
-      SCALE_UP_FAILED:  [{ l:'Retry Scale Up',  a:'scale-up',        p:true  }],
-      SCALE_DOWN_FAILED:[{ l:'Retry Scale Down',a:'scale-down',      p:true  }],
+      STOPPED:          [{ k:'launch',         a:'launch',          p:true  }, { k:'plan', a:'plan', p:false }],
+      RUNNING:          [{ k:'triggerRelease', a:'trigger-release', p:true  }, { k:'hotfix', a:'trigger-hotfix', p:false }, { k:'scaleDown', a:'scale-down', p:false }, { k:'destroy', a:'destroy', p:false, d:true }],
+      SCALE_DOWN:       [{ k:'scaleUp',        a:'scale-up',        p:true  }, { k:'triggerRelease', a:'trigger-release', p:false }, { k:'destroy', a:'destroy', p:false, d:true }],
+      LAUNCH_FAILED:    [{ k:'retryLaunch',    a:'launch',          p:true  }, { k:'plan', a:'plan', p:false }],
+      DESTROY_FAILED:   [{ k:'retryDestroy',   a:'destroy',         p:true, d:true }],
+      SCALE_UP_FAILED:  [{ k:'retryScaleUp',   a:'scale-up',        p:true  }],
+      SCALE_DOWN_FAILED:[{ k:'retryScaleDown', a:'scale-down',      p:true  }],
       LAUNCHING:        [],
       DESTROYING:       [],
       SCALING_UP:       [],
@@ -1359,7 +5242,7 @@ class EnvironmentOverview extends HTMLElement {
     };
     const ctas = maps[state] || maps.STOPPED;
     return ctas.map(c =>
-      `<button class="cta-btn ${c.p ? 'primary' : 'secondary'}${c.d ? ' danger' : ''}" data-action="${c.a}">${c.l}</button>`
+      `<button class="cta-btn ${c.p ? 'primary' : 'secondary'}${c.d ? ' danger' : ''}" data-action="${c.a}">${this._t(`cta.${c.k}`)}</button>`
     ).join('');
   }
 
@@ -1368,57 +5251,132 @@ class EnvironmentOverview extends HTMLElement {
     return m[cloud] || '○';
   }
 
+  _esc(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
   _humanize(str) {
     return str.replace(/([A-Z])/g, ' $1').replace(/[_-]/g, ' ').replace(/^\w/, c => c.toUpperCase()).trim();
   }
 
   _fmtDate(d) {
     if (!d) return '';
-    return new Date(d).toLocaleDateString('en-US', { year:'numeric', month:'short', day:'numeric' });
+    return new Date(d).toLocaleDateString(this._locale(), { timeZone: this._displayTz(), year:'numeric', month:'short', day:'numeric' });
+  }
+
+  _fmtDateTime(d) {
+    if (!d) return '';
+    return new Date(d).toLocaleString(this._locale(), {
+      timeZone: this._displayTz(), year:'numeric', month:'short', day:'numeric',
+      hour:'2-digit', minute:'2-digit', second:'2-digit', timeZoneName:'short'
+    });
   }
 
   _fmtRel(d) {
     if (!d) return '—';
-    const s = Math.floor((Date.now() - new Date(d).getTime()) / 1000);
-    if (s < 60)    return 'just now';
-    if (s < 3600)  return `${Math.floor(s/60)}m ago`;
-    if (s < 86400) return `${Math.floor(s/3600)}h ago`;
-    return `${Math.floor(s/86400)}d ago`;
+    const s   = Math.floor((Date.now() - new Date(d).getTime()) / 1000);
+    const rtf = new Intl.RelativeTimeFormat(this._locale(), { numeric: 'auto', style: 'narrow' });
+    if (s < 60)    return rtf.format(0, 'second');
+    if (s < 3600)  return rtf.format(-Math.floor(s/60), 'minute');
+    if (s < 86400) return rtf.format(-Math.floor(s/3600), 'hour');
+    return rtf.format(-Math.floor(s/86400), 'day');
   }
 
   _fmtElapsed(d) {
     if (!d) return '';
-    const s = Math.floor((Date.now() - new Date(d).getTime()) / 1000);
-    if (s < 60)   return `${s}s`;
-    if (s < 3600) return `${Math.floor(s/60)}m ${s%60}s`;
-    return `${Math.floor(s/3600)}h ${Math.floor((s%3600)/60)}m`;
+    const s = Math.max(0, Math.floor((Date.now() - new Date(d).getTime()) / 1000));
+    return s ? this._fmtDur(s) : this._fmtUnits([[0, 'second']]);
   }
 
   _fmtDur(seconds) {
     if (!seconds) return '—';
-    if (seconds < 60)   return `${seconds}s`;
-    if (seconds < 3600) return `${Math.floor(seconds/60)}m ${seconds%60}s`;
-    return `${Math.floor(seconds/3600)}h ${Math.floor((seconds%3600)/60)}m`;
+    if (seconds < 60)   return this._fmtUnits([[seconds, 'second']]);
+    if (seconds < 3600) return this._fmtUnits([[Math.floor(seconds/60), 'minute'], [seconds%60, 'second']]);
+    return this._fmtUnits([[Math.floor(seconds/3600), 'hour'], [Math.floor((seconds%3600)/60), 'minute']]);
   }
 
   // ── Styles ─────────────────────────────────────────────────────────────────
 
   _styles() {
+    // Applied for theme="dark", and whenever the OS prefers dark unless theme="light"
+    // forces the light palette (a missing theme behaves as "auto")
+    const dark = `
+        color-scheme: dark;
+        --text: #e4e6eb;          --text-strong: #f5f6f8;   --text-2: #c4c7cc;
+        --muted: #9aa0a8;         --faint: #6f757d;
+        --bg: #121419;            --card: #1b1e24;          --surface: #22262d;
+        --line: #2b2f37;          --border: #343943;        --border-strong: #4a505b;  --edge: #6b7785;
+        --primary: #4d9bff;       --primary-h: #7ab4ff;     --primary-soft: #18283f;
+        --danger: #ef5350;        --danger-fg: #ff8a80;     --red: #ef5350;
+        --green: #66bb6a;         --orange: #ffa040;        --amber: #ffca28;          --blue: #64b5f6;
+        --info-fg: #90caf9;       --indigo: #9fa8da;        --purple: #ce93d8;         --pink: #f48fb1;  --violet: #b39ddb;
+        --danger-soft: #3a1c1f;   --danger-border: #6d2a2e;
+        --green-soft: #1a2f1f;    --green-border: #2f5b36;
+        --warn-soft: #372b15;     --warn-border: #6b5222;
+        --info-soft: #16293f;     --info-border: #28496f;
+        --indigo-soft: #22274a;   --purple-soft: #2d2236;   --pink-soft: #3a1f2b;
+        --violet-soft: #281f3f;   --violet-border: #54448a;
+
+        --state-running-bg: #1a2f1f;     --state-running-fg: #a5d6a7;     --state-running-border: #2f5b36;     --state-running-dot: #66bb6a;
+        --state-launching-bg: #372b15;   --state-launching-fg: #ffcc80;   --state-launching-border: #6b5222;   --state-launching-dot: #ffa726;
+        --state-scaling-bg: #16293f;     --state-scaling-fg: #90caf9;     --state-scaling-border: #28496f;     --state-scaling-dot: #64b5f6;
+        --state-destroying-bg: #3a2415;  --state-destroying-fg: #ffab91;  --state-destroying-border: #6e3b22;  --state-destroying-dot: #ff7043;
+        --state-stopped-bg: #262a31;     --state-stopped-fg: #c4c7cc;     --state-stopped-border: #3a3f48;     --state-stopped-dot: #8a9099;
+        --state-scaled-down-bg: #22274a; --state-scaled-down-fg: #9fa8da; --state-scaled-down-border: #3b4380; --state-scaled-down-dot: #7986cb;
+        --state-failed-bg: #3a1c1f;      --state-failed-fg: #ff8a80;      --state-failed-border: #6d2a2e;      --state-failed-dot: #ef5350;
+        --state-unknown-bg: #262a31;     --state-unknown-fg: #9aa0a8;     --state-unknown-border: #3a3f48;     --state-unknown-dot: #8a9099;
+
+        --status-succeeded: #66bb6a;  --status-failed: #ef5350;   --status-timed-out: #ffa040;
+        --status-in-progress: #64b5f6; --status-queued: #90a4ae;  --status-pending: #ffca28;
+        --status-approved: #81c784;   --status-aborted: #9aa0a8;  --status-unknown: #8a9099;`;
+
     return `
+      /*
+       * Theme tokens. Hosts may override any of these on the element, e.g.
+       *   environment-overview { --primary: #7b1fa2; --state-running-dot: #00c853; }
+       * State pills use --state-<running|launching|scaling|destroying|stopped|
+       * scaled-down|failed|unknown>-<bg|fg|border|dot>; release statuses use
+       * --status-<succeeded|failed|timed-out|in-progress|queued|pending|approved|
+       * aborted|unknown>.
+       */
       :host {
         display: block;
         font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
         font-size: 14px;
-        color: #1a1a1a;
-        --primary: #0050b3;
-        --primary-h: #003a8c;
-        --border: #e0e0e0;
-        --bg: #f4f6f9;
-        --card: #ffffff;
-        --muted: #666;
-        --danger: #d32f2f;
-        --green: #2e7d32;
-        --orange: #e65100;
+        color: var(--text);
+        color-scheme: light;
+        --text: #1a1a1a;          --text-strong: #111;      --text-2: #444;
+        --muted: #666;            --faint: #999;
+        --bg: #f4f6f9;            --card: #ffffff;          --surface: #f7f8fa;
+        --line: #f0f0f0;          --border: #e0e0e0;        --border-strong: #d0d0d0;  --edge: #90a4ae;
+        --primary: #0050b3;       --primary-h: #003a8c;     --primary-soft: #f0f5ff;
+        --danger: #d32f2f;        --danger-fg: #b71c1c;     --red: #c62828;
+        --green: #2e7d32;         --orange: #e65100;        --amber: #f57f17;          --blue: #1565c0;
+        --info-fg: #0d47a1;       --indigo: #3949ab;        --purple: #6a1b9a;         --pink: #880e4f;  --violet: #4527a0;
+        --danger-soft: #ffebee;   --danger-border: #ef9a9a;
+        --green-soft: #e8f5e9;    --green-border: #a5d6a7;
+        --warn-soft: #fff8e1;     --warn-border: #ffe082;
+        --info-soft: #e3f2fd;     --info-border: #90caf9;
+        --indigo-soft: #e8eaf6;   --purple-soft: #f3e5f5;   --pink-soft: #fce4ec;
+        --violet-soft: #ede7f6;   --violet-border: #b39ddb;
+
+        --state-running-bg: #e8f5e9;     --state-running-fg: #1b5e20;     --state-running-border: #a5d6a7;     --state-running-dot: #2e7d32;
+        --state-launching-bg: #fff8e1;   --state-launching-fg: #e65100;   --state-launching-border: #ffe082;   --state-launching-dot: #ff9800;
+        --state-scaling-bg: #e3f2fd;     --state-scaling-fg: #0d47a1;     --state-scaling-border: #90caf9;     --state-scaling-dot: #1565c0;
+        --state-destroying-bg: #fff3e0;  --state-destroying-fg: #bf360c;  --state-destroying-border: #ffcc80;  --state-destroying-dot: #e64a19;
+        --state-stopped-bg: #f5f5f5;     --state-stopped-fg: #424242;     --state-stopped-border: #e0e0e0;     --state-stopped-dot: #9e9e9e;
+        --state-scaled-down-bg: #e8eaf6; --state-scaled-down-fg: #283593; --state-scaled-down-border: #9fa8da; --state-scaled-down-dot: #3f51b5;
+        --state-failed-bg: #ffebee;      --state-failed-fg: #b71c1c;      --state-failed-border: #ef9a9a;      --state-failed-dot: #c62828;
+        --state-unknown-bg: #f5f5f5;     --state-unknown-fg: #616161;     --state-unknown-border: #e0e0e0;     --state-unknown-dot: #9e9e9e;
+
+        --status-succeeded: #2e7d32;  --status-failed: #c62828;   --status-timed-out: #e65100;
+        --status-in-progress: #1565c0; --status-queued: #546e7a;  --status-pending: #f57f17;
+        --status-approved: #1b5e20;   --status-aborted: #616161;  --status-unknown: #9e9e9e;
+      }
+      :host([theme="dark"]) { ${dark} }
+      @media (prefers-color-scheme: dark) {
+        :host(:not([theme="light"])) { ${dark} }
       }
       *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
       a { color: var(--primary); text-decoration: none; }
@@ -1445,8 +5403,8 @@ class EnvironmentOverview extends HTMLElement {
 
       /* ── Boot error ── */
       .boot-error {
-        margin: 1.5rem; padding: 1rem 1.25rem; background: #fff0f0;
-        border: 1px solid #ffcdd2; border-radius: 8px; color: var(--danger); font-size: 13px;
+        margin: 1.5rem; padding: 1rem 1.25rem; background: var(--danger-soft);
+        border: 1px solid var(--danger-border); border-radius: 8px; color: var(--danger); font-size: 13px;
       }
 
       /* ── HEADER ── */
@@ -1455,8 +5413,8 @@ class EnvironmentOverview extends HTMLElement {
       .header-identity { display: flex; flex-direction: column; gap: .4rem; }
       .breadcrumb { display: flex; align-items: center; gap: .4rem; font-size: 13px; }
       .breadcrumb-proj { color: var(--primary); font-weight: 500; cursor: pointer; }
-      .breadcrumb-sep  { color: #bbb; }
-      .breadcrumb-env  { font-size: 1.1rem; font-weight: 700; color: #111; }
+      .breadcrumb-sep  { color: var(--faint); }
+      .breadcrumb-env  { font-size: 1.1rem; font-weight: 700; color: var(--text-strong); }
       .header-badges { display: flex; align-items: center; gap: .5rem; flex-wrap: wrap; margin-top: .2rem; }
       .header-ctas   { display: flex; align-items: center; gap: .5rem; flex-wrap: wrap; padding-top: .2rem; }
       .header-meta   {
@@ -1477,22 +5435,22 @@ class EnvironmentOverview extends HTMLElement {
       /* ── Cloud / K8s badges ── */
       .cloud-badge {
         display: inline-flex; align-items: center; gap: .25rem;
-        padding: .18rem .55rem; background: #f0f0f0; border-radius: 4px;
-        font-size: 11px; font-weight: 500; color: #333;
+        padding: .18rem .55rem; background: var(--line); border-radius: 4px;
+        font-size: 11px; font-weight: 500; color: var(--text-2);
       }
-      .k8s-badge { background: #e3f2fd; color: #1565c0; }
-      .ns-badge  { background: #f3e5f5; color: #6a1b9a; }
+      .k8s-badge { background: var(--info-soft); color: var(--blue); }
+      .ns-badge  { background: var(--purple-soft); color: var(--purple); }
 
       /* ── Tags ── */
       .tag {
         display: inline-flex; align-items: center;
         padding: .13rem .5rem; border-radius: 4px; font-size: 11px; font-weight: 500;
       }
-      .tag-eph  { background: #fff3e0; color: #e65100; }
-      .tag-base { background: #e8eaf6; color: #3949ab; }
-      .tag-warn { background: #fff8e1; color: #f57f17; }
-      .tag-info { background: #e3f2fd; color: #1565c0; }
-      .tag-new  { background: #e8f5e9; color: #2e7d32; }
+      .tag-eph  { background: var(--warn-soft); color: var(--orange); }
+      .tag-base { background: var(--indigo-soft); color: var(--indigo); }
+      .tag-warn { background: var(--warn-soft); color: var(--amber); }
+      .tag-info { background: var(--info-soft); color: var(--blue); }
+      .tag-new  { background: var(--green-soft); color: var(--green); }
 
       /* ── CTA Buttons ── */
       .cta-btn {
@@ -1502,18 +5460,18 @@ class EnvironmentOverview extends HTMLElement {
       }
       .cta-btn.primary { background: var(--primary); color: #fff; border-color: var(--primary); }
       .cta-btn.primary:hover { background: var(--primary-h); }
-      .cta-btn.secondary { background: #fff; color: var(--primary); border-color: var(--primary); }
-      .cta-btn.secondary:hover { background: #f0f5ff; }
-      .cta-btn.danger { background: #fff; color: var(--danger); border-color: var(--danger); }
-      .cta-btn.danger:hover { background: #ffebee; }
+      .cta-btn.secondary { background: var(--card); color: var(--primary); border-color: var(--primary); }
+      .cta-btn.secondary:hover { background: var(--primary-soft); }
+      .cta-btn.danger { background: var(--card); color: var(--danger); border-color: var(--danger); }
+      .cta-btn.danger:hover { background: var(--danger-soft); }
       .cta-btn.dim { opacity: .5; cursor: not-allowed; }
       .inline-link { background: none; border: none; color: var(--primary); cursor: pointer; text-decoration: underline; font-size: 13px; padding: 0; }
       .mini-btn {
         padding: .18rem .55rem; border-radius: 4px; border: 1px solid var(--border);
-        background: #fff; cursor: pointer; font-size: 12px; color: var(--primary);
+        background: var(--card); cursor: pointer; font-size: 12px; color: var(--primary);
         white-space: nowrap;
       }
-      .mini-btn:hover { background: #f0f5ff; }
+      .mini-btn:hover { background: var(--primary-soft); }
 
       /* ── Banners ── */
       .banner {
@@ -1521,9 +5479,10 @@ class EnvironmentOverview extends HTMLElement {
         padding: .55rem 1.5rem; font-size: 13px; border-bottom: 1px solid;
         flex-wrap: wrap;
       }
-      .banner-info   { background: #e3f2fd; border-color: #90caf9; color: #0d47a1; }
-      .banner-warn   { background: #fff8e1; border-color: #ffe082; color: #e65100; }
-      .banner-subtle { background: #f8f8f8; border-color: var(--border); color: var(--muted); }
+      .banner-info   { background: var(--info-soft); border-color: var(--info-border); color: var(--info-fg); }
+      .banner-warn   { background: var(--warn-soft); border-color: var(--warn-border); color: var(--orange); }
+      .banner-subtle { background: var(--surface); border-color: var(--border); color: var(--muted); }
+      .banner-danger { background: var(--danger-soft); border-color: var(--danger-border); color: var(--danger-fg); }
       .banner-icon   { font-size: 1rem; flex-shrink: 0; }
       .banner-actions { display: flex; gap: .4rem; margin-left: auto; }
       .banner-btn {
@@ -1531,8 +5490,39 @@ class EnvironmentOverview extends HTMLElement {
         background: transparent; cursor: pointer; font-size: 12px; color: inherit;
       }
       .b-primary { color: var(--primary); border-color: var(--primary); }
-      .b-success { color: #2e7d32; border-color: #a5d6a7; background: #e8f5e9; }
-      .b-danger  { color: var(--danger); border-color: #ef9a9a; background: #ffebee; }
+      .b-success { color: var(--green); border-color: var(--green-border); background: var(--green-soft); }
+      .b-danger  { color: var(--danger); border-color: var(--danger-border); background: var(--danger-soft); }
+
+      .banner-snapshot { background: var(--violet-soft); border-color: var(--violet-border); color: var(--violet); }
+
+      /* ── Snapshot (read-only) mode ── */
+      .read-only .cta-btn, .read-only .approve-btn, .read-only .inline-link.cta-btn {
+        opacity: .45; cursor: not-allowed; pointer-events: none;
+      }
+      .read-only .log-toggle, .read-only #refresh-btn, .read-only #compare-btn, .read-only .sched-acts, .read-only .var-acts,
+      .read-only .var-act[data-var-act="reveal"], .read-only .diff-res-btn, .read-only .view-res-btn, .read-only .dep-logs-btn,
+      .read-only #live-ind { display: none; }
+      .read-only .breadcrumb-proj { cursor: default; }
+      .drop-active { outline: 3px dashed var(--primary); outline-offset: -6px; }
+
+      /* ── Live log tail ── */
+      .log-tail { background: #1e1e24; border-bottom: 1px solid #333; }
+      .log-toolbar {
+        display: flex; align-items: center; gap: .6rem; flex-wrap: wrap;
+        padding: .45rem 1.5rem; background: #26262e; font-size: 12px; color: #aaa;
+      }
+      .log-toolbar .form-input { width: 220px; padding: .25rem .5rem; font-size: 12px; background: #1e1e24; color: #eee; border-color: #444; }
+      .log-follow { display: flex; align-items: center; gap: .3rem; cursor: pointer; }
+      .log-state  { margin-left: auto; }
+      .log-state.live { color: #81c784; }
+      .log-body {
+        max-height: 320px; overflow: auto; padding: .6rem 1.5rem; margin: 0;
+        font-family: 'SFMono-Regular', Consolas, monospace; font-size: 12px; line-height: 1.45;
+        color: #d4d4d4; white-space: pre-wrap; word-break: break-word;
+      }
+      .log-line.err   { color: #ff8a80; }
+      .log-line.muted { color: #777; }
+      .log-body mark  { background: #ffd54f; color: #111; border-radius: 2px; }
 
       /* ── Status Cards ── */
       .cards-row {
@@ -1548,7 +5538,7 @@ class EnvironmentOverview extends HTMLElement {
       }
       .scard-num  { font-size: 1.85rem; font-weight: 800; line-height: 1.1; }
       .scard-sub  { font-size: 11px; color: var(--muted); margin-top: .2rem; }
-      .card-na    { color: #aaa; font-style: italic; font-size: 12px; }
+      .card-na    { color: var(--faint); font-style: italic; font-size: 12px; }
       .last-rel   { display: flex; flex-direction: column; gap: .12rem; }
       .rel-status { font-size: 13px; font-weight: 600; }
       .rel-meta   { font-size: 11px; color: var(--muted); }
@@ -1569,11 +5559,13 @@ class EnvironmentOverview extends HTMLElement {
       .tab-btn.active { color: var(--primary); border-bottom-color: var(--primary); font-weight: 600; }
       .tab-flex  { flex: 1; }
       .refresh-btn {
-        padding: .35rem .7rem; border: 1px solid var(--border); background: #fff;
+        padding: .35rem .7rem; border: 1px solid var(--border); background: var(--card);
         border-radius: 4px; cursor: pointer; font-size: 12px; color: var(--muted);
         margin: .4rem 0;
       }
-      .refresh-btn:hover { background: #f5f5f5; }
+      .refresh-btn:hover { background: var(--surface); }
+      .live-ind    { font-size: 11px; color: var(--muted); margin-right: .6rem; }
+      .live-ind.on { color: var(--green); }
 
       /* ── Tab panel ── */
       .tab-panel { padding: 1.25rem 1.5rem; display: flex; flex-direction: column; gap: .9rem; }
@@ -1583,7 +5575,7 @@ class EnvironmentOverview extends HTMLElement {
         background: var(--card); border: 1px solid var(--border);
         border-radius: 8px; padding: 1.1rem 1.25rem;
       }
-      .sec-title { font-size: 14px; font-weight: 600; color: #111; display: block; margin-bottom: .75rem; }
+      .sec-title { font-size: 14px; font-weight: 600; color: var(--text-strong); display: block; margin-bottom: .75rem; }
       .sec-title-row {
         display: flex; align-items:center; justify-content: space-between;
         margin-bottom: .9rem; flex-wrap: wrap; gap: .5rem;
@@ -1591,8 +5583,8 @@ class EnvironmentOverview extends HTMLElement {
       .sec-title-row .sec-title { margin-bottom: 0; }
       .sec-actions { display: flex; gap: .5rem; flex-wrap: wrap; }
       .sec-note {
-        font-size: 12px; color: #e65100; margin-top: .75rem;
-        padding: .45rem .65rem; background: #fff8e1; border-radius: 4px;
+        font-size: 12px; color: var(--orange); margin-top: .75rem;
+        padding: .45rem .65rem; background: var(--warn-soft); border-radius: 4px;
       }
       .info-note {
         font-size: 12px; color: var(--muted);
@@ -1601,7 +5593,7 @@ class EnvironmentOverview extends HTMLElement {
 
       /* ── Launch readiness ── */
       .readiness-card {
-        background: var(--card); border: 2px dashed #d0d0d0;
+        background: var(--card); border: 2px dashed var(--border-strong);
         border-radius: 8px; padding: 1.25rem;
       }
       .readiness-header { margin-bottom: 1rem; }
@@ -1612,10 +5604,10 @@ class EnvironmentOverview extends HTMLElement {
         display: flex; align-items: flex-start; gap: .65rem;
         padding: .55rem .75rem; border-radius: 6px;
       }
-      .r-check.ok   { background: #f1f9f3; }
-      .r-check.todo { background: #fafafa; border: 1px solid var(--border); }
-      .r-icon { font-size: 1rem; color: #2e7d32; line-height: 1.3; }
-      .r-check.todo .r-icon { color: #bbb; }
+      .r-check.ok   { background: var(--green-soft); }
+      .r-check.todo { background: var(--surface); border: 1px solid var(--border); }
+      .r-icon { font-size: 1rem; color: var(--green); line-height: 1.3; }
+      .r-check.todo .r-icon { color: var(--faint); }
       .r-body  { display: flex; flex-direction: column; gap: .1rem; }
       .r-label { font-size: 13px; font-weight: 500; }
       .r-hint  { font-size: 11px; color: var(--muted); }
@@ -1625,7 +5617,7 @@ class EnvironmentOverview extends HTMLElement {
       .bp-info { display: flex; flex-direction: column; gap: .3rem; margin-bottom: 1.1rem; }
       .bp-row  {
         display: flex; justify-content: space-between; align-items: center;
-        padding: .38rem 0; border-bottom: 1px solid #f4f4f4; font-size: 13px;
+        padding: .38rem 0; border-bottom: 1px solid var(--line); font-size: 13px;
       }
       .bp-row span { color: var(--muted); }
 
@@ -1633,7 +5625,7 @@ class EnvironmentOverview extends HTMLElement {
       .info-grid { display: flex; flex-direction: column; }
       .info-row {
         display: flex; align-items: baseline; gap: 1rem;
-        padding: .38rem 0; border-bottom: 1px solid #f6f6f6; font-size: 13px;
+        padding: .38rem 0; border-bottom: 1px solid var(--line); font-size: 13px;
       }
       .info-row:last-child { border-bottom: none; }
       .info-lbl { min-width: 160px; color: var(--muted); font-size: 12px; flex-shrink: 0; }
@@ -1643,7 +5635,7 @@ class EnvironmentOverview extends HTMLElement {
       .downstream-list { display: flex; flex-direction: column; gap: .35rem; margin-bottom: .5rem; }
       .downstream-item {
         display: flex; align-items: center; justify-content: space-between;
-        padding: .45rem .75rem; background: #f8f9fb; border-radius: 6px; font-size: 13px;
+        padding: .45rem .75rem; background: var(--surface); border-radius: 6px; font-size: 13px;
       }
 
       /* ── Cost teaser ── */
@@ -1652,84 +5644,320 @@ class EnvironmentOverview extends HTMLElement {
       .stats-row { display: flex; gap: 1.5rem; flex-wrap: wrap; margin-bottom: .75rem; }
       .stat-box  { display: flex; flex-direction: column; gap: .1rem; }
       .stat-n    { font-size: 1.6rem; font-weight: 800; line-height: 1.1; }
-      .stat-n.green { color: #2e7d32; }
-      .stat-n.red   { color: #c62828; }
-      .stat-n.grey  { color: #757575; }
+      .stat-n.green { color: var(--green); }
+      .stat-n.red   { color: var(--red); }
+      .stat-n.grey  { color: var(--muted); }
       .stat-lbl { font-size: 11px; color: var(--muted); font-weight: 500; }
       .bar-track {
         height: 7px; display: flex; border-radius: 4px; overflow: hidden;
-        background: #eee; margin-top: .4rem;
+        background: var(--line); margin-top: .4rem;
       }
       .bar-seg { height: 100%; transition: width .4s ease; }
-      .bar-seg.green { background: #43a047; }
-      .bar-seg.red   { background: #e53935; }
-      .bar-seg.grey  { background: #bdbdbd; }
+      .bar-seg.green { background: var(--status-succeeded); }
+      .bar-seg.red   { background: var(--status-failed); }
+      .bar-seg.grey  { background: var(--status-unknown); }
+
+      /* ── Cron ── */
+      .cron-text  { font-size: 13px; margin-bottom: .15rem; }
+      .cron-err   { font-size: 11px; color: var(--danger); margin-top: .2rem; }
+      .cron-flag  { font-size: 10px; font-weight: 600; padding: 1px 6px; border-radius: 8px; vertical-align: middle; }
+      .cron-flag.bad  { background: var(--danger-soft); color: var(--danger-fg); }
+      .cron-flag.warn { background: var(--warn-soft); color: var(--orange); }
+      .next-runs  { margin-top: .9rem; border-top: 1px solid var(--border); padding-top: .7rem; }
+      .next-runs-title { font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: .04em; color: var(--muted); margin-bottom: .4rem; }
+      .next-run   { display: flex; gap: .8rem; font-size: 12.5px; padding: .2rem 0; align-items: baseline; }
+      .run-kind   { width: 60px; font-weight: 600; font-size: 12px; }
+      .run-kind.start { color: var(--green); }
+      .run-kind.stop  { color: var(--muted); }
+      .run-when   { min-width: 210px; font-variant-numeric: tabular-nums; }
+      .run-name   { color: var(--muted); }
+      .run-next   { font-size: 12px; color: var(--muted); white-space: nowrap; }
+
+      /* ── Availability timeline ── */
+      .timeline   { font-size: 12px; }
+      .tl-row     { display: flex; align-items: center; gap: .6rem; margin-bottom: 4px; }
+      .tl-day     { width: 92px; flex-shrink: 0; color: var(--muted); font-size: 11.5px; }
+      .tl-track   { position: relative; flex: 1; height: 22px; background: var(--line); border-radius: 3px; overflow: hidden; }
+      .tl-axis .tl-track { background: none; height: 14px; overflow: visible; }
+      .tl-axis span { position: absolute; font-size: 10px; color: var(--faint); transform: translateX(-50%); }
+      .tl-axis span:first-child { transform: none; }
+      .tl-bar     { position: absolute; top: 0; bottom: 0; min-width: 2px; }
+      .tl-up      { background: var(--green-border); }
+      .tl-maint   { background: var(--state-launching-dot); top: 60%; }
+      .tl-conflict { background: repeating-linear-gradient(45deg, rgba(198,40,40,.55) 0 4px, rgba(198,40,40,.15) 4px 8px); }
+      .tl-tick    { position: absolute; top: 0; bottom: 0; width: 2px !important; background: var(--text-2); }
+      .tl-legend  { display: flex; flex-wrap: wrap; gap: 1rem; margin-top: .6rem; color: var(--muted); font-size: 11px; align-items: center; }
+      .tl-legend i { display: inline-block; width: 12px; height: 10px; margin-right: .35rem; vertical-align: middle; border-radius: 2px; position: static; }
+      .tl-legend i.tl-tick-i { width: 2px; background: var(--text-2); }
+      .tl-tz      { margin-left: auto; }
+      .tl-conflicts { margin-top: .6rem; display: flex; flex-direction: column; gap: .25rem; }
+      .tl-conflict-row { font-size: 12px; color: var(--danger-fg); background: var(--danger-soft); border-radius: 4px; padding: .3rem .6rem; }
+      .tl-more    { font-size: 11px; color: var(--muted); padding-left: .6rem; }
+
+      /* ── Lineage ── */
+      .lineage-wrap { overflow: auto; padding-bottom: .3rem; }
+      .lineage      { display: block; font-family: inherit; }
+      .ln-edge      { fill: none; stroke: var(--edge); stroke-width: 1.6; }
+      .ln-edge.dashed { stroke-dasharray: 5 4; }
+      .ln-node rect { fill: var(--card); stroke: var(--border); stroke-width: 1.2; }
+      .ln-node[data-cluster-id] { cursor: pointer; }
+      .ln-node[data-cluster-id]:hover rect { stroke: var(--primary); }
+      .ln-node.current rect { stroke: var(--primary); stroke-width: 2.2; fill: var(--primary-soft); }
+      .ln-node.missing rect { stroke-dasharray: 4 3; fill: var(--surface); }
+      .ln-name { font-size: 13px; font-weight: 600; fill: var(--text-strong); }
+      .ln-sub  { font-size: 11.5px; fill: var(--muted); }
+      .ln-rel  { font-size: 10.5px; fill: var(--faint); }
+      .ch-legend i.dashed { background: none; border-top: 2px dashed var(--edge); height: 0; }
+
+      /* ── Cost ── */
+      .cost-grid  { display: grid; grid-template-columns: 3fr 2fr; gap: 1.2rem; margin-top: .9rem; }
+      .cost-sub   { font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: .04em; color: var(--muted); margin-bottom: .4rem; }
+      .cost-change.up   { color: var(--danger); }
+      .cost-change.down { color: var(--green); }
+      .svc-row    { display: grid; grid-template-columns: 110px 1fr auto; gap: .5rem; align-items: center; font-size: 12px; padding: .2rem 0; }
+      .svc-name   { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .svc-bar    { height: 8px; background: var(--line); border-radius: 4px; overflow: hidden; }
+      .svc-bar i  { display: block; height: 100%; background: var(--blue); }
+      .svc-val    { font-variant-numeric: tabular-nums; text-align: right; }
+      .svc-val em { font-style: normal; color: var(--muted); margin-left: .25rem; }
+      @media (max-width: 720px) { .cost-grid { grid-template-columns: 1fr; } }
+
+      /* ── Charts ── */
+      .chart-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(340px, 1fr)); gap: .9rem; }
+      .chart      { width: 100%; height: auto; display: block; }
+      .ch-grid    { stroke: var(--line); stroke-width: 1; }
+      .ch-axis    { font-size: 10px; fill: var(--faint); }
+      .ch-legend  { display: flex; gap: .9rem; font-size: 11px; color: var(--muted); margin-top: .35rem; }
+      .ch-legend i { display: inline-block; width: 10px; height: 3px; margin-right: .3rem; vertical-align: middle; }
 
       /* ── Tables ── */
       .table-wrap { overflow-x: auto; }
       .data-table { width: 100%; border-collapse: collapse; font-size: 13px; }
       .data-table th {
-        text-align: left; padding: .45rem .75rem; background: #f7f8fa;
+        text-align: left; padding: .45rem .75rem; background: var(--surface);
         font-weight: 600; font-size: 11px; text-transform: uppercase;
         letter-spacing: .04em; color: var(--muted); border-bottom: 1px solid var(--border);
         white-space: nowrap;
       }
       .data-table td {
-        padding: .55rem .75rem; border-bottom: 1px solid #f4f4f4;
+        padding: .55rem .75rem; border-bottom: 1px solid var(--line);
         vertical-align: middle;
       }
       .data-table tr:last-child td { border-bottom: none; }
-      .data-table tr:hover td { background: #fafafa; }
+      .data-table tr:hover td { background: var(--surface); }
+
+      .data-table th.sortable, .data-table th.res-sort { cursor: pointer; user-select: none; }
+      .data-table th.sortable:hover, .data-table th.res-sort:hover { color: var(--primary); }
+      .data-table tr.group-row td {
+        background: var(--surface); font-weight: 600; font-size: 12px; cursor: pointer;
+        text-transform: uppercase; letter-spacing: .03em; color: var(--text-2);
+      }
+      .group-n { margin-left: .4rem; font-weight: 500; color: var(--muted); }
+      .table-foot {
+        display: flex; align-items: center; justify-content: space-between;
+        padding: .6rem .75rem 0; font-size: 12px; color: var(--muted);
+      }
+
+      .data-table.compact th, .data-table.compact td { padding: .3rem .6rem; }
+
+      /* ── Release detail ── */
+      .rel-row { cursor: pointer; }
+      .rel-row.open td { background: var(--surface); }
+      .rel-caret { display: inline-block; width: 1rem; color: var(--muted); font-size: 11px; }
+      .data-table tr.rel-detail-row:hover td { background: var(--surface); }
+      .rel-detail-row td { background: var(--surface); padding: .75rem 1rem 1rem 1.75rem; }
+      .rel-detail { display: flex; flex-direction: column; gap: .75rem; }
+      .rel-error {
+        background: var(--danger-soft); border: 1px solid var(--danger-border); border-radius: 6px;
+        padding: .55rem .75rem; color: var(--danger); font-size: 12px;
+      }
+      .rel-error pre { margin-top: .3rem; white-space: pre-wrap; word-break: break-word; font-family: 'SFMono-Regular', Consolas, monospace; font-size: 12px; }
+      .rel-changes-title { font-size: 12px; font-weight: 600; color: var(--text-2); margin-bottom: .35rem; }
+      .chg-kind { font-size: 11px; font-weight: 600; color: var(--blue); }
+      .chg-kind.create { color: var(--green); }
+      .chg-kind.delete, .chg-kind.destroy { color: var(--red); }
+
+      /* ── Filter bar ── */
+      .filter-bar { display: flex; gap: .5rem; flex-wrap: wrap; align-items: center; margin-bottom: .75rem; }
+      .filter-bar .form-input { width: auto; min-width: 130px; padding: .32rem .5rem; font-size: 12px; }
+      .filter-lbl { display: flex; align-items: center; gap: .3rem; font-size: 12px; color: var(--muted); }
 
       /* ── Type tiles ── */
       .type-tiles { display: flex; gap: .65rem; flex-wrap: wrap; margin-bottom: .9rem; }
       .type-tile  {
-        background: #f8f9fb; border: 1px solid var(--border);
+        background: var(--surface); border: 1px solid var(--border);
         border-radius: 7px; padding: .65rem .9rem; min-width: 80px; text-align: center;
+        cursor: pointer; font-family: inherit;
       }
+      .type-tile:hover  { border-color: var(--primary); }
+      .type-tile.active { border-color: var(--primary); background: var(--primary-soft); box-shadow: inset 0 0 0 1px var(--primary); }
       .type-n   { font-size: 1.35rem; font-weight: 700; color: var(--primary); }
       .type-lbl { font-size: 10px; color: var(--muted); margin-top: .15rem; text-transform: uppercase; letter-spacing: .04em; }
 
       /* ── Badges ── */
       .rt-badge {
         display: inline-block; padding: .1rem .45rem; border-radius: 4px;
-        font-size: 11px; font-weight: 600; background: #e8eaf6; color: #3949ab;
+        font-size: 11px; font-weight: 600; background: var(--indigo-soft); color: var(--indigo);
         text-transform: uppercase;
       }
-      .rt-badge.hotfix   { background: #fff3e0; color: #e65100; }
-      .rt-badge.launch   { background: #e8f5e9; color: #2e7d32; }
-      .rt-badge.destroy  { background: #ffebee; color: #c62828; }
-      .rt-badge.scale_up, .rt-badge.scale_down { background: #e3f2fd; color: #1565c0; }
-      .rt-badge.plan, .rt-badge.hotfix_plan, .rt-badge.apply_plan { background: #f3e5f5; color: #6a1b9a; }
-
-      .change-pill  { font-size: 11px; padding: .1rem .4rem; background: #f3e5f5; color: #6a1b9a; border-radius: 4px; }
-      .type-badge   { font-size: 11px; padding: .12rem .45rem; background: #e8eaf6; color: #3949ab; border-radius: 4px; }
-      .ovr-badge    { font-size: 11px; padding: .1rem .4rem;  background: #fff3e0; color: #e65100; border-radius: 4px; }
-      .secret-badge { font-size: 11px; padding: .1rem .4rem;  background: #fce4ec; color: #880e4f; border-radius: 4px; }
+      .rt-badge.hotfix   { background: var(--warn-soft); color: var(--orange); }
+      .rt-badge.launch   { background: var(--green-soft); color: var(--green); }
+      .rt-badge.destroy  { background: var(--danger-soft); color: var(--red); }
+      .rt-badge.scale_up, .rt-badge.scale_down { background: var(--info-soft); color: var(--blue); }
+      .rt-badge.plan, .rt-badge.hotfix_plan, .rt-badge.apply_plan { background: var(--purple-soft); color: var(--purple); }
+
+      .change-pill  { font-size: 11px; padding: .1rem .4rem; background: var(--purple-soft); color: var(--purple); border-radius: 4px; }
+      .type-badge   { font-size: 11px; padding: .12rem .45rem; background: var(--indigo-soft); color: var(--indigo); border-radius: 4px; }
+      .ovr-badge    { font-size: 11px; padding: .1rem .4rem;  background: var(--warn-soft); color: var(--orange); border-radius: 4px; }
+      .secret-badge { font-size: 11px; padding: .1rem .4rem;  background: var(--pink-soft); color: var(--pink); border-radius: 4px; }
       .dot-badge    { font-size: 12px; font-weight: 500; }
-      .dot-badge.active   { color: #2e7d32; }
-      .dot-badge.inactive { color: #757575; }
-      .dot-badge.override { color: #e65100; }
-      .dot-badge.default  { color: #546e7a; }
+      .dot-badge.active   { color: var(--green); }
+      .dot-badge.inactive { color: var(--muted); }
+      .dot-badge.override { color: var(--orange); }
+      .dot-badge.default  { color: var(--muted); }
       .toggle-badge {
         display: inline-block; padding: .13rem .55rem;
         border-radius: 10px; font-size: 11px; font-weight: 600;
       }
-      .toggle-badge.on   { background: #e8f5e9; color: #1b5e20; }
-      .toggle-badge.off  { background: #f5f5f5; color: #757575; }
-      .toggle-badge.warn { background: #fff8e1; color: #e65100; }
+      .toggle-badge.on   { background: var(--green-soft); color: var(--green); }
+      .toggle-badge.off  { background: var(--surface); color: var(--muted); }
+      .toggle-badge.warn { background: var(--warn-soft); color: var(--orange); }
 
       /* ── Config ── */
       .var-code {
         font-family: 'SFMono-Regular', Consolas, monospace;
-        font-size: 12px; background: #f5f5f5;
+        font-size: 12px; background: var(--surface);
         padding: .1rem .35rem; border-radius: 3px;
       }
 
       /* ── Misc ── */
       .loading-inline { padding: 1.5rem; text-align: center; color: var(--muted); font-size: 13px; }
       .empty-state    { padding: 1.5rem; text-align: center; color: var(--muted); font-size: 13px; }
-      .approve-btn    { color: #2e7d32; border-color: #a5d6a7; background: #e8f5e9; }
+      .approve-btn    { color: var(--green); border-color: var(--green-border); background: var(--green-soft); }
+
+      /* ── Modal ── */
+      .modal-backdrop {
+        position: fixed; inset: 0; z-index: 1000; background: rgba(0,0,0,.35);
+        display: flex; align-items: center; justify-content: center; padding: 1rem;
+      }
+      .modal {
+        background: var(--card); border-radius: 10px; width: 100%; max-width: 520px;
+        max-height: 90vh; display: flex; flex-direction: column;
+        box-shadow: 0 10px 40px rgba(0,0,0,.2);
+      }
+      .modal.wide  { max-width: 960px; }
+      .modal-head  {
+        display: flex; align-items: center; justify-content: space-between;
+        padding: .9rem 1.25rem; border-bottom: 1px solid var(--border);
+      }
+      .modal-title { font-size: 15px; font-weight: 600; color: var(--text-strong); }
+      .modal-x     { background: none; border: none; cursor: pointer; font-size: 14px; color: var(--muted); }
+      .modal-body  { padding: 1rem 1.25rem; overflow: auto; display: flex; flex-direction: column; gap: .6rem; }
+      .modal-foot  {
+        display: flex; justify-content: flex-end; gap: .5rem;
+        padding: .75rem 1.25rem; border-top: 1px solid var(--border);
+      }
+
+      /* ── Export ── */
+      .export-opts { display: flex; flex-direction: column; gap: .5rem; }
+      .export-opt {
+        display: flex; flex-direction: column; gap: .15rem; text-align: left;
+        padding: .65rem .85rem; border: 1px solid var(--border); border-radius: 6px;
+        background: var(--card); cursor: pointer; font-family: inherit; font-size: 13px; color: var(--text-strong);
+      }
+      .export-opt:hover { border-color: var(--primary); background: var(--primary-soft); }
+      .export-opt span  { font-size: 12px; color: var(--muted); }
+      .export-status    { font-size: 12px; color: var(--muted); }
+
+      /* ── Compare ── */
+      .diff-kind { font-size: 11px; font-weight: 600; padding: .1rem .45rem; border-radius: 4px; }
+      .diff-kind.added   { background: var(--green-soft); color: var(--green); }
+      .diff-kind.removed { background: var(--danger-soft); color: var(--red); }
+      .diff-kind.changed { background: var(--warn-soft); color: var(--orange); }
+
+      /* ── Diff viewer ── */
+      .diff-toolbar { display: flex; align-items: center; gap: .75rem; flex-wrap: wrap; }
+      .diff-stat    { font-size: 12px; font-weight: 600; }
+      .diff-add     { color: var(--green); }
+      .diff-del     { color: var(--red); }
+      .diff-legend  { font-size: 12px; color: var(--muted); }
+      .seg { display: inline-flex; margin-left: auto; border: 1px solid var(--border); border-radius: 5px; overflow: hidden; }
+      .seg-btn {
+        padding: .22rem .65rem; border: none; background: var(--card); cursor: pointer;
+        font-size: 12px; color: var(--muted);
+      }
+      .seg-btn + .seg-btn { border-left: 1px solid var(--border); }
+      .seg-btn.active { background: var(--primary-soft); color: var(--primary); font-weight: 600; }
+      .seg-btn:disabled { color: var(--faint); cursor: not-allowed; }
+      .tz-seg { margin: 0 .4rem 0 0; }
+      .diff-table {
+        width: 100%; border-collapse: collapse; table-layout: fixed;
+        font-family: 'SFMono-Regular', Consolas, monospace; font-size: 12px;
+      }
+      .diff-table td { padding: 0 .5rem; vertical-align: top; white-space: pre-wrap; word-break: break-all; }
+      .diff-table th { text-align: left; font-size: 11px; color: var(--muted); padding: .3rem .5rem; background: var(--surface); }
+      .diff-table .ln { width: 3rem; color: var(--faint); text-align: right; user-select: none; }
+      .diff-table tr.ins td, .diff-table td.ins { background: var(--green-soft); }
+      .diff-table tr.del td, .diff-table td.del { background: var(--danger-soft); }
+      .diff-table td.empty { background: var(--surface); }
+      .diff-table.split td { width: 50%; border-right: 1px solid var(--border); }
+
+      /* ── Forms ── */
+      .form-label { font-size: 12px; font-weight: 600; color: var(--text-2); margin-top: .35rem; }
+      .form-input {
+        width: 100%; padding: .45rem .65rem; border: 1px solid var(--border); border-radius: 6px;
+        font-size: 13px; font-family: inherit; color: var(--text-strong); background: var(--card);
+      }
+      .form-input:focus { outline: none; border-color: var(--primary); }
+      .form-error {
+        font-size: 12px; color: var(--danger); background: var(--danger-soft);
+        border: 1px solid var(--danger-border); border-radius: 4px; padding: .45rem .65rem;
+      }
+
+      .form-grid  { display: grid; grid-template-columns: 1fr 1fr; gap: .4rem .9rem; align-items: end; }
+      .form-grid .form-label { display: block; margin-bottom: .25rem; }
+      .form-check { display: flex; align-items: center; gap: .4rem; font-size: 13px; padding-bottom: .5rem; }
+      .form-input.mono { font-family: 'SFMono-Regular', Consolas, monospace; font-size: 12.5px; }
+      .cta-btn:disabled { opacity: .5; cursor: not-allowed; }
+
+      /* ── Variables ── */
+      .var-val    { display: inline-block; max-width: 240px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; vertical-align: middle; }
+      .var-val.revealed { background: var(--warn-soft); }
+      .var-val-cell { white-space: nowrap; }
+      .masked     { letter-spacing: .1em; color: var(--muted); margin-right: .4rem; }
+      .var-acts   { white-space: nowrap; text-align: right; }
+      tr.imp-same td, tr.imp-secret td, tr.imp-invalid td { color: var(--faint); }
+      tr.imp-invalid td:last-child, tr.imp-secret td:last-child { color: var(--danger); }
+      .table-wrap.compact { max-height: 260px; overflow: auto; }
+
+      /* ── Schedule editor ── */
+      .sch-mode-row { display: flex; align-items: center; gap: .6rem; margin-top: .35rem; }
+      .day-picks  { display: flex; flex-wrap: wrap; gap: .35rem; align-items: center; margin-bottom: .3rem; }
+      .day-pick   {
+        display: inline-flex; align-items: center; gap: .25rem; font-size: 12px;
+        border: 1px solid var(--border); border-radius: 5px; padding: .2rem .5rem; cursor: pointer;
+      }
+      .sch-check  { display: flex; flex-direction: column; gap: .25rem; font-size: 12.5px; }
+      .sch-line   { display: flex; gap: .5rem; align-items: baseline; }
+      .sch-line strong { width: 40px; }
+      .sch-line.bad { color: var(--danger); }
+      .sched-acts { white-space: nowrap; text-align: right; }
+      .mini-btn.danger { color: var(--danger); }
+
+      /* ── Project dashboard ── */
+      .dash-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: .9rem; }
+      .dash-tile {
+        display: flex; flex-direction: column; gap: .55rem; text-align: left;
+        background: var(--card); border: 1px solid var(--border); border-radius: 8px;
+        padding: .9rem 1rem; cursor: pointer; font-family: inherit; font-size: 13px; color: inherit;
+        transition: border-color .12s, box-shadow .12s;
+      }
+      .dash-tile:hover { border-color: var(--primary); box-shadow: 0 2px 10px rgba(0,80,179,.08); }
+      .dash-tile-top { display: flex; align-items: center; justify-content: space-between; gap: .5rem; }
+      .dash-name  { font-weight: 700; color: var(--text-strong); font-size: 14px; word-break: break-all; }
+      .dash-meta, .dash-flags { display: flex; gap: .35rem; flex-wrap: wrap; }
+      .dash-rel   { display: flex; gap: .35rem; align-items: baseline; flex-wrap: wrap; font-size: 12px; }
+      .dash-sub   { color: var(--muted); font-size: 11px; }
 
       /* ── Picker ── */
       .picker-wrap {
@@ -1742,16 +5970,16 @@ class EnvironmentOverview extends HTMLElement {
         box-shadow: 0 4px 24px rgba(0,0,0,.07);
       }
       .picker-title {
-        font-size: 1.1rem; font-weight: 700; color: #111;
+        font-size: 1.1rem; font-weight: 700; color: var(--text-strong);
         margin-bottom: .4rem; display: flex; align-items: center; gap: .5rem;
       }
       .picker-icon { font-size: 1.3rem; }
       .picker-sub  { font-size: 13px; color: var(--muted); margin-bottom: 1.5rem; }
       .picker-field { display: flex; flex-direction: column; gap: .35rem; margin-bottom: 1rem; }
-      .picker-label { font-size: 12px; font-weight: 600; color: #444; }
+      .picker-label { font-size: 12px; font-weight: 600; color: var(--text-2); }
       .picker-select {
         padding: .5rem .75rem; border: 1px solid var(--border); border-radius: 6px;
-        font-size: 13px; color: #111; background: #fff; cursor: pointer;
+        font-size: 13px; color: var(--text-strong); background: var(--card); cursor: pointer;
         outline: none; appearance: auto;
       }
       .picker-select:focus { border-color: var(--primary); }
@@ -1761,4 +5989,617 @@ class EnvironmentOverview extends HTMLElement {
   }
 }
 
+// Message catalogs keyed by lower-case language tag. Add languages with
+// EnvironmentOverview.registerMessages(); see locales/ for examples.
+EnvironmentOverview.messages = {
+  en: {
+    'state.RUNNING':           'Running',
+    'state.LAUNCHING':         'Launching',
+    'state.SCALING_UP':        'Scaling Up',
+    'state.SCALING_DOWN':      'Scaling Down',
+    'state.DESTROYING':        'Destroying',
+    'state.STOPPED':           'Stopped',
+    'state.SCALE_DOWN':        'Scaled Down',
+    'state.LAUNCH_FAILED':     'Launch Failed',
+    'state.DESTROY_FAILED':    'Destroy Failed',
+    'state.SCALE_DOWN_FAILED': 'Scale-Down Failed',
+    'state.SCALE_UP_FAILED':   'Scale-Up Failed',
+    'state.UNKNOWN':           'Unknown',
+
+    'cta.launch':          'Launch',
+    'cta.plan':            'Run Plan',
+    'cta.triggerRelease':  'Trigger Release',
+    'cta.hotfix':          'Hotfix',
+    'cta.scaleDown':       'Scale Down',
+    'cta.scaleUp':         'Scale Up',
+    'cta.destroy':         'Destroy',
+    'cta.retryLaunch':     'Retry Launch',
+    'cta.retryDestroy':    'Retry Destroy',
+    'cta.retryScaleUp':    'Retry Scale Up',
+    'cta.retryScaleDown':  'Retry Scale Down',
+
+    'tab.overview':   'Overview',
+    'tab.releases':   'Releases',
+    'tab.resources':  'Resources',
+    'tab.config':     'Configuration',
+    'tab.schedule':   'Schedule',
+    'tab.analytics':  'Analytics',
+    'tab.lineage':    'Lineage',
+    'tab.drift':      'Drift',
+    'tab.compare':    'Compare',
+    'toolbar.export':  '⤓ Export',
+    'toolbar.compare': '⇄ Compare',
+    'toolbar.refresh': '↺ Refresh',
+    'live.on':         '● Live',
+    'live.title':      'Receiving live updates',
+    'tz.viewer':       'Local',
+    'tz.env':          'Env',
+    'tz.utc':          'UTC',
+    'tz.title':        'Show all times in {zone}',
+
+    'banner.snapshot':        'Viewing a <strong>snapshot</strong> taken <strong>{date}</strong> ({rel}) — read-only, actions are disabled',
+    'banner.snapshotUndated': 'Viewing a <strong>snapshot</strong> (capture time unknown) — read-only, actions are disabled',
+    'banner.exitSnapshot':    'Exit Snapshot',
+    'banner.inProgress':      '<strong>{type}</strong> in progress · started {elapsed}',
+    'banner.inProgressBy':    '<strong>{type}</strong> in progress · started {elapsed} · by {user}',
+    'banner.liveLogs':        'Live Logs ▾',
+    'banner.hideLiveLogs':    'Hide Live Logs ▴',
+    'banner.viewLogs':        'View Logs',
+    'banner.abort':           'Abort',
+    'banner.finished':        '<strong>{type}</strong> {status}',
+    'banner.closeLogs':       'Close Logs',
+    'banner.awaitingApproval': 'Release <strong>{id}</strong> awaiting approval',
+    'banner.approve':         'Approve',
+    'banner.reject':          'Reject',
+    'banner.paused':          'Releases are currently <strong>paused</strong> for this environment',
+    'banner.resumeReleases':  'Resume Releases',
+    'banner.overBudget':      'Forecast spend <strong>{forecast}</strong> exceeds the monthly budget of <strong>{budget}</strong>',
+    'banner.overBudgetMtd':   'Forecast spend <strong>{forecast}</strong> exceeds the monthly budget of <strong>{budget}</strong> — month-to-date spend is already over budget',
+    'banner.openCost':        'Open Cost Explorer',
+    'banner.queued':          { one: '<strong>{count}</strong> release queued', other: '<strong>{count}</strong> releases queued' },
+    'banner.ephemeral':       'This is an <strong>ephemeral environment</strong> — it will be automatically destroyed at the scheduled teardown time.',
+    'banner.release':         'Release',
+
+    'empty.services':          'No service breakdown available.',
+    'empty.noSchedules':       'No enabled schedules — this environment is expected to run around the clock (~730 h/month).',
+    'empty.releases':          'No releases yet. Trigger your first release.',
+    'empty.releasesFiltered':  'No releases match these filters.',
+    'empty.analytics':         'No finished deployments in this window.',
+    'empty.resources':         'No resources configured in this environment.',
+    'empty.resourcesFiltered': 'No resources match these filters.',
+    'empty.ingress':           'No ingress rules found.',
+    'empty.overrideSame':      'The override does not change the blueprint default.',
+    'empty.variables':         'No variables configured.',
+    'empty.variablesAdd':      'Add the first one',
+    'empty.variablesFiltered': 'No variables match these filters.',
+    'empty.schedules':         'No availability schedules configured.',
+    'empty.schedulesAdd':      'Set up a schedule',
+    'empty.schedulesSuffix':   'to automatically start and stop this environment.',
+    'empty.noDifferences':     'No differences found.',
+    'empty.lineageSnapshot':   'The lineage graph loads related environments live, which is not possible in a snapshot.',
+    'empty.driftSnapshot':     'The drift report needs live data from <strong>{base}</strong>, which is not part of this snapshot.',
+    'empty.environments':      'No environments in this project yet.',
+
+    'header.environment':      'Environment',
+    'header.ephemeral':        'Ephemeral',
+    'header.base':             'Base: {name}',
+    'header.releasesPaused':   'Releases Paused',
+    'header.approvalRequired': 'Approval Required',
+    'header.blueprint':        'Blueprint',
+    'header.namespace':        'NS: {ns}',
+    'header.stream':           'Stream: <strong>{stream}</strong>',
+    'header.branch':           'Branch: <strong>{branch}</strong>',
+    'header.tz':               'TZ: {tz}',
+    'header.createdBy':        'Created by <strong>{user}</strong>',
+
+    'log.search':     'Search logs…',
+    'log.autoScroll': 'Auto-scroll',
+    'log.connecting': 'Connecting…',
+    'log.ended':      'Stream ended · {status}',
+    'log.streaming':  '● Streaming',
+    'log.waiting':    'Waiting for logs…',
+    'log.noOutput':   'No output yet.',
+    'log.matches':    { one: '{count} match', other: '{count} matches' },
+
+    'card.noReleases':      'No releases yet',
+    'card.by':              'by {user}',
+    'card.state':           'State',
+    'card.account':         'Acct: {id}',
+    'card.resources':       'Resources',
+    'card.resourcesActive': '{active} active',
+    'card.resourcesSplit':  '{active} active · {disabled} disabled',
+    'card.lastRelease':     'Last Release',
+    'card.deployHealth':    'Deploy Health',
+    'card.deploySplit':     '{ok} ok · {failed} failed · {none} no-change',
+    'card.noData':          'No data yet',
+    'card.variables':       'Variables &amp; Secrets',
+    'card.varSplit':        '{vars} vars · {secrets} secrets',
+
+    'status.SUCCEEDED':        'Succeeded',
+    'status.FAILED':           'Failed',
+    'status.FAULT':            'Fault',
+    'status.TIMED_OUT':        'Timed Out',
+    'status.IN_PROGRESS':      'In Progress',
+    'status.STARTED':          'Started',
+    'status.QUEUED':           'Queued',
+    'status.PENDING_APPROVAL': 'Pending Approval',
+    'status.APPROVED':         'Approved',
+    'status.ABORTED':          'Aborted',
+    'status.STOPPED':          'Stopped',
+    'status.REJECTED':         'Rejected',
+    'status.finished':         'finished',
+
+    'ready.title':          'Launch Readiness',
+    'ready.intro':          'This environment has not been launched yet. Complete the checklist before triggering a launch.',
+    'ready.titleBlueprint': 'Launch Readiness — Blueprint Environment',
+    'ready.introBlueprint': 'Launch steps are determined dynamically by the resources defined in the blueprint.',
+    'ready.configured':     'Environment configured',
+    'ready.configuredHint': 'Set cloud provider and credentials in environment settings',
+    'ready.account':        'Cloud account linked',
+    'ready.accountHint':    'Link a {cloud} account to this environment',
+    'ready.k8s':            'Kubernetes credentials',
+    'ready.k8sHint':        'Configure K8s access credentials',
+    'ready.variables':      'Variables populated',
+    'ready.variablesHint':  'Set required environment variables before launch',
+    'ready.checksFirst':    'Complete all checks first',
+    'ready.launch':         'Launch Environment',
+    'ready.plan':           'Run Plan (Dry Run)',
+    'ready.blueprint':      'Blueprint',
+    'ready.branch':         'Branch',
+    'ready.projectType':    'Project type',
+    'ready.resources':      'Resources defined',
+    'ready.variablesSet':   'Variables set',
+
+    'section.infra':          'Infrastructure Identity',
+    'section.downstream':     'Downstream Environments ({count})',
+    'section.cost':           'Cost · {cloud}',
+    'section.savings':        'Estimated Savings',
+    'section.releaseStats':   'Release Statistics',
+    'section.releaseHistory': 'Release History',
+    'section.analytics':      'Deployment Analytics',
+    'section.resources':      'Resources',
+    'section.ingress':        'Exposed Endpoints (Ingress)',
+    'section.variables':      'Variables &amp; Secrets ({count})',
+    'section.commonVars':     'Common Environment Variables ({count})',
+    'section.governance':     'Governance',
+    'section.availability':   'Availability · Next 7 Days',
+    'section.schedules':      'Availability Schedules',
+    'section.maintenance':    'Maintenance Window',
+    'section.lineage':        'Environment Lineage ({count})',
+
+    'infra.cloud':           'Cloud Provider',
+    'infra.account':         'Cloud Account',
+    'infra.vcs':             'VCS',
+    'infra.blueprintBranch': 'Blueprint Branch',
+    'infra.projectType':     'Project Type',
+    'infra.primaryCloud':    'Primary Cloud',
+    'infra.allowedClouds':   'Allowed Clouds',
+    'infra.namespace':       'Namespace',
+    'infra.k8sCredentials':  'K8s Credentials',
+    'infra.configured':      '✓ Configured',
+    'infra.notConfigured':   '✗ Not configured',
+    'infra.k8sRatio':        'K8s Req/Limit Ratio',
+    'infra.baseEnv':         'Base Environment',
+    'infra.cdParent':        'CD Pipeline Parent',
+    'infra.modifiedBy':      'Last Modified By',
+    'infra.modified':        'Last Modified',
+
+    'downstream.lineage': 'View Lineage',
+    'downstream.view':    'View',
+    'downstream.note':    '⚠ This environment cannot be destroyed while downstream environments are running.',
+
+    'cost.notAvailable': 'Cost data is not available for this environment yet.',
+    'cost.none':         'No cost has been recorded for this environment in the last 30 days.',
+    'cost.other':        'Other',
+    'cost.mtd':          'Month to Date',
+    'cost.change':       '{pct}% vs same period last month',
+    'cost.lastMonth':    'Last Month',
+    'cost.forecast':     'Forecast This Month',
+    'cost.ofBudget':     '{pct}% of {budget} budget',
+    'cost.daily':        'Daily cost · last 30 days',
+    'cost.series':       'Cost',
+    'cost.services':     'Top services · last 30 days',
+
+    'savings.running':   'Running / Month',
+    'savings.perWeek':   '≈ {hours} h per week',
+    'savings.stopped':   'Stopped / Month',
+    'savings.pct':       '{pct}% of the time',
+    'savings.projected': 'Projected Savings / Month',
+    'savings.basis':     'at the last 30 days\' hourly spend',
+    'savings.noCost':    'Cost data unavailable',
+    'savings.noRunHours': 'No scheduled running time in the last 30 days to base an hourly rate on',
+
+    'col.type':         'Type',
+    'col.status':       'Status',
+    'col.triggeredBy':  'Triggered By',
+    'col.started':      'Started',
+    'col.duration':     'Duration',
+    'col.changes':      'Changes',
+    'col.resourceType': 'Resource Type',
+    'col.resourceName': 'Resource Name',
+    'col.change':       'Change',
+    'col.host':         'Host',
+    'col.path':         'Path',
+    'col.service':      'Service',
+    'col.port':         'Port',
+    'col.name':         'Name',
+    'col.key':          'Key',
+    'col.value':        'Value',
+    'col.description':  'Description',
+    'col.action':       'Action',
+    'col.start':        'Start',
+    'col.stop':         'Stop',
+    'col.timezone':     'Timezone',
+    'col.nextRun':      'Next Run',
+
+    'releases.logs':      'Logs',
+    'releases.showing':   { one: 'Showing {count} release', other: 'Showing {count} releases' },
+    'releases.showingOf': 'Showing {count} of {total} releases',
+    'releases.more':      'Load more',
+
+    'filter.allStatuses': 'All statuses',
+    'filter.allTypes':    'All types',
+    'filter.triggeredBy': 'Triggered by…',
+    'filter.from':        'From',
+    'filter.to':          'To',
+    'filter.clear':       'Clear filters',
+    'filter.anyStatus':   'Any status',
+
+    'stat.successful':  'Successful',
+    'stat.failed':      'Failed',
+    'stat.noChanges':   'No Changes',
+    'stat.total':       'Total',
+    'stat.pctSuccess':  '{pct}% success',
+    'stat.pctFailed':   '{pct}% failed',
+    'stat.pctNoChange': '{pct}% no change',
+
+    'detail.traceId':    'Release Trace ID',
+    'detail.approvedBy': 'Approved By',
+    'detail.started':    'Started',
+    'detail.finished':   'Finished',
+    'detail.error':      'Error',
+    'detail.noError':    'No error summary was recorded for this release.',
+    'detail.changes':    'Changes Applied ({count})',
+    'detail.noChanges':  'No changes were applied by this release.',
+
+    'analytics.days':              { one: '{count} day', other: '{count} days' },
+    'analytics.frequency':         'Deployment Frequency',
+    'analytics.perDay':            '{n}/day',
+    'analytics.perWeek':           '{n}/week',
+    'analytics.deployments':       { one: '{count} deployment', other: '{count} deployments' },
+    'analytics.cfr':               'Change Failure Rate',
+    'analytics.cfrSub':            'failed ÷ finished',
+    'analytics.mttr':              'Mean Time to Recovery',
+    'analytics.mttrSub':           'failure → next success',
+    'analytics.duration':          'Duration p50 / p95',
+    'analytics.durationSub':       'per finished deployment',
+    'analytics.chartPerDay':       'Deployments per day',
+    'analytics.chartPerWeek':      'Deployments per week',
+    'analytics.seriesDeployments': 'Deployments',
+    'analytics.chartCfr':          'Change failure rate',
+    'analytics.chartMttr':         'Mean time to recovery',
+    'analytics.chartDuration':     'Deployment duration',
+
+    'resources.search':        'Search resources…',
+    'resources.active':        'Active',
+    'resources.disabled':      'Disabled',
+    'resources.overridesOnly': 'Overrides only',
+    'resources.groupByType':   'Group by type',
+    'resources.override':      'Override',
+    'resources.diff':          'Diff',
+    'resources.copyUrl':       'Copy URL',
+    'resources.manage':        'Manage Resources',
+    'resources.noK8s':         '⎈ Kubernetes is not configured for this environment. Ingress endpoint data is unavailable.',
+    'resources.showingOf':     'Showing {count} of {total} resources',
+
+    'diff.title':      'Override diff — {type} / {name}',
+    'diff.loadFailed': 'Could not load the content for this resource.',
+    'diff.legend':     'Blueprint default → environment override',
+    'diff.unified':    'Unified',
+    'diff.split':      'Side by side',
+    'diff.tooLarge':   'Resource is too large to diff in the browser.',
+    'diff.base':       'Blueprint default',
+    'diff.override':   'Environment override',
+
+    'vars.import':     'Import',
+    'vars.export':     'Export',
+    'vars.add':        '+ Add Variable',
+    'vars.search':     'Search variables…',
+    'vars.allKinds':   'Variables &amp; secrets',
+    'vars.variables':  'Variables',
+    'vars.secrets':    'Secrets',
+    'vars.OVERRIDDEN': 'Overridden',
+    'vars.DEFAULT':    'Default',
+    'vars.secret':     'Secret',
+    'vars.variable':   'Variable',
+
+    'gov.approval':     'Approval Required',
+    'gov.yes':          'Yes',
+    'gov.no':           'No',
+    'gov.autoSignOff':  'Auto Sign-off',
+    'gov.enabled':      'Enabled',
+    'gov.disabled':     'Disabled',
+    'gov.paused':       'Paused',
+    'gov.active':       'Active',
+    'gov.resume':       'Resume',
+    'gov.stream':       'Release Stream',
+    'gov.autoSchedule': 'Auto Sign-off Schedule',
+
+    'action.copy':    'Copy',
+    'action.copied':  'Copied!',
+    'action.hide':    'Hide',
+    'action.reveal':  'Reveal',
+    'action.edit':    'Edit',
+    'action.delete':  'Delete',
+    'action.cancel':  'Cancel',
+    'action.save':    'Save',
+    'action.create':  'Create',
+    'action.enable':  'Enable',
+    'action.disable': 'Disable',
+    'action.close':   'Close',
+
+    'varForm.titleNew':          'New variable',
+    'varForm.titleEdit':         'Edit variable',
+    'varForm.titleEditSecret':   'Edit secret',
+    'varForm.namePlaceholder':   'e.g. LOG_LEVEL',
+    'varForm.secret':            'Secret — value is write-only and masked everywhere',
+    'varForm.keepValue':         'Leave blank to keep the current value',
+    'varForm.invalidName':       'Names may only contain letters, digits and underscores, and must not start with a digit.',
+    'varForm.exists':            '{name} already exists.',
+    'varForm.secretValue':       'Secrets need a value.',
+    'varForm.titleDelete':       'Delete variable',
+    'varForm.titleDeleteSecret': 'Delete secret',
+    'varForm.deleteConfirm':     'Delete {name}? Releases after this change will no longer receive it.',
+
+    'reveal.title':   'Reveal secret',
+    'reveal.confirm': 'Show the current value of {name}?',
+    'reveal.note':    'The value will be visible on screen for 30 seconds. Access to secrets may be audited.',
+    'reveal.go':      'Reveal value',
+
+    'varExport.title':    'Export variables',
+    'varExport.count':    { one: 'Exports {count} non-secret variable.', other: 'Exports {count} non-secret variables.' },
+    'varExport.secrets':  { one: '{count} secret is never exported.', other: '{count} secrets are never exported.' },
+    'varExport.env':      '.env file',
+    'varExport.envHint':  'KEY=VALUE lines, quoted where needed.',
+    'varExport.jsonHint': 'A flat object of name → value.',
+
+    'import.title':       'Import variables',
+    'import.intro':       'Paste or load a <code>.env</code> file or a JSON object. Only non-secret variables can be imported; names that belong to secrets are skipped.',
+    'import.invalidJson': 'Invalid JSON: {error}',
+    'import.badLine':     'Line {line}: expected KEY=VALUE',
+    'import.create':      'New',
+    'import.update':      'Update',
+    'import.same':        'Unchanged',
+    'import.secret':      'Skipped — secret',
+    'import.invalid':     'Skipped — invalid name',
+    'import.go':          { one: 'Import {count} change', other: 'Import {count} changes' },
+    'import.progress':    'Importing {n}/{total}…',
+    'import.partial':     '{n} of {total} imported. Failed:',
+    'import.done':        'Done',
+
+    'sched.unknownTz': 'Unknown timezone, times shown in UTC',
+    'sched.upcoming':  'Upcoming',
+    'sched.add':       '+ Add Schedule',
+    'sched.unnamed':   'Schedule',
+
+    'mw.enable':   'Enable Maintenance',
+    'mw.disable':  'Disable Maintenance',
+    'mw.inactive': 'Inactive',
+    'mw.end':      'End',
+    'mw.next':     'Next Window',
+
+    'conflict.overlap':     '{a} overlaps {b}',
+    'conflict.maintenance': 'Maintenance window while the environment is scheduled to be stopped',
+    'conflict.signoff':     'Auto sign-off while the environment is scheduled to be stopped',
+
+    'tl.running':        'Running {from}–{to}',
+    'tl.alwaysOn':       'No schedule — always on',
+    'tl.maintenanceAt':  'Maintenance {from}–{to}',
+    'tl.signOffAt':      'Auto sign-off {time}',
+    'tl.scheduled':      'Scheduled running',
+    'tl.alwaysOnLegend': 'Always on (no active schedule)',
+    'tl.maintenance':    'Maintenance',
+    'tl.signOff':        'Auto sign-off',
+    'tl.conflict':       'Conflict',
+    'tl.timesIn':        'Times in {tz}',
+    'tl.more':           { one: 'and {count} more this week', other: 'and {count} more this week' },
+
+    'cron.at':            'at {times}',
+    'cron.everySecond':   'every second',
+    'cron.everySeconds':  { one: 'every second', other: 'every {count} seconds' },
+    'cron.everyMinute':   'every minute',
+    'cron.everyMinutes':  { one: 'every minute', other: 'every {count} minutes' },
+    'cron.everyHoursAt':  { one: 'every hour at :{minute}', other: 'every {count} hours at :{minute}' },
+    'cron.everyHourAt':   'every hour at :{minute}',
+    'cron.atMinutes':     'at minutes {minutes} past the hour',
+    'cron.andEveryHours': { one: '{time} every hour', other: '{time} every {count} hours' },
+    'cron.between':       '{time} between {from} and {to}',
+    'cron.duringHours':   '{time} during hours {hours}',
+    'cron.ordinal':       { one: '{count}st', two: '{count}nd', few: '{count}rd', other: '{count}th' },
+    'cron.daysOfMonth':   'the {days} of the month',
+    'cron.weekdays':      'weekdays',
+    'cron.weekends':      'weekends',
+    'cron.everyWeekday':  '{day}s',
+    'cron.everyDay':      'every day',
+    'cron.on':            'on {days}',
+    'cron.onEither':      'on {doms} or on {dows}',
+    'cron.fixed':         '{days} {time}',
+    'cron.repeating':     '{time} {days}',
+    'cron.in':            '{when} in {list}',
+    'cron.invalid':       'Invalid',
+    'cron.never':         'Never fires',
+    'cron.neverTitle':    'No matching date in the next eight years',
+
+    'cronErr.empty':      'Empty expression',
+    'cronErr.macro':      'Unsupported macro {macro}',
+    'cronErr.fields':     'Expected 5 to 7 fields, got {count}',
+    'cronErr.invalid':    'Invalid {field} "{text}"',
+    'cronErr.invalidWhy': 'Invalid {field} "{text}" ({why})',
+    'cronErr.lw':         'L, W and # are not supported',
+    'cronErr.step':       'step must be at least 1',
+    'cronErr.question':   '? is only allowed in day fields',
+    'cronErr.allowed':    'allowed {min}–{max}',
+    'cronErr.range':      'range start is after its end',
+
+    'cronField.second':       'second',
+    'cronField.minute':       'minute',
+    'cronField.hour':         'hour',
+    'cronField.day-of-month': 'day-of-month',
+    'cronField.month':        'month',
+    'cronField.day-of-week':  'day-of-week',
+    'cronField.year':         'year',
+
+    'schedForm.titleNew':        'New availability schedule',
+    'schedForm.titleEdit':       'Edit availability schedule',
+    'schedForm.name':            'Name',
+    'schedForm.namePlaceholder': 'e.g. Office hours',
+    'schedForm.timezone':        'Timezone',
+    'schedForm.enabled':         'Enabled',
+    'schedForm.times':           'Start / stop times',
+    'schedForm.builder':         'Builder',
+    'schedForm.raw':             'Cron expression',
+    'schedForm.weekdays':        'Weekdays',
+    'schedForm.everyDay':        'Every day',
+    'schedForm.startAt':         'Start at',
+    'schedForm.stopAt':          'Stop at',
+    'schedForm.startCron':       'Start cron',
+    'schedForm.stopCron':        'Stop cron',
+    'schedForm.startRequired':   'Start cron is required',
+    'schedForm.pickDay':         'Pick at least one day',
+    'schedForm.stopRequired':    'Stop cron is required',
+    'schedForm.neverFires':      'never fires',
+    'schedForm.start':           'Start',
+    'schedForm.stop':            'Stop',
+    'schedForm.nextRuns':        'Next runs',
+    'schedForm.notBuildable':    'These expressions can’t be shown in the builder. Keep editing them as cron expressions.',
+    'schedForm.saving':          'Saving…',
+    'schedForm.toggleFailed':    'Could not update schedule',
+    'schedForm.titleDelete':     'Delete schedule',
+    'schedForm.deleteConfirm':   'Delete {name}? The environment will no longer be started or stopped by it.',
+    'schedForm.thisSchedule':    'this schedule',
+
+    'cmp.pickTitle':       'Compare with another environment',
+    'cmp.pickLabel':       'Environment in {project}',
+    'cmp.thisProject':     'this project',
+    'cmp.exit':            'Exit Compare',
+    'cmp.compare':         'Compare',
+    'cmp.noOthers':        'No other environments',
+    'cmp.loadFailed':      'Failed to load environments',
+    'cmp.select':          '— Select environment —',
+    'cmp.envFailed':       'Could not load the comparison environment',
+    'cmp.resourcesFailed': 'Could not load resources for the comparison',
+    'cmp.this':            'this',
+    'cmp.other':           'other',
+    'cmp.release':         'Release',
+    'cmp.versions':        'Component Versions',
+    'cmp.variables':       'Variables &amp; Secrets',
+    'cmp.latest':          'Latest Release',
+    'cmp.latestContext':   '{name}: release {id}, finished {when}',
+    'cmp.onlyIn':          'Only in {name}',
+    'cmp.differs':         'Differs',
+    'cmp.comparing':       'Comparing {a} with {b}',
+    'cmp.change':          'Change',
+    'cmp.note':            'Only differences are listed. Secret values are never compared.',
+    'cmp.difference':      'Difference',
+
+    'lineage.promotes':      'Promotes to (CD pipeline)',
+    'lineage.basedOn':       'Based on (base environment)',
+    'lineage.hint':          'Click an environment to open it.',
+    'lineage.truncated':     'Showing the first {count} related environments.',
+    'lineage.base':          'base environment',
+    'lineage.pipeline':      'CD pipeline',
+    'lineage.notFoundTitle': 'not found in this project',
+    'lineage.notFound':      'Not found in project',
+
+    'drift.baseFailed':    'Could not load the base environment {name}',
+    'drift.contentFailed': 'Could not load resource content for the drift report',
+    'drift.secret':        'Secret (value not compared)',
+    'drift.common':        'Common Environment Variables',
+    'drift.enablement':    'Resource Enablement',
+    'drift.overrides':     'Resource Overrides',
+    'drift.noOverride':    'No override',
+    'drift.overrideLines': { one: 'Override · {count} line', other: 'Override · {count} lines' },
+    'drift.base':          'base',
+    'drift.added':         'Added',
+    'drift.removed':       'Removed',
+    'drift.changed':       'Changed',
+    'drift.thisEnv':       'this environment',
+    'drift.title':         'Drift from base {base}',
+    'drift.openBase':      'Open Base',
+    'drift.recheck':       'Re-check',
+    'drift.summary':       { one: '{count} difference: {added} added, {removed} removed, {changed} changed in {name}.', other: '{count} differences: {added} added, {removed} removed, {changed} changed in {name}.' },
+    'drift.matches':       '{name} matches its base.',
+    'drift.secretNote':    'Secret values are never compared.',
+    'drift.drift':         'Drift',
+    'drift.baseCol':       '{name} (base)',
+    'drift.diffTitle':     'Override drift — {key}',
+    'drift.diffLegend':    '{base} override → this environment',
+
+    'export.title':          'Export environment snapshot',
+    'export.intro':          'Exports everything loaded for this environment, fetching any tab that has not been opened yet. Secret values are never included.',
+    'export.json':           'JSON snapshot',
+    'export.jsonHint':       'Versioned, machine-readable. Can be re-opened in snapshot mode.',
+    'export.md':             'Markdown summary',
+    'export.mdHint':         'Paste into change-advisory or post-mortem docs.',
+    'export.print':          'Printable report',
+    'export.printHint':      'Opens the print dialog with a print-optimized layout.',
+    'export.collecting':     'Collecting data…',
+    'export.releasesFailed': 'Could not load release history for the export',
+    'export.notLoaded':      'Nothing to export — the environment has not loaded',
+
+    'report.cloud':     'Cloud',
+    'report.resources': '{total} ({active} active)',
+    'report.variables': 'Variables / Secrets',
+    'report.none':      'None',
+    'report.taken':     'Snapshot taken {time} · format v{version}',
+    'report.meta':      'Environment snapshot · taken {time} · format v{version}',
+    'report.summary':   'Summary',
+    'report.releases':  'Releases',
+
+    'snapshot.openFailed': 'Could not open snapshot',
+    'snapshot.invalid':    'Not an environment snapshot: expected `env` or `overview.cluster`',
+
+    'relAction.approveTitle':       'Approve release',
+    'relAction.rejectTitle':        'Reject release',
+    'relAction.abortTitle':         'Abort release',
+    'relAction.comment':            'Comment',
+    'relAction.commentPlaceholder': 'Optional note for the audit trail',
+
+    'picker.title':          'Environment Overview',
+    'picker.intro':          'Select a project and environment to view its overview.',
+    'picker.project':        'Project',
+    'picker.selectEnv':      'Select environment…',
+    'picker.go':             'View Environment',
+    'picker.projectsFailed': 'Failed to load projects',
+    'picker.noProjects':     'No projects found',
+    'picker.selectProject':  '— Select project —',
+    'picker.noEnvs':         'No environments found',
+
+    'dash.count':       { one: '{count} environment', other: '{count} environments' },
+    'dash.autoRefresh': 'Auto-refreshing',
+    'dash.loadFailed':  'Failed to load environments for this project.',
+
+    'loading.environment':     'Loading environment…',
+    'loading.environments':    'Loading environments…',
+    'loading.releases':        'Loading release history…',
+    'loading.details':         'Loading details…',
+    'loading.resources':       'Loading resources…',
+    'loading.endpoints':       'Loading endpoints…',
+    'loading.resourceContent': 'Loading resource content…',
+    'loading.schedules':       'Loading schedules…',
+    'loading.generic':         'Loading…',
+    'loading.comparison':      'Loading comparison…',
+    'loading.lineage':         'Loading related environments…',
+    'loading.base':            'Loading base environment…',
+    'loading.cost':            'Loading cost data…',
+    'loading.projects':        'Loading projects…',
+    'error.loadEnvironment':   'Failed to load environment: {error}',
+    'error.releases':          'Could not load release history.',
+    'error.details':           'Could not load the details of this release.',
+    'error.retry':             'Retry',
+    'error.resolveCluster':    'Could not resolve cluster ID from name',
+    'error.readOnly':          'Snapshot mode is read-only'
+  }
+};
+
 customElements.define('environment-overview', EnvironmentOverview);
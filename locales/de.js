@@ -0,0 +1,612 @@
+/**
+ * German messages for <environment-overview>. Load after environment-overview.js
+ * and set lang="de" on the element (or an ancestor).
+ */
+customElements.get('environment-overview').registerMessages('de', {
+  'state.RUNNING':           'Läuft',
+  'state.LAUNCHING':         'Wird gestartet',
+  'state.SCALING_UP':        'Skaliert hoch',
+  'state.SCALING_DOWN':      'Skaliert herunter',
+  'state.DESTROYING':        'Wird gelöscht',
+  'state.STOPPED':           'Gestoppt',
+  'state.SCALE_DOWN':        'Herunterskaliert',
+  'state.LAUNCH_FAILED':     'Start fehlgeschlagen',
+  'state.DESTROY_FAILED':    'Löschen fehlgeschlagen',
+  'state.SCALE_DOWN_FAILED': 'Herunterskalieren fehlgeschlagen',
+  'state.SCALE_UP_FAILED':   'Hochskalieren fehlgeschlagen',
+  'state.UNKNOWN':           'Unbekannt',
+
+  'cta.launch':          'Starten',
+  'cta.plan':            'Plan ausführen',
+  'cta.triggerRelease':  'Release auslösen',
+  'cta.hotfix':          'Hotfix',
+  'cta.scaleDown':       'Herunterskalieren',
+  'cta.scaleUp':         'Hochskalieren',
+  'cta.destroy':         'Löschen',
+  'cta.retryLaunch':     'Start wiederholen',
+  'cta.retryDestroy':    'Löschen wiederholen',
+  'cta.retryScaleUp':    'Hochskalieren wiederholen',
+  'cta.retryScaleDown':  'Herunterskalieren wiederholen',
+
+  'tab.overview':   'Übersicht',
+  'tab.releases':   'Releases',
+  'tab.resources':  'Ressourcen',
+  'tab.config':     'Konfiguration',
+  'tab.schedule':   'Zeitplan',
+  'tab.analytics':  'Analysen',
+  'tab.lineage':    'Abstammung',
+  'tab.drift':      'Abweichungen',
+  'tab.compare':    'Vergleich',
+  'toolbar.export':  '⤓ Exportieren',
+  'toolbar.compare': '⇄ Vergleichen',
+  'toolbar.refresh': '↺ Aktualisieren',
+  'live.on':         '● Live',
+  'live.title':      'Empfängt Live-Updates',
+  'tz.viewer':       'Lokal',
+  'tz.env':          'Umgebung',
+  'tz.utc':          'UTC',
+  'tz.title':        'Alle Zeiten in {zone} anzeigen',
+
+  'banner.snapshot':        'Ansicht eines <strong>Snapshots</strong> vom <strong>{date}</strong> ({rel}) — schreibgeschützt, Aktionen sind deaktiviert',
+  'banner.snapshotUndated': 'Ansicht eines <strong>Snapshots</strong> (Aufnahmezeit unbekannt) — schreibgeschützt, Aktionen sind deaktiviert',
+  'banner.exitSnapshot':    'Snapshot verlassen',
+  'banner.inProgress':      '<strong>{type}</strong> läuft · seit {elapsed}',
+  'banner.inProgressBy':    '<strong>{type}</strong> läuft · seit {elapsed} · von {user}',
+  'banner.liveLogs':        'Live-Logs ▾',
+  'banner.hideLiveLogs':    'Live-Logs ausblenden ▴',
+  'banner.viewLogs':        'Logs anzeigen',
+  'banner.abort':           'Abbrechen',
+  'banner.finished':        '<strong>{type}</strong> {status}',
+  'banner.closeLogs':       'Logs schließen',
+  'banner.awaitingApproval': 'Release <strong>{id}</strong> wartet auf Freigabe',
+  'banner.approve':         'Freigeben',
+  'banner.reject':          'Ablehnen',
+  'banner.paused':          'Releases sind für diese Umgebung derzeit <strong>pausiert</strong>',
+  'banner.resumeReleases':  'Releases fortsetzen',
+  'banner.overBudget':      'Prognostizierte Kosten von <strong>{forecast}</strong> überschreiten das Monatsbudget von <strong>{budget}</strong>',
+  'banner.overBudgetMtd':   'Prognostizierte Kosten von <strong>{forecast}</strong> überschreiten das Monatsbudget von <strong>{budget}</strong> — die bisherigen Kosten dieses Monats liegen bereits darüber',
+  'banner.openCost':        'Cost Explorer öffnen',
+  'banner.queued':          { one: '<strong>{count}</strong> Release in der Warteschlange', other: '<strong>{count}</strong> Releases in der Warteschlange' },
+  'banner.ephemeral':       'Dies ist eine <strong>kurzlebige Umgebung</strong> — sie wird zum geplanten Zeitpunkt automatisch gelöscht.',
+  'banner.release':         'Release',
+
+  'empty.services':          'Keine Aufschlüsselung nach Diensten verfügbar.',
+  'empty.noSchedules':       'Keine aktiven Zeitpläne — diese Umgebung läuft voraussichtlich rund um die Uhr (~730 h/Monat).',
+  'empty.releases':          'Noch keine Releases. Lösen Sie Ihr erstes Release aus.',
+  'empty.releasesFiltered':  'Keine Releases entsprechen diesen Filtern.',
+  'empty.analytics':         'Keine abgeschlossenen Deployments in diesem Zeitraum.',
+  'empty.resources':         'In dieser Umgebung sind keine Ressourcen konfiguriert.',
+  'empty.resourcesFiltered': 'Keine Ressourcen entsprechen diesen Filtern.',
+  'empty.ingress':           'Keine Ingress-Regeln gefunden.',
+  'empty.overrideSame':      'Der Override ändert den Blueprint-Standard nicht.',
+  'empty.variables':         'Keine Variablen konfiguriert.',
+  'empty.variablesAdd':      'Erste Variable anlegen',
+  'empty.variablesFiltered': 'Keine Variablen entsprechen diesen Filtern.',
+  'empty.schedules':         'Keine Verfügbarkeitszeitpläne konfiguriert.',
+  'empty.schedulesAdd':      'Zeitplan einrichten',
+  'empty.schedulesSuffix':   'um diese Umgebung automatisch zu starten und zu stoppen.',
+  'empty.noDifferences':     'Keine Unterschiede gefunden.',
+  'empty.lineageSnapshot':   'Der Abstammungsgraph lädt verwandte Umgebungen live, was in einem Snapshot nicht möglich ist.',
+  'empty.driftSnapshot':     'Der Abweichungsbericht benötigt Live-Daten von <strong>{base}</strong>, die nicht Teil dieses Snapshots sind.',
+  'empty.environments':      'Dieses Projekt enthält noch keine Umgebungen.',
+
+  'header.environment':      'Umgebung',
+  'header.ephemeral':        'Kurzlebig',
+  'header.base':             'Basis: {name}',
+  'header.releasesPaused':   'Releases pausiert',
+  'header.approvalRequired': 'Freigabe erforderlich',
+  'header.blueprint':        'Blueprint',
+  'header.namespace':        'NS: {ns}',
+  'header.stream':           'Stream: <strong>{stream}</strong>',
+  'header.branch':           'Branch: <strong>{branch}</strong>',
+  'header.tz':               'TZ: {tz}',
+  'header.createdBy':        'Erstellt von <strong>{user}</strong>',
+
+  'log.search':     'Logs durchsuchen…',
+  'log.autoScroll': 'Automatisch scrollen',
+  'log.connecting': 'Verbinde…',
+  'log.ended':      'Stream beendet · {status}',
+  'log.streaming':  '● Live',
+  'log.waiting':    'Warte auf Logs…',
+  'log.noOutput':   'Noch keine Ausgabe.',
+  'log.matches':    { one: '{count} Treffer', other: '{count} Treffer' },
+
+  'card.noReleases':      'Noch keine Releases',
+  'card.by':              'von {user}',
+  'card.state':           'Status',
+  'card.account':         'Konto: {id}',
+  'card.resources':       'Ressourcen',
+  'card.resourcesActive': '{active} aktiv',
+  'card.resourcesSplit':  '{active} aktiv · {disabled} deaktiviert',
+  'card.lastRelease':     'Letztes Release',
+  'card.deployHealth':    'Deployment-Zustand',
+  'card.deploySplit':     '{ok} ok · {failed} fehlgeschlagen · {none} ohne Änderung',
+  'card.noData':          'Noch keine Daten',
+  'card.variables':       'Variablen &amp; Secrets',
+  'card.varSplit':        '{vars} Variablen · {secrets} Secrets',
+
+  'status.SUCCEEDED':        'Erfolgreich',
+  'status.FAILED':           'Fehlgeschlagen',
+  'status.FAULT':            'Fehler',
+  'status.TIMED_OUT':        'Zeitüberschreitung',
+  'status.IN_PROGRESS':      'Läuft',
+  'status.STARTED':          'Gestartet',
+  'status.QUEUED':           'In Warteschlange',
+  'status.PENDING_APPROVAL': 'Wartet auf Freigabe',
+  'status.APPROVED':         'Freigegeben',
+  'status.ABORTED':          'Abgebrochen',
+  'status.STOPPED':          'Gestoppt',
+  'status.REJECTED':         'Abgelehnt',
+  'status.finished':         'abgeschlossen',
+
+  'ready.title':          'Startbereitschaft',
+  'ready.intro':          'Diese Umgebung wurde noch nicht gestartet. Arbeiten Sie die Checkliste ab, bevor Sie einen Start auslösen.',
+  'ready.titleBlueprint': 'Startbereitschaft — Blueprint-Umgebung',
+  'ready.introBlueprint': 'Die Startschritte ergeben sich aus den im Blueprint definierten Ressourcen.',
+  'ready.configured':     'Umgebung konfiguriert',
+  'ready.configuredHint': 'Cloud-Anbieter und Zugangsdaten in den Umgebungseinstellungen festlegen',
+  'ready.account':        'Cloud-Konto verknüpft',
+  'ready.accountHint':    'Ein {cloud}-Konto mit dieser Umgebung verknüpfen',
+  'ready.k8s':            'Kubernetes-Zugangsdaten',
+  'ready.k8sHint':        'K8s-Zugangsdaten konfigurieren',
+  'ready.variables':      'Variablen gesetzt',
+  'ready.variablesHint':  'Erforderliche Umgebungsvariablen vor dem Start setzen',
+  'ready.checksFirst':    'Zuerst alle Prüfungen abschließen',
+  'ready.launch':         'Umgebung starten',
+  'ready.plan':           'Plan ausführen (Probelauf)',
+  'ready.blueprint':      'Blueprint',
+  'ready.branch':         'Branch',
+  'ready.projectType':    'Projekttyp',
+  'ready.resources':      'Definierte Ressourcen',
+  'ready.variablesSet':   'Gesetzte Variablen',
+
+  'section.infra':          'Infrastruktur',
+  'section.downstream':     'Nachgelagerte Umgebungen ({count})',
+  'section.cost':           'Kosten · {cloud}',
+  'section.savings':        'Geschätzte Einsparungen',
+  'section.releaseStats':   'Release-Statistik',
+  'section.releaseHistory': 'Release-Verlauf',
+  'section.analytics':      'Deployment-Analyse',
+  'section.resources':      'Ressourcen',
+  'section.ingress':        'Erreichbare Endpunkte (Ingress)',
+  'section.variables':      'Variablen &amp; Secrets ({count})',
+  'section.commonVars':     'Gemeinsame Umgebungsvariablen ({count})',
+  'section.governance':     'Governance',
+  'section.availability':   'Verfügbarkeit · nächste 7 Tage',
+  'section.schedules':      'Verfügbarkeitszeitpläne',
+  'section.maintenance':    'Wartungsfenster',
+  'section.lineage':        'Umgebungsabstammung ({count})',
+
+  'infra.cloud':           'Cloud-Anbieter',
+  'infra.account':         'Cloud-Konto',
+  'infra.vcs':             'VCS',
+  'infra.blueprintBranch': 'Blueprint-Branch',
+  'infra.projectType':     'Projekttyp',
+  'infra.primaryCloud':    'Primäre Cloud',
+  'infra.allowedClouds':   'Erlaubte Clouds',
+  'infra.namespace':       'Namespace',
+  'infra.k8sCredentials':  'K8s-Zugangsdaten',
+  'infra.configured':      '✓ Konfiguriert',
+  'infra.notConfigured':   '✗ Nicht konfiguriert',
+  'infra.k8sRatio':        'K8s Request/Limit-Verhältnis',
+  'infra.baseEnv':         'Basisumgebung',
+  'infra.cdParent':        'Übergeordnete CD-Pipeline',
+  'infra.modifiedBy':      'Zuletzt geändert von',
+  'infra.modified':        'Zuletzt geändert',
+
+  'downstream.lineage': 'Abstammung anzeigen',
+  'downstream.view':    'Anzeigen',
+  'downstream.note':    '⚠ Diese Umgebung kann nicht gelöscht werden, solange nachgelagerte Umgebungen laufen.',
+
+  'cost.notAvailable': 'Für diese Umgebung sind noch keine Kostendaten verfügbar.',
+  'cost.none':         'Für diese Umgebung wurden in den letzten 30 Tagen keine Kosten erfasst.',
+  'cost.other':        'Sonstige',
+  'cost.mtd':          'Monat bis heute',
+  'cost.change':       '{pct}% ggü. Vormonatszeitraum',
+  'cost.lastMonth':    'Letzter Monat',
+  'cost.forecast':     'Prognose für diesen Monat',
+  'cost.ofBudget':     '{pct}% des Budgets von {budget}',
+  'cost.daily':        'Tägliche Kosten · letzte 30 Tage',
+  'cost.series':       'Kosten',
+  'cost.services':     'Top-Dienste · letzte 30 Tage',
+
+  'savings.running':   'Laufzeit / Monat',
+  'savings.perWeek':   '≈ {hours} h pro Woche',
+  'savings.stopped':   'Gestoppt / Monat',
+  'savings.pct':       '{pct}% der Zeit',
+  'savings.projected': 'Erwartete Einsparung / Monat',
+  'savings.basis':     'bei den Stundenkosten der letzten 30 Tage',
+  'savings.noCost':    'Keine Kostendaten verfügbar',
+  'savings.noRunHours': 'Keine geplante Laufzeit in den letzten 30 Tagen, aus der sich ein Stundensatz ableiten ließe',
+
+  'col.type':         'Typ',
+  'col.status':       'Status',
+  'col.triggeredBy':  'Ausgelöst von',
+  'col.started':      'Gestartet',
+  'col.duration':     'Dauer',
+  'col.changes':      'Änderungen',
+  'col.resourceType': 'Ressourcentyp',
+  'col.resourceName': 'Ressourcenname',
+  'col.change':       'Änderung',
+  'col.host':         'Host',
+  'col.path':         'Pfad',
+  'col.service':      'Dienst',
+  'col.port':         'Port',
+  'col.name':         'Name',
+  'col.key':          'Schlüssel',
+  'col.value':        'Wert',
+  'col.description':  'Beschreibung',
+  'col.action':       'Aktion',
+  'col.start':        'Start',
+  'col.stop':         'Stopp',
+  'col.timezone':     'Zeitzone',
+  'col.nextRun':      'Nächste Ausführung',
+
+  'releases.logs':      'Logs',
+  'releases.showing':   { one: '{count} Release', other: '{count} Releases' },
+  'releases.showingOf': '{count} von {total} Releases',
+  'releases.more':      'Mehr laden',
+
+  'filter.allStatuses': 'Alle Status',
+  'filter.allTypes':    'Alle Typen',
+  'filter.triggeredBy': 'Ausgelöst von…',
+  'filter.from':        'Von',
+  'filter.to':          'Bis',
+  'filter.clear':       'Filter zurücksetzen',
+  'filter.anyStatus':   'Beliebiger Status',
+
+  'stat.successful':  'Erfolgreich',
+  'stat.failed':      'Fehlgeschlagen',
+  'stat.noChanges':   'Ohne Änderung',
+  'stat.total':       'Gesamt',
+  'stat.pctSuccess':  '{pct}% erfolgreich',
+  'stat.pctFailed':   '{pct}% fehlgeschlagen',
+  'stat.pctNoChange': '{pct}% ohne Änderung',
+
+  'detail.traceId':    'Release-Trace-ID',
+  'detail.approvedBy': 'Freigegeben von',
+  'detail.started':    'Gestartet',
+  'detail.finished':   'Beendet',
+  'detail.error':      'Fehler',
+  'detail.noError':    'Für dieses Release wurde keine Fehlerzusammenfassung erfasst.',
+  'detail.changes':    'Angewendete Änderungen ({count})',
+  'detail.noChanges':  'Dieses Release hat keine Änderungen angewendet.',
+
+  'analytics.days':              { one: '{count} Tag', other: '{count} Tage' },
+  'analytics.frequency':         'Deployment-Häufigkeit',
+  'analytics.perDay':            '{n}/Tag',
+  'analytics.perWeek':           '{n}/Woche',
+  'analytics.deployments':       { one: '{count} Deployment', other: '{count} Deployments' },
+  'analytics.cfr':               'Änderungsfehlerrate',
+  'analytics.cfrSub':            'fehlgeschlagen ÷ beendet',
+  'analytics.mttr':              'Mittlere Wiederherstellungszeit',
+  'analytics.mttrSub':           'Fehler → nächster Erfolg',
+  'analytics.duration':          'Dauer p50 / p95',
+  'analytics.durationSub':       'pro abgeschlossenem Deployment',
+  'analytics.chartPerDay':       'Deployments pro Tag',
+  'analytics.chartPerWeek':      'Deployments pro Woche',
+  'analytics.seriesDeployments': 'Deployments',
+  'analytics.chartCfr':          'Änderungsfehlerrate',
+  'analytics.chartMttr':         'Mittlere Wiederherstellungszeit',
+  'analytics.chartDuration':     'Deployment-Dauer',
+
+  'resources.search':        'Ressourcen durchsuchen…',
+  'resources.active':        'Aktiv',
+  'resources.disabled':      'Deaktiviert',
+  'resources.overridesOnly': 'Nur Overrides',
+  'resources.groupByType':   'Nach Typ gruppieren',
+  'resources.override':      'Override',
+  'resources.diff':          'Diff',
+  'resources.copyUrl':       'URL kopieren',
+  'resources.manage':        'Ressourcen verwalten',
+  'resources.noK8s':         '⎈ Kubernetes ist für diese Umgebung nicht konfiguriert. Ingress-Endpunkte sind nicht verfügbar.',
+  'resources.showingOf':     '{count} von {total} Ressourcen',
+
+  'diff.title':      'Override-Diff — {type} / {name}',
+  'diff.loadFailed': 'Der Inhalt dieser Ressource konnte nicht geladen werden.',
+  'diff.legend':     'Blueprint-Standard → Override der Umgebung',
+  'diff.unified':    'Einheitlich',
+  'diff.split':      'Nebeneinander',
+  'diff.tooLarge':   'Die Ressource ist zu groß für einen Diff im Browser.',
+  'diff.base':       'Blueprint-Standard',
+  'diff.override':   'Override der Umgebung',
+
+  'vars.import':     'Importieren',
+  'vars.export':     'Exportieren',
+  'vars.add':        '+ Variable hinzufügen',
+  'vars.search':     'Variablen durchsuchen…',
+  'vars.allKinds':   'Variablen &amp; Secrets',
+  'vars.variables':  'Variablen',
+  'vars.secrets':    'Secrets',
+  'vars.OVERRIDDEN': 'Überschrieben',
+  'vars.DEFAULT':    'Standard',
+  'vars.secret':     'Secret',
+  'vars.variable':   'Variable',
+
+  'gov.approval':     'Freigabe erforderlich',
+  'gov.yes':          'Ja',
+  'gov.no':           'Nein',
+  'gov.autoSignOff':  'Automatische Freigabe',
+  'gov.enabled':      'Aktiviert',
+  'gov.disabled':     'Deaktiviert',
+  'gov.paused':       'Pausiert',
+  'gov.active':       'Aktiv',
+  'gov.resume':       'Fortsetzen',
+  'gov.stream':       'Release-Stream',
+  'gov.autoSchedule': 'Zeitplan der automatischen Freigabe',
+
+  'action.copy':    'Kopieren',
+  'action.copied':  'Kopiert!',
+  'action.hide':    'Verbergen',
+  'action.reveal':  'Anzeigen',
+  'action.edit':    'Bearbeiten',
+  'action.delete':  'Löschen',
+  'action.cancel':  'Abbrechen',
+  'action.save':    'Speichern',
+  'action.create':  'Erstellen',
+  'action.enable':  'Aktivieren',
+  'action.disable': 'Deaktivieren',
+  'action.close':   'Schließen',
+
+  'varForm.titleNew':          'Neue Variable',
+  'varForm.titleEdit':         'Variable bearbeiten',
+  'varForm.titleEditSecret':   'Secret bearbeiten',
+  'varForm.namePlaceholder':   'z. B. LOG_LEVEL',
+  'varForm.secret':            'Secret — der Wert ist nur schreibbar und überall maskiert',
+  'varForm.keepValue':         'Leer lassen, um den aktuellen Wert zu behalten',
+  'varForm.invalidName':       'Namen dürfen nur Buchstaben, Ziffern und Unterstriche enthalten und nicht mit einer Ziffer beginnen.',
+  'varForm.exists':            '{name} existiert bereits.',
+  'varForm.secretValue':       'Secrets benötigen einen Wert.',
+  'varForm.titleDelete':       'Variable löschen',
+  'varForm.titleDeleteSecret': 'Secret löschen',
+  'varForm.deleteConfirm':     '{name} löschen? Releases nach dieser Änderung erhalten den Wert nicht mehr.',
+
+  'reveal.title':   'Secret anzeigen',
+  'reveal.confirm': 'Aktuellen Wert von {name} anzeigen?',
+  'reveal.note':    'Der Wert ist 30 Sekunden lang sichtbar. Zugriffe auf Secrets können protokolliert werden.',
+  'reveal.go':      'Wert anzeigen',
+
+  'varExport.title':    'Variablen exportieren',
+  'varExport.count':    { one: 'Exportiert {count} nicht geheime Variable.', other: 'Exportiert {count} nicht geheime Variablen.' },
+  'varExport.secrets':  { one: '{count} Secret wird nie exportiert.', other: '{count} Secrets werden nie exportiert.' },
+  'varExport.env':      '.env-Datei',
+  'varExport.envHint':  'KEY=VALUE-Zeilen, bei Bedarf in Anführungszeichen.',
+  'varExport.jsonHint': 'Ein flaches Objekt aus Name → Wert.',
+
+  'import.title':       'Variablen importieren',
+  'import.intro':       'Fügen Sie eine <code>.env</code>-Datei oder ein JSON-Objekt ein oder laden Sie sie. Nur nicht geheime Variablen können importiert werden; Namen von Secrets werden übersprungen.',
+  'import.invalidJson': 'Ungültiges JSON: {error}',
+  'import.badLine':     'Zeile {line}: KEY=VALUE erwartet',
+  'import.create':      'Neu',
+  'import.update':      'Aktualisieren',
+  'import.same':        'Unverändert',
+  'import.secret':      'Übersprungen — Secret',
+  'import.invalid':     'Übersprungen — ungültiger Name',
+  'import.go':          { one: '{count} Änderung importieren', other: '{count} Änderungen importieren' },
+  'import.progress':    'Importiere {n}/{total}…',
+  'import.partial':     '{n} von {total} importiert. Fehlgeschlagen:',
+  'import.done':        'Fertig',
+
+  'sched.unknownTz': 'Unbekannte Zeitzone, Zeiten in UTC',
+  'sched.upcoming':  'Demnächst',
+  'sched.add':       '+ Zeitplan hinzufügen',
+  'sched.unnamed':   'Zeitplan',
+
+  'mw.enable':   'Wartung aktivieren',
+  'mw.disable':  'Wartung deaktivieren',
+  'mw.inactive': 'Inaktiv',
+  'mw.end':      'Ende',
+  'mw.next':     'Nächstes Fenster',
+
+  'conflict.overlap':     '{a} überschneidet sich mit {b}',
+  'conflict.maintenance': 'Wartungsfenster, während die Umgebung planmäßig gestoppt ist',
+  'conflict.signoff':     'Automatische Freigabe, während die Umgebung planmäßig gestoppt ist',
+
+  'tl.running':        'Läuft {from}–{to}',
+  'tl.alwaysOn':       'Kein Zeitplan — läuft durchgehend',
+  'tl.maintenanceAt':  'Wartung {from}–{to}',
+  'tl.signOffAt':      'Automatische Freigabe {time}',
+  'tl.scheduled':      'Planmäßig aktiv',
+  'tl.alwaysOnLegend': 'Durchgehend aktiv (kein aktiver Zeitplan)',
+  'tl.maintenance':    'Wartung',
+  'tl.signOff':        'Automatische Freigabe',
+  'tl.conflict':       'Konflikt',
+  'tl.timesIn':        'Zeiten in {tz}',
+  'tl.more':           { one: 'und {count} weiterer diese Woche', other: 'und {count} weitere diese Woche' },
+
+  'cron.at':            'um {times}',
+  'cron.everySecond':   'jede Sekunde',
+  'cron.everySeconds':  { one: 'jede Sekunde', other: 'alle {count} Sekunden' },
+  'cron.everyMinute':   'jede Minute',
+  'cron.everyMinutes':  { one: 'jede Minute', other: 'alle {count} Minuten' },
+  'cron.everyHoursAt':  { one: 'stündlich um :{minute}', other: 'alle {count} Stunden um :{minute}' },
+  'cron.everyHourAt':   'stündlich um :{minute}',
+  'cron.atMinutes':     'zu den Minuten {minutes} jeder Stunde',
+  'cron.andEveryHours': { one: '{time} jede Stunde', other: '{time} alle {count} Stunden' },
+  'cron.between':       '{time} zwischen {from} und {to}',
+  'cron.duringHours':   '{time} in den Stunden {hours}',
+  'cron.ordinal':       { other: '{count}.' },
+  'cron.daysOfMonth':   'am {days} des Monats',
+  'cron.weekdays':      'werktags',
+  'cron.weekends':      'am Wochenende',
+  'cron.everyWeekday':  '{day}s',
+  'cron.everyDay':      'täglich',
+  'cron.on':            '{days}',
+  'cron.onEither':      '{doms} oder {dows}',
+  'cron.fixed':         '{days} {time}',
+  'cron.repeating':     '{time} {days}',
+  'cron.in':            '{when} im {list}',
+  'cron.invalid':       'Ungültig',
+  'cron.never':         'Läuft nie',
+  'cron.neverTitle':    'Kein passendes Datum in den nächsten acht Jahren',
+
+  'cronErr.empty':      'Leerer Ausdruck',
+  'cronErr.macro':      'Nicht unterstütztes Makro {macro}',
+  'cronErr.fields':     '5 bis 7 Felder erwartet, {count} erhalten',
+  'cronErr.invalid':    'Ungültiges Feld {field} „{text}“',
+  'cronErr.invalidWhy': 'Ungültiges Feld {field} „{text}“ ({why})',
+  'cronErr.lw':         'L, W und # werden nicht unterstützt',
+  'cronErr.step':       'Schrittweite muss mindestens 1 sein',
+  'cronErr.question':   '? ist nur in Tagesfeldern erlaubt',
+  'cronErr.allowed':    'erlaubt {min}–{max}',
+  'cronErr.range':      'Bereichsanfang liegt nach dem Ende',
+
+  'cronField.second':       'Sekunde',
+  'cronField.minute':       'Minute',
+  'cronField.hour':         'Stunde',
+  'cronField.day-of-month': 'Tag im Monat',
+  'cronField.month':        'Monat',
+  'cronField.day-of-week':  'Wochentag',
+  'cronField.year':         'Jahr',
+
+  'schedForm.titleNew':        'Neuer Verfügbarkeitszeitplan',
+  'schedForm.titleEdit':       'Verfügbarkeitszeitplan bearbeiten',
+  'schedForm.name':            'Name',
+  'schedForm.namePlaceholder': 'z. B. Bürozeiten',
+  'schedForm.timezone':        'Zeitzone',
+  'schedForm.enabled':         'Aktiviert',
+  'schedForm.times':           'Start- / Stoppzeiten',
+  'schedForm.builder':         'Assistent',
+  'schedForm.raw':             'Cron-Ausdruck',
+  'schedForm.weekdays':        'Werktage',
+  'schedForm.everyDay':        'Jeden Tag',
+  'schedForm.startAt':         'Start um',
+  'schedForm.stopAt':          'Stopp um',
+  'schedForm.startCron':       'Start-Cron',
+  'schedForm.stopCron':        'Stopp-Cron',
+  'schedForm.startRequired':   'Start-Cron ist erforderlich',
+  'schedForm.pickDay':         'Mindestens einen Tag auswählen',
+  'schedForm.stopRequired':    'Stopp-Cron ist erforderlich',
+  'schedForm.neverFires':      'läuft nie',
+  'schedForm.start':           'Start',
+  'schedForm.stop':            'Stopp',
+  'schedForm.nextRuns':        'Nächste Ausführungen',
+  'schedForm.notBuildable':    'Diese Ausdrücke lassen sich nicht im Assistenten darstellen. Bearbeiten Sie sie weiter als Cron-Ausdrücke.',
+  'schedForm.saving':          'Speichere…',
+  'schedForm.toggleFailed':    'Zeitplan konnte nicht aktualisiert werden',
+  'schedForm.titleDelete':     'Zeitplan löschen',
+  'schedForm.deleteConfirm':   '{name} löschen? Die Umgebung wird dann nicht mehr durch ihn gestartet oder gestoppt.',
+  'schedForm.thisSchedule':    'diesen Zeitplan',
+
+  'cmp.pickTitle':       'Mit einer anderen Umgebung vergleichen',
+  'cmp.pickLabel':       'Umgebung in {project}',
+  'cmp.thisProject':     'diesem Projekt',
+  'cmp.exit':            'Vergleich beenden',
+  'cmp.compare':         'Vergleichen',
+  'cmp.noOthers':        'Keine weiteren Umgebungen',
+  'cmp.loadFailed':      'Umgebungen konnten nicht geladen werden',
+  'cmp.select':          '— Umgebung auswählen —',
+  'cmp.envFailed':       'Die Vergleichsumgebung konnte nicht geladen werden',
+  'cmp.resourcesFailed': 'Die Ressourcen für den Vergleich konnten nicht geladen werden',
+  'cmp.this':            'diese',
+  'cmp.other':           'andere',
+  'cmp.release':         'Release',
+  'cmp.versions':        'Komponentenversionen',
+  'cmp.variables':       'Variablen &amp; Secrets',
+  'cmp.latest':          'Letztes Release',
+  'cmp.latestContext':   '{name}: Release {id}, beendet {when}',
+  'cmp.onlyIn':          'Nur in {name}',
+  'cmp.differs':         'Abweichend',
+  'cmp.comparing':       'Vergleich von {a} mit {b}',
+  'cmp.change':          'Ändern',
+  'cmp.note':            'Es werden nur Unterschiede aufgeführt. Secret-Werte werden nie verglichen.',
+  'cmp.difference':      'Unterschied',
+
+  'lineage.promotes':      'Wird befördert nach (CD-Pipeline)',
+  'lineage.basedOn':       'Basiert auf (Basisumgebung)',
+  'lineage.hint':          'Klicken Sie auf eine Umgebung, um sie zu öffnen.',
+  'lineage.truncated':     'Es werden die ersten {count} verwandten Umgebungen angezeigt.',
+  'lineage.base':          'Basisumgebung',
+  'lineage.pipeline':      'CD-Pipeline',
+  'lineage.notFoundTitle': 'in diesem Projekt nicht gefunden',
+  'lineage.notFound':      'Nicht im Projekt gefunden',
+
+  'drift.baseFailed':    'Die Basisumgebung {name} konnte nicht geladen werden',
+  'drift.contentFailed': 'Ressourceninhalte für den Drift-Bericht konnten nicht geladen werden',
+  'drift.secret':        'Secret (Wert nicht verglichen)',
+  'drift.common':        'Gemeinsame Umgebungsvariablen',
+  'drift.enablement':    'Aktivierung von Ressourcen',
+  'drift.overrides':     'Ressourcen-Overrides',
+  'drift.noOverride':    'Kein Override',
+  'drift.overrideLines': { one: 'Override · {count} Zeile', other: 'Override · {count} Zeilen' },
+  'drift.base':          'Basis',
+  'drift.added':         'Hinzugefügt',
+  'drift.removed':       'Entfernt',
+  'drift.changed':       'Geändert',
+  'drift.thisEnv':       'diese Umgebung',
+  'drift.title':         'Drift gegenüber Basis {base}',
+  'drift.openBase':      'Basis öffnen',
+  'drift.recheck':       'Erneut prüfen',
+  'drift.summary':       { one: '{count} Unterschied: {added} hinzugefügt, {removed} entfernt, {changed} geändert in {name}.', other: '{count} Unterschiede: {added} hinzugefügt, {removed} entfernt, {changed} geändert in {name}.' },
+  'drift.matches':       '{name} entspricht seiner Basis.',
+  'drift.secretNote':    'Secret-Werte werden nie verglichen.',
+  'drift.drift':         'Drift',
+  'drift.baseCol':       '{name} (Basis)',
+  'drift.diffTitle':     'Override-Drift — {key}',
+  'drift.diffLegend':    'Override von {base} → diese Umgebung',
+
+  'export.title':          'Umgebungs-Snapshot exportieren',
+  'export.intro':          'Exportiert alles, was für diese Umgebung geladen ist, und lädt noch nicht geöffnete Tabs nach. Secret-Werte werden nie exportiert.',
+  'export.json':           'JSON-Snapshot',
+  'export.jsonHint':       'Versioniert und maschinenlesbar. Kann im Snapshot-Modus wieder geöffnet werden.',
+  'export.md':             'Markdown-Zusammenfassung',
+  'export.mdHint':         'Zum Einfügen in Change-Advisory- oder Post-Mortem-Dokumente.',
+  'export.print':          'Druckbarer Bericht',
+  'export.printHint':      'Öffnet den Druckdialog mit einem druckoptimierten Layout.',
+  'export.collecting':     'Daten werden gesammelt…',
+  'export.releasesFailed': 'Der Release-Verlauf für den Export konnte nicht geladen werden',
+  'export.notLoaded':      'Nichts zu exportieren — die Umgebung wurde nicht geladen',
+
+  'report.cloud':     'Cloud',
+  'report.resources': '{total} ({active} aktiv)',
+  'report.variables': 'Variablen / Secrets',
+  'report.none':      'Keine',
+  'report.taken':     'Snapshot vom {time} · Format v{version}',
+  'report.meta':      'Umgebungs-Snapshot · erstellt {time} · Format v{version}',
+  'report.summary':   'Zusammenfassung',
+  'report.releases':  'Releases',
+
+  'snapshot.openFailed': 'Snapshot konnte nicht geöffnet werden',
+  'snapshot.invalid':    'Kein Umgebungs-Snapshot: `env` oder `overview.cluster` erwartet',
+
+  'relAction.approveTitle':       'Release freigeben',
+  'relAction.rejectTitle':        'Release ablehnen',
+  'relAction.abortTitle':         'Release abbrechen',
+  'relAction.comment':            'Kommentar',
+  'relAction.commentPlaceholder': 'Optionale Notiz für das Audit-Protokoll',
+
+  'picker.title':          'Umgebungsübersicht',
+  'picker.intro':          'Wählen Sie ein Projekt und eine Umgebung, um deren Übersicht anzuzeigen.',
+  'picker.project':        'Projekt',
+  'picker.selectEnv':      'Umgebung auswählen…',
+  'picker.go':             'Umgebung anzeigen',
+  'picker.projectsFailed': 'Projekte konnten nicht geladen werden',
+  'picker.noProjects':     'Keine Projekte gefunden',
+  'picker.selectProject':  '— Projekt auswählen —',
+  'picker.noEnvs':         'Keine Umgebungen gefunden',
+
+  'dash.count':       { one: '{count} Umgebung', other: '{count} Umgebungen' },
+  'dash.autoRefresh': 'Automatische Aktualisierung',
+  'dash.loadFailed':  'Die Umgebungen dieses Projekts konnten nicht geladen werden.',
+
+  'loading.environment':     'Umgebung wird geladen…',
+  'loading.environments':    'Umgebungen werden geladen…',
+  'loading.releases':        'Release-Verlauf wird geladen…',
+  'loading.details':         'Details werden geladen…',
+  'loading.resources':       'Ressourcen werden geladen…',
+  'loading.endpoints':       'Endpunkte werden geladen…',
+  'loading.resourceContent': 'Ressourceninhalt wird geladen…',
+  'loading.schedules':       'Zeitpläne werden geladen…',
+  'loading.generic':         'Wird geladen…',
+  'loading.comparison':      'Vergleich wird geladen…',
+  'loading.lineage':         'Verwandte Umgebungen werden geladen…',
+  'loading.base':            'Basisumgebung wird geladen…',
+  'loading.cost':            'Kostendaten werden geladen…',
+  'loading.projects':        'Projekte werden geladen…',
+  'error.loadEnvironment':   'Umgebung konnte nicht geladen werden: {error}',
+  'error.releases':          'Release-Verlauf konnte nicht geladen werden.',
+  'error.details':           'Die Details dieses Releases konnten nicht geladen werden.',
+  'error.retry':             'Erneut versuchen',
+  'error.resolveCluster':    'Cluster-ID konnte nicht aus dem Namen ermittelt werden',
+  'error.readOnly':          'Der Snapshot-Modus ist schreibgeschützt'
+});
@@ -0,0 +1,612 @@
+/**
+ * Japanese messages for <environment-overview>. Load after environment-overview.js
+ * and set lang="ja" on the element (or an ancestor).
+ */
+customElements.get('environment-overview').registerMessages('ja', {
+  'state.RUNNING':           '実行中',
+  'state.LAUNCHING':         '起動中',
+  'state.SCALING_UP':        'スケールアップ中',
+  'state.SCALING_DOWN':      'スケールダウン中',
+  'state.DESTROYING':        '削除中',
+  'state.STOPPED':           '停止',
+  'state.SCALE_DOWN':        'スケールダウン済み',
+  'state.LAUNCH_FAILED':     '起動失敗',
+  'state.DESTROY_FAILED':    '削除失敗',
+  'state.SCALE_DOWN_FAILED': 'スケールダウン失敗',
+  'state.SCALE_UP_FAILED':   'スケールアップ失敗',
+  'state.UNKNOWN':           '不明',
+
+  'cta.launch':          '起動',
+  'cta.plan':            'プランを実行',
+  'cta.triggerRelease':  'リリースを実行',
+  'cta.hotfix':          'ホットフィックス',
+  'cta.scaleDown':       'スケールダウン',
+  'cta.scaleUp':         'スケールアップ',
+  'cta.destroy':         '削除',
+  'cta.retryLaunch':     '起動を再試行',
+  'cta.retryDestroy':    '削除を再試行',
+  'cta.retryScaleUp':    'スケールアップを再試行',
+  'cta.retryScaleDown':  'スケールダウンを再試行',
+
+  'tab.overview':   '概要',
+  'tab.releases':   'リリース',
+  'tab.resources':  'リソース',
+  'tab.config':     '設定',
+  'tab.schedule':   'スケジュール',
+  'tab.analytics':  '分析',
+  'tab.lineage':    '系譜',
+  'tab.drift':      'ドリフト',
+  'tab.compare':    '比較',
+  'toolbar.export':  '⤓ エクスポート',
+  'toolbar.compare': '⇄ 比較',
+  'toolbar.refresh': '↺ 更新',
+  'live.on':         '● ライブ',
+  'live.title':      'ライブ更新を受信中',
+  'tz.viewer':       'ローカル',
+  'tz.env':          '環境',
+  'tz.utc':          'UTC',
+  'tz.title':        'すべての時刻を {zone} で表示',
+
+  'banner.snapshot':        '<strong>{date}</strong>（{rel}）に取得した<strong>スナップショット</strong>を表示中 — 読み取り専用のため操作は無効です',
+  'banner.snapshotUndated': '<strong>スナップショット</strong>を表示中（取得日時不明） — 読み取り専用のため操作は無効です',
+  'banner.exitSnapshot':    'スナップショットを終了',
+  'banner.inProgress':      '<strong>{type}</strong> 実行中 · 経過 {elapsed}',
+  'banner.inProgressBy':    '<strong>{type}</strong> 実行中 · 経過 {elapsed} · 実行者 {user}',
+  'banner.liveLogs':        'ライブログ ▾',
+  'banner.hideLiveLogs':    'ライブログを閉じる ▴',
+  'banner.viewLogs':        'ログを表示',
+  'banner.abort':           '中止',
+  'banner.finished':        '<strong>{type}</strong> {status}',
+  'banner.closeLogs':       'ログを閉じる',
+  'banner.awaitingApproval': 'リリース <strong>{id}</strong> が承認待ちです',
+  'banner.approve':         '承認',
+  'banner.reject':          '却下',
+  'banner.paused':          'この環境のリリースは現在<strong>一時停止</strong>中です',
+  'banner.resumeReleases':  'リリースを再開',
+  'banner.overBudget':      '予測コスト <strong>{forecast}</strong> が月間予算 <strong>{budget}</strong> を超えています',
+  'banner.overBudgetMtd':   '予測コスト <strong>{forecast}</strong> が月間予算 <strong>{budget}</strong> を超えています — 今月の累計はすでに予算超過です',
+  'banner.openCost':        'Cost Explorer を開く',
+  'banner.queued':          { other: '<strong>{count}</strong> 件のリリースが待機中' },
+  'banner.ephemeral':       'これは<strong>一時環境</strong>です — 予定された時刻に自動的に削除されます。',
+  'banner.release':         'リリース',
+
+  'empty.services':          'サービス別の内訳はありません。',
+  'empty.noSchedules':       '有効なスケジュールがありません — この環境は常時稼働する想定です（約 730 時間/月）。',
+  'empty.releases':          'まだリリースがありません。最初のリリースを実行してください。',
+  'empty.releasesFiltered':  '条件に一致するリリースはありません。',
+  'empty.analytics':         'この期間に完了したデプロイはありません。',
+  'empty.resources':         'この環境にはリソースが設定されていません。',
+  'empty.resourcesFiltered': '条件に一致するリソースはありません。',
+  'empty.ingress':           'Ingress ルールが見つかりません。',
+  'empty.overrideSame':      'このオーバーライドはブループリントの既定値を変更しません。',
+  'empty.variables':         '変数が設定されていません。',
+  'empty.variablesAdd':      '最初の変数を追加',
+  'empty.variablesFiltered': '条件に一致する変数はありません。',
+  'empty.schedules':         '可用性スケジュールが設定されていません。',
+  'empty.schedulesAdd':      'スケジュールを設定',
+  'empty.schedulesSuffix':   'すると、この環境を自動で起動・停止できます。',
+  'empty.noDifferences':     '差分はありません。',
+  'empty.lineageSnapshot':   '系譜グラフは関連環境をライブで読み込むため、スナップショットでは表示できません。',
+  'empty.driftSnapshot':     'ドリフトレポートには <strong>{base}</strong> のライブデータが必要ですが、このスナップショットには含まれていません。',
+  'empty.environments':      'このプロジェクトにはまだ環境がありません。',
+
+  'header.environment':      '環境',
+  'header.ephemeral':        '一時環境',
+  'header.base':             'ベース: {name}',
+  'header.releasesPaused':   'リリース一時停止中',
+  'header.approvalRequired': '承認が必要',
+  'header.blueprint':        'ブループリント',
+  'header.namespace':        'NS: {ns}',
+  'header.stream':           'ストリーム: <strong>{stream}</strong>',
+  'header.branch':           'ブランチ: <strong>{branch}</strong>',
+  'header.tz':               'TZ: {tz}',
+  'header.createdBy':        '作成者 <strong>{user}</strong>',
+
+  'log.search':     'ログを検索…',
+  'log.autoScroll': '自動スクロール',
+  'log.connecting': '接続中…',
+  'log.ended':      'ストリーム終了 · {status}',
+  'log.streaming':  '● ストリーミング中',
+  'log.waiting':    'ログを待機中…',
+  'log.noOutput':   'まだ出力はありません。',
+  'log.matches':    '{count} 件一致',
+
+  'card.noReleases':      'リリースはまだありません',
+  'card.by':              '{user} による',
+  'card.state':           '状態',
+  'card.account':         'アカウント: {id}',
+  'card.resources':       'リソース',
+  'card.resourcesActive': '{active} 有効',
+  'card.resourcesSplit':  '{active} 有効 · {disabled} 無効',
+  'card.lastRelease':     '最新のリリース',
+  'card.deployHealth':    'デプロイの健全性',
+  'card.deploySplit':     '成功 {ok} · 失敗 {failed} · 変更なし {none}',
+  'card.noData':          'データはまだありません',
+  'card.variables':       '変数とシークレット',
+  'card.varSplit':        '変数 {vars} · シークレット {secrets}',
+
+  'status.SUCCEEDED':        '成功',
+  'status.FAILED':           '失敗',
+  'status.FAULT':            '障害',
+  'status.TIMED_OUT':        'タイムアウト',
+  'status.IN_PROGRESS':      '進行中',
+  'status.STARTED':          '開始',
+  'status.QUEUED':           '待機中',
+  'status.PENDING_APPROVAL': '承認待ち',
+  'status.APPROVED':         '承認済み',
+  'status.ABORTED':          '中止',
+  'status.STOPPED':          '停止',
+  'status.REJECTED':         '却下',
+  'status.finished':         '完了',
+
+  'ready.title':          '起動準備',
+  'ready.intro':          'この環境はまだ起動されていません。起動する前にチェックリストを完了してください。',
+  'ready.titleBlueprint': '起動準備 — ブループリント環境',
+  'ready.introBlueprint': '起動手順はブループリントで定義されたリソースによって決まります。',
+  'ready.configured':     '環境の設定',
+  'ready.configuredHint': '環境設定でクラウドプロバイダーと認証情報を設定します',
+  'ready.account':        'クラウドアカウントの連携',
+  'ready.accountHint':    '{cloud} アカウントをこの環境に連携します',
+  'ready.k8s':            'Kubernetes 認証情報',
+  'ready.k8sHint':        'K8s のアクセス認証情報を設定します',
+  'ready.variables':      '変数の設定',
+  'ready.variablesHint':  '起動前に必要な環境変数を設定します',
+  'ready.checksFirst':    '先にすべてのチェックを完了してください',
+  'ready.launch':         '環境を起動',
+  'ready.plan':           'プランを実行 (ドライラン)',
+  'ready.blueprint':      'ブループリント',
+  'ready.branch':         'ブランチ',
+  'ready.projectType':    'プロジェクトの種類',
+  'ready.resources':      '定義済みリソース',
+  'ready.variablesSet':   '設定済み変数',
+
+  'section.infra':          'インフラ情報',
+  'section.downstream':     '下流環境 ({count})',
+  'section.cost':           'コスト · {cloud}',
+  'section.savings':        '推定節約額',
+  'section.releaseStats':   'リリース統計',
+  'section.releaseHistory': 'リリース履歴',
+  'section.analytics':      'デプロイ分析',
+  'section.resources':      'リソース',
+  'section.ingress':        '公開エンドポイント (Ingress)',
+  'section.variables':      '変数とシークレット ({count})',
+  'section.commonVars':     '共通環境変数 ({count})',
+  'section.governance':     'ガバナンス',
+  'section.availability':   '稼働状況 · 今後 7 日間',
+  'section.schedules':      '稼働スケジュール',
+  'section.maintenance':    'メンテナンス期間',
+  'section.lineage':        '環境の系譜 ({count})',
+
+  'infra.cloud':           'クラウドプロバイダー',
+  'infra.account':         'クラウドアカウント',
+  'infra.vcs':             'VCS',
+  'infra.blueprintBranch': 'ブループリントのブランチ',
+  'infra.projectType':     'プロジェクトの種類',
+  'infra.primaryCloud':    'プライマリクラウド',
+  'infra.allowedClouds':   '許可されたクラウド',
+  'infra.namespace':       'ネームスペース',
+  'infra.k8sCredentials':  'K8s 認証情報',
+  'infra.configured':      '✓ 設定済み',
+  'infra.notConfigured':   '✗ 未設定',
+  'infra.k8sRatio':        'K8s リクエスト/リミット比',
+  'infra.baseEnv':         'ベース環境',
+  'infra.cdParent':        'CD パイプラインの親',
+  'infra.modifiedBy':      '最終更新者',
+  'infra.modified':        '最終更新日時',
+
+  'downstream.lineage': '系譜を表示',
+  'downstream.view':    '表示',
+  'downstream.note':    '⚠ 下流環境が稼働している間、この環境は削除できません。',
+
+  'cost.notAvailable': 'この環境のコストデータはまだありません。',
+  'cost.none':         '過去 30 日間、この環境のコストは記録されていません。',
+  'cost.other':        'その他',
+  'cost.mtd':          '今月の累計',
+  'cost.change':       '前月同期比 {pct}%',
+  'cost.lastMonth':    '先月',
+  'cost.forecast':     '今月の予測',
+  'cost.ofBudget':     '予算 {budget} の {pct}%',
+  'cost.daily':        '日別コスト · 過去 30 日間',
+  'cost.series':       'コスト',
+  'cost.services':     '上位サービス · 過去 30 日間',
+
+  'savings.running':   '稼働 / 月',
+  'savings.perWeek':   '週あたり約 {hours} 時間',
+  'savings.stopped':   '停止 / 月',
+  'savings.pct':       '時間の {pct}%',
+  'savings.projected': '見込み節約額 / 月',
+  'savings.basis':     '過去 30 日間の時間あたりコストに基づく',
+  'savings.noCost':    'コストデータがありません',
+  'savings.noRunHours': '過去 30 日間にスケジュール上の稼働時間がないため、時間単価を算出できません',
+
+  'col.type':         '種類',
+  'col.status':       'ステータス',
+  'col.triggeredBy':  '実行者',
+  'col.started':      '開始',
+  'col.duration':     '所要時間',
+  'col.changes':      '変更',
+  'col.resourceType': 'リソースの種類',
+  'col.resourceName': 'リソース名',
+  'col.change':       '変更',
+  'col.host':         'ホスト',
+  'col.path':         'パス',
+  'col.service':      'サービス',
+  'col.port':         'ポート',
+  'col.name':         '名前',
+  'col.key':          'キー',
+  'col.value':        '値',
+  'col.description':  '説明',
+  'col.action':       'アクション',
+  'col.start':        '開始',
+  'col.stop':         '停止',
+  'col.timezone':     'タイムゾーン',
+  'col.nextRun':      '次回実行',
+
+  'releases.logs':      'ログ',
+  'releases.showing':   '{count} 件のリリースを表示',
+  'releases.showingOf': '{total} 件中 {count} 件のリリースを表示',
+  'releases.more':      'さらに読み込む',
+
+  'filter.allStatuses': 'すべてのステータス',
+  'filter.allTypes':    'すべての種類',
+  'filter.triggeredBy': '実行者…',
+  'filter.from':        '開始日',
+  'filter.to':          '終了日',
+  'filter.clear':       'フィルターをクリア',
+  'filter.anyStatus':   '任意のステータス',
+
+  'stat.successful':  '成功',
+  'stat.failed':      '失敗',
+  'stat.noChanges':   '変更なし',
+  'stat.total':       '合計',
+  'stat.pctSuccess':  '成功 {pct}%',
+  'stat.pctFailed':   '失敗 {pct}%',
+  'stat.pctNoChange': '変更なし {pct}%',
+
+  'detail.traceId':    'リリーストレース ID',
+  'detail.approvedBy': '承認者',
+  'detail.started':    '開始',
+  'detail.finished':   '終了',
+  'detail.error':      'エラー',
+  'detail.noError':    'このリリースのエラー概要は記録されていません。',
+  'detail.changes':    '適用された変更 ({count})',
+  'detail.noChanges':  'このリリースで適用された変更はありません。',
+
+  'analytics.days':              '{count} 日',
+  'analytics.frequency':         'デプロイ頻度',
+  'analytics.perDay':            '{n}/日',
+  'analytics.perWeek':           '{n}/週',
+  'analytics.deployments':       '{count} 件のデプロイ',
+  'analytics.cfr':               '変更失敗率',
+  'analytics.cfrSub':            '失敗 ÷ 完了',
+  'analytics.mttr':              '平均復旧時間',
+  'analytics.mttrSub':           '失敗 → 次の成功',
+  'analytics.duration':          '所要時間 p50 / p95',
+  'analytics.durationSub':       '完了したデプロイごと',
+  'analytics.chartPerDay':       '日別デプロイ数',
+  'analytics.chartPerWeek':      '週別デプロイ数',
+  'analytics.seriesDeployments': 'デプロイ',
+  'analytics.chartCfr':          '変更失敗率',
+  'analytics.chartMttr':         '平均復旧時間',
+  'analytics.chartDuration':     'デプロイ所要時間',
+
+  'resources.search':        'リソースを検索…',
+  'resources.active':        '有効',
+  'resources.disabled':      '無効',
+  'resources.overridesOnly': 'オーバーライドのみ',
+  'resources.groupByType':   '種類でグループ化',
+  'resources.override':      'オーバーライド',
+  'resources.diff':          '差分',
+  'resources.copyUrl':       'URL をコピー',
+  'resources.manage':        'リソースを管理',
+  'resources.noK8s':         '⎈ この環境では Kubernetes が設定されていません。Ingress エンドポイントのデータは利用できません。',
+  'resources.showingOf':     '{total} 件中 {count} 件のリソースを表示',
+
+  'diff.title':      'オーバーライドの差分 — {type} / {name}',
+  'diff.loadFailed': 'このリソースの内容を読み込めませんでした。',
+  'diff.legend':     'ブループリントの既定値 → 環境のオーバーライド',
+  'diff.unified':    '統合',
+  'diff.split':      '左右に並べて表示',
+  'diff.tooLarge':   'リソースが大きすぎるため、ブラウザーで差分を表示できません。',
+  'diff.base':       'ブループリントの既定値',
+  'diff.override':   '環境のオーバーライド',
+
+  'vars.import':     'インポート',
+  'vars.export':     'エクスポート',
+  'vars.add':        '+ 変数を追加',
+  'vars.search':     '変数を検索…',
+  'vars.allKinds':   '変数とシークレット',
+  'vars.variables':  '変数',
+  'vars.secrets':    'シークレット',
+  'vars.OVERRIDDEN': '上書き済み',
+  'vars.DEFAULT':    '既定',
+  'vars.secret':     'シークレット',
+  'vars.variable':   '変数',
+
+  'gov.approval':     '承認が必要',
+  'gov.yes':          'はい',
+  'gov.no':           'いいえ',
+  'gov.autoSignOff':  '自動承認',
+  'gov.enabled':      '有効',
+  'gov.disabled':     '無効',
+  'gov.paused':       '一時停止中',
+  'gov.active':       '有効',
+  'gov.resume':       '再開',
+  'gov.stream':       'リリースストリーム',
+  'gov.autoSchedule': '自動承認のスケジュール',
+
+  'action.copy':    'コピー',
+  'action.copied':  'コピーしました',
+  'action.hide':    '隠す',
+  'action.reveal':  '表示',
+  'action.edit':    '編集',
+  'action.delete':  '削除',
+  'action.cancel':  'キャンセル',
+  'action.save':    '保存',
+  'action.create':  '作成',
+  'action.enable':  '有効にする',
+  'action.disable': '無効にする',
+  'action.close':   '閉じる',
+
+  'varForm.titleNew':          '新しい変数',
+  'varForm.titleEdit':         '変数を編集',
+  'varForm.titleEditSecret':   'シークレットを編集',
+  'varForm.namePlaceholder':   '例: LOG_LEVEL',
+  'varForm.secret':            'シークレット — 値は書き込み専用で、常にマスクされます',
+  'varForm.keepValue':         '現在の値を維持する場合は空欄のままにします',
+  'varForm.invalidName':       '名前には英字、数字、アンダースコアのみ使用でき、数字で始めることはできません。',
+  'varForm.exists':            '{name} は既に存在します。',
+  'varForm.secretValue':       'シークレットには値が必要です。',
+  'varForm.titleDelete':       '変数を削除',
+  'varForm.titleDeleteSecret': 'シークレットを削除',
+  'varForm.deleteConfirm':     '{name} を削除しますか?この変更以降のリリースでは使用されなくなります。',
+
+  'reveal.title':   'シークレットを表示',
+  'reveal.confirm': '{name} の現在の値を表示しますか?',
+  'reveal.note':    '値は 30 秒間画面に表示されます。シークレットへのアクセスは監査される場合があります。',
+  'reveal.go':      '値を表示',
+
+  'varExport.title':    '変数をエクスポート',
+  'varExport.count':    'シークレット以外の変数 {count} 件をエクスポートします。',
+  'varExport.secrets':  'シークレット {count} 件はエクスポートされません。',
+  'varExport.env':      '.env ファイル',
+  'varExport.envHint':  'KEY=VALUE 形式の行。必要に応じて引用符で囲みます。',
+  'varExport.jsonHint': '名前 → 値のフラットなオブジェクト。',
+
+  'import.title':       '変数をインポート',
+  'import.intro':       '<code>.env</code> ファイルまたは JSON オブジェクトを貼り付けるか読み込みます。インポートできるのはシークレット以外の変数のみで、シークレットの名前はスキップされます。',
+  'import.invalidJson': '無効な JSON: {error}',
+  'import.badLine':     '{line} 行目: KEY=VALUE 形式が必要です',
+  'import.create':      '新規',
+  'import.update':      '更新',
+  'import.same':        '変更なし',
+  'import.secret':      'スキップ — シークレット',
+  'import.invalid':     'スキップ — 無効な名前',
+  'import.go':          '{count} 件の変更をインポート',
+  'import.progress':    'インポート中 {n}/{total}…',
+  'import.partial':     '{total} 件中 {n} 件をインポートしました。失敗:',
+  'import.done':        '完了',
+
+  'sched.unknownTz': '不明なタイムゾーンのため、UTC で表示しています',
+  'sched.upcoming':  '今後の予定',
+  'sched.add':       '+ スケジュールを追加',
+  'sched.unnamed':   'スケジュール',
+
+  'mw.enable':   'メンテナンスを有効にする',
+  'mw.disable':  'メンテナンスを無効にする',
+  'mw.inactive': '無効',
+  'mw.end':      '終了',
+  'mw.next':     '次回の期間',
+
+  'conflict.overlap':     '{a} と {b} が重なっています',
+  'conflict.maintenance': '環境が停止予定の時間帯にメンテナンス期間があります',
+  'conflict.signoff':     '環境が停止予定の時間帯に自動承認があります',
+
+  'tl.running':        '稼働 {from}–{to}',
+  'tl.alwaysOn':       'スケジュールなし — 常時稼働',
+  'tl.maintenanceAt':  'メンテナンス {from}–{to}',
+  'tl.signOffAt':      '自動承認 {time}',
+  'tl.scheduled':      'スケジュールによる稼働',
+  'tl.alwaysOnLegend': '常時稼働 (有効なスケジュールなし)',
+  'tl.maintenance':    'メンテナンス',
+  'tl.signOff':        '自動承認',
+  'tl.conflict':       '競合',
+  'tl.timesIn':        '時刻は {tz}',
+  'tl.more':           '今週さらに {count} 件',
+
+  'cron.at':            '{times}',
+  'cron.everySecond':   '毎秒',
+  'cron.everySeconds':  '{count} 秒ごと',
+  'cron.everyMinute':   '毎分',
+  'cron.everyMinutes':  '{count} 分ごと',
+  'cron.everyHoursAt':  '{count} 時間ごとの {minute} 分',
+  'cron.everyHourAt':   '毎時 {minute} 分',
+  'cron.atMinutes':     '毎時 {minutes} 分',
+  'cron.andEveryHours': '{count} 時間ごとに{time}',
+  'cron.between':       '{from}〜{to} の間 {time}',
+  'cron.duringHours':   '{hours} 時台に {time}',
+  'cron.ordinal':       '{count}日',
+  'cron.daysOfMonth':   '毎月{days}',
+  'cron.weekdays':      '平日',
+  'cron.weekends':      '週末',
+  'cron.everyWeekday':  '毎週{day}',
+  'cron.everyDay':      '毎日',
+  'cron.on':            '{days}',
+  'cron.onEither':      '{doms}または{dows}',
+  'cron.fixed':         '{days} {time}',
+  'cron.repeating':     '{days} {time}',
+  'cron.in':            '{list}の{when}',
+  'cron.invalid':       '無効',
+  'cron.never':         '実行されません',
+  'cron.neverTitle':    '今後 8 年間に該当する日時がありません',
+
+  'cronErr.empty':      '式が空です',
+  'cronErr.macro':      'サポートされていないマクロ {macro}',
+  'cronErr.fields':     '5〜7 個のフィールドが必要ですが、{count} 個あります',
+  'cronErr.invalid':    '無効な{field}「{text}」',
+  'cronErr.invalidWhy': '無効な{field}「{text}」({why})',
+  'cronErr.lw':         'L、W、# はサポートされていません',
+  'cronErr.step':       '間隔は 1 以上にしてください',
+  'cronErr.question':   '? は日のフィールドでのみ使用できます',
+  'cronErr.allowed':    '{min}–{max} の範囲で指定してください',
+  'cronErr.range':      '範囲の開始が終了より後です',
+
+  'cronField.second':       '秒',
+  'cronField.minute':       '分',
+  'cronField.hour':         '時',
+  'cronField.day-of-month': '日',
+  'cronField.month':        '月',
+  'cronField.day-of-week':  '曜日',
+  'cronField.year':         '年',
+
+  'schedForm.titleNew':        '新しい稼働スケジュール',
+  'schedForm.titleEdit':       '稼働スケジュールを編集',
+  'schedForm.name':            '名前',
+  'schedForm.namePlaceholder': '例: 営業時間',
+  'schedForm.timezone':        'タイムゾーン',
+  'schedForm.enabled':         '有効',
+  'schedForm.times':           '開始 / 停止時刻',
+  'schedForm.builder':         'ビルダー',
+  'schedForm.raw':             'cron 式',
+  'schedForm.weekdays':        '平日',
+  'schedForm.everyDay':        '毎日',
+  'schedForm.startAt':         '開始時刻',
+  'schedForm.stopAt':          '停止時刻',
+  'schedForm.startCron':       '開始 cron',
+  'schedForm.stopCron':        '停止 cron',
+  'schedForm.startRequired':   '開始 cron は必須です',
+  'schedForm.pickDay':         '少なくとも 1 日を選択してください',
+  'schedForm.stopRequired':    '停止 cron は必須です',
+  'schedForm.neverFires':      '実行されません',
+  'schedForm.start':           '開始',
+  'schedForm.stop':            '停止',
+  'schedForm.nextRuns':        '次回の実行',
+  'schedForm.notBuildable':    'これらの式はビルダーで表示できません。cron 式として編集を続けてください。',
+  'schedForm.saving':          '保存中…',
+  'schedForm.toggleFailed':    'スケジュールを更新できませんでした',
+  'schedForm.titleDelete':     'スケジュールを削除',
+  'schedForm.deleteConfirm':   '{name} を削除しますか?このスケジュールによる環境の開始・停止は行われなくなります。',
+  'schedForm.thisSchedule':    'このスケジュール',
+
+  'cmp.pickTitle':       '別の環境と比較',
+  'cmp.pickLabel':       '{project} の環境',
+  'cmp.thisProject':     'このプロジェクト',
+  'cmp.exit':            '比較を終了',
+  'cmp.compare':         '比較',
+  'cmp.noOthers':        '他の環境はありません',
+  'cmp.loadFailed':      '環境を読み込めませんでした',
+  'cmp.select':          '— 環境を選択 —',
+  'cmp.envFailed':       '比較対象の環境を読み込めませんでした',
+  'cmp.resourcesFailed': '比較用のリソースを読み込めませんでした',
+  'cmp.this':            'この環境',
+  'cmp.other':           '比較対象',
+  'cmp.release':         'リリース',
+  'cmp.versions':        'コンポーネントのバージョン',
+  'cmp.variables':       '変数とシークレット',
+  'cmp.latest':          '最新のリリース',
+  'cmp.latestContext':   '{name}: リリース {id}（{when} 終了）',
+  'cmp.onlyIn':          '{name} のみ',
+  'cmp.differs':         '相違',
+  'cmp.comparing':       '{a} と {b} を比較',
+  'cmp.change':          '変更',
+  'cmp.note':            '相違点のみを表示します。シークレットの値は比較されません。',
+  'cmp.difference':      '相違',
+
+  'lineage.promotes':      '昇格先 (CD パイプライン)',
+  'lineage.basedOn':       'ベース (ベース環境)',
+  'lineage.hint':          '環境をクリックすると開きます。',
+  'lineage.truncated':     '関連する環境のうち最初の {count} 件を表示しています。',
+  'lineage.base':          'ベース環境',
+  'lineage.pipeline':      'CD パイプライン',
+  'lineage.notFoundTitle': 'このプロジェクトに見つかりません',
+  'lineage.notFound':      'プロジェクトに見つかりません',
+
+  'drift.baseFailed':    'ベース環境 {name} を読み込めませんでした',
+  'drift.contentFailed': 'ドリフトレポート用のリソース内容を読み込めませんでした',
+  'drift.secret':        'シークレット (値は比較しません)',
+  'drift.common':        '共通環境変数',
+  'drift.enablement':    'リソースの有効状態',
+  'drift.overrides':     'リソースのオーバーライド',
+  'drift.noOverride':    'オーバーライドなし',
+  'drift.overrideLines': 'オーバーライド · {count} 行',
+  'drift.base':          'ベース',
+  'drift.added':         '追加',
+  'drift.removed':       '削除',
+  'drift.changed':       '変更',
+  'drift.thisEnv':       'この環境',
+  'drift.title':         'ベース {base} からのドリフト',
+  'drift.openBase':      'ベースを開く',
+  'drift.recheck':       '再チェック',
+  'drift.summary':       '{name} に {count} 件の相違: 追加 {added}、削除 {removed}、変更 {changed}。',
+  'drift.matches':       '{name} はベースと一致しています。',
+  'drift.secretNote':    'シークレットの値は比較されません。',
+  'drift.drift':         'ドリフト',
+  'drift.baseCol':       '{name} (ベース)',
+  'drift.diffTitle':     'オーバーライドのドリフト — {key}',
+  'drift.diffLegend':    '{base} のオーバーライド → この環境',
+
+  'export.title':          '環境スナップショットをエクスポート',
+  'export.intro':          'この環境で読み込まれたすべてのデータをエクスポートします。未表示のタブは取得してから含めます。シークレットの値は含まれません。',
+  'export.json':           'JSON スナップショット',
+  'export.jsonHint':       'バージョン付きの機械可読形式。スナップショットモードで再度開けます。',
+  'export.md':             'Markdown 概要',
+  'export.mdHint':         '変更諮問や事後検証のドキュメントに貼り付けられます。',
+  'export.print':          '印刷用レポート',
+  'export.printHint':      '印刷に最適化したレイアウトで印刷ダイアログを開きます。',
+  'export.collecting':     'データを収集中…',
+  'export.releasesFailed': 'エクスポート用のリリース履歴を読み込めませんでした',
+  'export.notLoaded':      'エクスポートするものがありません — 環境が読み込まれていません',
+
+  'report.cloud':     'クラウド',
+  'report.resources': '{total} ({active} 有効)',
+  'report.variables': '変数 / シークレット',
+  'report.none':      'なし',
+  'report.taken':     'スナップショット取得 {time} · 形式 v{version}',
+  'report.meta':      '環境スナップショット · 取得 {time} · 形式 v{version}',
+  'report.summary':   '概要',
+  'report.releases':  'リリース',
+
+  'snapshot.openFailed': 'スナップショットを開けませんでした',
+  'snapshot.invalid':    '環境スナップショットではありません: `env` または `overview.cluster` が必要です',
+
+  'relAction.approveTitle':       'リリースを承認',
+  'relAction.rejectTitle':        'リリースを却下',
+  'relAction.abortTitle':         'リリースを中止',
+  'relAction.comment':            'コメント',
+  'relAction.commentPlaceholder': '監査ログ用のメモ (任意)',
+
+  'picker.title':          '環境の概要',
+  'picker.intro':          'プロジェクトと環境を選択して概要を表示します。',
+  'picker.project':        'プロジェクト',
+  'picker.selectEnv':      '環境を選択…',
+  'picker.go':             '環境を表示',
+  'picker.projectsFailed': 'プロジェクトを読み込めませんでした',
+  'picker.noProjects':     'プロジェクトが見つかりません',
+  'picker.selectProject':  '— プロジェクトを選択 —',
+  'picker.noEnvs':         '環境が見つかりません',
+
+  'dash.count':       '{count} 件の環境',
+  'dash.autoRefresh': '自動更新中',
+  'dash.loadFailed':  'このプロジェクトの環境を読み込めませんでした。',
+
+  'loading.environment':     '環境を読み込み中…',
+  'loading.environments':    '環境を読み込み中…',
+  'loading.releases':        'リリース履歴を読み込み中…',
+  'loading.details':         '詳細を読み込み中…',
+  'loading.resources':       'リソースを読み込み中…',
+  'loading.endpoints':       'エンドポイントを読み込み中…',
+  'loading.resourceContent': 'リソースの内容を読み込み中…',
+  'loading.schedules':       'スケジュールを読み込み中…',
+  'loading.generic':         '読み込み中…',
+  'loading.comparison':      '比較を読み込み中…',
+  'loading.lineage':         '関連環境を読み込み中…',
+  'loading.base':            'ベース環境を読み込み中…',
+  'loading.cost':            'コストデータを読み込み中…',
+  'loading.projects':        'プロジェクトを読み込み中…',
+  'error.loadEnvironment':   '環境を読み込めませんでした: {error}',
+  'error.releases':          'リリース履歴を読み込めませんでした。',
+  'error.details':           'このリリースの詳細を読み込めませんでした。',
+  'error.retry':             '再試行',
+  'error.resolveCluster':    '名前からクラスター ID を特定できませんでした',
+  'error.readOnly':          'スナップショットモードは読み取り専用です'
+});
@@ -0,0 +1,500 @@
+/**
+ * mock-api — offline stand-in for the /cc-ui/v1 endpoints used by <environment-overview>.
+ *
+ * Usage:
+ *   el.transport = EnvironmentOverviewMock.transport();
+ *   el.setAttribute('cluster-id', 'mock-running');
+ *
+ * Every cluster in MOCK_CLUSTERS is addressable by its id (or by stack + name) and
+ * belongs to the `demo-project` stack. Timestamps are generated relative to page load
+ * so relative times ("3h ago") stay realistic. Options:
+ *   latency — artificial delay in ms per request (default 150)
+ *   apiBase — prefix stripped from incoming URLs (default /cc-ui/v1)
+ *   log     — log every request to the console (default false)
+ *   eventInterval — ms between simulated events on subscribe() (default 20000)
+ *   failActions   — release actions ('approve', 'reject', 'abort') that answer 500,
+ *                   to exercise the component's rollback path (default [])
+ *
+ * subscribe() backs the `events-url` attribute: each tick completes the cluster's
+ * in-progress deployment (and settles a transitional state), then emits an event.
+ */
+
+(function () {
+  const NOW    = Date.now();
+  const MIN    = 60 * 1000;
+  const HOUR   = 60 * MIN;
+  const DAY    = 24 * HOUR;
+  const STACK  = 'demo-project';
+  const iso    = ms => new Date(ms).toISOString();
+
+  // ── Recorded payloads ──────────────────────────────────────────────────────
+
+  const LEGACY_STACK = { name: STACK, vcsUrl: 'https://github.com/acme/demo-project', branch: 'master' };
+  const BLUEPRINT_STACK = {
+    name: 'demo-blueprint', vcsUrl: 'https://github.com/acme/demo-blueprint', branch: 'main',
+    projectTypeId: 'aws-eks-standard', primaryCloud: 'AWS', allowedClouds: ['AWS', 'GCP']
+  };
+
+  const K8S_VERSIONS    = { kubernetes: '1.29', 'ingress-nginx': '4.10.0', 'cert-manager': '1.14.4' };
+  const PLAIN_VERSIONS  = { terraform: '1.5.7', 'facets-iac': '2.3.0' };
+
+  const VARIABLES = {
+    LOG_LEVEL:        { secret: false, status: 'OVERRIDDEN', description: 'Application log level', value: 'debug' },
+    FEATURE_FLAGS:    { secret: false, status: 'DEFAULT',    description: 'Comma separated flags', value: 'beta-ui,new-billing' },
+    REPLICA_COUNT:    { secret: false, status: 'DEFAULT',    description: 'Default replica count', value: '2' },
+    DB_PASSWORD:      { secret: true,  status: 'OVERRIDDEN', description: 'Primary database password' },
+    STRIPE_API_KEY:   { secret: true,  status: 'DEFAULT',    description: 'Payments API key' }
+  };
+
+  const COMMON_ENV = { REGION: 'us-east-1', OTEL_EXPORTER: 'otlp', TZ: 'UTC' };
+
+  const RESOURCES = [
+    { resourceType: 'service',        resourceName: 'api',            disabled: false, override: true  },
+    { resourceType: 'service',        resourceName: 'web',            disabled: false, override: false },
+    { resourceType: 'service',        resourceName: 'worker',         disabled: false, override: false },
+    { resourceType: 'service',        resourceName: 'legacy-cron',    disabled: true,  override: false },
+    { resourceType: 'postgres',       resourceName: 'main-db',        disabled: false, override: true  },
+    { resourceType: 'redis',          resourceName: 'cache',          disabled: false, override: false },
+    { resourceType: 'ingress',        resourceName: 'public',         disabled: false, override: false },
+    { resourceType: 's3',             resourceName: 'uploads',        disabled: false, override: false },
+    { resourceType: 'kafka',          resourceName: 'events',         disabled: true,  override: false },
+    { resourceType: 'config_map',     resourceName: 'app-config',     disabled: false, override: true  }
+  ];
+
+  // Blueprint defaults per resource type, and the overrides applied by this environment
+  const CONTENT = {
+    service:    { kind: 'service', flavor: 'k8s', spec: { replicas: 2, image: 'acme/app:1.4.2', resources: { cpu: '500m', memory: '512Mi' }, env: { LOG_LEVEL: 'info' } } },
+    postgres:   { kind: 'postgres', flavor: 'aws-rds', spec: { version: '15', size: { instance: 'db.t3.medium', storage: 50 }, multi_az: false } },
+    config_map: { kind: 'config_map', flavor: 'k8s', spec: { data: { FEATURE_X: 'off', CACHE_TTL: '300' } } }
+  };
+  const OVERRIDES = {
+    'service/api':           { spec: { replicas: 4, resources: { cpu: '1', memory: '1Gi' }, env: { LOG_LEVEL: 'debug' } } },
+    'postgres/main-db':      { spec: { size: { instance: 'db.r6g.large', storage: 200 }, multi_az: true } },
+    'config_map/app-config': { spec: { data: { FEATURE_X: 'on' } } }
+  };
+
+  function withContent(r, overrides) {
+    const key     = `${r.resourceType}/${r.resourceName}`;
+    const content = CONTENT[r.resourceType] || { kind: r.resourceType, flavor: 'default', spec: {} };
+    return Object.assign({}, r, { content, overrides: r.override ? (overrides || {})[key] || OVERRIDES[key] || null : null });
+  }
+
+  const INGRESS = {
+    ingressRules: [
+      { host: 'api.demo.example.com', path: '/',       serviceName: 'api', port: 8080 },
+      { host: 'demo.example.com',     path: '/',       serviceName: 'web', port: 3000 },
+      { host: 'demo.example.com',     path: '/static', serviceName: 'web', port: 3000 }
+    ]
+  };
+
+  const SCHEDULES = [
+    { id: 'sched-1', name: 'Office hours', startCron: '0 9 * * 1-5', stopCron: '0 19 * * 1-5', timezone: 'Europe/Berlin', enabled: true },
+    { id: 'sched-2', name: 'Weekend demo', startCron: '0 10 * * 6',  stopCron: '0 14 * * 6',   timezone: 'Europe/Berlin', enabled: false }
+  ];
+
+  const MAINTENANCE = { enabled: true, startCron: '0 2 * * 0', endCron: '0 4 * * 0' };
+
+  // Deterministic release history so pages look identical on every load.
+  function buildHistory(seed, count) {
+    let x = seed;
+    const rnd   = () => { x = (x * 9301 + 49297) % 233280; return x / 233280; };
+    const types = ['RELEASE', 'RELEASE', 'RELEASE', 'HOTFIX', 'PLAN', 'APPLY_PLAN'];
+    const users = ['alice@acme.io', 'bob@acme.io', 'ci-bot', 'carol@acme.io'];
+    const list  = [];
+    let t = NOW - 2 * HOUR;
+    for (let i = 0; i < count; i++) {
+      const roll   = rnd();
+      const status = roll < 0.72 ? 'SUCCEEDED' : roll < 0.86 ? 'FAILED' : roll < 0.93 ? 'TIMED_OUT' : 'ABORTED';
+      const took   = Math.round(120 + rnd() * 1500);
+      const nChg   = status === 'SUCCEEDED' ? Math.floor(rnd() * 5) : 0;
+      const chg    = RESOURCES.slice(0, nChg).map(r => ({
+        resourceType: r.resourceType, resourceName: r.resourceName,
+        changeType: ['UPDATE', 'CREATE', 'UPDATE', 'DELETE'][Math.floor(rnd() * 4)]
+      }));
+      list.push({
+        id: `dep-${seed}-${i}`,
+        releaseTraceId: `rt-${(seed * 1000 + i).toString(36)}`,
+        releaseType: i === count - 1 ? 'LAUNCH' : types[Math.floor(rnd() * types.length)],
+        status,
+        triggeredBy: users[Math.floor(rnd() * users.length)],
+        approvedBy: rnd() < 0.3 ? 'lead@acme.io' : null,
+        createdOn: iso(t),
+        finishedOn: iso(t + took * 1000),
+        timeTakenInSeconds: took,
+        changesApplied: chg,
+        errorMessage: status === 'FAILED' ? 'Error: module.api.helm_release.this: timed out waiting for rollout' : null
+      });
+      t -= Math.round(4 * HOUR + rnd() * 30 * HOUR);
+    }
+    return list;
+  }
+
+  function statsOf(history) {
+    return {
+      successReleases:  history.filter(d => d.status === 'SUCCEEDED').length,
+      failedReleases:   history.filter(d => d.status === 'FAILED' || d.status === 'TIMED_OUT').length,
+      noChangeReleases: 3,
+      isFirstRelease:   history.length === 0
+    };
+  }
+
+  // ── Clusters ───────────────────────────────────────────────────────────────
+
+  function cluster(id, state, extra) {
+    const legacy = !(extra && extra.blueprint);
+    const k8s    = !(extra && extra.noK8s);
+    const base = {
+      id, name: id.replace(/^mock-/, ''), stackName: STACK, clusterState: state,
+      cloud: 'AWS', cloudAccountId: '123456789012', namespace: k8s ? 'default' : null,
+      releaseStream: 'PRODUCTION', branch: 'master', tz: 'Europe/Berlin',
+      createdBy: 'alice@acme.io', creationDate: iso(NOW - 120 * DAY),
+      lastModifiedBy: 'bob@acme.io', lastModifiedDate: iso(NOW - 3 * DAY),
+      configured: true, hasK8sCredentials: k8s, k8sRequestsToLimitsRatio: k8s ? 0.5 : null,
+      requireSignOff: false, enableAutoSignOff: false, autoSignOffSchedule: null, pauseReleases: false,
+      stack: legacy ? LEGACY_STACK : BLUEPRINT_STACK,
+      componentVersions: k8s ? K8S_VERSIONS : PLAIN_VERSIONS,
+      variables: VARIABLES, commonEnvironmentVariables: COMMON_ENV
+    };
+    const c = Object.assign(base, extra || {});
+    delete c.blueprint; delete c.noK8s;
+    return c;
+  }
+
+  const MOCK_CLUSTERS = {
+    'mock-running':           { cluster: cluster('mock-running', 'RUNNING', { requireSignOff: true, enableAutoSignOff: true, autoSignOffSchedule: '0 18 * * 1-5' }), downstream: ['paused', 'qa'] },
+    'mock-launching':         { cluster: cluster('mock-launching', 'LAUNCHING'), inProgress: 'LAUNCH' },
+    'mock-scaling-up':        { cluster: cluster('mock-scaling-up', 'SCALING_UP'), inProgress: 'SCALE_UP' },
+    'mock-scaling-down':      { cluster: cluster('mock-scaling-down', 'SCALING_DOWN'), inProgress: 'SCALE_DOWN' },
+    'mock-destroying':        { cluster: cluster('mock-destroying', 'DESTROYING'), inProgress: 'DESTROY' },
+    'mock-stopped':           { cluster: cluster('mock-stopped', 'STOPPED') },
+    'mock-never-launched':    { cluster: cluster('mock-never-launched', 'STOPPED', { configured: false, cloudAccountId: null }), history: 0 },
+    'mock-scale-down':        { cluster: cluster('mock-scale-down', 'SCALE_DOWN') },
+    'mock-launch-failed':     { cluster: cluster('mock-launch-failed', 'LAUNCH_FAILED'), latestStatus: 'FAILED' },
+    'mock-destroy-failed':    { cluster: cluster('mock-destroy-failed', 'DESTROY_FAILED'), latestStatus: 'FAILED' },
+    'mock-scale-down-failed': { cluster: cluster('mock-scale-down-failed', 'SCALE_DOWN_FAILED'), latestStatus: 'FAILED' },
+    'mock-scale-up-failed':   { cluster: cluster('mock-scale-up-failed', 'SCALE_UP_FAILED'), latestStatus: 'FAILED' },
+    'mock-unknown':           { cluster: cluster('mock-unknown', 'UNKNOWN') },
+    'mock-pending-approval':  { cluster: cluster('mock-pending-approval', 'RUNNING', { requireSignOff: true, cdPipelineParent: 'paused' }), latestStatus: 'PENDING_APPROVAL', queued: 2 },
+    'mock-paused':            { cluster: cluster('mock-paused', 'RUNNING', { pauseReleases: true, cdPipelineParent: 'running' }), downstream: ['pending-approval'] },
+    'mock-ephemeral':         { cluster: cluster('mock-ephemeral', 'RUNNING', {
+                                  isEphemeral: true, baseClusterId: 'mock-running', baseClusterName: 'running', cdPipelineParent: 'running',
+                                  releaseStream: 'QA', componentVersions: Object.assign({}, K8S_VERSIONS, { 'ingress-nginx': '4.11.1' }),
+                                  variables: Object.assign({}, VARIABLES, {
+                                    LOG_LEVEL: Object.assign({}, VARIABLES.LOG_LEVEL, { status: 'DEFAULT', value: 'info' }),
+                                    PREVIEW_URL: { secret: false, status: 'OVERRIDDEN', description: 'Preview hostname', value: 'pr-123.demo.example.com' },
+                                    STRIPE_API_KEY: undefined
+                                  }),
+                                  commonEnvironmentVariables: Object.assign({}, COMMON_ENV, { OTEL_EXPORTER: 'none' })
+                                }),
+                                resources: RESOURCES.filter(r => r.resourceName !== 'legacy-cron')
+                                  .map(r => r.resourceName === 'events' ? Object.assign({}, r, { disabled: false }) : r)
+                                  .map(r => r.resourceName === 'main-db' ? Object.assign({}, r, { override: false }) : r)
+                                  .concat([{ resourceType: 'service', resourceName: 'preview-proxy', disabled: false, override: true }]),
+                                overrides: {
+                                  'service/api':           { spec: { replicas: 1, resources: { cpu: '500m', memory: '512Mi' }, env: { LOG_LEVEL: 'debug' } } },
+                                  'service/preview-proxy': { spec: { replicas: 1, env: { UPSTREAM: 'api' } } }
+                                } },
+    'mock-legacy-k8s':        { cluster: cluster('mock-legacy-k8s', 'RUNNING') },
+    'mock-legacy-plain':      { cluster: cluster('mock-legacy-plain', 'RUNNING', { noK8s: true, cloud: 'AZURE' }) },
+    'mock-blueprint-k8s':     { cluster: cluster('mock-blueprint-k8s', 'RUNNING', { blueprint: true }) },
+    'mock-blueprint-plain':   { cluster: cluster('mock-blueprint-plain', 'RUNNING', { blueprint: true, noK8s: true, cloud: 'GCP' }) }
+  };
+
+  Object.keys(MOCK_CLUSTERS).forEach((id, i) => {
+    const m  = MOCK_CLUSTERS[id];
+    const vars = m.cluster.variables = Object.assign({}, m.cluster.variables);
+    Object.keys(vars).forEach(k => { if (vars[k] === undefined) delete vars[k]; else vars[k] = Object.assign({}, vars[k]); });
+    m.secrets = {};
+    Object.keys(vars).forEach(k => { if (vars[k].secret) m.secrets[k] = `mock-${k.toLowerCase().replace(/_/g, '-')}-${id}`; });
+    m.resources = m.resources || RESOURCES;
+    m.schedules = SCHEDULES.map(x => Object.assign({}, x));
+    m.history = buildHistory(i + 7, m.history === 0 ? 0 : 60);
+    if (m.latestStatus && m.history.length) m.history[0] = Object.assign({}, m.history[0], { status: m.latestStatus, finishedOn: null });
+    if (m.inProgress) {
+      m.history.unshift({
+        id: `dep-${id}-live`, releaseTraceId: `rt-${id}-live`, releaseType: m.inProgress, status: 'IN_PROGRESS',
+        triggeredBy: 'alice@acme.io', createdOn: iso(NOW - 7 * MIN), finishedOn: null, timeTakenInSeconds: null, changesApplied: []
+      });
+    }
+  });
+
+  // ── Routes ─────────────────────────────────────────────────────────────────
+
+  function overviewOf(id) {
+    const m      = MOCK_CLUSTERS[id];
+    if (!m) return null;
+    const live   = m.history.filter(d => d.status === 'IN_PROGRESS');
+    const latest = m.history.find(d => d.status !== 'IN_PROGRESS') || null;
+    return {
+      cluster: m.cluster,
+      deploymentsStats: statsOf(m.history),
+      inProgressDeployments: live,
+      queuedReleases: Array.from({ length: m.queued || 0 }, (_, i) => ({ id: `queued-${i}`, releaseType: 'RELEASE' })),
+      latestDeployment: latest,
+      isScheduledReleasesPaused: false,
+      downStreamClusterNames: m.downstream || []
+    };
+  }
+
+  // Mirrors the backend's filter/sort params for /deployments
+  function query(list, params) {
+    const by   = (params.get('triggeredBy') || '').toLowerCase();
+    const from = params.get('fromDate') ? new Date(params.get('fromDate')).getTime() : null;
+    const to   = params.get('toDate')   ? new Date(params.get('toDate')).getTime()   : null;
+    const [field, dir] = (params.get('sort') || 'createdOn,desc').split(',');
+    const key  = field === 'timeTakenInSeconds' ? d => d.timeTakenInSeconds || 0 : d => new Date(d.createdOn).getTime();
+    return list.filter(d =>
+      (!params.get('status')      || d.status === params.get('status')) &&
+      (!params.get('releaseType') || d.releaseType === params.get('releaseType')) &&
+      (!by   || (d.triggeredBy || '').toLowerCase().indexOf(by) !== -1) &&
+      (!from || new Date(d.createdOn).getTime() >= from) &&
+      (!to   || new Date(d.createdOn).getTime() <= to)
+    ).sort((a, b) => (key(a) - key(b)) * (dir === 'asc' ? 1 : -1));
+  }
+
+  // Log output grows with the deployment's age: roughly one line every two seconds
+  const LOG_SCRIPT = [
+    'Initializing terraform backend…',
+    'Refreshing state… [id=vpc-0a1b2c3d]',
+    'module.api.helm_release.this: Modifying… [id=api]',
+    'module.web.helm_release.this: Modifying… [id=web]',
+    'Warning: Argument is deprecated',
+    'module.main_db.aws_db_instance.this: Still modifying… [10s elapsed]',
+    'Error: rate exceeded while describing instances, retrying',
+    'module.cache.aws_elasticache_cluster.this: Modifications complete',
+    'module.api.helm_release.this: Modifications complete after 42s',
+    'Apply complete! Resources: 0 added, 4 changed, 0 destroyed.'
+  ];
+
+  function logLines(dep) {
+    const end     = dep.finishedOn ? new Date(dep.finishedOn).getTime() : Date.now();
+    const elapsed = Math.max(0, Math.floor((end - new Date(dep.createdOn).getTime()) / 1000));
+    const count   = dep.status === 'IN_PROGRESS' ? Math.min(400, Math.floor(elapsed / 2)) : 400;
+    const lines   = [];
+    for (let i = 0; i < count; i++) {
+      const ts = iso(new Date(dep.createdOn).getTime() + i * 2000).slice(11, 19);
+      lines.push(`${ts}  ${LOG_SCRIPT[i % LOG_SCRIPT.length]}`);
+    }
+    return lines;
+  }
+
+  function page(list, params) {
+    const size   = parseInt(params.get('size') || '25', 10);
+    const number = parseInt(params.get('page') || '0', 10);
+    return {
+      content: list.slice(number * size, (number + 1) * size),
+      number, size, totalElements: list.length, totalPages: Math.ceil(list.length / size)
+    };
+  }
+
+  const routes = [
+    ['GET', /^\/clusters\/stack\/([^/]+)\/cluster\/([^/]+)\/info$/, (m) => {
+      const c = Object.values(MOCK_CLUSTERS).find(x => x.cluster.name === decodeURIComponent(m[2]));
+      return c ? { id: c.cluster.id } : null;
+    }],
+    ['GET', /^\/clusters\/([^/]+)\/deployments\/overview$/, (m) => overviewOf(m[1])],
+    ['GET', /^\/clusters\/([^/]+)\/deployments\/(?!overview$)([^/]+)$/, (m) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      return (c && c.history.find(d => d.id === m[2])) || null;
+    }],
+    ['GET', /^\/clusters\/([^/]+)\/deployments\/([^/]+)\/logs$/, (m, q) => {
+      const c   = MOCK_CLUSTERS[m[1]];
+      const dep = c && c.history.find(d => d.id === m[2]);
+      if (!dep) return null;
+      const all    = logLines(dep);
+      const offset = parseInt(q.get('offset') || '0', 10);
+      return { logs: all.slice(offset), nextOffset: all.length, status: dep.status };
+    }],
+    ['POST', /^\/clusters\/([^/]+)\/deployments\/([^/]+)\/(approve|reject|abort)$/, (m, q, body, opts) => {
+      if (opts.failActions.indexOf(m[3]) !== -1) throw new Error(`Mock refused to ${m[3]} release`);
+      const c   = MOCK_CLUSTERS[m[1]];
+      const dep = c && c.history.find(d => d.id === m[2]);
+      if (!dep) return null;
+      dep.status = { approve: 'APPROVED', reject: 'REJECTED', abort: 'ABORTED' }[m[3]];
+      dep.finishedOn = iso(Date.now());
+      if (m[3] === 'approve') dep.approvedBy = 'you@acme.io';
+      return dep;
+    }],
+    ['POST', /^\/clusters\/([^/]+)\/variables$/, (m, q, body) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      if (!c) return null;
+      if (!body || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(body.name || '')) throw new Error('Invalid variable name');
+      if (c.cluster.variables[body.name]) throw new Error(`${body.name} already exists`);
+      return saveVariable(c, body.name, body);
+    }],
+    ['PUT', /^\/clusters\/([^/]+)\/variables\/([^/]+)$/, (m, q, body) => {
+      const c    = MOCK_CLUSTERS[m[1]];
+      const name = decodeURIComponent(m[2]);
+      return c && c.cluster.variables[name] ? saveVariable(c, name, body || {}) : null;
+    }],
+    ['DELETE', /^\/clusters\/([^/]+)\/variables\/([^/]+)$/, (m) => {
+      const c    = MOCK_CLUSTERS[m[1]];
+      const name = decodeURIComponent(m[2]);
+      if (!c || !c.cluster.variables[name]) return null;
+      delete c.cluster.variables[name];
+      delete c.secrets[name];
+      return { name };
+    }],
+    ['POST', /^\/clusters\/([^/]+)\/variables\/([^/]+)\/reveal$/, (m) => {
+      const c    = MOCK_CLUSTERS[m[1]];
+      const name = decodeURIComponent(m[2]);
+      return c && name in c.secrets ? { name, value: c.secrets[name] } : null;
+    }],
+    ['GET', /^\/clusters\/([^/]+)\/resource-stats$/, (m) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      return c ? { totalCount: c.resources.length, enabledCount: c.resources.filter(r => !r.disabled).length } : null;
+    }],
+    ['GET', /^\/clusters\/([^/]+)\/variable-counts$/, (m) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      if (!c) return null;
+      const vars = Object.values(c.cluster.variables);
+      return { variableCount: vars.filter(v => !v.secret).length, secretCount: vars.filter(v => v.secret).length };
+    }],
+    ['GET', /^\/clusters\/([^/]+)\/deployments$/, (m, q) => MOCK_CLUSTERS[m[1]] ? page(query(MOCK_CLUSTERS[m[1]].history, q), q) : null],
+    ['GET', /^\/dropdown\/cluster\/([^/]+)\/resources-info$/, (m, q) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      if (!c) return null;
+      return q.get('includeContent') === 'true' ? c.resources.map(r => withContent(r, c.overrides)) : c.resources;
+    }],
+    ['GET', /^\/dropdown\/cluster\/([^/]+)\/resourceType\/([^/]+)\/resourceName\/([^/]+)\/resource-info$/, (m) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      const r = c && c.resources.find(x => x.resourceType === decodeURIComponent(m[2]) && x.resourceName === decodeURIComponent(m[3]));
+      return r ? withContent(r, c.overrides) : null;
+    }],
+    ['GET', /^\/clusters\/([^/]+)\/k8s-explorer\/ingress-rules$/, () => INGRESS],
+    ['GET', /^\/clusters\/([^/]+)\/availability-schedule$/, (m) => MOCK_CLUSTERS[m[1]] ? MOCK_CLUSTERS[m[1]].schedules : SCHEDULES],
+    ['POST', /^\/clusters\/([^/]+)\/availability-schedule$/, (m, q, body) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      if (!c) return null;
+      if (!body || !body.name || !body.startCron) throw new Error('name and startCron are required');
+      const s = Object.assign({ enabled: true }, body, { id: `sched-${Date.now().toString(36)}` });
+      c.schedules.push(s);
+      return s;
+    }],
+    ['PUT', /^\/clusters\/([^/]+)\/availability-schedule\/([^/]+)$/, (m, q, body) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      const s = c && c.schedules.find(x => x.id === m[2]);
+      if (!s) return null;
+      return Object.assign(s, body, { id: s.id });
+    }],
+    ['DELETE', /^\/clusters\/([^/]+)\/availability-schedule\/([^/]+)$/, (m) => {
+      const c = MOCK_CLUSTERS[m[1]];
+      const i = c ? c.schedules.findIndex(x => x.id === m[2]) : -1;
+      if (i === -1) return null;
+      return c.schedules.splice(i, 1)[0];
+    }],
+    ['GET', /^\/maintenance-window\/([^/]+)$/, () => MAINTENANCE],
+    ['GET', /^\/cost-explorer\/(aws|gcp|azure)\/enabled$/, () => true],
+    ['GET', /^\/cost-explorer\/(aws|gcp|azure)\/clusters\/([^/]+)\/daily-cost$/, (m, q) =>
+      MOCK_CLUSTERS[m[2]] ? { currency: 'USD', content: dailyCost(m[2], m[1], q.get('from'), q.get('to')) } : null],
+    ['GET', /^\/cost-explorer\/(aws|gcp|azure)\/clusters\/([^/]+)\/service-cost$/, (m, q) => {
+      if (!MOCK_CLUSTERS[m[2]]) return null;
+      const total = dailyCost(m[2], m[1], q.get('from'), q.get('to')).reduce((t, d) => t + d.cost, 0);
+      return { currency: 'USD', content: SERVICE_SPLIT[m[1]].map(([service, share]) => ({ service, cost: Math.round(total * share * 100) / 100 })) };
+    }],
+    ['GET', /^\/stacks\/?$/, () => [{ name: STACK }]],
+    ['GET', /^\/stacks\/([^/]+)\/clusters-overview$/, () =>
+      Object.keys(MOCK_CLUSTERS).map(id => {
+        const c  = MOCK_CLUSTERS[id].cluster;
+        const ov = overviewOf(id);
+        return {
+          id, name: c.name, clusterState: c.clusterState, cloud: c.cloud, isEphemeral: !!c.isEphemeral, baseClusterName: c.baseClusterName || null,
+          pauseReleases: c.pauseReleases, latestDeployment: ov.inProgressDeployments[0] || ov.latestDeployment
+        };
+      })]
+  ];
+
+  const SERVICE_SPLIT = {
+    aws:   [['Amazon EC2', .38], ['Amazon RDS', .22], ['Amazon EKS', .12], ['Amazon S3', .08], ['Elastic Load Balancing', .07], ['Amazon ElastiCache', .06], ['AWS Data Transfer', .04], ['Amazon CloudWatch', .03]],
+    gcp:   [['Compute Engine', .41], ['Cloud SQL', .21], ['Kubernetes Engine', .14], ['Cloud Storage', .09], ['Networking', .09], ['Cloud Logging', .06]],
+    azure: [['Virtual Machines', .40], ['Azure Database for PostgreSQL', .24], ['Azure Kubernetes Service', .13], ['Storage', .1], ['Bandwidth', .08], ['Azure Monitor', .05]]
+  };
+
+  // Deterministic per-cluster daily spend: lower at weekends, stopped clusters near zero
+  function dailyCost(id, cloud, from, to) {
+    const c     = MOCK_CLUSTERS[id].cluster;
+    let seed    = id.split('').reduce((t, ch) => t + ch.charCodeAt(0), 0);
+    const rnd   = () => { seed = (seed * 9301 + 49297) % 233280; return seed / 233280; };
+    const base  = c.clusterState === 'STOPPED' ? 1.5 : c.isEphemeral ? 18 : 64;
+    const start = Date.parse(`${from}T00:00:00Z`), end = Date.parse(`${to}T00:00:00Z`);
+    const out   = [];
+    for (let t = start; t <= end; t += DAY) {
+      const dow = new Date(t).getUTCDay();
+      const f   = (dow === 0 || dow === 6 ? 0.55 : 1) * (0.85 + rnd() * 0.3) * (1 + (t - start) / DAY * 0.004);
+      out.push({ date: iso(t).slice(0, 10), cost: Math.round(base * f * 100) / 100 });
+    }
+    return out;
+  }
+
+  // Stores variable metadata; secret values live apart so they never show up in overview payloads
+  function saveVariable(c, name, body) {
+    const prev = c.cluster.variables[name] || {};
+    const meta = {
+      secret:      prev.secret != null ? prev.secret : !!body.secret,
+      status:      'OVERRIDDEN',
+      description: body.description != null ? body.description : prev.description
+    };
+    if (meta.secret) { if (body.value != null) c.secrets[name] = body.value; }
+    else meta.value = body.value != null ? body.value : prev.value;
+    c.cluster.variables[name] = meta;
+    return Object.assign({ name }, meta);
+  }
+
+  function respond(status, body) {
+    return new Response(body == null ? '' : JSON.stringify(body), {
+      status, headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const SETTLED = { LAUNCHING: 'RUNNING', SCALING_UP: 'RUNNING', SCALING_DOWN: 'SCALE_DOWN', DESTROYING: 'STOPPED' };
+
+  function tick(id) {
+    const m = MOCK_CLUSTERS[id];
+    if (!m) return null;
+    const live = m.history.find(d => d.status === 'IN_PROGRESS');
+    if (!live) return { type: 'cluster', clusterId: id, clusterState: m.cluster.clusterState };
+    const took = Math.round((Date.now() - new Date(live.createdOn).getTime()) / 1000);
+    Object.assign(live, { status: 'SUCCEEDED', finishedOn: iso(Date.now()), timeTakenInSeconds: took });
+    if (SETTLED[m.cluster.clusterState]) m.cluster.clusterState = SETTLED[m.cluster.clusterState];
+    return { type: 'deployment', clusterId: id, deploymentId: live.id, status: live.status };
+  }
+
+  function transport(options) {
+    const opts    = Object.assign({ latency: 150, apiBase: '/cc-ui/v1', log: false, eventInterval: 20000, failActions: [] }, options || {});
+    return {
+      subscribe(url, onEvent) {
+        const m  = String(url).match(/(mock-[\w-]+)/);
+        const id = m && m[1];
+        if (opts.log) console.log('[mock-api] subscribe', url);
+        const timer = setInterval(() => {
+          const evt = tick(id);
+          if (evt) onEvent(evt);
+        }, opts.eventInterval);
+        return () => clearInterval(timer);
+      },
+
+      fetch(url, init) {
+        const method = ((init && init.method) || 'GET').toUpperCase();
+        const u      = new URL(url, 'http://mock.local');
+        const path   = u.pathname.indexOf(opts.apiBase) === 0 ? u.pathname.slice(opts.apiBase.length) : u.pathname;
+        if (opts.log) console.log('[mock-api]', method, path + u.search);
+
+        return new Promise(resolve => setTimeout(() => {
+          for (const [verb, re, handler] of routes) {
+            const m = verb === method && path.match(re);
+            if (!m) continue;
+            try {
+              const body = handler(m, u.searchParams, init && init.body ? JSON.parse(init.body) : null, opts);
+              return resolve(body === null ? respond(404, { message: 'Not found' }) : respond(200, body));
+            } catch (e) {
+              return resolve(respond(500, { message: e.message }));
+            }
+          }
+          resolve(respond(404, { message: `No mock for ${method} ${path}` }));
+        }, opts.latency));
+      }
+    };
+  }
+
+  window.EnvironmentOverviewMock = { transport, clusters: MOCK_CLUSTERS, stack: STACK };
+})();